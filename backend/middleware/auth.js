@@ -1,8 +1,72 @@
 const jwt = require('jsonwebtoken');
-const { User } = require('../models');
+const { User, Session } = require('../models');
+const { getRolePermissions, can } = require('../services/permissions');
+const { authenticateApiKey, consumeRateLimit } = require('../services/apiKeys');
 
-// Middleware para verificar token JWT
+// Un access token emitido para una sesión deja de valer en cuanto esa sesión se revoca.
+// Los JWT con tipo (refresh tokens antiguos, retos de 2FA) no sirven como access token.
+async function isTokenUsable(decoded) {
+  if (decoded.type) return false;
+  if (!decoded.sid) return true;
+
+  const session = await Session.findByPk(decoded.sid, { attributes: ['id', 'revokedAt', 'expiresAt'] });
+  return Boolean(session && session.isActive());
+}
+
+// Autenticar con la cabecera X-API-Key: el usuario es el propietario de la clave, con sus
+// permisos limitados al alcance de la clave, y cada clave tiene su propio límite de peticiones
+async function authenticateWithApiKey(key, req, res, next) {
+  try {
+    const result = await authenticateApiKey(key, req);
+    if (!result) {
+      return res.status(401).json({
+        success: false,
+        message: 'API key inválida, revocada o expirada'
+      });
+    }
+
+    const rate = await consumeRateLimit(result.apiKey);
+    res.set({
+      'X-RateLimit-Limit': String(rate.limit),
+      'X-RateLimit-Remaining': String(rate.remaining),
+      'X-RateLimit-Reset': String(Math.ceil(rate.resetAt / 1000))
+    });
+
+    if (!rate.allowed) {
+      res.set('Retry-After', String(Math.max(1, Math.ceil((rate.resetAt - Date.now()) / 1000))));
+      return res.status(429).json({
+        success: false,
+        message: 'Límite de peticiones de la API key superado, intenta de nuevo más tarde'
+      });
+    }
+
+    req.user = result.user;
+    req.apiKey = result.apiKey;
+    req.sessionId = null;
+    next();
+  } catch (error) {
+    console.error('Error al autenticar la API key:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error de autenticación'
+    });
+  }
+}
+
+// Validar la cabecera X-API-Key en cuanto llega la petición, antes del limitador global por IP:
+// solo las peticiones con una clave válida (req.apiKey) quedan sujetas a su límite por clave
+const resolveApiKey = (req, res, next) => {
+  if (!req.headers['x-api-key']) return next();
+  return authenticateWithApiKey(req.headers['x-api-key'], req, res, next);
+};
+
+// Middleware para verificar token JWT o API key
 const authenticateToken = async (req, res, next) => {
+  if (req.apiKey) return next();
+  if (req.headers['x-api-key']) {
+    return authenticateWithApiKey(req.headers['x-api-key'], req, res, next);
+  }
+
   try {
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
@@ -15,6 +79,13 @@ const authenticateToken = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    if (!(await isTokenUsable(decoded))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Sesión revocada o expirada'
+      });
+    }
     
     // Buscar el usuario en la base de datos
     const user = await User.findByPk(decoded.userId, {
@@ -35,7 +106,9 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
+    user.permissions = await getRolePermissions(user.role);
     req.user = user;
+    req.sessionId = decoded.sid || null;
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -59,8 +132,8 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
-// Middleware para verificar roles
-const authorizeRoles = (...roles) => {
+// Middleware para verificar permisos: authorize('posts.publish') exige todos los indicados
+const authorize = (...permissions) => {
   return (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({
@@ -69,7 +142,7 @@ const authorizeRoles = (...roles) => {
       });
     }
 
-    if (!roles.includes(req.user.role)) {
+    if (!permissions.every(permission => can(req.user, permission))) {
       return res.status(403).json({
         success: false,
         message: 'No tienes permisos para realizar esta acción'
@@ -80,7 +153,7 @@ const authorizeRoles = (...roles) => {
   };
 };
 
-// Middleware para verificar si el usuario es propietario o admin
+// Middleware para verificar si el usuario es propietario o puede gestionar usuarios
 const authorizeOwnerOrAdmin = (req, res, next) => {
   if (!req.user) {
     return res.status(401).json({
@@ -89,9 +162,9 @@ const authorizeOwnerOrAdmin = (req, res, next) => {
     });
   }
 
-  const resourceUserId = req.params.userId || req.body.userId || req.params.authorId;
+  const resourceUserId = req.params.userId || req.params.id || req.body.userId || req.params.authorId;
   const isOwner = req.user.id == resourceUserId;
-  const isAdmin = ['admin', 'super_admin'].includes(req.user.role);
+  const isAdmin = can(req.user, 'users.manage');
 
   if (!isOwner && !isAdmin) {
     return res.status(403).json({
@@ -103,8 +176,26 @@ const authorizeOwnerOrAdmin = (req, res, next) => {
   next();
 };
 
-// Middleware opcional de autenticación (no bloquea si no hay token)
+// La gestión de la propia cuenta (contraseña, sesiones, 2FA, API keys) exige una sesión de usuario
+const requireUserSession = (req, res, next) => {
+  if (req.apiKey) {
+    return res.status(403).json({
+      success: false,
+      message: 'Esta acción no está disponible con una API key'
+    });
+  }
+
+  next();
+};
+
+// Middleware opcional de autenticación (no bloquea si no hay token).
+// Una API key sí se valida siempre, para aplicarle su límite de peticiones
 const optionalAuth = async (req, res, next) => {
+  if (req.apiKey) return next();
+  if (req.headers['x-api-key']) {
+    return authenticateWithApiKey(req.headers['x-api-key'], req, res, next);
+  }
+
   try {
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1];
@@ -115,8 +206,10 @@ const optionalAuth = async (req, res, next) => {
         attributes: { exclude: ['password'] }
       });
 
-      if (user && user.status === 'active') {
+      if (user && user.status === 'active' && await isTokenUsable(decoded)) {
+        user.permissions = await getRolePermissions(user.role);
         req.user = user;
+        req.sessionId = decoded.sid || null;
       }
     }
 
@@ -127,43 +220,39 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
-// Función para generar tokens JWT
-const generateTokens = (userId) => {
-  const accessToken = jwt.sign(
-    { userId },
-    process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRE || '7d' }
-  );
-
-  const refreshToken = jwt.sign(
-    { userId, type: 'refresh' },
-    process.env.JWT_SECRET,
-    { expiresIn: '30d' }
-  );
-
-  return { accessToken, refreshToken };
-};
+// Generar el access token JWT de una sesión. Los refresh tokens los emite services/sessions
+const generateAccessToken = (userId, sessionId = null) => jwt.sign(
+  sessionId ? { userId, sid: sessionId } : { userId },
+  process.env.JWT_SECRET,
+  { expiresIn: process.env.JWT_EXPIRE || '7d' }
+);
+
+// Token de corta duración para completar un paso intermedio del login
+// ('2fa_challenge': introducir el código; '2fa_setup': activar la 2FA obligatoria)
+const generateChallengeToken = (userId, type) => jwt.sign(
+  { userId, type },
+  process.env.JWT_SECRET,
+  { expiresIn: '5m' }
+);
 
-// Función para verificar refresh token
-const verifyRefreshToken = (token) => {
+// Devuelve el contenido del token si es válido y del tipo esperado, o null
+const verifyChallengeToken = (token, type) => {
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    if (decoded.type !== 'refresh') {
-      throw new Error('Token inválido');
-    }
-    
-    return decoded;
+    return decoded.type === type ? decoded : null;
   } catch (error) {
-    throw error;
+    return null;
   }
 };
 
 module.exports = {
+  resolveApiKey,
   authenticateToken,
-  authorizeRoles,
+  authorize,
   authorizeOwnerOrAdmin,
+  requireUserSession,
   optionalAuth,
-  generateTokens,
-  verifyRefreshToken
+  generateAccessToken,
+  generateChallengeToken,
+  verifyChallengeToken
 };
\ No newline at end of file
@@ -0,0 +1,26 @@
+const { isPrivateMedia, findMediaByUploadPath } = require('../services/mediaFolders');
+
+/**
+ * Los archivos privados y sus tamaños generados no se sirven desde /uploads: se obtienen con
+ * GET /api/media/:id/file (autenticado) o, las imágenes, con una URL firmada de /render.
+ */
+const protectPrivateUploads = async (req, res, next) => {
+  try {
+    const media = await findMediaByUploadPath(req.path);
+
+    if (media && await isPrivateMedia(media)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Archivo no encontrado'
+      });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  protectPrivateUploads
+};
\ No newline at end of file
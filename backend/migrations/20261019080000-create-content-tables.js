@@ -0,0 +1,579 @@
+'use strict';
+
+// Tablas de contenido del esquema inicial y columnas de users que la primera migración no creaba
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    const timestamps = {
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    };
+
+    // La primera migración dejaba role sin NOT NULL
+    if (queryInterface.sequelize.getDialect() === 'postgres') {
+      await queryInterface.sequelize.query('ALTER TABLE "users" ALTER COLUMN "role" SET NOT NULL');
+    } else {
+      await queryInterface.changeColumn('users', 'role', {
+        type: Sequelize.ENUM('super_admin', 'admin', 'editor', 'author', 'subscriber'),
+        allowNull: false,
+        defaultValue: 'subscriber'
+      });
+    }
+
+    await queryInterface.addColumn('users', 'first_name', {
+      type: Sequelize.STRING(50),
+      allowNull: false,
+      defaultValue: ''
+    });
+    await queryInterface.addColumn('users', 'last_name', {
+      type: Sequelize.STRING(50),
+      allowNull: false,
+      defaultValue: ''
+    });
+    await queryInterface.addColumn('users', 'status', {
+      type: Sequelize.ENUM('active', 'inactive', 'suspended'),
+      allowNull: false,
+      defaultValue: 'active'
+    });
+    await queryInterface.addColumn('users', 'avatar', {
+      type: Sequelize.STRING(255),
+      allowNull: true
+    });
+    await queryInterface.addColumn('users', 'bio', {
+      type: Sequelize.TEXT,
+      allowNull: true
+    });
+    await queryInterface.addColumn('users', 'last_login', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+    await queryInterface.addColumn('users', 'email_verified', {
+      type: Sequelize.BOOLEAN,
+      defaultValue: false
+    });
+    await queryInterface.addColumn('users', 'email_verification_token', {
+      type: Sequelize.STRING(255),
+      allowNull: true
+    });
+    await queryInterface.addColumn('users', 'password_reset_token', {
+      type: Sequelize.STRING(255),
+      allowNull: true
+    });
+    await queryInterface.addColumn('users', 'password_reset_expires', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    await queryInterface.createTable('categories', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      name: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      slug: {
+        type: Sequelize.STRING(120),
+        allowNull: false,
+        unique: true
+      },
+      description: {
+        type: Sequelize.TEXT
+      },
+      color: {
+        type: Sequelize.STRING(7)
+      },
+      parent_id: {
+        type: Sequelize.INTEGER,
+        references: {
+          model: 'categories',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      sort_order: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0
+      },
+      is_active: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: true
+      },
+      meta_title: {
+        type: Sequelize.STRING(255)
+      },
+      meta_description: {
+        type: Sequelize.TEXT
+      },
+      featured_image: {
+        type: Sequelize.STRING(255)
+      },
+      ...timestamps
+    });
+
+    await queryInterface.createTable('posts', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      title: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      slug: {
+        type: Sequelize.STRING(300),
+        allowNull: false,
+        unique: true
+      },
+      content: {
+        type: Sequelize.TEXT,
+        allowNull: false
+      },
+      excerpt: {
+        type: Sequelize.TEXT
+      },
+      status: {
+        type: Sequelize.ENUM('draft', 'published', 'private', 'pending', 'trash'),
+        allowNull: false,
+        defaultValue: 'draft'
+      },
+      type: {
+        type: Sequelize.ENUM('post', 'page', 'product', 'event'),
+        allowNull: false,
+        defaultValue: 'post'
+      },
+      featured_image: {
+        type: Sequelize.STRING(255)
+      },
+      author_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE'
+      },
+      category_id: {
+        type: Sequelize.INTEGER,
+        references: {
+          model: 'categories',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      published_at: {
+        type: Sequelize.DATE
+      },
+      views_count: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0
+      },
+      likes_count: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0
+      },
+      comments_count: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0
+      },
+      allow_comments: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: true
+      },
+      is_featured: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: false
+      },
+      is_sticky: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: false
+      },
+      seo_title: {
+        type: Sequelize.STRING(255)
+      },
+      seo_description: {
+        type: Sequelize.TEXT
+      },
+      seo_keywords: {
+        type: Sequelize.STRING(500)
+      },
+      custom_fields: {
+        type: Sequelize.JSON
+      },
+      sort_order: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0
+      },
+      reading_time: {
+        type: Sequelize.INTEGER
+      },
+      ...timestamps
+    });
+
+    await queryInterface.createTable('tags', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      name: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+        unique: true
+      },
+      slug: {
+        type: Sequelize.STRING(60),
+        allowNull: false,
+        unique: true
+      },
+      description: {
+        type: Sequelize.TEXT
+      },
+      color: {
+        type: Sequelize.STRING(7)
+      },
+      posts_count: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0
+      },
+      is_active: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: true
+      },
+      ...timestamps
+    });
+
+    await queryInterface.createTable('comments', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      content: {
+        type: Sequelize.TEXT,
+        allowNull: false
+      },
+      author_name: {
+        type: Sequelize.STRING(100)
+      },
+      author_email: {
+        type: Sequelize.STRING(100)
+      },
+      author_url: {
+        type: Sequelize.STRING(255)
+      },
+      author_ip: {
+        type: Sequelize.STRING(45)
+      },
+      post_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'posts',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE'
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      parent_id: {
+        type: Sequelize.INTEGER,
+        references: {
+          model: 'comments',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      status: {
+        type: Sequelize.ENUM('pending', 'approved', 'spam', 'trash'),
+        allowNull: false,
+        defaultValue: 'pending'
+      },
+      likes_count: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0
+      },
+      is_reply: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: false
+      },
+      user_agent: {
+        type: Sequelize.STRING(500)
+      },
+      ...timestamps
+    });
+
+    await queryInterface.createTable('likes', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE'
+      },
+      post_id: {
+        type: Sequelize.INTEGER,
+        references: {
+          model: 'posts',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      comment_id: {
+        type: Sequelize.INTEGER,
+        references: {
+          model: 'comments',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      type: {
+        type: Sequelize.ENUM('like', 'dislike', 'love', 'laugh', 'angry', 'sad'),
+        allowNull: false,
+        defaultValue: 'like'
+      },
+      ...timestamps
+    });
+    await queryInterface.addIndex('likes', ['user_id', 'post_id'], { unique: true });
+    await queryInterface.addIndex('likes', ['user_id', 'comment_id'], { unique: true });
+
+    await queryInterface.createTable('media', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      filename: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      original_name: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      mime_type: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      size: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      path: {
+        type: Sequelize.STRING(500),
+        allowNull: false
+      },
+      url: {
+        type: Sequelize.STRING(500),
+        allowNull: false
+      },
+      type: {
+        type: Sequelize.ENUM('image', 'video', 'audio', 'document', 'other'),
+        allowNull: false
+      },
+      alt: {
+        type: Sequelize.STRING(255)
+      },
+      caption: {
+        type: Sequelize.TEXT
+      },
+      description: {
+        type: Sequelize.TEXT
+      },
+      uploaded_by: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE'
+      },
+      post_id: {
+        type: Sequelize.INTEGER,
+        references: {
+          model: 'posts',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      width: {
+        type: Sequelize.INTEGER
+      },
+      height: {
+        type: Sequelize.INTEGER
+      },
+      duration: {
+        type: Sequelize.INTEGER
+      },
+      metadata: {
+        type: Sequelize.JSON
+      },
+      is_public: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: true
+      },
+      download_count: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0
+      },
+      folder: {
+        type: Sequelize.STRING(255),
+        defaultValue: 'uploads'
+      },
+      ...timestamps
+    });
+
+    await queryInterface.createTable('settings', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      key: {
+        type: Sequelize.STRING(100),
+        allowNull: false,
+        unique: true
+      },
+      value: {
+        type: Sequelize.TEXT
+      },
+      type: {
+        type: Sequelize.ENUM('string', 'number', 'boolean', 'json', 'array'),
+        allowNull: false,
+        defaultValue: 'string'
+      },
+      category: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+        defaultValue: 'general'
+      },
+      description: {
+        type: Sequelize.TEXT
+      },
+      is_public: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: false
+      },
+      is_editable: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: true
+      },
+      sort_order: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0
+      },
+      ...timestamps
+    });
+
+    // Tablas intermedias de las relaciones N:M de los posts
+    await queryInterface.createTable('PostTags', {
+      post_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        primaryKey: true,
+        references: {
+          model: 'posts',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      tag_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        primaryKey: true,
+        references: {
+          model: 'tags',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      ...timestamps
+    });
+
+    await queryInterface.createTable('PostCategories', {
+      category_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        primaryKey: true,
+        references: {
+          model: 'categories',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      post_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        primaryKey: true,
+        references: {
+          model: 'posts',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      ...timestamps
+    });
+  },
+
+  async down (queryInterface, Sequelize) {
+    await queryInterface.dropTable('PostCategories');
+    await queryInterface.dropTable('PostTags');
+    await queryInterface.dropTable('settings');
+    await queryInterface.dropTable('media');
+    await queryInterface.dropTable('likes');
+    await queryInterface.dropTable('comments');
+    await queryInterface.dropTable('tags');
+    await queryInterface.dropTable('posts');
+    await queryInterface.dropTable('categories');
+
+    for (const column of [
+      'first_name', 'last_name', 'status', 'avatar', 'bio', 'last_login', 'email_verified',
+      'email_verification_token', 'password_reset_token', 'password_reset_expires'
+    ]) {
+      await queryInterface.removeColumn('users', column);
+    }
+  }
+};
@@ -0,0 +1,83 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    await queryInterface.createTable('post_revisions', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      post_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'posts',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      revision_number: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      title: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      content: {
+        type: Sequelize.TEXT,
+        allowNull: false
+      },
+      excerpt: {
+        type: Sequelize.TEXT
+      },
+      featured_image: {
+        type: Sequelize.STRING(255)
+      },
+      category_id: {
+        type: Sequelize.INTEGER
+      },
+      seo_title: {
+        type: Sequelize.STRING(255)
+      },
+      seo_description: {
+        type: Sequelize.TEXT
+      },
+      seo_keywords: {
+        type: Sequelize.STRING(500)
+      },
+      custom_fields: {
+        type: Sequelize.JSON
+      },
+      tag_ids: {
+        type: Sequelize.JSON,
+        allowNull: false,
+        defaultValue: []
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    await queryInterface.addIndex('post_revisions', ['post_id', 'revision_number'], { unique: true });
+  },
+
+  async down (queryInterface, Sequelize) {
+    await queryInterface.dropTable('post_revisions');
+  }
+};
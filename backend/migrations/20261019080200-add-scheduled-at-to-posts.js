@@ -0,0 +1,26 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    // En PostgreSQL el estado es un tipo ENUM; en SQLite, un texto sin restricción
+    if (queryInterface.sequelize.getDialect() === 'postgres') {
+      await queryInterface.sequelize.query(
+        `ALTER TYPE "enum_posts_status" ADD VALUE IF NOT EXISTS 'scheduled' BEFORE 'trash'`
+      );
+    }
+
+    await queryInterface.addColumn('posts', 'scheduled_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+    await queryInterface.addIndex('posts', ['status', 'scheduled_at']);
+  },
+
+  async down (queryInterface, Sequelize) {
+    // PostgreSQL no permite quitar valores de un ENUM: 'scheduled' queda sin uso
+    await queryInterface.sequelize.query(`UPDATE posts SET status = 'draft' WHERE status = 'scheduled'`);
+    await queryInterface.removeIndex('posts', ['status', 'scheduled_at']);
+    await queryInterface.removeColumn('posts', 'scheduled_at');
+  }
+};
@@ -0,0 +1,33 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    await queryInterface.addColumn('posts', 'trashed_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+    await queryInterface.addColumn('posts', 'status_before_trash', {
+      type: Sequelize.STRING(20),
+      allowNull: true
+    });
+    await queryInterface.addIndex('posts', ['status', 'trashed_at']);
+
+    await queryInterface.addColumn('comments', 'status_before_trash', {
+      type: Sequelize.STRING(20),
+      allowNull: true
+    });
+    await queryInterface.addColumn('likes', 'trashed_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+  },
+
+  async down (queryInterface, Sequelize) {
+    await queryInterface.removeColumn('likes', 'trashed_at');
+    await queryInterface.removeColumn('comments', 'status_before_trash');
+    await queryInterface.removeIndex('posts', ['status', 'trashed_at']);
+    await queryInterface.removeColumn('posts', 'status_before_trash');
+    await queryInterface.removeColumn('posts', 'trashed_at');
+  }
+};
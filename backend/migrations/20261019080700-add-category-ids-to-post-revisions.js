@@ -0,0 +1,16 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    await queryInterface.addColumn('post_revisions', 'category_ids', {
+      type: Sequelize.JSON,
+      allowNull: false,
+      defaultValue: []
+    });
+  },
+
+  async down (queryInterface, Sequelize) {
+    await queryInterface.removeColumn('post_revisions', 'category_ids');
+  }
+};
@@ -0,0 +1,20 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    for (const table of ['posts', 'comments']) {
+      await queryInterface.addColumn(table, 'reaction_counts', {
+        type: Sequelize.JSON,
+        allowNull: false,
+        defaultValue: {}
+      });
+    }
+  },
+
+  async down (queryInterface, Sequelize) {
+    for (const table of ['posts', 'comments']) {
+      await queryInterface.removeColumn(table, 'reaction_counts');
+    }
+  }
+};
@@ -0,0 +1,20 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    await queryInterface.addColumn('comments', 'spam_score', {
+      type: Sequelize.FLOAT,
+      allowNull: true
+    });
+    await queryInterface.addColumn('comments', 'spam_reasons', {
+      type: Sequelize.JSON,
+      allowNull: true
+    });
+  },
+
+  async down (queryInterface, Sequelize) {
+    await queryInterface.removeColumn('comments', 'spam_reasons');
+    await queryInterface.removeColumn('comments', 'spam_score');
+  }
+};
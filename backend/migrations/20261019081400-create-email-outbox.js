@@ -0,0 +1,83 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    await queryInterface.createTable('email_outbox', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      template: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      locale: {
+        type: Sequelize.STRING(10),
+        allowNull: false,
+        defaultValue: 'es'
+      },
+      to: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      subject: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      html: {
+        type: Sequelize.TEXT,
+        allowNull: false
+      },
+      text: {
+        type: Sequelize.TEXT,
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM('pending', 'sending', 'sent', 'failed'),
+        allowNull: false,
+        defaultValue: 'pending'
+      },
+      attempts: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      next_attempt_at: {
+        type: Sequelize.DATE
+      },
+      last_error: {
+        type: Sequelize.TEXT
+      },
+      sent_at: {
+        type: Sequelize.DATE
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    await queryInterface.addIndex('email_outbox', ['status', 'next_attempt_at']);
+  },
+
+  async down (queryInterface, Sequelize) {
+    await queryInterface.dropTable('email_outbox');
+  }
+};
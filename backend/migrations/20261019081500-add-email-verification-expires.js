@@ -0,0 +1,50 @@
+'use strict';
+
+// En SQLite changeColumn recrea la tabla y pierde sus índices y las acciones de las claves ajenas
+async function restoreSqliteConstraints(queryInterface, Sequelize) {
+  if (queryInterface.sequelize.getDialect() !== 'sqlite') return;
+
+  await queryInterface.changeColumn('email_outbox', 'user_id', {
+    type: Sequelize.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onUpdate: 'CASCADE',
+    onDelete: 'SET NULL'
+  });
+  await queryInterface.addIndex('email_outbox', ['status', 'next_attempt_at']);
+}
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    await queryInterface.addColumn('users', 'email_verification_expires', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    // El contenido de los emails se vacía al enviarlos: puede llevar enlaces con tokens
+    for (const column of ['html', 'text']) {
+      await queryInterface.changeColumn('email_outbox', column, {
+        type: Sequelize.TEXT,
+        allowNull: true
+      });
+    }
+    await restoreSqliteConstraints(queryInterface, Sequelize);
+  },
+
+  async down (queryInterface, Sequelize) {
+    await queryInterface.sequelize.query(`DELETE FROM email_outbox WHERE html IS NULL OR text IS NULL`);
+    for (const column of ['html', 'text']) {
+      await queryInterface.changeColumn('email_outbox', column, {
+        type: Sequelize.TEXT,
+        allowNull: false
+      });
+    }
+    await restoreSqliteConstraints(queryInterface, Sequelize);
+
+    await queryInterface.removeColumn('users', 'email_verification_expires');
+  }
+};
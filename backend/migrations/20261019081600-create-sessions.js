@@ -0,0 +1,77 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    await queryInterface.createTable('sessions', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE'
+      },
+      family_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        unique: true
+      },
+      token_hash: {
+        type: Sequelize.STRING(64),
+        allowNull: false
+      },
+      previous_token_hash: {
+        type: Sequelize.STRING(64)
+      },
+      rotated_at: {
+        type: Sequelize.DATE
+      },
+      rotations: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      user_agent: {
+        type: Sequelize.TEXT
+      },
+      ip_address: {
+        type: Sequelize.STRING(45)
+      },
+      last_used_at: {
+        type: Sequelize.DATE
+      },
+      expires_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      revoked_at: {
+        type: Sequelize.DATE
+      },
+      revoked_reason: {
+        type: Sequelize.ENUM('logout', 'revoked', 'reuse_detected', 'password_changed')
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    await queryInterface.addIndex('sessions', ['user_id', 'revoked_at']);
+  },
+
+  async down (queryInterface, Sequelize) {
+    await queryInterface.dropTable('sessions');
+  }
+};
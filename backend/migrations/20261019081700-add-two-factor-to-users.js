@@ -0,0 +1,30 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    await queryInterface.addColumn('users', 'two_factor_enabled', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    });
+    await queryInterface.addColumn('users', 'two_factor_secret', {
+      type: Sequelize.STRING(255),
+      allowNull: true
+    });
+    await queryInterface.addColumn('users', 'two_factor_recovery_codes', {
+      type: Sequelize.JSON,
+      allowNull: true
+    });
+    await queryInterface.addColumn('users', 'two_factor_last_step', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+  },
+
+  async down (queryInterface, Sequelize) {
+    for (const column of ['two_factor_last_step', 'two_factor_recovery_codes', 'two_factor_secret', 'two_factor_enabled']) {
+      await queryInterface.removeColumn('users', column);
+    }
+  }
+};
@@ -0,0 +1,74 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    await queryInterface.createTable('login_events', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      email: {
+        type: Sequelize.STRING(255)
+      },
+      success: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false
+      },
+      reason: {
+        type: Sequelize.ENUM(
+          'password',
+          'two_factor',
+          'recovery_code',
+          'unknown_email',
+          'invalid_password',
+          'invalid_two_factor_code',
+          'account_locked',
+          'account_inactive',
+          'email_not_verified'
+        ),
+        allowNull: false
+      },
+      ip_address: {
+        type: Sequelize.STRING(45)
+      },
+      user_agent: {
+        type: Sequelize.TEXT
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    await queryInterface.addIndex('login_events', ['user_id', 'created_at']);
+
+    await queryInterface.addColumn('users', 'failed_login_attempts', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    });
+    await queryInterface.addColumn('users', 'locked_until', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+  },
+
+  async down (queryInterface, Sequelize) {
+    await queryInterface.removeColumn('users', 'locked_until');
+    await queryInterface.removeColumn('users', 'failed_login_attempts');
+    await queryInterface.dropTable('login_events');
+  }
+};
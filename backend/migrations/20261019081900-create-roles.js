@@ -0,0 +1,88 @@
+'use strict';
+
+// Roles editables: los usuarios guardan el nombre del rol en lugar de un valor fijo del ENUM.
+// Los cinco roles de serie y sus permisos los crea ensureSystemRoles al arrancar el servidor.
+
+const SYSTEM_ROLES = ['super_admin', 'admin', 'editor', 'author', 'subscriber'];
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    await queryInterface.createTable('roles', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      name: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+        unique: true
+      },
+      label: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      description: {
+        type: Sequelize.TEXT
+      },
+      permissions: {
+        type: Sequelize.JSON,
+        allowNull: false,
+        defaultValue: []
+      },
+      is_system: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    if (queryInterface.sequelize.getDialect() === 'postgres') {
+      // El valor por defecto es del tipo ENUM y hay que quitarlo antes de cambiar el tipo
+      await queryInterface.sequelize.query('ALTER TABLE "users" ALTER COLUMN "role" DROP DEFAULT');
+      await queryInterface.sequelize.query('ALTER TABLE "users" ALTER COLUMN "role" TYPE VARCHAR(50) USING "role"::text');
+      await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_users_role"');
+    }
+    await queryInterface.changeColumn('users', 'role', {
+      type: Sequelize.STRING(50),
+      allowNull: false,
+      defaultValue: 'subscriber'
+    });
+  },
+
+  async down (queryInterface, Sequelize) {
+    // Los usuarios con roles personalizados vuelven a suscriptor
+    await queryInterface.sequelize.query(
+      `UPDATE users SET role = 'subscriber' WHERE role NOT IN (${SYSTEM_ROLES.map(role => `'${role}'`).join(', ')})`
+    );
+
+    if (queryInterface.sequelize.getDialect() === 'postgres') {
+      await queryInterface.sequelize.query('ALTER TABLE "users" ALTER COLUMN "role" DROP DEFAULT');
+      await queryInterface.sequelize.query(
+        `CREATE TYPE "enum_users_role" AS ENUM(${SYSTEM_ROLES.map(role => `'${role}'`).join(', ')})`
+      );
+      await queryInterface.sequelize.query(
+        'ALTER TABLE "users" ALTER COLUMN "role" TYPE "enum_users_role" USING "role"::"enum_users_role"'
+      );
+      await queryInterface.sequelize.query(`ALTER TABLE "users" ALTER COLUMN "role" SET DEFAULT 'subscriber'`);
+    } else {
+      await queryInterface.changeColumn('users', 'role', {
+        type: Sequelize.ENUM(...SYSTEM_ROLES),
+        allowNull: false,
+        defaultValue: 'subscriber'
+      });
+    }
+
+    await queryInterface.dropTable('roles');
+  }
+};
@@ -0,0 +1,71 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    await queryInterface.createTable('api_keys', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE'
+      },
+      name: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      prefix: {
+        type: Sequelize.STRING(20),
+        allowNull: false
+      },
+      key_hash: {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+        unique: true
+      },
+      permissions: {
+        type: Sequelize.JSON,
+        allowNull: false,
+        defaultValue: []
+      },
+      rate_limit: {
+        type: Sequelize.INTEGER
+      },
+      expires_at: {
+        type: Sequelize.DATE
+      },
+      last_used_at: {
+        type: Sequelize.DATE
+      },
+      last_used_ip: {
+        type: Sequelize.STRING(45)
+      },
+      revoked_at: {
+        type: Sequelize.DATE
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    await queryInterface.addIndex('api_keys', ['user_id']);
+  },
+
+  async down (queryInterface, Sequelize) {
+    await queryInterface.dropTable('api_keys');
+  }
+};
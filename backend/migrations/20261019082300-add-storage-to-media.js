@@ -0,0 +1,17 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    // Los archivos existentes están en el disco local
+    await queryInterface.addColumn('media', 'storage', {
+      type: Sequelize.STRING(20),
+      allowNull: false,
+      defaultValue: 'local'
+    });
+  },
+
+  async down (queryInterface, Sequelize) {
+    await queryInterface.removeColumn('media', 'storage');
+  }
+};
@@ -0,0 +1,79 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    await queryInterface.createTable('upload_sessions', {
+      id: {
+        primaryKey: true,
+        type: Sequelize.STRING(32)
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE'
+      },
+      original_name: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      mime_type: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      size: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      offset: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      metadata: {
+        type: Sequelize.JSON,
+        allowNull: false,
+        defaultValue: {}
+      },
+      media_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'media',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      expires_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      lock_token: {
+        type: Sequelize.STRING(32)
+      },
+      locked_at: {
+        type: Sequelize.DATE
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    await queryInterface.addIndex('upload_sessions', ['user_id']);
+    await queryInterface.addIndex('upload_sessions', ['expires_at']);
+  },
+
+  async down (queryInterface, Sequelize) {
+    await queryInterface.dropTable('upload_sessions');
+  }
+};
@@ -0,0 +1,92 @@
+'use strict';
+
+module.exports = (sequelize, DataTypes) => {
+  const ApiKey = sequelize.define('ApiKey', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      comment: 'Propietario: la clave actúa en su nombre y nunca con más permisos que los suyos'
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    prefix: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      comment: 'Inicio visible de la clave para reconocerla en los listados'
+    },
+    keyHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true,
+      comment: 'Hash SHA-256 de la clave completa'
+    },
+    permissions: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: [],
+      comment: 'Alcance de la clave: subconjunto de los permisos del propietario'
+    },
+    rateLimit: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      validate: {
+        min: 1
+      },
+      comment: 'Peticiones por ventana; null usa el valor de la configuración api_key_rate_limit'
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    lastUsedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    lastUsedIp: {
+      type: DataTypes.STRING(45),
+      allowNull: true
+    },
+    revokedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'api_keys',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['user_id']
+      }
+    ]
+  });
+
+  ApiKey.prototype.isActive = function(now = new Date()) {
+    return !this.revokedAt && (!this.expiresAt || new Date(this.expiresAt) > now);
+  };
+
+  ApiKey.prototype.toJSON = function() {
+    const values = Object.assign({}, this.get());
+    delete values.keyHash;
+    return values;
+  };
+
+  ApiKey.associate = function(models) {
+    ApiKey.belongsTo(models.User, {
+      foreignKey: 'userId',
+      as: 'owner'
+    });
+  };
+
+  return ApiKey;
+};
\ No newline at end of file
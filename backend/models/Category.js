@@ -76,6 +76,20 @@ module.exports = (sequelize, DataTypes) => {
     }
   });
 
+  // Subconsulta con el número de posts publicados de la categoría, como principal
+  // o asignada en PostCategories
+  Category.publishedPostsCount = function() {
+    return sequelize.literal(`(
+      SELECT COUNT(*)
+      FROM posts
+      WHERE posts.status = 'published'
+      AND (
+        posts.category_id = "Category"."id"
+        OR posts.id IN (SELECT post_id FROM "PostCategories" WHERE category_id = "Category"."id")
+      )
+    )`);
+  };
+
   Category.associate = function(models) {
     Category.hasMany(models.Post, {
       foreignKey: 'categoryId',
@@ -32,6 +32,12 @@ module.exports = (sequelize, DataTypes) => {
         isUrl: true
       }
     },
+    notifyReplies: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'El autor quiere recibir por email las respuestas a este comentario'
+    },
     authorIp: {
       type: DataTypes.STRING(45),
       allowNull: true
@@ -69,6 +75,12 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.INTEGER,
       defaultValue: 0
     },
+    reactionCounts: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: {},
+      comment: 'Número de reacciones por tipo (like, love, laugh...); likesCount es el total'
+    },
     isReply: {
       type: DataTypes.BOOLEAN,
       defaultValue: false
@@ -76,6 +88,20 @@ module.exports = (sequelize, DataTypes) => {
     userAgent: {
       type: DataTypes.STRING(500),
       allowNull: true
+    },
+    spamScore: {
+      type: DataTypes.FLOAT,
+      allowNull: true,
+      comment: 'Puntuación de spam (0-1) calculada al crear el comentario'
+    },
+    spamReasons: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    statusBeforeTrash: {
+      type: DataTypes.STRING(20),
+      allowNull: true,
+      comment: 'Estado previo cuando el comentario se movió a la papelera junto con su post'
     }
   }, {
     tableName: 'comments',
@@ -0,0 +1,89 @@
+'use strict';
+
+module.exports = (sequelize, DataTypes) => {
+  const EmailMessage = sequelize.define('EmailMessage', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    template: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    locale: {
+      type: DataTypes.STRING(10),
+      allowNull: false,
+      defaultValue: 'es'
+    },
+    to: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      validate: {
+        isEmail: true
+      }
+    },
+    subject: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    html: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      comment: 'Se vacía al enviarse o descartarse: puede contener enlaces con tokens'
+    },
+    text: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      comment: 'Se vacía al enviarse o descartarse, igual que html'
+    },
+    status: {
+      type: DataTypes.ENUM('pending', 'sending', 'sent', 'failed'),
+      defaultValue: 'pending',
+      allowNull: false
+    },
+    attempts: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+      allowNull: false
+    },
+    nextAttemptAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    lastError: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    sentAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      comment: 'Usuario destinatario, si el email corresponde a una cuenta'
+    }
+  }, {
+    tableName: 'email_outbox',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['status', 'next_attempt_at']
+      }
+    ]
+  });
+
+  EmailMessage.associate = function(models) {
+    EmailMessage.belongsTo(models.User, {
+      foreignKey: 'userId',
+      as: 'user'
+    });
+  };
+
+  return EmailMessage;
+};
\ No newline at end of file
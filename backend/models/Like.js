@@ -38,6 +38,12 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.ENUM('like', 'dislike', 'love', 'laugh', 'angry', 'sad'),
       defaultValue: 'like',
       allowNull: false
+    },
+    trashedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'trashed_at',
+      comment: 'Fecha en que su post pasó a la papelera; se vacía al restaurarlo'
     }
   }, {
     tableName: 'likes',
@@ -0,0 +1,69 @@
+'use strict';
+
+module.exports = (sequelize, DataTypes) => {
+  const LoginEvent = sequelize.define('LoginEvent', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      comment: 'Nulo si el email no corresponde a ninguna cuenta'
+    },
+    email: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    success: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false
+    },
+    reason: {
+      type: DataTypes.ENUM(
+        'password',
+        'two_factor',
+        'recovery_code',
+        'unknown_email',
+        'invalid_password',
+        'invalid_two_factor_code',
+        'account_locked',
+        'account_inactive',
+        'email_not_verified'
+      ),
+      allowNull: false,
+      comment: 'Método de acceso en los éxitos o motivo del rechazo en los fallos'
+    },
+    ipAddress: {
+      type: DataTypes.STRING(45),
+      allowNull: true
+    },
+    userAgent: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    }
+  }, {
+    tableName: 'login_events',
+    timestamps: true,
+    updatedAt: false,
+    indexes: [
+      {
+        fields: ['user_id', 'created_at']
+      }
+    ]
+  });
+
+  LoginEvent.associate = function(models) {
+    LoginEvent.belongsTo(models.User, {
+      foreignKey: 'userId',
+      as: 'user'
+    });
+  };
+
+  return LoginEvent;
+};
\ No newline at end of file
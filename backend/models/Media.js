@@ -23,9 +23,16 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.INTEGER,
       allowNull: false
     },
+    storage: {
+      type: DataTypes.STRING(20),
+      defaultValue: 'local',
+      allowNull: false,
+      comment: 'Adaptador de almacenamiento en el que está guardado el archivo (local, s3)'
+    },
     path: {
       type: DataTypes.STRING(500),
-      allowNull: false
+      allowNull: false,
+      comment: 'Clave del archivo en su almacenamiento (los registros antiguos guardan la ruta absoluta)'
     },
     url: {
       type: DataTypes.STRING(500),
@@ -92,12 +99,24 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.STRING(255),
       allowNull: true,
       defaultValue: 'uploads'
+    },
+    folderId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'media_folders',
+        key: 'id'
+      },
+      comment: 'Carpeta de la biblioteca de medios; null es la raíz'
     }
   }, {
     tableName: 'media',
     timestamps: true,
     hooks: {
-      beforeCreate: (media) => {
+      // Antes de validar, porque `type` es obligatorio
+      beforeValidate: (media) => {
+        if (!media.isNewRecord || !media.mimeType) return;
+
         // Determinar el tipo basado en mimeType
         if (media.mimeType.startsWith('image/')) {
           media.type = 'image';
@@ -124,6 +143,11 @@ module.exports = (sequelize, DataTypes) => {
       foreignKey: 'postId',
       as: 'post'
     });
+
+    Media.belongsTo(models.MediaFolder, {
+      foreignKey: 'folderId',
+      as: 'mediaFolder'
+    });
   };
 
   return Media;
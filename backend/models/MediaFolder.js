@@ -0,0 +1,76 @@
+'use strict';
+
+module.exports = (sequelize, DataTypes) => {
+  const MediaFolder = sequelize.define('MediaFolder', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      validate: {
+        len: [1, 100]
+      }
+    },
+    parentId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'media_folders',
+        key: 'id'
+      }
+    },
+    ownerId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    visibility: {
+      type: DataTypes.ENUM('private', 'shared'),
+      defaultValue: 'private',
+      allowNull: false,
+      comment: 'private: solo su propietario; shared: carpeta de equipo visible para quien puede subir archivos'
+    }
+  }, {
+    tableName: 'media_folders',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['parent_id']
+      },
+      {
+        fields: ['owner_id']
+      }
+    ]
+  });
+
+  MediaFolder.associate = function(models) {
+    // Relación jerárquica
+    MediaFolder.hasMany(models.MediaFolder, {
+      foreignKey: 'parentId',
+      as: 'children'
+    });
+
+    MediaFolder.belongsTo(models.MediaFolder, {
+      foreignKey: 'parentId',
+      as: 'parent'
+    });
+
+    MediaFolder.belongsTo(models.User, {
+      foreignKey: 'ownerId',
+      as: 'owner'
+    });
+
+    MediaFolder.hasMany(models.Media, {
+      foreignKey: 'folderId',
+      as: 'media'
+    });
+  };
+
+  return MediaFolder;
+};
\ No newline at end of file
@@ -1,5 +1,8 @@
 'use strict';
+const { Op } = require('sequelize');
 const slugify = require('slugify');
+const postSearch = require('../services/postSearch');
+const sitemapCache = require('../services/sitemapCache');
 
 module.exports = (sequelize, DataTypes) => {
   const Post = sequelize.define('Post', {
@@ -29,7 +32,7 @@ module.exports = (sequelize, DataTypes) => {
       allowNull: true
     },
     status: {
-      type: DataTypes.ENUM('draft', 'published', 'private', 'pending', 'trash'),
+      type: DataTypes.ENUM('draft', 'published', 'private', 'pending', 'scheduled', 'trash'),
       defaultValue: 'draft',
       allowNull: false
     },
@@ -62,6 +65,21 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.DATE,
       allowNull: true
     },
+    scheduledAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Fecha en la que el publicador automático publicará el post'
+    },
+    trashedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Fecha en la que el post se movió a la papelera'
+    },
+    statusBeforeTrash: {
+      type: DataTypes.STRING(20),
+      allowNull: true,
+      comment: 'Estado al que vuelve el post si se restaura de la papelera'
+    },
     viewsCount: {
       type: DataTypes.INTEGER,
       defaultValue: 0
@@ -70,6 +88,12 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.INTEGER,
       defaultValue: 0
     },
+    reactionCounts: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: {},
+      comment: 'Número de reacciones por tipo (like, love, laugh...); likesCount es el total'
+    },
     commentsCount: {
       type: DataTypes.INTEGER,
       defaultValue: 0
@@ -114,6 +138,21 @@ module.exports = (sequelize, DataTypes) => {
   }, {
     tableName: 'posts',
     timestamps: true,
+    indexes: [
+      {
+        fields: ['status', 'scheduled_at']
+      },
+      {
+        fields: ['status', 'trashed_at']
+      }
+    ],
+    validate: {
+      scheduledRequiresDate() {
+        if (this.status === 'scheduled' && !this.scheduledAt) {
+          throw new Error('Un post programado requiere una fecha de publicación');
+        }
+      }
+    },
     hooks: {
       beforeCreate: (post) => {
         if (!post.slug && post.title) {
@@ -122,6 +161,9 @@ module.exports = (sequelize, DataTypes) => {
         if (post.status === 'published' && !post.publishedAt) {
           post.publishedAt = new Date();
         }
+        if (post.status === 'scheduled') {
+          post.publishedAt = null;
+        }
         // Calcular tiempo de lectura (aprox 200 palabras por minuto)
         if (post.content) {
           const wordCount = post.content.split(/\s+/).length;
@@ -132,17 +174,62 @@ module.exports = (sequelize, DataTypes) => {
         if (post.changed('title')) {
           post.slug = slugify(post.title, { lower: true, strict: true });
         }
-        if (post.changed('status') && post.status === 'published' && !post.publishedAt) {
-          post.publishedAt = new Date();
+        if (post.changed('status') && post.status === 'published') {
+          if (!post.publishedAt) {
+            post.publishedAt = new Date();
+          }
+          post.scheduledAt = null;
+        }
+        // Un post reprogramado deja de estar publicado hasta su nueva fecha
+        if (post.status === 'scheduled') {
+          post.publishedAt = null;
         }
         if (post.changed('content')) {
           const wordCount = post.content.split(/\s+/).length;
           post.readingTime = Math.ceil(wordCount / 200);
         }
+      },
+      // Mantener sincronizados el índice de búsqueda de texto completo y los sitemaps
+      afterCreate: (post, options) => {
+        if (post.status === 'published') sitemapCache.invalidate();
+        return postSearch.indexPost(post, options);
+      },
+      afterUpdate: (post, options) => {
+        if (sitemapCache.affectsSitemaps(post)) sitemapCache.invalidate();
+        if (post.changed('title') || post.changed('excerpt') || post.changed('content')) {
+          return postSearch.indexPost(post, options);
+        }
+      },
+      afterDestroy: (post, options) => {
+        if (post.status === 'published') sitemapCache.invalidate();
+        return postSearch.removePost(post, options);
       }
     }
   });
 
+  // Condición para filtrar posts de una categoría, tanto principal como asignada en PostCategories
+  Post.inCategory = function(categoryId) {
+    return {
+      [Op.or]: [
+        { categoryId },
+        {
+          id: {
+            [Op.in]: sequelize.literal(`(SELECT post_id FROM "PostCategories" WHERE category_id = ${parseInt(categoryId)})`)
+          }
+        }
+      ]
+    };
+  };
+
+  // Condición para filtrar posts que tienen asignado un tag
+  Post.withTag = function(tagId) {
+    return {
+      id: {
+        [Op.in]: sequelize.literal(`(SELECT post_id FROM "PostTags" WHERE tag_id = ${parseInt(tagId)})`)
+      }
+    };
+  };
+
   Post.associate = function(models) {
     Post.belongsTo(models.User, {
       foreignKey: 'authorId',
@@ -185,6 +272,20 @@ module.exports = (sequelize, DataTypes) => {
       foreignKey: 'postId',
       as: 'likes'
     });
+
+    // Historial del flujo editorial
+    Post.hasMany(models.PostReview, {
+      foreignKey: 'postId',
+      as: 'reviews',
+      onDelete: 'CASCADE'
+    });
+
+    // Historial de revisiones
+    Post.hasMany(models.PostRevision, {
+      foreignKey: 'postId',
+      as: 'revisions',
+      onDelete: 'CASCADE'
+    });
   };
 
   return Post;
@@ -0,0 +1,61 @@
+'use strict';
+
+module.exports = (sequelize, DataTypes) => {
+  const PostReview = sequelize.define('PostReview', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    postId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'posts',
+        key: 'id'
+      }
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    action: {
+      type: DataTypes.ENUM('submitted', 'approved', 'rejected', 'status_changed'),
+      allowNull: false
+    },
+    fromStatus: {
+      type: DataTypes.STRING(20),
+      allowNull: false
+    },
+    toStatus: {
+      type: DataTypes.STRING(20),
+      allowNull: false
+    },
+    comment: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    }
+  }, {
+    tableName: 'post_reviews',
+    timestamps: true,
+    updatedAt: false
+  });
+
+  PostReview.associate = function(models) {
+    PostReview.belongsTo(models.Post, {
+      foreignKey: 'postId',
+      as: 'post'
+    });
+
+    PostReview.belongsTo(models.User, {
+      foreignKey: 'userId',
+      as: 'user'
+    });
+  };
+
+  return PostReview;
+};
\ No newline at end of file
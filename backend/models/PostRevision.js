@@ -0,0 +1,199 @@
+'use strict';
+const { UniqueConstraintError } = require('sequelize');
+
+// Campos del post que se guardan en cada revisión
+const REVISION_FIELDS = [
+  'title',
+  'content',
+  'excerpt',
+  'featuredImage',
+  'categoryId',
+  'seoTitle',
+  'seoDescription',
+  'seoKeywords',
+  'customFields'
+];
+
+module.exports = (sequelize, DataTypes) => {
+  const PostRevision = sequelize.define('PostRevision', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    postId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'posts',
+        key: 'id'
+      }
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      comment: 'Usuario que realizó el cambio que originó la revisión'
+    },
+    revisionNumber: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    title: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    content: {
+      type: DataTypes.TEXT('long'),
+      allowNull: false
+    },
+    excerpt: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    featuredImage: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    categoryId: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    seoTitle: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    seoDescription: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    seoKeywords: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    },
+    customFields: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    categoryIds: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: []
+    },
+    tagIds: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: []
+    }
+  }, {
+    tableName: 'post_revisions',
+    timestamps: true,
+    updatedAt: false,
+    indexes: [
+      {
+        unique: true,
+        fields: ['post_id', 'revision_number']
+      }
+    ]
+  });
+
+  PostRevision.FIELDS = REVISION_FIELDS;
+
+  // Reintentos si otra petición guarda a la vez una revisión del mismo post con el mismo número
+  const MAX_NUMBERING_ATTEMPTS = 5;
+
+  // Guardar el estado actual de un post (incluidas sus categorías y tags) como nueva revisión, con
+  // el número siguiente al último; el índice único (post_id, revision_number) rechaza los duplicados
+  PostRevision.createFromPost = async function(post, userId = null, { transaction } = {}) {
+    const categories = await post.getCategories({ attributes: ['id'], transaction });
+    const tags = await post.getTags({ attributes: ['id'], transaction });
+
+    const snapshot = {};
+    REVISION_FIELDS.forEach(field => {
+      snapshot[field] = post.get(field);
+    });
+
+    const lastNumber = await this.max('revisionNumber', { where: { postId: post.id }, transaction });
+
+    return this.create({
+      ...snapshot,
+      postId: post.id,
+      userId,
+      revisionNumber: (lastNumber || 0) + 1,
+      categoryIds: categories.map(category => category.id).sort((a, b) => a - b),
+      tagIds: tags.map(tag => tag.id).sort((a, b) => a - b)
+    }, { transaction });
+  };
+
+  /**
+   * Guardar el estado actual de un post como revisión y aplicar `applyChanges(transaction)`
+   * en una misma transacción, para que un cambio fallido no deje una revisión huérfana.
+   * Si una petición simultánea ocupa el número de revisión se repite la transacción entera:
+   * el reintento va fuera porque en PostgreSQL el error aborta la transacción en curso.
+   */
+  PostRevision.saveWithRevision = async function(post, userId, applyChanges) {
+    for (let attempt = 1; ; attempt++) {
+      let numberingConflict = false;
+
+      try {
+        return await sequelize.transaction(async (transaction) => {
+          try {
+            await this.createFromPost(post, userId, { transaction });
+          } catch (error) {
+            numberingConflict = error instanceof UniqueConstraintError;
+            throw error;
+          }
+
+          return applyChanges(transaction);
+        });
+      } catch (error) {
+        if (!numberingConflict || attempt >= MAX_NUMBERING_ATTEMPTS) throw error;
+      }
+    }
+  };
+
+  // Diferencia campo a campo entre dos estados (revisiones o post actual)
+  PostRevision.diff = function(from, to) {
+    const changes = [];
+
+    REVISION_FIELDS.forEach(field => {
+      const before = from[field] === undefined ? null : from[field];
+      const after = to[field] === undefined ? null : to[field];
+
+      if (JSON.stringify(before) !== JSON.stringify(after)) {
+        changes.push({ field, from: before, to: after });
+      }
+    });
+
+    // En los conjuntos de categorías y tags se indican además los ids añadidos y quitados
+    ['categoryIds', 'tagIds'].forEach(field => {
+      const fromIds = from[field] || [];
+      const toIds = to[field] || [];
+      const added = toIds.filter(id => !fromIds.includes(id));
+      const removed = fromIds.filter(id => !toIds.includes(id));
+
+      if (added.length > 0 || removed.length > 0) {
+        changes.push({ field, from: fromIds, to: toIds, added, removed });
+      }
+    });
+
+    return changes;
+  };
+
+  PostRevision.associate = function(models) {
+    PostRevision.belongsTo(models.Post, {
+      foreignKey: 'postId',
+      as: 'post'
+    });
+
+    PostRevision.belongsTo(models.User, {
+      foreignKey: 'userId',
+      as: 'user'
+    });
+  };
+
+  return PostRevision;
+};
\ No newline at end of file
@@ -0,0 +1,44 @@
+'use strict';
+
+module.exports = (sequelize, DataTypes) => {
+  const Role = sequelize.define('Role', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    name: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      unique: true,
+      validate: {
+        is: /^[a-z][a-z0-9_]{2,49}$/
+      },
+      comment: 'Valor que se guarda en User.role'
+    },
+    label: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    permissions: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: []
+    },
+    isSystem: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false,
+      allowNull: false,
+      comment: 'Los cinco roles de serie no se pueden eliminar'
+    }
+  }, {
+    tableName: 'roles',
+    timestamps: true
+  });
+
+  return Role;
+};
\ No newline at end of file
@@ -0,0 +1,98 @@
+'use strict';
+
+module.exports = (sequelize, DataTypes) => {
+  const Session = sequelize.define('Session', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    familyId: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      allowNull: false,
+      unique: true,
+      comment: 'Identificador de la familia de refresh tokens, incluido en cada token emitido'
+    },
+    tokenHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      comment: 'Hash SHA-256 del único refresh token vigente de la familia'
+    },
+    previousTokenHash: {
+      type: DataTypes.STRING(64),
+      allowNull: true,
+      comment: 'Hash del refresh token anterior, aceptado durante unos segundos tras la rotación'
+    },
+    rotatedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    rotations: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+      allowNull: false
+    },
+    userAgent: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    ipAddress: {
+      type: DataTypes.STRING(45),
+      allowNull: true
+    },
+    lastUsedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    revokedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    revokedReason: {
+      type: DataTypes.ENUM('logout', 'revoked', 'reuse_detected', 'password_changed'),
+      allowNull: true
+    }
+  }, {
+    tableName: 'sessions',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['user_id', 'revoked_at']
+      }
+    ]
+  });
+
+  Session.prototype.isActive = function(now = new Date()) {
+    return !this.revokedAt && new Date(this.expiresAt) > now;
+  };
+
+  Session.prototype.toJSON = function() {
+    const values = Object.assign({}, this.get());
+    delete values.familyId;
+    delete values.tokenHash;
+    delete values.previousTokenHash;
+    return values;
+  };
+
+  Session.associate = function(models) {
+    Session.belongsTo(models.User, {
+      foreignKey: 'userId',
+      as: 'user'
+    });
+  };
+
+  return Session;
+};
\ No newline at end of file
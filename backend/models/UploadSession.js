@@ -0,0 +1,99 @@
+'use strict';
+
+module.exports = (sequelize, DataTypes) => {
+  const UploadSession = sequelize.define('UploadSession', {
+    id: {
+      type: DataTypes.STRING(32),
+      primaryKey: true,
+      comment: 'Identificador aleatorio que forma parte de la URL de la subida'
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    originalName: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    mimeType: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    size: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        min: 1
+      },
+      comment: 'Tamaño total declarado al crear la subida (Upload-Length)'
+    },
+    offset: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Bytes recibidos y verificados hasta ahora'
+    },
+    metadata: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: {},
+      comment: 'Datos del Media que se creará al completarse: alt, caption, description, postId, folderId, checksum'
+    },
+    mediaId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'media',
+        key: 'id'
+      },
+      comment: 'Media creado al completarse la subida'
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      comment: 'Pasada esta fecha sin completarse se eliminan la sesión y los bytes recibidos'
+    },
+    lockToken: {
+      type: DataTypes.STRING(32),
+      allowNull: true,
+      comment: 'Petición que está recibiendo un fragmento; compartido entre instancias del servidor'
+    },
+    lockedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'upload_sessions',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['user_id']
+      },
+      {
+        fields: ['expires_at']
+      }
+    ]
+  });
+
+  UploadSession.prototype.isComplete = function() {
+    return Boolean(this.mediaId);
+  };
+
+  UploadSession.associate = function(models) {
+    UploadSession.belongsTo(models.User, {
+      foreignKey: 'userId',
+      as: 'user'
+    });
+
+    UploadSession.belongsTo(models.Media, {
+      foreignKey: 'mediaId',
+      as: 'media'
+    });
+  };
+
+  return UploadSession;
+};
\ No newline at end of file
@@ -47,9 +47,10 @@ module.exports = (sequelize, DataTypes) => {
       }
     },
     role: {
-      type: DataTypes.ENUM('super_admin', 'admin', 'editor', 'author', 'subscriber'),
+      type: DataTypes.STRING(50),
       defaultValue: 'subscriber',
-      allowNull: false
+      allowNull: false,
+      comment: 'Nombre de un rol de la tabla roles (super_admin, admin, editor, author, subscriber o uno personalizado)'
     },
     status: {
       type: DataTypes.ENUM('active', 'inactive', 'suspended'),
@@ -74,6 +75,11 @@ module.exports = (sequelize, DataTypes) => {
     },
     emailVerificationToken: {
       type: DataTypes.STRING(255),
+      allowNull: true,
+      comment: 'Hash SHA-256 del token enviado por email'
+    },
+    emailVerificationExpires: {
+      type: DataTypes.DATE,
       allowNull: true
     },
     passwordResetToken: {
@@ -83,6 +89,36 @@ module.exports = (sequelize, DataTypes) => {
     passwordResetExpires: {
       type: DataTypes.DATE,
       allowNull: true
+    },
+    failedLoginAttempts: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+      allowNull: false,
+      comment: 'Intentos fallidos consecutivos desde el último acceso correcto'
+    },
+    lockedUntil: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    twoFactorEnabled: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false,
+      allowNull: false
+    },
+    twoFactorSecret: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+      comment: 'Secreto TOTP cifrado; existe sin twoFactorEnabled mientras la activación está pendiente'
+    },
+    twoFactorRecoveryCodes: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: 'Hashes SHA-256 de los códigos de recuperación aún no usados'
+    },
+    twoFactorLastStep: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Último paso TOTP aceptado, para impedir reutilizar un código'
     }
   }, {
     tableName: 'users',
@@ -111,8 +147,12 @@ module.exports = (sequelize, DataTypes) => {
     const values = Object.assign({}, this.get());
     delete values.password;
     delete values.emailVerificationToken;
+    delete values.emailVerificationExpires;
     delete values.passwordResetToken;
     delete values.passwordResetExpires;
+    delete values.twoFactorSecret;
+    delete values.twoFactorRecoveryCodes;
+    delete values.twoFactorLastStep;
     return values;
   };
 
@@ -129,6 +169,18 @@ module.exports = (sequelize, DataTypes) => {
       foreignKey: 'uploadedBy',
       as: 'uploads'
     });
+    User.hasMany(models.Session, {
+      foreignKey: 'userId',
+      as: 'sessions'
+    });
+    User.hasMany(models.ApiKey, {
+      foreignKey: 'userId',
+      as: 'apiKeys'
+    });
+    User.hasMany(models.LoginEvent, {
+      foreignKey: 'userId',
+      as: 'loginEvents'
+    });
   };
 
   return User;
@@ -0,0 +1,246 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { ApiKey, User } = require('../models');
+const { authenticateToken, authorize, requireUserSession } = require('../middleware/auth');
+const { PERMISSIONS, can, canGrant } = require('../services/permissions');
+const { createApiKey, revokeApiKey } = require('../services/apiKeys');
+
+const router = express.Router();
+
+// Las API keys se gestionan desde una sesión de usuario, nunca con otra API key
+router.use(authenticateToken, requireUserSession, authorize('api_keys.create'));
+
+const OWNER_ATTRIBUTES = ['id', 'username', 'firstName', 'lastName'];
+
+// Validaciones
+const apiKeyValidation = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name')
+      .isLength({ min: 2, max: 100 })
+      .withMessage('El nombre debe tener entre 2 y 100 caracteres')
+      .trim(),
+    field('permissions')
+      .isArray({ min: 1 })
+      .withMessage('Indica al menos un permiso para la API key')
+      .custom(permissions => permissions.every(permission => PERMISSIONS[permission]))
+      .withMessage('La lista contiene permisos desconocidos'),
+    body('rateLimit')
+      .optional({ nullable: true })
+      .isInt({ min: 1, max: 100000 })
+      .withMessage('El límite de peticiones debe estar entre 1 y 100000'),
+    body('expiresAt')
+      .optional({ nullable: true })
+      .isISO8601()
+      .withMessage('La fecha de expiración no es válida')
+      .custom(value => new Date(value) > new Date())
+      .withMessage('La fecha de expiración debe ser futura')
+  ];
+};
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    success: false,
+    message: 'Errores de validación',
+    errors: errors.array()
+  });
+  return true;
+};
+
+// Cada usuario ve sus claves; con api_keys.manage_all, las de cualquiera
+async function findAccessibleKey(req, res) {
+  const apiKey = await ApiKey.findByPk(req.params.id, {
+    include: [{ model: User, as: 'owner', attributes: OWNER_ATTRIBUTES }]
+  });
+
+  if (!apiKey || (apiKey.userId !== req.user.id && !can(req.user, 'api_keys.manage_all'))) {
+    res.status(404).json({
+      success: false,
+      message: 'API key no encontrada'
+    });
+    return null;
+  }
+
+  return apiKey;
+}
+
+// GET /api/api-keys - Listar API keys (las propias, o las de todos con api_keys.manage_all)
+router.get('/', [
+  query('page').optional().isInt({ min: 1 }).withMessage('La página debe ser un número positivo'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('El límite debe estar entre 1 y 100'),
+  query('userId').optional().isInt().withMessage('El ID del usuario debe ser un número'),
+  query('includeRevoked').optional().isBoolean().withMessage('includeRevoked debe ser true o false')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { page = 1, limit = 20, userId, includeRevoked } = req.query;
+
+    const whereConditions = {};
+    if (!can(req.user, 'api_keys.manage_all')) {
+      whereConditions.userId = req.user.id;
+    } else if (userId) {
+      whereConditions.userId = userId;
+    }
+    if (includeRevoked !== 'true') whereConditions.revokedAt = null;
+
+    const { count, rows: apiKeys } = await ApiKey.findAndCountAll({
+      where: whereConditions,
+      include: [{ model: User, as: 'owner', attributes: OWNER_ATTRIBUTES }],
+      order: [['createdAt', 'DESC'], ['id', 'DESC']],
+      limit: parseInt(limit),
+      offset: (page - 1) * limit
+    });
+
+    res.json({
+      success: true,
+      data: {
+        apiKeys,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(count / limit),
+          totalItems: count,
+          itemsPerPage: parseInt(limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error al obtener API keys:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// POST /api/api-keys - Crear una API key para el usuario autenticado
+router.post('/', apiKeyValidation(false), async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { name, permissions, rateLimit, expiresAt } = req.body;
+
+    if (!canGrant(req.user, permissions)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Una API key no puede tener permisos que no tienes'
+      });
+    }
+
+    const { apiKey, key } = await createApiKey(req.user, {
+      name,
+      permissions: [...new Set(permissions)],
+      rateLimit: rateLimit || null,
+      expiresAt: expiresAt ? new Date(expiresAt) : null
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'API key creada. Guárdala ahora: no se volverá a mostrar',
+      data: { apiKey, key }
+    });
+
+  } catch (error) {
+    console.error('Error al crear API key:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// GET /api/api-keys/:id - Obtener una API key
+router.get('/:id', async (req, res) => {
+  try {
+    const apiKey = await findAccessibleKey(req, res);
+    if (!apiKey) return;
+
+    res.json({
+      success: true,
+      data: { apiKey }
+    });
+
+  } catch (error) {
+    console.error('Error al obtener API key:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// PUT /api/api-keys/:id - Cambiar el nombre, el alcance, el límite o la expiración
+router.put('/:id', apiKeyValidation(true), async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const apiKey = await findAccessibleKey(req, res);
+    if (!apiKey) return;
+
+    if (apiKey.revokedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'La API key está revocada'
+      });
+    }
+
+    const { name, permissions, rateLimit, expiresAt } = req.body;
+
+    if (permissions && !canGrant(req.user, permissions)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Una API key no puede tener permisos que no tienes'
+      });
+    }
+
+    const updateData = {};
+    if (name !== undefined) updateData.name = name;
+    if (permissions !== undefined) updateData.permissions = [...new Set(permissions)];
+    if (rateLimit !== undefined) updateData.rateLimit = rateLimit || null;
+    if (expiresAt !== undefined) updateData.expiresAt = expiresAt ? new Date(expiresAt) : null;
+
+    await apiKey.update(updateData);
+
+    res.json({
+      success: true,
+      message: 'API key actualizada exitosamente',
+      data: { apiKey }
+    });
+
+  } catch (error) {
+    console.error('Error al actualizar API key:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// DELETE /api/api-keys/:id - Revocar una API key (se conserva para el historial)
+router.delete('/:id', async (req, res) => {
+  try {
+    const apiKey = await findAccessibleKey(req, res);
+    if (!apiKey) return;
+
+    await revokeApiKey(apiKey);
+
+    res.json({
+      success: true,
+      message: 'API key revocada exitosamente',
+      data: { apiKey }
+    });
+
+  } catch (error) {
+    console.error('Error al revocar API key:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
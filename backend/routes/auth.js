@@ -1,15 +1,143 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const crypto = require('crypto');
-const { User } = require('../models');
+const { Op } = require('sequelize');
+const { User, Session } = require('../models');
+const { sendPasswordReset, PASSWORD_RESET_MINUTES } = require('../services/notifications');
+const {
+  isEmailVerificationRequired,
+  issueEmailVerification,
+  verifyEmailToken
+} = require('../services/emailVerification');
+const {
+  REFRESH_TOKEN_TTL_MS,
+  createSession,
+  rotateRefreshToken,
+  findSessionByToken,
+  revokeSession,
+  revokeUserSessions,
+  listActiveSessions
+} = require('../services/sessions');
+const {
+  isTwoFactorRequired,
+  startEnrollment,
+  confirmEnrollment,
+  verifyCode,
+  verifyChallenge,
+  regenerateRecoveryCodes,
+  disableTwoFactor
+} = require('../services/twoFactor');
+const {
+  isLocked,
+  recordLoginEvent,
+  registerFailedAttempt,
+  resetFailedAttempts
+} = require('../services/loginSecurity');
 const { 
-  generateTokens, 
-  verifyRefreshToken,
-  authenticateToken 
+  generateAccessToken,
+  generateChallengeToken,
+  verifyChallengeToken,
+  authenticateToken,
+  requireUserSession
 } = require('../middleware/auth');
 
 const router = express.Router();
 
+// El refresh token viaja solo en una cookie httpOnly restringida a las rutas de auth
+const REFRESH_COOKIE_OPTIONS = {
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'strict',
+  path: '/api/auth'
+};
+
+const setRefreshCookie = (res, refreshToken) => {
+  res.cookie('refreshToken', refreshToken, { ...REFRESH_COOKIE_OPTIONS, maxAge: REFRESH_TOKEN_TTL_MS });
+};
+
+const clearRefreshCookie = (res) => {
+  res.clearCookie('refreshToken', REFRESH_COOKIE_OPTIONS);
+};
+
+// Iniciar una sesión nueva para el usuario y devolver su access token
+async function startSession(req, res, user) {
+  const { session, refreshToken } = await createSession(user, req);
+  setRefreshCookie(res, refreshToken);
+  return generateAccessToken(user.id, session.id);
+}
+
+// Último paso de cualquier login (con o sin 2FA): registrar el acceso y abrir la sesión.
+// `method` es 'password', 'two_factor' o 'recovery_code'
+async function completeLogin(req, res, user, method, extra = {}) {
+  await resetFailedAttempts(user);
+  await recordLoginEvent(req, { user, success: true, reason: method });
+  await user.update({ lastLogin: new Date() });
+
+  // Abrir sesión: access token + refresh token en cookie
+  const accessToken = await startSession(req, res, user);
+
+  res.json({
+    success: true,
+    message: 'Inicio de sesión exitoso',
+    data: {
+      user: user.toJSON(),
+      accessToken,
+      ...extra
+    }
+  });
+}
+
+const sendAccountLocked = (res, lockedUntil) => res.status(423).json({
+  success: false,
+  message: 'Cuenta bloqueada temporalmente por demasiados intentos fallidos',
+  data: { lockedUntil }
+});
+
+// Contabilizar un intento fallido y responder (bloqueada si se alcanzó el límite)
+async function rejectFailedAttempt(req, res, user, reason, message) {
+  const lockedUntil = await registerFailedAttempt(user);
+  await recordLoginEvent(req, { user, success: false, reason });
+
+  if (lockedUntil) {
+    return sendAccountLocked(res, lockedUntil);
+  }
+
+  return res.status(401).json({
+    success: false,
+    message
+  });
+}
+
+// Autenticar con el access token o, durante la activación obligatoria de 2FA en el login,
+// con el token de activación (`setupToken`) que devuelve /login
+async function authenticateEnrollment(req, res, next) {
+  if (!req.body.setupToken) {
+    return authenticateToken(req, res, () => requireUserSession(req, res, next));
+  }
+
+  try {
+    const decoded = verifyChallengeToken(req.body.setupToken, '2fa_setup');
+    const user = decoded && await User.findByPk(decoded.userId);
+
+    if (!user || user.status !== 'active') {
+      return res.status(401).json({
+        success: false,
+        message: 'Token de activación inválido o expirado'
+      });
+    }
+
+    req.user = user;
+    req.viaSetupToken = true;
+    next();
+  } catch (error) {
+    console.error('Error al validar el token de activación de 2FA:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+}
+
 // Validaciones
 const registerValidation = [
   body('username')
@@ -63,7 +191,7 @@ router.post('/register', registerValidation, async (req, res) => {
     // Verificar si el usuario ya existe
     const existingUser = await User.findOne({
       where: {
-        $or: [{ email }, { username }]
+        [Op.or]: [{ email }, { username }]
       }
     });
 
@@ -81,20 +209,22 @@ router.post('/register', registerValidation, async (req, res) => {
       password,
       firstName,
       lastName,
-      role: 'subscriber', // Rol por defecto
-      emailVerificationToken: crypto.randomBytes(32).toString('hex')
+      role: 'subscriber' // Rol por defecto
     });
 
-    // Generar tokens
-    const { accessToken, refreshToken } = generateTokens(user.id);
+    await issueEmailVerification(user);
 
-    // Configurar cookie para refresh token
-    res.cookie('refreshToken', refreshToken, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'strict',
-      maxAge: 30 * 24 * 60 * 60 * 1000 // 30 días
-    });
+    // Si se exige verificar el email, la sesión se inicia después de confirmarlo
+    if (await isEmailVerificationRequired()) {
+      return res.status(201).json({
+        success: true,
+        message: 'Usuario registrado. Revisa tu email para verificar la cuenta',
+        data: { user }
+      });
+    }
+
+    // Abrir sesión: access token + refresh token en cookie
+    const accessToken = await startSession(req, res, user);
 
     res.status(201).json({
       success: true,
@@ -135,6 +265,7 @@ router.post('/login', loginValidation, async (req, res) => {
     });
 
     if (!user) {
+      await recordLoginEvent(req, { email, success: false, reason: 'unknown_email' });
       return res.status(401).json({
         success: false,
         message: 'Credenciales inválidas'
@@ -142,49 +273,138 @@ router.post('/login', loginValidation, async (req, res) => {
     }
 
     if (user.status !== 'active') {
+      await recordLoginEvent(req, { user, success: false, reason: 'account_inactive' });
       return res.status(401).json({
         success: false,
         message: 'Cuenta inactiva'
       });
     }
 
+    // Mientras dura el bloqueo no se comprueba la contraseña ni se cuentan más fallos
+    if (isLocked(user)) {
+      await recordLoginEvent(req, { user, success: false, reason: 'account_locked' });
+      return sendAccountLocked(res, user.lockedUntil);
+    }
+
     // Verificar contraseña
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
+      return rejectFailedAttempt(req, res, user, 'invalid_password', 'Credenciales inválidas');
+    }
+
+    if (!user.emailVerified && await isEmailVerificationRequired()) {
+      await recordLoginEvent(req, { user, success: false, reason: 'email_not_verified' });
+      return res.status(403).json({
+        success: false,
+        message: 'Debes verificar tu email antes de iniciar sesión'
+      });
+    }
+
+    // Con 2FA activa, la sesión se abre en /login/2fa tras comprobar el código
+    if (user.twoFactorEnabled) {
+      return res.json({
+        success: true,
+        message: 'Introduce el código de verificación en dos pasos',
+        data: {
+          twoFactorRequired: true,
+          challengeToken: generateChallengeToken(user.id, '2fa_challenge')
+        }
+      });
+    }
+
+    // El rol exige 2FA y el usuario aún no la tiene: debe activarla para entrar
+    if (await isTwoFactorRequired(user)) {
+      return res.json({
+        success: true,
+        message: 'Tu rol requiere activar la verificación en dos pasos',
+        data: {
+          twoFactorSetupRequired: true,
+          setupToken: generateChallengeToken(user.id, '2fa_setup')
+        }
+      });
+    }
+
+    await completeLogin(req, res, user, 'password');
+
+  } catch (error) {
+    console.error('Error en login:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// POST /api/auth/login/2fa - Segundo paso del login con código TOTP o de recuperación
+router.post('/login/2fa', [
+  body('challengeToken').notEmpty().withMessage('Token de verificación requerido'),
+  body('code').optional().isString(),
+  body('recoveryCode').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Errores de validación',
+        errors: errors.array()
+      });
+    }
+
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const decoded = verifyChallengeToken(challengeToken, '2fa_challenge');
+    const user = decoded && await User.findByPk(decoded.userId);
+
+    if (!user || user.status !== 'active') {
       return res.status(401).json({
         success: false,
-        message: 'Credenciales inválidas'
+        message: 'Token de verificación inválido o expirado'
       });
     }
 
-    // Actualizar último login
-    await user.update({ lastLogin: new Date() });
+    if (isLocked(user)) {
+      await recordLoginEvent(req, { user, success: false, reason: 'account_locked' });
+      return sendAccountLocked(res, user.lockedUntil);
+    }
 
-    // Generar tokens
-    const { accessToken, refreshToken } = generateTokens(user.id);
+    if (!(await verifyChallenge(user, { code, recoveryCode }))) {
+      return rejectFailedAttempt(req, res, user, 'invalid_two_factor_code', 'Código de verificación incorrecto');
+    }
 
-    // Configurar cookie para refresh token
-    res.cookie('refreshToken', refreshToken, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'strict',
-      maxAge: 30 * 24 * 60 * 60 * 1000 // 30 días
+    if (recoveryCode) {
+      await completeLogin(req, res, user, 'recovery_code', {
+        recoveryCodesRemaining: user.twoFactorRecoveryCodes.length
+      });
+    } else {
+      await completeLogin(req, res, user, 'two_factor');
+    }
+
+  } catch (error) {
+    console.error('Error en login 2FA:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
     });
+  }
+});
 
-    // Eliminar contraseña de la respuesta
-    const userResponse = user.toJSON();
+// POST /api/auth/logout - Cerrar sesión
+router.post('/logout', async (req, res) => {
+  try {
+    const session = await findSessionByToken(req.cookies.refreshToken);
+    if (session) {
+      await revokeSession(session, 'logout');
+    }
 
+    clearRefreshCookie(res);
     res.json({
       success: true,
-      message: 'Inicio de sesión exitoso',
-      data: {
-        user: userResponse,
-        accessToken
-      }
+      message: 'Sesión cerrada exitosamente'
     });
 
   } catch (error) {
-    console.error('Error en login:', error);
+    console.error('Error en logout:', error);
     res.status(500).json({
       success: false,
       message: 'Error interno del servidor'
@@ -192,16 +412,7 @@ router.post('/login', loginValidation, async (req, res) => {
   }
 });
 
-// POST /api/auth/logout - Cerrar sesión
-router.post('/logout', (req, res) => {
-  res.clearCookie('refreshToken');
-  res.json({
-    success: true,
-    message: 'Sesión cerrada exitosamente'
-  });
-});
-
-// POST /api/auth/refresh - Renovar token de acceso
+// POST /api/auth/refresh - Renovar token de acceso (el refresh token se rota en cada uso)
 router.post('/refresh', async (req, res) => {
   try {
     const refreshToken = req.cookies.refreshToken;
@@ -213,32 +424,104 @@ router.post('/refresh', async (req, res) => {
       });
     }
 
-    const decoded = verifyRefreshToken(refreshToken);
-    
+    const result = await rotateRefreshToken(refreshToken, req);
+
+    if (result.status !== 'rotated') {
+      clearRefreshCookie(res);
+      return res.status(401).json({
+        success: false,
+        message: result.status === 'reused'
+          ? 'Refresh token reutilizado: la sesión se ha revocado por seguridad'
+          : 'Refresh token inválido'
+      });
+    }
+
     // Verificar que el usuario existe y está activo
-    const user = await User.findByPk(decoded.userId);
+    const user = await User.findByPk(result.session.userId);
     if (!user || user.status !== 'active') {
+      await revokeSession(result.session);
+      clearRefreshCookie(res);
       return res.status(401).json({
         success: false,
         message: 'Usuario no válido'
       });
     }
 
-    // Generar nuevo access token
-    const { accessToken } = generateTokens(user.id);
+    // Dentro del margen tras una rotación no hay token nuevo: la cookie vigente no se toca
+    if (result.refreshToken) {
+      setRefreshCookie(res, result.refreshToken);
+    }
 
     res.json({
       success: true,
       data: {
-        accessToken
+        accessToken: generateAccessToken(user.id, result.session.id)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error en refresh:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// GET /api/auth/sessions - Sesiones abiertas (dispositivos) del usuario autenticado
+router.get('/sessions', authenticateToken, requireUserSession, async (req, res) => {
+  try {
+    const sessions = await listActiveSessions(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => ({
+          ...session.toJSON(),
+          current: session.id === req.sessionId
+        }))
       }
     });
 
   } catch (error) {
-    res.clearCookie('refreshToken');
-    res.status(401).json({
+    console.error('Error al obtener sesiones:', error);
+    res.status(500).json({
       success: false,
-      message: 'Refresh token inválido'
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// DELETE /api/auth/sessions/:id - Revocar una sesión propia
+router.delete('/sessions/:id', authenticateToken, requireUserSession, async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      where: { id: req.params.id, userId: req.user.id, revokedAt: null }
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sesión no encontrada'
+      });
+    }
+
+    await revokeSession(session, 'revoked');
+
+    if (session.id === req.sessionId) {
+      clearRefreshCookie(res);
+    }
+
+    res.json({
+      success: true,
+      message: 'Sesión revocada exitosamente'
+    });
+
+  } catch (error) {
+    console.error('Error al revocar sesión:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
     });
   }
 });
@@ -250,7 +533,7 @@ router.get('/me', authenticateToken, async (req, res) => {
     
     res.json({
       success: true,
-      data: { user }
+      data: { user, permissions: [...req.user.permissions] }
     });
   } catch (error) {
     res.status(500).json({
@@ -260,6 +543,272 @@ router.get('/me', authenticateToken, async (req, res) => {
   }
 });
 
+// GET /api/auth/2fa - Estado de la verificación en dos pasos del usuario autenticado
+router.get('/2fa', authenticateToken, requireUserSession, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        enabled: req.user.twoFactorEnabled,
+        required: await isTwoFactorRequired(req.user),
+        recoveryCodesRemaining: req.user.twoFactorEnabled ? (req.user.twoFactorRecoveryCodes || []).length : 0
+      }
+    });
+  } catch (error) {
+    console.error('Error al obtener el estado de 2FA:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// POST /api/auth/2fa/enroll - Generar el secreto TOTP y la URI otpauth para la app de autenticación
+router.post('/2fa/enroll', authenticateEnrollment, async (req, res) => {
+  try {
+    if (req.user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'La verificación en dos pasos ya está activada'
+      });
+    }
+
+    const enrollment = await startEnrollment(req.user);
+
+    res.json({
+      success: true,
+      message: 'Escanea el código con tu app de autenticación y confirma con un código',
+      data: enrollment
+    });
+
+  } catch (error) {
+    console.error('Error al iniciar la activación de 2FA:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// POST /api/auth/2fa/enable - Confirmar la activación con el primer código
+router.post('/2fa/enable', authenticateEnrollment, [
+  body('code').notEmpty().withMessage('Código requerido')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Errores de validación',
+        errors: errors.array()
+      });
+    }
+
+    if (req.user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'La verificación en dos pasos ya está activada'
+      });
+    }
+
+    if (!req.user.twoFactorSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Primero debes iniciar la activación'
+      });
+    }
+
+    const recoveryCodes = await confirmEnrollment(req.user, req.body.code);
+    if (!recoveryCodes) {
+      return res.status(400).json({
+        success: false,
+        message: 'Código de verificación incorrecto'
+      });
+    }
+
+    // Activación obligatoria durante el login: el usuario entra directamente
+    if (req.viaSetupToken) {
+      return completeLogin(req, res, req.user, 'two_factor', { recoveryCodes });
+    }
+
+    res.json({
+      success: true,
+      message: 'Verificación en dos pasos activada. Guarda los códigos de recuperación',
+      data: { recoveryCodes }
+    });
+
+  } catch (error) {
+    console.error('Error al activar 2FA:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// POST /api/auth/2fa/recovery-codes - Generar códigos de recuperación nuevos (invalida los anteriores)
+router.post('/2fa/recovery-codes', authenticateToken, requireUserSession, [
+  body('code').notEmpty().withMessage('Código requerido')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Errores de validación',
+        errors: errors.array()
+      });
+    }
+
+    if (!req.user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'La verificación en dos pasos no está activada'
+      });
+    }
+
+    if (!(await verifyCode(req.user, req.body.code))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Código de verificación incorrecto'
+      });
+    }
+
+    const recoveryCodes = await regenerateRecoveryCodes(req.user);
+
+    res.json({
+      success: true,
+      message: 'Códigos de recuperación regenerados',
+      data: { recoveryCodes }
+    });
+
+  } catch (error) {
+    console.error('Error al regenerar códigos de recuperación:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// POST /api/auth/2fa/disable - Desactivar la verificación en dos pasos
+router.post('/2fa/disable', authenticateToken, requireUserSession, [
+  body('password').notEmpty().withMessage('La contraseña es requerida'),
+  body('code').notEmpty().withMessage('Código requerido')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Errores de validación',
+        errors: errors.array()
+      });
+    }
+
+    if (!req.user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'La verificación en dos pasos no está activada'
+      });
+    }
+
+    if (await isTwoFactorRequired(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Tu rol requiere mantener activada la verificación en dos pasos'
+      });
+    }
+
+    const user = await User.findByPk(req.user.id, {
+      attributes: { include: ['password'] }
+    });
+
+    if (!(await user.comparePassword(req.body.password)) || !(await verifyCode(user, req.body.code))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Contraseña o código incorrectos'
+      });
+    }
+
+    await disableTwoFactor(user);
+
+    res.json({
+      success: true,
+      message: 'Verificación en dos pasos desactivada'
+    });
+
+  } catch (error) {
+    console.error('Error al desactivar 2FA:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// GET /api/auth/verify-email/:token - Verificar el email con el token recibido
+router.get('/verify-email/:token', async (req, res) => {
+  try {
+    const user = await verifyEmailToken(req.params.token);
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Token inválido o expirado'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Email verificado exitosamente',
+      data: { user }
+    });
+
+  } catch (error) {
+    console.error('Error al verificar email:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// POST /api/auth/resend-verification - Reenviar el email de verificación
+router.post('/resend-verification', [
+  body('email').isEmail().withMessage('Debe ser un email válido').normalizeEmail()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Errores de validación',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findOne({ where: { email: req.body.email } });
+
+    // Por seguridad, la respuesta no revela si la cuenta existe o ya está verificada
+    if (user && !user.emailVerified && user.status === 'active') {
+      await issueEmailVerification(user);
+    }
+
+    res.json({
+      success: true,
+      message: 'Si la cuenta existe y no está verificada, se envió un nuevo email de verificación'
+    });
+
+  } catch (error) {
+    console.error('Error al reenviar verificación:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
 // POST /api/auth/forgot-password - Solicitar restablecimiento de contraseña
 router.post('/forgot-password', [
   body('email').isEmail().withMessage('Debe ser un email válido').normalizeEmail()
@@ -287,20 +836,18 @@ router.post('/forgot-password', [
 
     // Generar token de restablecimiento
     const resetToken = crypto.randomBytes(32).toString('hex');
-    const resetExpires = new Date(Date.now() + 15 * 60 * 1000); // 15 minutos
+    const resetExpires = new Date(Date.now() + PASSWORD_RESET_MINUTES * 60 * 1000);
 
     await user.update({
       passwordResetToken: resetToken,
       passwordResetExpires: resetExpires
     });
 
-    // TODO: Enviar email con el token
-    // En un entorno real, aquí se enviaría un email
+    await sendPasswordReset(user, resetToken);
 
     res.json({
       success: true,
-      message: 'Si el email existe, se enviaron instrucciones de restablecimiento',
-      ...(process.env.NODE_ENV === 'development' && { resetToken }) // Solo en desarrollo
+      message: 'Si el email existe, se enviaron instrucciones de restablecimiento'
     });
 
   } catch (error) {
@@ -337,7 +884,7 @@ router.post('/reset-password', [
       where: {
         passwordResetToken: token,
         passwordResetExpires: {
-          $gt: new Date()
+          [Op.gt]: new Date()
         }
       }
     });
@@ -356,6 +903,10 @@ router.post('/reset-password', [
       passwordResetExpires: null
     });
 
+    // Quien tuviera la contraseña anterior pierde el acceso; el dueño recupera el suyo
+    await revokeUserSessions(user.id, 'password_changed');
+    await resetFailedAttempts(user);
+
     res.json({
       success: true,
       message: 'Contraseña restablecida exitosamente'
@@ -373,6 +924,7 @@ router.post('/reset-password', [
 // POST /api/auth/change-password - Cambiar contraseña (usuario autenticado)
 router.post('/change-password', [
   authenticateToken,
+  requireUserSession,
   body('currentPassword').notEmpty().withMessage('Contraseña actual requerida'),
   body('newPassword')
     .isLength({ min: 6 })
@@ -409,6 +961,9 @@ router.post('/change-password', [
     // Actualizar contraseña
     await user.update({ password: newPassword });
 
+    // Cerrar el resto de dispositivos; la sesión actual sigue abierta
+    await revokeUserSessions(user.id, 'password_changed', { exceptId: req.sessionId });
+
     res.json({
       success: true,
       message: 'Contraseña cambiada exitosamente'
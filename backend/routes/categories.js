@@ -1,7 +1,9 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
-const { Category, Post } = require('../models');
-const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { Op } = require('sequelize');
+const { body, query, validationResult } = require('express-validator');
+const { sequelize, Category, Post } = require('../models');
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { FEED_FORMATS, sendFeed } = require('../services/feeds');
 
 const router = express.Router();
 
@@ -51,39 +53,19 @@ router.get('/', async (req, res) => {
         order: [['sortOrder', 'ASC'], ['name', 'ASC']]
       });
     } else {
-      // Obtener todas las categorías de forma plana
-      const include = [];
-      
-      if (includeEmpty !== 'true') {
-        include.push({
-          model: Post,
-          as: 'posts',
-          attributes: [],
-          required: true,
-          where: { status: 'published' }
-        });
-      }
-
+      // Obtener todas las categorías de forma plana, contando los posts publicados
+      // tanto por categoría principal como por asignación en PostCategories
       categories = await Category.findAll({
         where: { isActive: true },
-        include,
         attributes: {
-          include: [
-            // Contar posts publicados
-            [
-              require('sequelize').literal(`(
-                SELECT COUNT(*)
-                FROM posts
-                WHERE posts.categoryId = Category.id
-                AND posts.status = 'published'
-              )`),
-              'postsCount'
-            ]
-          ]
+          include: [[Category.publishedPostsCount(), 'postsCount']]
         },
-        order: [['sortOrder', 'ASC'], ['name', 'ASC']],
-        group: ['Category.id']
+        order: [['sortOrder', 'ASC'], ['name', 'ASC']]
       });
+
+      if (includeEmpty !== 'true') {
+        categories = categories.filter(category => parseInt(category.get('postsCount')) > 0);
+      }
     }
 
     res.json({
@@ -186,7 +168,7 @@ router.get('/slug/:slug', async (req, res) => {
 });
 
 // POST /api/categories - Crear nueva categoría
-router.post('/', authenticateToken, authorizeRoles('admin', 'super_admin', 'editor'), categoryValidation, async (req, res) => {
+router.post('/', authenticateToken, authorize('categories.manage'), categoryValidation, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -246,7 +228,7 @@ router.post('/', authenticateToken, authorizeRoles('admin', 'super_admin', 'edit
 });
 
 // PUT /api/categories/:id - Actualizar categoría
-router.put('/:id', authenticateToken, authorizeRoles('admin', 'super_admin', 'editor'), categoryValidation, async (req, res) => {
+router.put('/:id', authenticateToken, authorize('categories.manage'), categoryValidation, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -348,7 +330,7 @@ router.put('/:id', authenticateToken, authorizeRoles('admin', 'super_admin', 'ed
 });
 
 // DELETE /api/categories/:id - Eliminar categoría
-router.delete('/:id', authenticateToken, authorizeRoles('admin', 'super_admin'), async (req, res) => {
+router.delete('/:id', authenticateToken, authorize('categories.delete'), async (req, res) => {
   try {
     const { id } = req.params;
     const { reassignTo } = req.body;
@@ -361,17 +343,60 @@ router.delete('/:id', authenticateToken, authorizeRoles('admin', 'super_admin'),
       });
     }
 
-    // Verificar si tiene posts asociados
-    const postsCount = await Post.count({
-      where: { categoryId: id }
+    const PostCategories = sequelize.models.PostCategories;
+
+    // Posts asociados, como categoría principal o asignada en PostCategories
+    const joinedRows = await PostCategories.findAll({
+      where: { categoryId: id },
+      attributes: ['postId'],
+      raw: true
+    });
+    const affectedPosts = await Post.findAll({
+      where: {
+        [Op.or]: [
+          { categoryId: id },
+          { id: { [Op.in]: joinedRows.map(row => row.postId) } }
+        ]
+      },
+      attributes: ['id', 'categoryId']
     });
+    const postsCount = affectedPosts.length;
 
+    // Resto de categorías de cada post: los que no tienen ninguna otra quedarían huérfanos
+    const otherCategories = {};
+    affectedPosts.forEach(post => {
+      otherCategories[post.id] = post.categoryId && post.categoryId != id ? [post.categoryId] : [];
+    });
     if (postsCount > 0) {
-      if (!reassignTo) {
+      const otherRows = await PostCategories.findAll({
+        where: {
+          postId: { [Op.in]: affectedPosts.map(post => post.id) },
+          categoryId: { [Op.ne]: id }
+        },
+        attributes: ['postId', 'categoryId'],
+        raw: true
+      });
+      otherRows.forEach(row => {
+        if (!otherCategories[row.postId].includes(row.categoryId)) {
+          otherCategories[row.postId].push(row.categoryId);
+        }
+      });
+    }
+    const orphanedCount = affectedPosts.filter(post => otherCategories[post.id].length === 0).length;
+
+    if (orphanedCount > 0 && !reassignTo) {
+      return res.status(400).json({
+        success: false,
+        message: 'La categoría tiene posts sin otra categoría asignada. Proporciona una categoría de destino.',
+        data: { postsCount, orphanedCount }
+      });
+    }
+
+    if (reassignTo) {
+      if (reassignTo == id) {
         return res.status(400).json({
           success: false,
-          message: 'La categoría tiene posts asociados. Proporciona una categoría de destino.',
-          data: { postsCount }
+          message: 'La categoría de destino no puede ser la categoría eliminada'
         });
       }
 
@@ -383,14 +408,29 @@ router.delete('/:id', authenticateToken, authorizeRoles('admin', 'super_admin'),
           message: 'Categoría de destino no encontrada'
         });
       }
-
-      // Reasignar posts a la nueva categoría
-      await Post.update(
-        { categoryId: reassignTo },
-        { where: { categoryId: id } }
-      );
     }
 
+    await sequelize.transaction(async (transaction) => {
+      if (reassignTo) {
+        // Todos los posts afectados pasan a pertenecer también a la categoría de destino
+        await PostCategories.bulkCreate(
+          affectedPosts.map(post => ({ postId: post.id, categoryId: parseInt(reassignTo) })),
+          { ignoreDuplicates: true, transaction }
+        );
+        await Post.update(
+          { categoryId: reassignTo },
+          { where: { categoryId: id }, transaction }
+        );
+      } else {
+        // Sin destino, la categoría principal pasa a ser otra de las asignadas al post
+        for (const post of affectedPosts.filter(post => post.categoryId == id)) {
+          await post.update({ categoryId: otherCategories[post.id][0] }, { transaction });
+        }
+      }
+
+      await PostCategories.destroy({ where: { categoryId: id }, transaction });
+    });
+
     // Verificar si tiene categorías hijas
     const childrenCount = await Category.count({
       where: { parentId: id }
@@ -409,7 +449,10 @@ router.delete('/:id', authenticateToken, authorizeRoles('admin', 'super_admin'),
     res.json({
       success: true,
       message: 'Categoría eliminada exitosamente',
-      data: { postsReassigned: postsCount }
+      data: {
+        postsAffected: postsCount,
+        postsReassigned: reassignTo ? postsCount : 0
+      }
     });
 
   } catch (error) {
@@ -421,6 +464,50 @@ router.delete('/:id', authenticateToken, authorizeRoles('admin', 'super_admin'),
   }
 });
 
+// GET /api/categories/:slug/feed - Feed de los posts de una categoría (?format=rss|atom|json)
+router.get('/:slug/feed', [
+  query('format')
+    .optional()
+    .isIn(FEED_FORMATS)
+    .withMessage(`El formato debe ser uno de: ${FEED_FORMATS.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Errores de validación',
+        errors: errors.array()
+      });
+    }
+
+    const category = await Category.findOne({
+      where: { slug: req.params.slug, isActive: true }
+    });
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Categoría no encontrada'
+      });
+    }
+
+    await sendFeed(req, res, req.query.format || 'rss', {
+      title: category.name,
+      description: category.description,
+      path: `/categories/${category.slug}`,
+      where: Post.inCategory(category.id)
+    });
+
+  } catch (error) {
+    console.error('Error al generar feed de categoría:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
 // GET /api/categories/:id/posts - Obtener posts de una categoría
 router.get('/:id/posts', async (req, res) => {
   try {
@@ -437,8 +524,8 @@ router.get('/:id/posts', async (req, res) => {
     }
 
     const { count, rows: posts } = await Post.findAndCountAll({
-      where: { 
-        categoryId: id,
+      where: {
+        ...Post.inCategory(id),
         status
       },
       include: [
@@ -450,7 +537,8 @@ router.get('/:id/posts', async (req, res) => {
       ],
       order: [['publishedAt', 'DESC']],
       limit: parseInt(limit),
-      offset: parseInt(offset)
+      offset: parseInt(offset),
+      distinct: true
     });
 
     const totalPages = Math.ceil(count / limit);
@@ -479,7 +567,7 @@ router.get('/:id/posts', async (req, res) => {
 });
 
 // PUT /api/categories/reorder - Reordenar categorías
-router.put('/reorder', authenticateToken, authorizeRoles('admin', 'super_admin', 'editor'), async (req, res) => {
+router.put('/reorder', authenticateToken, authorize('categories.manage'), async (req, res) => {
   try {
     const { categories } = req.body;
 
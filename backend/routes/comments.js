@@ -1,7 +1,14 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
-const { Comment, User, Post } = require('../models');
-const { authenticateToken, authorizeRoles, optionalAuth } = require('../middleware/auth');
+const { Op } = require('sequelize');
+const { body, query, validationResult } = require('express-validator');
+const { Comment, User, Post, Setting } = require('../models');
+const { authenticateToken, authorize, optionalAuth } = require('../middleware/auth');
+const { REACTION_TYPES, countReactions, toggleReaction, listReactions, findUserReaction } = require('../services/reactions');
+const { scoreComment, reportFeedback } = require('../services/spamFilter');
+const { MODERATION_ACTIONS, syncCommentsCount, moderateComments } = require('../services/commentModeration');
+const { notifyCommentAwaitingModeration, notifyCommentReply, verifyReplyUnsubscribeToken } = require('../services/notifications');
+const { isEmailVerificationRequired } = require('../services/emailVerification');
+const { can } = require('../services/permissions');
 
 const router = express.Router();
 
@@ -17,18 +24,46 @@ const commentValidation = [
   body('parentId')
     .optional()
     .isInt()
-    .withMessage('ID de comentario padre debe ser un número')
+    .withMessage('ID de comentario padre debe ser un número'),
+  body('notifyReplies')
+    .optional()
+    .isBoolean()
+    .withMessage('notifyReplies debe ser un booleano')
+    .toBoolean()
 ];
 
 // GET /api/comments - Obtener comentarios (admin)
-router.get('/', authenticateToken, authorizeRoles('admin', 'super_admin', 'editor'), async (req, res) => {
+router.get('/', authenticateToken, authorize('comments.moderate'), [
+  query('status').optional().isIn(['pending', 'approved', 'spam', 'trash']).withMessage('Estado no válido'),
+  query('postId').optional().isInt(),
+  query('authorEmail').optional().isEmail().withMessage('Email no válido'),
+  query('ip').optional().isIP().withMessage('IP no válida'),
+  query('dateFrom').optional().isISO8601().withMessage('Fecha inicial no válida'),
+  query('dateTo').optional().isISO8601().withMessage('Fecha final no válida')
+], async (req, res) => {
   try {
-    const { page = 1, limit = 20, status, postId } = req.query;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Errores de validación',
+        errors: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 20, status, postId, authorEmail, ip, dateFrom, dateTo } = req.query;
     const offset = (page - 1) * limit;
 
     const whereConditions = {};
     if (status) whereConditions.status = status;
     if (postId) whereConditions.postId = postId;
+    if (authorEmail) whereConditions.authorEmail = authorEmail;
+    if (ip) whereConditions.authorIp = ip;
+    if (dateFrom || dateTo) {
+      whereConditions.createdAt = {};
+      if (dateFrom) whereConditions.createdAt[Op.gte] = new Date(dateFrom);
+      if (dateTo) whereConditions.createdAt[Op.lte] = new Date(dateTo);
+    }
 
     const { count, rows: comments } = await Comment.findAndCountAll({
       where: whereConditions,
@@ -82,11 +117,11 @@ router.post('/', optionalAuth, commentValidation, async (req, res) => {
       });
     }
 
-    const { content, postId, parentId, authorName, authorEmail, authorUrl } = req.body;
+    const { content, postId, parentId, authorName, authorEmail, authorUrl, notifyReplies } = req.body;
 
     // Verificar que el post existe
     const post = await Post.findByPk(postId);
-    if (!post) {
+    if (!post || post.status === 'trash') {
       return res.status(404).json({
         success: false,
         message: 'Post no encontrado'
@@ -121,10 +156,18 @@ router.post('/', optionalAuth, commentValidation, async (req, res) => {
     };
 
     if (req.user) {
-      // Usuario autenticado
+      if (!req.user.emailVerified && await isEmailVerificationRequired()) {
+        return res.status(403).json({
+          success: false,
+          message: 'Debes verificar tu email antes de comentar'
+        });
+      }
+
+      // Usuario autenticado: recibe avisos de respuestas salvo que los rechace
       commentData.userId = req.user.id;
+      commentData.notifyReplies = notifyReplies !== false;
       // Los usuarios autenticados pueden tener sus comentarios auto-aprobados
-      if (['admin', 'super_admin', 'editor', 'author'].includes(req.user.role)) {
+      if (can(req.user, 'comments.auto_approve')) {
         commentData.status = 'approved';
       }
     } else {
@@ -139,13 +182,31 @@ router.post('/', optionalAuth, commentValidation, async (req, res) => {
       commentData.authorName = authorName;
       commentData.authorEmail = authorEmail;
       commentData.authorUrl = authorUrl;
+      // Solo se escribe al email de un anónimo si lo pide expresamente
+      commentData.notifyReplies = notifyReplies === true;
+    }
+
+    // Los comentarios que no se aprueban por rol pasan por el filtro de spam
+    if (commentData.status !== 'approved') {
+      const spamCheck = await scoreComment(commentData);
+      commentData.spamScore = spamCheck.score;
+      commentData.spamReasons = spamCheck.reasons;
+
+      if (spamCheck.verdict === 'spam') {
+        commentData.status = 'spam';
+      } else if (spamCheck.verdict === 'approved' && !(await Setting.getValue('require_comment_approval', true))) {
+        commentData.status = 'approved';
+      }
     }
 
     const comment = await Comment.create(commentData);
 
     // Incrementar contador de comentarios del post si está aprobado
     if (comment.status === 'approved') {
-      await post.increment('commentsCount');
+      await post.increment('commentsCount', { silent: true });
+      await notifyCommentReply(comment);
+    } else if (comment.status === 'pending') {
+      await notifyCommentAwaitingModeration(comment, post);
     }
 
     res.status(201).json({
@@ -163,8 +224,90 @@ router.post('/', optionalAuth, commentValidation, async (req, res) => {
   }
 });
 
+// POST /api/comments/:id/unsubscribe - Dejar de recibir avisos de respuestas (enlace firmado del email)
+router.post('/:id/unsubscribe', [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Token requerido')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Errores de validación',
+        errors: errors.array()
+      });
+    }
+
+    const comment = await Comment.findByPk(req.params.id);
+    if (!comment || !verifyReplyUnsubscribeToken(comment, req.body.token)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Enlace de baja no válido'
+      });
+    }
+
+    await comment.update({ notifyReplies: false }, { silent: true });
+
+    res.json({
+      success: true,
+      message: 'Ya no recibirás avisos de respuestas a este comentario'
+    });
+
+  } catch (error) {
+    console.error('Error al procesar baja de avisos:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// POST /api/comments/bulk - Moderación en lote (approve, unapprove, spam, trash, delete)
+router.post('/bulk', authenticateToken, authorize('comments.moderate'), [
+  body('ids')
+    .isArray({ min: 1, max: 500 })
+    .withMessage('Se requiere un array de entre 1 y 500 IDs'),
+  body('ids.*')
+    .isInt()
+    .withMessage('Los IDs deben ser números')
+    .toInt(),
+  body('action')
+    .isIn(Object.keys(MODERATION_ACTIONS))
+    .withMessage(`La acción debe ser una de: ${Object.keys(MODERATION_ACTIONS).join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Errores de validación',
+        errors: errors.array()
+      });
+    }
+
+    const { ids, action } = req.body;
+    const result = await moderateComments([...new Set(ids)], action);
+
+    res.json({
+      success: true,
+      message: `${result.processed.length} comentario(s) procesados`,
+      data: { action, ...result }
+    });
+
+  } catch (error) {
+    console.error('Error en la moderación en lote:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
 // PUT /api/comments/:id/approve - Aprobar comentario
-router.put('/:id/approve', authenticateToken, authorizeRoles('admin', 'super_admin', 'editor'), async (req, res) => {
+router.put('/:id/approve', authenticateToken, authorize('comments.moderate'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -184,12 +327,8 @@ router.put('/:id/approve', authenticateToken, authorizeRoles('admin', 'super_adm
     }
 
     await comment.update({ status: 'approved' });
-
-    // Incrementar contador del post
-    const post = await Post.findByPk(comment.postId);
-    if (post) {
-      await post.increment('commentsCount');
-    }
+    await syncCommentsCount([comment.postId]);
+    await notifyCommentReply(comment);
 
     res.json({
       success: true,
@@ -206,6 +345,88 @@ router.put('/:id/approve', authenticateToken, authorizeRoles('admin', 'super_adm
   }
 });
 
+// PUT /api/comments/:id/spam - Marcar comentario como spam
+router.put('/:id/spam', authenticateToken, authorize('comments.moderate'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const comment = await Comment.findByPk(id);
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comentario no encontrado'
+      });
+    }
+
+    if (comment.status === 'spam') {
+      return res.status(400).json({
+        success: false,
+        message: 'El comentario ya está marcado como spam'
+      });
+    }
+
+    await comment.update({ status: 'spam' });
+    await syncCommentsCount([comment.postId]);
+
+    // La corrección alimenta al filtro (historial del autor) y a los proveedores externos
+    await reportFeedback(comment, true);
+
+    res.json({
+      success: true,
+      message: 'Comentario marcado como spam',
+      data: { comment }
+    });
+
+  } catch (error) {
+    console.error('Error al marcar comentario como spam:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// PUT /api/comments/:id/not-spam - Marcar comentario como no spam (se aprueba)
+router.put('/:id/not-spam', authenticateToken, authorize('comments.moderate'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const comment = await Comment.findByPk(id);
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comentario no encontrado'
+      });
+    }
+
+    if (comment.status !== 'spam') {
+      return res.status(400).json({
+        success: false,
+        message: 'El comentario no está marcado como spam'
+      });
+    }
+
+    await comment.update({ status: 'approved' });
+    await syncCommentsCount([comment.postId]);
+
+    await reportFeedback(comment, false);
+    await notifyCommentReply(comment);
+
+    res.json({
+      success: true,
+      message: 'Comentario marcado como no spam y aprobado',
+      data: { comment }
+    });
+
+  } catch (error) {
+    console.error('Error al marcar comentario como no spam:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
 // DELETE /api/comments/:id - Eliminar comentario
 router.delete('/:id', authenticateToken, async (req, res) => {
   try {
@@ -221,7 +442,7 @@ router.delete('/:id', authenticateToken, async (req, res) => {
 
     // Verificar permisos
     const canDelete = 
-      ['admin', 'super_admin', 'editor'].includes(req.user.role) ||
+      can(req.user, 'comments.moderate') ||
       (comment.userId && comment.userId === req.user.id);
 
     if (!canDelete) {
@@ -231,23 +452,141 @@ router.delete('/:id', authenticateToken, async (req, res) => {
       });
     }
 
-    // Decrementar contador si estaba aprobado
-    if (comment.status === 'approved') {
-      const post = await Post.findByPk(comment.postId);
-      if (post) {
-        await post.decrement('commentsCount');
+    // Elimina también sus reacciones y actualiza el contador del post
+    await moderateComments([comment.id], 'delete');
+
+    res.json({
+      success: true,
+      message: 'Comentario eliminado exitosamente'
+    });
+
+  } catch (error) {
+    console.error('Error al eliminar comentario:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// Comentario visible públicamente: aprobado y de un post publicado
+async function findVisibleComment(id) {
+  const comment = await Comment.findOne({
+    where: { id, status: 'approved' },
+    include: [
+      {
+        model: Post,
+        as: 'post',
+        attributes: ['id', 'status'],
+        where: { status: 'published' }
+      }
+    ]
+  });
+  return comment;
+}
+
+// POST /api/comments/:id/react - Reaccionar a un comentario (like, dislike, love, laugh, angry, sad)
+// Repetir la misma reacción la elimina; otro tipo la sustituye
+router.post('/:id/react', authenticateToken, [
+  body('type')
+    .optional()
+    .isIn(REACTION_TYPES)
+    .withMessage(`El tipo de reacción debe ser uno de: ${REACTION_TYPES.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Errores de validación',
+        errors: errors.array()
+      });
+    }
+
+    const { type = 'like' } = req.body;
+
+    const comment = await findVisibleComment(req.params.id);
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comentario no encontrado'
+      });
+    }
+
+    const result = await toggleReaction({ userId: req.user.id, target: { commentId: comment.id }, type });
+
+    const messages = {
+      added: 'Reacción agregada',
+      updated: 'Reacción actualizada',
+      removed: 'Reacción eliminada'
+    };
+
+    res.json({
+      success: true,
+      message: messages[result.action],
+      data: {
+        reaction: result.reaction,
+        likesCount: result.likesCount,
+        reactionCounts: result.reactionCounts
       }
+    });
+
+  } catch (error) {
+    console.error('Error al reaccionar a comentario:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// GET /api/comments/:id/reactions - Reacciones de un comentario por tipo y usuarios que reaccionaron
+router.get('/:id/reactions', optionalAuth, [
+  query('type').optional().isIn(REACTION_TYPES).withMessage(`El tipo de reacción debe ser uno de: ${REACTION_TYPES.join(', ')}`),
+  query('page').optional().isInt({ min: 1 }).withMessage('La página debe ser un número positivo'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('El límite debe estar entre 1 y 100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Errores de validación',
+        errors: errors.array()
+      });
+    }
+
+    const { type, page = 1, limit = 20 } = req.query;
+
+    const comment = await findVisibleComment(req.params.id);
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comentario no encontrado'
+      });
     }
 
-    await comment.destroy();
+    const target = { commentId: comment.id };
+    const { count, reactions } = await listReactions(target, { type, page: parseInt(page), limit: parseInt(limit) });
 
     res.json({
       success: true,
-      message: 'Comentario eliminado exitosamente'
+      data: {
+        likesCount: comment.likesCount,
+        reactionCounts: await countReactions(target),
+        userReaction: await findUserReaction(target, req.user && req.user.id),
+        reactions,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(count / limit),
+          totalItems: count,
+          itemsPerPage: parseInt(limit)
+        }
+      }
     });
 
   } catch (error) {
-    console.error('Error al eliminar comentario:', error);
+    console.error('Error al obtener reacciones del comentario:', error);
     res.status(500).json({
       success: false,
       message: 'Error interno del servidor'
@@ -1,11 +1,11 @@
 const express = require('express');
-const { Post, User, Comment, Media, Category, Tag } = require('../models');
-const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { Post, User, Comment, Media, Category, Tag, PostReview } = require('../models');
+const { authenticateToken, authorize } = require('../middleware/auth');
 
 const router = express.Router();
 
 // GET /api/dashboard/stats - Estadísticas generales del dashboard
-router.get('/stats', authenticateToken, authorizeRoles('admin', 'super_admin', 'editor'), async (req, res) => {
+router.get('/stats', authenticateToken, authorize('dashboard.view'), async (req, res) => {
   try {
     // Estadísticas básicas
     const totalPosts = await Post.count();
@@ -135,7 +135,7 @@ router.get('/stats', authenticateToken, authorizeRoles('admin', 'super_admin', '
 });
 
 // GET /api/dashboard/analytics - Analíticas detalladas
-router.get('/analytics', authenticateToken, authorizeRoles('admin', 'super_admin'), async (req, res) => {
+router.get('/analytics', authenticateToken, authorize('dashboard.analytics'), async (req, res) => {
   try {
     const { period = '30' } = req.query; // días
     const startDate = new Date();
@@ -187,17 +187,9 @@ router.get('/analytics', authenticateToken, authorizeRoles('admin', 'super_admin
         'id',
         'name',
         'slug',
-        [
-          require('sequelize').literal(`(
-            SELECT COUNT(*)
-            FROM posts
-            WHERE posts.categoryId = Category.id
-            AND posts.status = 'published'
-          )`),
-          'postsCount'
-        ]
+        [Category.publishedPostsCount(), 'postsCount']
       ],
-      order: [[require('sequelize').literal('postsCount'), 'DESC']],
+      order: [[require('sequelize').literal('"postsCount"'), 'DESC']],
       limit: 10
     });
 
@@ -248,9 +240,10 @@ router.get('/analytics', authenticateToken, authorizeRoles('admin', 'super_admin
 });
 
 // GET /api/dashboard/quick-actions - Acciones rápidas
-router.get('/quick-actions', authenticateToken, authorizeRoles('admin', 'super_admin', 'editor'), async (req, res) => {
+router.get('/quick-actions', authenticateToken, authorize('dashboard.view'), async (req, res) => {
   try {
     const pendingCount = await Comment.count({ where: { status: 'pending' } });
+    const pendingPostsCount = await Post.count({ where: { status: 'pending' } });
     const draftCount = await Post.count({ where: { status: 'draft' } });
     const inactiveUserCount = await User.count({ where: { status: 'inactive' } });
 
@@ -266,6 +259,14 @@ router.get('/quick-actions', authenticateToken, authorizeRoles('admin', 'super_a
             icon: 'MessageCircle',
             color: 'orange'
           },
+          {
+            id: 'pending_posts',
+            title: 'Posts Pendientes de Revisión',
+            count: pendingPostsCount,
+            action: '/admin/posts?status=pending',
+            icon: 'ClipboardCheck',
+            color: 'yellow'
+          },
           {
             id: 'draft_posts',
             title: 'Posts en Borrador',
@@ -295,4 +296,66 @@ router.get('/quick-actions', authenticateToken, authorizeRoles('admin', 'super_a
   }
 });
 
+// GET /api/dashboard/review-queue - Cola de posts pendientes de revisión
+router.get('/review-queue', authenticateToken, authorize('dashboard.view'), async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const offset = (page - 1) * limit;
+
+    const { count, rows: posts } = await Post.findAndCountAll({
+      where: { status: 'pending' },
+      attributes: ['id', 'title', 'slug', 'type', 'excerpt', 'authorId', 'createdAt', 'updatedAt'],
+      include: [
+        {
+          model: User,
+          as: 'author',
+          attributes: ['id', 'username', 'firstName', 'lastName', 'avatar']
+        }
+      ],
+      // Los que llevan más tiempo esperando primero
+      order: [['updatedAt', 'ASC']],
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    // Último envío a revisión de cada post (con el comentario del autor)
+    const submissions = posts.length > 0 ? await PostReview.findAll({
+      where: {
+        postId: posts.map(post => post.id),
+        action: 'submitted'
+      },
+      order: [['createdAt', 'DESC']]
+    }) : [];
+
+    const queue = posts.map(post => {
+      const submission = submissions.find(review => review.postId === post.id);
+      return {
+        ...post.toJSON(),
+        submittedAt: submission ? submission.createdAt : post.updatedAt,
+        submissionComment: submission ? submission.comment : null
+      };
+    });
+
+    res.json({
+      success: true,
+      data: {
+        queue,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(count / limit),
+          totalItems: count,
+          itemsPerPage: parseInt(limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error al obtener la cola de revisión:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
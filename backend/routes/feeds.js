@@ -0,0 +1,27 @@
+const express = require('express');
+const { sendFeed } = require('../services/feeds');
+
+const router = express.Router();
+
+const feedRoute = (format) => async (req, res) => {
+  try {
+    await sendFeed(req, res, format);
+  } catch (error) {
+    console.error('Error al generar feed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+// GET /feed.xml - Feed RSS 2.0 del sitio
+router.get('/feed.xml', feedRoute('rss'));
+
+// GET /atom.xml - Feed Atom del sitio
+router.get('/atom.xml', feedRoute('atom'));
+
+// GET /feed.json - JSON Feed 1.1 del sitio
+router.get('/feed.json', feedRoute('json'));
+
+module.exports = router;
\ No newline at end of file
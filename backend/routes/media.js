@@ -1,17 +1,43 @@
 const express = require('express');
 const multer = require('multer');
-const sharp = require('sharp');
 const path = require('path');
 const fs = require('fs').promises;
-const { Media, User } = require('../models');
-const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { pipeline } = require('stream/promises');
+const { Op } = require('sequelize');
+const { body, query, validationResult } = require('express-validator');
+const { Media, MediaFolder, User, Setting } = require('../models');
+const { authenticateToken, authorize, optionalAuth } = require('../middleware/auth');
+const { can } = require('../services/permissions');
+const {
+  FORMATS,
+  FITS,
+  isTransformable,
+  getImageSettings,
+  generateImageVariants,
+  deleteImageVariants,
+  signRender,
+  verifyRenderSignature,
+  renderCached
+} = require('../services/imageVariants');
+const {
+  canViewFolder,
+  isPrivateMedia,
+  getVisibleFolderIds,
+  getBreadcrumbs,
+  getDescendantIds,
+  resolveTargetFolder
+} = require('../services/mediaFolders');
+const { getMediaStorage, getMediaKey } = require('../services/storage');
+const { uniqueFilename, storeUpload } = require('../services/mediaUploads');
+const { uploadError, getUploadRules, checkFileType, validateUploadedFiles } = require('../services/uploadValidation');
 
 const router = express.Router();
 
-// Configuración de multer para upload de archivos
-const storage = multer.diskStorage({
+// Configuración de multer para upload de archivos: se reciben en un directorio temporal
+// y después se guardan en el almacenamiento configurado (STORAGE_DRIVER)
+const stagingStorage = multer.diskStorage({
   destination: async (req, file, cb) => {
-    const uploadPath = path.join(__dirname, '../uploads');
+    const uploadPath = path.join(__dirname, '../tmp/uploads');
     try {
       await fs.mkdir(uploadPath, { recursive: true });
       cb(null, uploadPath);
@@ -20,42 +46,96 @@ const storage = multer.diskStorage({
     }
   },
   filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    const extension = path.extname(file.originalname);
-    cb(null, file.fieldname + '-' + uniqueSuffix + extension);
+    cb(null, uniqueFilename(file.originalname, file.fieldname));
   }
 });
 
-const fileFilter = (req, file, cb) => {
-  const allowedTypes = [
-    'image/jpeg',
-    'image/jpg', 
-    'image/png',
-    'image/gif',
-    'image/webp',
-    'application/pdf',
-    'application/msword',
-    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-    'video/mp4',
-    'video/webm',
-    'audio/mp3',
-    'audio/wav'
-  ];
-
-  if (allowedTypes.includes(file.mimetype)) {
-    cb(null, true);
-  } else {
-    cb(new Error('Tipo de archivo no permitido'), false);
+// Rechazo de una subida: { success: false, message, code, ... }
+const sendUploadError = (res, { status, ...error }) => res.status(status).json({
+  success: false,
+  ...error
+});
+
+/**
+ * Recibir los archivos del campo `field` con los límites vigentes de la configuración
+ * (max_upload_size y allowed_file_types), por eso multer se configura en cada petición.
+ * Deja las reglas en req.uploadRules para validar después el contenido y la cuota.
+ */
+const receiveFiles = (field, maxCount) => async (req, res, next) => {
+  try {
+    req.uploadRules = await getUploadRules();
+  } catch (error) {
+    console.error('Error al obtener la configuración de subidas:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
   }
+
+  const rules = req.uploadRules;
+  const upload = multer({
+    storage: stagingStorage,
+    fileFilter: (req, file, cb) => {
+      const { error } = checkFileType(file.originalname, rules);
+      if (error) {
+        return cb(Object.assign(new Error(error.message), { uploadError: { ...error, file: file.originalname } }));
+      }
+      cb(null, true);
+    },
+    limits: {
+      fileSize: rules.maxSize,
+      files: maxCount
+    }
+  });
+  const receive = maxCount === 1 ? upload.single(field) : upload.array(field, maxCount);
+
+  // multer ya elimina los archivos recibidos cuando se produce un error
+  receive(req, res, (error) => {
+    if (!error) return next();
+
+    if (error.uploadError) {
+      return sendUploadError(res, error.uploadError);
+    }
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return sendUploadError(res, uploadError('file_too_large', { maxSize: rules.maxSize }));
+    }
+    if (error.code === 'LIMIT_FILE_COUNT' || (error.code === 'LIMIT_UNEXPECTED_FILE' && error.field === field)) {
+      return sendUploadError(res, uploadError('too_many_files', { maxFiles: maxCount }));
+    }
+    if (error.code === 'LIMIT_UNEXPECTED_FILE') {
+      return sendUploadError(res, uploadError('file_required', { field }));
+    }
+    next(error);
+  });
 };
 
-const upload = multer({
-  storage,
-  fileFilter,
-  limits: {
-    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024 // 10MB por defecto
-  }
-});
+// Ver un archivo: su autor o quien ve su carpeta; en la raíz, quien gestiona los de todos
+async function canViewMedia(user, media) {
+  if (!user) return false;
+  if (media.uploadedBy === user.id) return true;
+  if (!media.folderId) return can(user, 'media.manage_all');
+
+  const folder = await MediaFolder.findByPk(media.folderId);
+  return Boolean(folder) && canViewFolder(user, folder);
+}
+
+// Editar, mover o eliminar: su autor o quien gestiona los de todos, si ve la carpeta en que está
+async function canManageMedia(user, media) {
+  if (!user) return false;
+  if (media.uploadedBy === user.id) return true;
+  if (!can(user, 'media.manage_all')) return false;
+  if (!media.folderId) return true;
+
+  const folder = await MediaFolder.findByPk(media.folderId);
+  return Boolean(folder) && canViewFolder(user, folder);
+}
+
+// Eliminar los archivos temporales de una subida
+async function removeStagedFiles(files) {
+  await Promise.all(files.map(file => fs.rm(file.path, { force: true }).catch(error => {
+    console.error('Error al eliminar archivo temporal:', error);
+  })));
+}
 
 // GET /api/media - Obtener archivos multimedia
 router.get('/', authenticateToken, async (req, res) => {
@@ -65,12 +145,15 @@ router.get('/', authenticateToken, async (req, res) => {
       limit = 20, 
       type, 
       search,
+      folderId,
+      recursive,
       sortBy = 'createdAt',
       sortOrder = 'desc'
     } = req.query;
 
     const offset = (page - 1) * limit;
     const whereConditions = {};
+    const conditions = [];
 
     // Filtro por tipo
     if (type) {
@@ -79,18 +162,46 @@ router.get('/', authenticateToken, async (req, res) => {
 
     // Búsqueda
     if (search) {
-      whereConditions[require('sequelize').Op.or] = [
-        { originalName: { [require('sequelize').Op.like]: `%${search}%` } },
-        { alt: { [require('sequelize').Op.like]: `%${search}%` } },
-        { caption: { [require('sequelize').Op.like]: `%${search}%` } }
-      ];
+      conditions.push({
+        [Op.or]: [
+          { originalName: { [Op.like]: `%${search}%` } },
+          { alt: { [Op.like]: `%${search}%` } },
+          { caption: { [Op.like]: `%${search}%` } }
+        ]
+      });
     }
 
-    // Solo mostrar archivos del usuario si no es admin
-    if (!['admin', 'super_admin'].includes(req.user.role)) {
-      whereConditions.uploadedBy = req.user.id;
+    // Archivos de las carpetas visibles y, en la raíz, los propios (o todos si puede gestionarlos)
+    const visibleFolderIds = await getVisibleFolderIds(req.user);
+    conditions.push({
+      [Op.or]: [
+        can(req.user, 'media.manage_all') ? { folderId: null } : { folderId: null, uploadedBy: req.user.id },
+        { folderId: { [Op.in]: visibleFolderIds } }
+      ]
+    });
+
+    // Filtro por carpeta (?folderId=<id|root>), opcionalmente con sus subcarpetas (?recursive=true)
+    let folder = null;
+    if (folderId === 'root') {
+      whereConditions.folderId = null;
+    } else if (folderId) {
+      folder = await MediaFolder.findByPk(folderId);
+      if (!folder || !canViewFolder(req.user, folder)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Carpeta no encontrada'
+        });
+      }
+
+      const folderIds = [folder.id];
+      if (recursive === 'true') {
+        folderIds.push(...(await getDescendantIds(folder.id)).filter(id => visibleFolderIds.includes(id)));
+      }
+      whereConditions.folderId = { [Op.in]: folderIds };
     }
 
+    whereConditions[Op.and] = conditions;
+
     const { count, rows: media } = await Media.findAndCountAll({
       where: whereConditions,
       include: [
@@ -111,6 +222,10 @@ router.get('/', authenticateToken, async (req, res) => {
       success: true,
       data: {
         media,
+        ...(folderId && {
+          folder,
+          breadcrumbs: folder ? await getBreadcrumbs(folder) : []
+        }),
         pagination: {
           currentPage: parseInt(page),
           totalPages,
@@ -130,66 +245,54 @@ router.get('/', authenticateToken, async (req, res) => {
 });
 
 // POST /api/media/upload - Subir archivo
-router.post('/upload', authenticateToken, upload.single('file'), async (req, res) => {
+router.post('/upload', authenticateToken, authorize('media.upload'), receiveFiles('file', 1), async (req, res) => {
   try {
     if (!req.file) {
-      return res.status(400).json({
-        success: false,
-        message: 'No se proporcionó ningún archivo'
-      });
+      return sendUploadError(res, uploadError('file_required', { field: 'file' }));
     }
 
     const { alt, caption, description, postId } = req.body;
     const file = req.file;
-    
-    let width, height, duration;
-
-    // Procesar imagen si es imagen
-    if (file.mimetype.startsWith('image/')) {
-      try {
-        const metadata = await sharp(file.path).metadata();
-        width = metadata.width;
-        height = metadata.height;
-
-        // Crear thumbnail para imágenes
-        const thumbnailPath = path.join(
-          path.dirname(file.path),
-          'thumb_' + file.filename
-        );
-        
-        await sharp(file.path)
-          .resize(300, 300, { 
-            fit: 'inside',
-            withoutEnlargement: true 
-          })
-          .jpeg({ quality: 80 })
-          .toFile(thumbnailPath);
-
-      } catch (error) {
-        console.error('Error al procesar imagen:', error);
-      }
+
+    // Contenido real según la extensión (corrige file.mimetype) y cuota de almacenamiento
+    const validationError = await validateUploadedFiles(req.user, [file], req.uploadRules);
+    if (validationError) {
+      return sendUploadError(res, validationError);
     }
 
+    const target = await resolveTargetFolder(req.user, req.body.folderId);
+    if (target.error) {
+      return res.status(400).json({
+        success: false,
+        message: target.error
+      });
+    }
+    
+    // Guardar el archivo; si es imagen, con sus dimensiones y tamaños con nombre en cada formato
+    const { width, height, duration, sizes, ...stored } = await storeUpload(file);
+
     // Crear registro en base de datos
     const media = await Media.create({
       filename: file.filename,
       originalName: file.originalname,
       mimeType: file.mimetype,
       size: file.size,
-      path: file.path,
-      url: `/uploads/${file.filename}`,
+      storage: stored.storage,
+      path: stored.path,
+      url: stored.url,
       alt,
       caption,
       description,
       uploadedBy: req.user.id,
       postId: postId || null,
+      folderId: target.folder ? target.folder.id : null,
       width,
       height,
       duration,
       metadata: {
-        originalPath: file.path,
         uploadDate: new Date(),
-        userAgent: req.get('User-Agent')
+        userAgent: req.get('User-Agent'),
+        sizes
       }
     });
 
@@ -200,63 +303,62 @@ router.post('/upload', authenticateToken, upload.single('file'), async (req, res
     });
 
   } catch (error) {
-    // Limpiar archivo si hubo error
-    if (req.file) {
-      try {
-        await fs.unlink(req.file.path);
-      } catch (unlinkError) {
-        console.error('Error al eliminar archivo:', unlinkError);
-      }
-    }
-
     console.error('Error al subir archivo:', error);
     res.status(500).json({
       success: false,
       message: 'Error al subir archivo'
     });
+  } finally {
+    if (req.file) {
+      await removeStagedFiles([req.file]);
+    }
   }
 });
 
 // POST /api/media/upload-multiple - Subir múltiples archivos
-router.post('/upload-multiple', authenticateToken, upload.array('files', 10), async (req, res) => {
+router.post('/upload-multiple', authenticateToken, authorize('media.upload'), receiveFiles('files', 10), async (req, res) => {
   try {
     if (!req.files || req.files.length === 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'No se proporcionaron archivos'
-      });
+      return sendUploadError(res, uploadError('file_required', { field: 'files' }));
     }
 
     const { postId } = req.body;
     const uploadedMedia = [];
 
+    // Se rechaza el lote completo si algún archivo no es válido o no caben todos en la cuota
+    const validationError = await validateUploadedFiles(req.user, req.files, req.uploadRules);
+    if (validationError) {
+      return sendUploadError(res, validationError);
+    }
+
+    const target = await resolveTargetFolder(req.user, req.body.folderId);
+    if (target.error) {
+      return res.status(400).json({
+        success: false,
+        message: target.error
+      });
+    }
+
     for (const file of req.files) {
-      let width, height;
-
-      if (file.mimetype.startsWith('image/')) {
-        try {
-          const metadata = await sharp(file.path).metadata();
-          width = metadata.width;
-          height = metadata.height;
-        } catch (error) {
-          console.error('Error al procesar imagen:', error);
-        }
-      }
+      const { width, height, duration, sizes, ...stored } = await storeUpload(file);
 
       const media = await Media.create({
         filename: file.filename,
         originalName: file.originalname,
         mimeType: file.mimetype,
         size: file.size,
-        path: file.path,
-        url: `/uploads/${file.filename}`,
+        storage: stored.storage,
+        path: stored.path,
+        url: stored.url,
         uploadedBy: req.user.id,
         postId: postId || null,
+        folderId: target.folder ? target.folder.id : null,
         width,
         height,
+        duration,
         metadata: {
-          originalPath: file.path,
-          uploadDate: new Date()
+          uploadDate: new Date(),
+          sizes
         }
       });
 
@@ -275,6 +377,92 @@ router.post('/upload-multiple', authenticateToken, upload.array('files', 10), as
       success: false,
       message: 'Error al subir archivos'
     });
+  } finally {
+    if (req.files) {
+      await removeStagedFiles(req.files);
+    }
+  }
+});
+
+// POST /api/media/move - Mover archivos a una carpeta (folderId null = raíz)
+router.post('/move', authenticateToken, [
+  body('mediaIds')
+    .isArray({ min: 1, max: 100 })
+    .withMessage('Indica entre 1 y 100 archivos'),
+  body('mediaIds.*')
+    .isInt({ min: 1 })
+    .withMessage('Los IDs de los archivos deben ser números'),
+  body('folderId')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('El ID de la carpeta debe ser un número')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Errores de validación',
+        errors: errors.array()
+      });
+    }
+
+    const target = await resolveTargetFolder(req.user, req.body.folderId);
+    if (target.error) {
+      return res.status(400).json({
+        success: false,
+        message: target.error
+      });
+    }
+
+    const mediaIds = [...new Set(req.body.mediaIds.map(Number))];
+    const media = await Media.findAll({ where: { id: { [Op.in]: mediaIds } } });
+    if (media.length !== mediaIds.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alguno de los archivos no existe'
+      });
+    }
+
+    for (const item of media) {
+      if (!(await canManageMedia(req.user, item))) {
+        return res.status(403).json({
+          success: false,
+          message: `No tienes permisos para mover el archivo ${item.id}`
+        });
+      }
+    }
+
+    // Una carpeta privada solo contiene archivos de su propietario
+    if (target.folder && target.folder.visibility === 'private' &&
+        media.some(item => item.uploadedBy !== target.folder.ownerId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Una carpeta privada solo puede contener archivos de su propietario'
+      });
+    }
+
+    const [moved] = await Media.update(
+      { folderId: target.folder ? target.folder.id : null },
+      { where: { id: { [Op.in]: mediaIds } } }
+    );
+
+    res.json({
+      success: true,
+      message: `${moved} archivo(s) movido(s) exitosamente`,
+      data: {
+        moved,
+        folder: target.folder,
+        breadcrumbs: target.folder ? await getBreadcrumbs(target.folder) : []
+      }
+    });
+
+  } catch (error) {
+    console.error('Error al mover archivos:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
   }
 });
 
@@ -301,8 +489,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
     }
 
     // Verificar permisos
-    if (!['admin', 'super_admin'].includes(req.user.role) && 
-        media.uploadedBy !== req.user.id) {
+    if (!(await canViewMedia(req.user, media))) {
       return res.status(403).json({
         success: false,
         message: 'No tienes permisos para ver este archivo'
@@ -323,6 +510,352 @@ router.get('/:id', authenticateToken, async (req, res) => {
   }
 });
 
+// GET /api/media/:id/file - Descargar el archivo original o uno de sus tamaños (?size=&format=).
+// Es la vía para los archivos privados, que /uploads no sirve
+router.get('/:id/file', authenticateToken, [
+  query('size').optional().isString().withMessage('Tamaño no válido'),
+  query('format').optional().isIn(Object.keys(FORMATS)).withMessage(`Formato no válido (${Object.keys(FORMATS).join(', ')})`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Errores de validación',
+        errors: errors.array()
+      });
+    }
+
+    const media = await Media.findByPk(req.params.id);
+    if (!media) {
+      return res.status(404).json({
+        success: false,
+        message: 'Archivo no encontrado'
+      });
+    }
+
+    if (!(await canViewMedia(req.user, media))) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tienes permisos para ver este archivo'
+      });
+    }
+
+    const fileStorage = getMediaStorage(media);
+    let key = getMediaKey(media);
+    let mimeType = media.mimeType;
+
+    if (req.query.size) {
+      const size = media.metadata && media.metadata.sizes && media.metadata.sizes[req.query.size];
+      const format = req.query.format || (size && Object.keys(size.formats || {})[0]);
+      const variant = size && size.formats && size.formats[format];
+      if (!variant) {
+        return res.status(404).json({
+          success: false,
+          message: 'Tamaño no encontrado'
+        });
+      }
+
+      key = variant.key || variant.url.replace(/^\/uploads\//, '');
+      mimeType = FORMATS[format].mimeType;
+    }
+
+    if (!(await fileStorage.exists(key))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Archivo no encontrado'
+      });
+    }
+
+    res.set('Cache-Control', 'private, max-age=3600');
+    res.type(mimeType);
+    await pipeline(await fileStorage.getStream(key), res);
+
+  } catch (error) {
+    console.error('Error al descargar archivo:', error);
+    // Si la transferencia ya había empezado solo queda cortar la respuesta
+    if (res.headersSent) {
+      return res.destroy();
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+const renderValidation = [
+  query('w').optional().isInt({ min: 1 }).withMessage('El ancho debe ser un número positivo'),
+  query('h').optional().isInt({ min: 1 }).withMessage('El alto debe ser un número positivo'),
+  query('fit').optional().isIn(FITS).withMessage(`fit debe ser uno de: ${FITS.join(', ')}`),
+  query('format').optional().isIn(Object.keys(FORMATS)).withMessage(`format debe ser uno de: ${Object.keys(FORMATS).join(', ')}`),
+  query('q').optional().isInt({ min: 1, max: 100 }).withMessage('La calidad debe estar entre 1 y 100'),
+  query('size').optional().isString().isLength({ max: 50 }).withMessage('El tamaño no es válido')
+];
+
+const DEFAULT_RENDER_WIDTHS = [320, 640, 768, 1024, 1280, 1536, 1920];
+
+// Parámetros de transformación tal como llegan en la URL (son los que cubre la firma)
+const renderParams = (source) => ({
+  w: source.w,
+  h: source.h,
+  fit: source.fit,
+  format: source.format,
+  q: source.q,
+  size: source.size
+});
+
+/**
+ * Resolver los parámetros pedidos a ancho, alto y ajuste: un tamaño con nombre
+ * (image_sizes) o dimensiones explícitas, no ambos. Devuelve { width, height, fit } o { error }.
+ */
+async function resolveRenderSize(params) {
+  if (!params.size) {
+    return {
+      width: params.w ? parseInt(params.w) : null,
+      height: params.h ? parseInt(params.h) : null,
+      fit: params.fit || 'inside'
+    };
+  }
+
+  if (params.w || params.h || params.fit) {
+    return { error: 'Indica un tamaño con nombre o dimensiones (w, h, fit), no ambos' };
+  }
+
+  const { sizes } = await getImageSettings();
+  const size = Object.prototype.hasOwnProperty.call(sizes, params.size) ? sizes[params.size] : null;
+  if (!size) {
+    return { error: `Tamaño desconocido; disponibles: ${Object.keys(sizes).join(', ')}` };
+  }
+
+  return {
+    width: size.width || null,
+    height: size.height || null,
+    fit: FITS.includes(size.fit) ? size.fit : 'inside'
+  };
+}
+
+/**
+ * Sin firma solo se admite un conjunto cerrado de transformaciones, para que no se puedan
+ * generar variantes ilimitadas: un tamaño con nombre, un ancho de image_render_widths
+ * o el original, en cualquier formato y con la calidad por defecto.
+ */
+async function isUnsignedRenderAllowed(params) {
+  if (params.h || params.fit || params.q) return false;
+  if (!params.w) return true;
+
+  const widths = await Setting.getValue('image_render_widths', DEFAULT_RENDER_WIDTHS);
+  return (Array.isArray(widths) ? widths : DEFAULT_RENDER_WIDTHS).map(Number).includes(parseInt(params.w));
+}
+
+// Sin formato explícito se elige el mejor que acepte el navegador
+function negotiateFormat(req) {
+  const accept = req.get('Accept') || '';
+  if (accept.includes('image/avif')) return 'avif';
+  if (accept.includes('image/webp')) return 'webp';
+  return 'jpeg';
+}
+
+// GET /api/media/:id/render - Transformar una imagen al vuelo (?w=&h=&fit=&format=&q= o ?size=&format=)
+router.get('/:id/render', optionalAuth, renderValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Errores de validación',
+        errors: errors.array()
+      });
+    }
+
+    const media = await Media.findByPk(req.params.id);
+    if (!media || media.type !== 'image') {
+      return res.status(404).json({
+        success: false,
+        message: 'Imagen no encontrada'
+      });
+    }
+
+    if (!isTransformable(media.mimeType)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Este tipo de imagen no admite transformaciones'
+      });
+    }
+
+    const params = renderParams(req.query);
+    const resolved = await resolveRenderSize(params);
+    if (resolved.error) {
+      return res.status(400).json({
+        success: false,
+        message: resolved.error
+      });
+    }
+
+    // Las imágenes privadas (o en una carpeta privada), o todas si así se configura, solo se sirven con
+    // una URL firmada (salvo a su propietario); en las públicas, sin firma solo los tamaños predefinidos
+    const isPrivate = await isPrivateMedia(media);
+    const signed = verifyRenderSignature(media.id, params, req.query.expires, req.query.signature);
+    if (!signed && !(await canManageMedia(req.user, media))) {
+      const requireSignature = isPrivate || await Setting.getValue('image_render_require_signature', false);
+      if (requireSignature) {
+        return res.status(403).json({
+          success: false,
+          message: 'Se requiere una URL firmada válida'
+        });
+      }
+      if (!(await isUnsignedRenderAllowed(params))) {
+        return res.status(403).json({
+          success: false,
+          message: 'Sin URL firmada solo se admiten los tamaños con nombre (size) o los anchos de image_render_widths'
+        });
+      }
+    }
+
+    const maxDimension = await Setting.getValue('image_render_max_dimension', 2560);
+    const { width, height, fit } = resolved;
+    if ((width && width > maxDimension) || (height && height > maxDimension)) {
+      return res.status(400).json({
+        success: false,
+        message: `Las dimensiones no pueden superar ${maxDimension}px`
+      });
+    }
+
+    const format = params.format || negotiateFormat(req);
+    const filePath = await renderCached(media, {
+      width,
+      height,
+      fit,
+      format,
+      quality: params.q ? parseInt(params.q) : await Setting.getValue('image_quality', 80)
+    });
+
+    if (!params.format) res.vary('Accept');
+    res.set('Cache-Control', isPrivate ? 'private, max-age=3600' : 'public, max-age=31536000, immutable');
+    res.type(FORMATS[format].mimeType);
+    res.sendFile(filePath);
+
+  } catch (error) {
+    console.error('Error al transformar imagen:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al transformar imagen'
+    });
+  }
+});
+
+// GET /api/media/:id/render-url - Obtener una URL firmada de transformación
+router.get('/:id/render-url', authenticateToken, [
+  ...renderValidation,
+  query('expiresIn').optional().isInt({ min: 60, max: 7 * 24 * 60 * 60 }).withMessage('expiresIn debe estar entre 60 segundos y 7 días')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Errores de validación',
+        errors: errors.array()
+      });
+    }
+
+    const media = await Media.findByPk(req.params.id);
+    if (!media || media.type !== 'image') {
+      return res.status(404).json({
+        success: false,
+        message: 'Imagen no encontrada'
+      });
+    }
+
+    if (!(await canManageMedia(req.user, media))) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tienes permisos para ver este archivo'
+      });
+    }
+
+    const params = renderParams(req.query);
+    const resolved = await resolveRenderSize(params);
+    if (resolved.error) {
+      return res.status(400).json({
+        success: false,
+        message: resolved.error
+      });
+    }
+
+    const expires = Math.floor(Date.now() / 1000) + parseInt(req.query.expiresIn || 3600);
+    const search = new URLSearchParams();
+    Object.entries(params).forEach(([key, value]) => {
+      if (value) search.set(key, value);
+    });
+    search.set('expires', expires);
+    search.set('signature', signRender(media.id, params, expires));
+
+    res.json({
+      success: true,
+      data: {
+        url: `${req.baseUrl}/${media.id}/render?${search}`,
+        expiresAt: new Date(expires * 1000)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error al firmar URL de imagen:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// POST /api/media/:id/variants - Regenerar los tamaños con nombre (p. ej. tras cambiar image_sizes)
+router.post('/:id/variants', authenticateToken, async (req, res) => {
+  try {
+    const media = await Media.findByPk(req.params.id);
+    if (!media || media.type !== 'image') {
+      return res.status(404).json({
+        success: false,
+        message: 'Imagen no encontrada'
+      });
+    }
+
+    if (!(await canManageMedia(req.user, media))) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tienes permisos para editar este archivo'
+      });
+    }
+
+    if (!isTransformable(media.mimeType)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Este tipo de imagen no admite transformaciones'
+      });
+    }
+
+    const fileStorage = getMediaStorage(media);
+    const source = await fileStorage.get(getMediaKey(media));
+
+    await deleteImageVariants(media);
+    const sizes = await generateImageVariants(source, media.filename, fileStorage);
+    await media.update({ metadata: { ...media.metadata, sizes } });
+
+    res.json({
+      success: true,
+      message: 'Tamaños de imagen regenerados exitosamente',
+      data: { media }
+    });
+
+  } catch (error) {
+    console.error('Error al regenerar tamaños de imagen:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
 // PUT /api/media/:id - Actualizar metadatos del archivo
 router.put('/:id', authenticateToken, async (req, res) => {
   try {
@@ -338,11 +871,7 @@ router.put('/:id', authenticateToken, async (req, res) => {
     }
 
     // Verificar permisos
-    const canEdit = 
-      ['admin', 'super_admin'].includes(req.user.role) ||
-      media.uploadedBy === req.user.id;
-
-    if (!canEdit) {
+    if (!(await canManageMedia(req.user, media))) {
       return res.status(403).json({
         success: false,
         message: 'No tienes permisos para editar este archivo'
@@ -384,32 +913,17 @@ router.delete('/:id', authenticateToken, async (req, res) => {
     }
 
     // Verificar permisos
-    const canDelete = 
-      ['admin', 'super_admin'].includes(req.user.role) ||
-      media.uploadedBy === req.user.id;
-
-    if (!canDelete) {
+    if (!(await canManageMedia(req.user, media))) {
       return res.status(403).json({
         success: false,
         message: 'No tienes permisos para eliminar este archivo'
       });
     }
 
-    // Eliminar archivo físico
+    // Eliminar archivo físico, sus tamaños generados y la caché de transformaciones
     try {
-      await fs.unlink(media.path);
-      
-      // Eliminar thumbnail si existe
-      const thumbnailPath = path.join(
-        path.dirname(media.path),
-        'thumb_' + media.filename
-      );
-      
-      try {
-        await fs.unlink(thumbnailPath);
-      } catch (error) {
-        // El thumbnail puede no existir
-      }
+      await getMediaStorage(media).delete(getMediaKey(media));
+      await deleteImageVariants(media);
     } catch (error) {
       console.error('Error al eliminar archivo físico:', error);
     }
@@ -431,7 +945,7 @@ router.delete('/:id', authenticateToken, async (req, res) => {
 });
 
 // GET /api/media/stats/overview - Estadísticas de archivos multimedia
-router.get('/stats/overview', authenticateToken, authorizeRoles('admin', 'super_admin', 'editor'), async (req, res) => {
+router.get('/stats/overview', authenticateToken, authorize('media.manage_all'), async (req, res) => {
   try {
     const totalFiles = await Media.count();
     const totalSize = await Media.sum('size');
@@ -0,0 +1,397 @@
+const express = require('express');
+const { Op } = require('sequelize');
+const { body, query, validationResult } = require('express-validator');
+const { sequelize, MediaFolder, Media, User } = require('../models');
+const { authenticateToken } = require('../middleware/auth');
+const { can } = require('../services/permissions');
+const {
+  canViewFolder,
+  canManageFolder,
+  visibleFoldersWhere,
+  getBreadcrumbs,
+  getDescendantIds,
+  validateParent,
+  findSiblingByName
+} = require('../services/mediaFolders');
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+const OWNER_ATTRIBUTES = ['id', 'username', 'firstName', 'lastName'];
+
+// Validaciones
+const folderValidation = (optional) => [
+  (optional ? body('name').optional() : body('name'))
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('El nombre debe tener entre 1 y 100 caracteres')
+    .not().contains('/')
+    .withMessage('El nombre no puede contener "/"'),
+  body('visibility')
+    .optional()
+    .isIn(['private', 'shared'])
+    .withMessage('La visibilidad debe ser "private" o "shared"')
+];
+
+const parentValidation = body('parentId')
+  .optional({ nullable: true })
+  .isInt({ min: 1 })
+  .withMessage('El ID de la carpeta padre debe ser un número');
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    success: false,
+    message: 'Errores de validación',
+    errors: errors.array()
+  });
+  return true;
+};
+
+async function findVisibleFolder(req, res) {
+  const folder = await MediaFolder.findByPk(req.params.id, {
+    include: [{ model: User, as: 'owner', attributes: OWNER_ATTRIBUTES }]
+  });
+
+  if (!folder || !canViewFolder(req.user, folder)) {
+    res.status(404).json({
+      success: false,
+      message: 'Carpeta no encontrada'
+    });
+    return null;
+  }
+
+  return folder;
+}
+
+// Número de archivos directamente dentro de cada carpeta
+async function countMedia(folders) {
+  if (folders.length === 0) return {};
+
+  const rows = await Media.findAll({
+    where: { folderId: { [Op.in]: folders.map(folder => folder.id) } },
+    attributes: ['folderId', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+    group: ['folderId'],
+    raw: true
+  });
+  return Object.fromEntries(rows.map(row => [row.folderId, parseInt(row.count)]));
+}
+
+const withCounts = async (folders) => {
+  const counts = await countMedia(folders);
+  return folders.map(folder => ({ ...folder.toJSON(), mediaCount: counts[folder.id] || 0 }));
+};
+
+const sendDuplicateName = (res) => res.status(400).json({
+  success: false,
+  message: 'Ya existe una carpeta con ese nombre en esta ubicación'
+});
+
+// GET /api/media/folders - Carpetas visibles (todas, o las hijas de ?parentId=<id|root>)
+router.get('/', [
+  query('parentId').optional().matches(/^(root|\d+)$/).withMessage('parentId debe ser "root" o un número')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const whereConditions = { [Op.and]: [visibleFoldersWhere(req.user)] };
+    if (req.query.parentId) {
+      whereConditions.parentId = req.query.parentId === 'root' ? null : req.query.parentId;
+    }
+
+    const folders = await MediaFolder.findAll({
+      where: whereConditions,
+      include: [{ model: User, as: 'owner', attributes: OWNER_ATTRIBUTES }],
+      order: [['name', 'ASC'], ['id', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: { folders: await withCounts(folders) }
+    });
+
+  } catch (error) {
+    console.error('Error al obtener carpetas:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// GET /api/media/folders/:id - Carpeta con sus migas de pan y subcarpetas
+router.get('/:id', async (req, res) => {
+  try {
+    const folder = await findVisibleFolder(req, res);
+    if (!folder) return;
+
+    const children = await MediaFolder.findAll({
+      where: { parentId: folder.id, [Op.and]: [visibleFoldersWhere(req.user)] },
+      order: [['name', 'ASC'], ['id', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: {
+        folder: (await withCounts([folder]))[0],
+        breadcrumbs: await getBreadcrumbs(folder),
+        children: await withCounts(children)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error al obtener carpeta:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// POST /api/media/folders - Crear carpeta
+router.post('/', [...folderValidation(false), parentValidation], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { name, parentId = null, visibility = 'private' } = req.body;
+
+    if (!can(req.user, 'media.upload')) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tienes permisos para crear carpetas'
+      });
+    }
+
+    if (visibility === 'shared' && !can(req.user, 'media.share_folders')) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tienes permisos para crear carpetas compartidas'
+      });
+    }
+
+    const parentError = await validateParent(req.user, { parentId, visibility, ownerId: req.user.id });
+    if (parentError) {
+      return res.status(400).json({
+        success: false,
+        message: parentError
+      });
+    }
+
+    if (await findSiblingByName(req.user, { parentId, name })) {
+      return sendDuplicateName(res);
+    }
+
+    const folder = await MediaFolder.create({
+      name,
+      parentId,
+      visibility,
+      ownerId: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Carpeta creada exitosamente',
+      data: { folder }
+    });
+
+  } catch (error) {
+    console.error('Error al crear carpeta:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// PUT /api/media/folders/:id - Renombrar una carpeta o cambiar su visibilidad
+router.put('/:id', folderValidation(true), async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const folder = await findVisibleFolder(req, res);
+    if (!folder) return;
+
+    if (!canManageFolder(req.user, folder)) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tienes permisos para editar esta carpeta'
+      });
+    }
+
+    const { name, visibility } = req.body;
+
+    if (name && name !== folder.name &&
+        await findSiblingByName(req.user, { parentId: folder.parentId, name, excludeId: folder.id })) {
+      return sendDuplicateName(res);
+    }
+
+    if (visibility && visibility !== folder.visibility) {
+      if (visibility === 'shared') {
+        if (!can(req.user, 'media.share_folders')) {
+          return res.status(403).json({
+            success: false,
+            message: 'No tienes permisos para compartir carpetas'
+          });
+        }
+
+        const parentError = await validateParent(req.user, {
+          parentId: folder.parentId,
+          visibility,
+          ownerId: folder.ownerId
+        });
+        if (parentError) {
+          return res.status(400).json({
+            success: false,
+            message: parentError
+          });
+        }
+      } else {
+        // Al hacerla privada, nada de su interior puede quedar fuera del alcance de quien lo veía
+        const descendantIds = await getDescendantIds(folder.id);
+        const sharedContent = await MediaFolder.count({
+          where: {
+            id: { [Op.in]: descendantIds },
+            [Op.or]: [{ visibility: 'shared' }, { ownerId: { [Op.ne]: folder.ownerId } }]
+          }
+        }) + await Media.count({
+          where: {
+            folderId: { [Op.in]: [folder.id, ...descendantIds] },
+            uploadedBy: { [Op.ne]: folder.ownerId }
+          }
+        });
+
+        if (sharedContent > 0) {
+          return res.status(400).json({
+            success: false,
+            message: 'La carpeta contiene subcarpetas compartidas o archivos de otros usuarios'
+          });
+        }
+      }
+    }
+
+    await folder.update({
+      name: name || folder.name,
+      visibility: visibility || folder.visibility
+    });
+
+    res.json({
+      success: true,
+      message: 'Carpeta actualizada exitosamente',
+      data: { folder }
+    });
+
+  } catch (error) {
+    console.error('Error al actualizar carpeta:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// POST /api/media/folders/:id/move - Mover una carpeta a otra (parentId null = raíz)
+router.post('/:id/move', parentValidation, async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const folder = await findVisibleFolder(req, res);
+    if (!folder) return;
+
+    if (!canManageFolder(req.user, folder)) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tienes permisos para mover esta carpeta'
+      });
+    }
+
+    const parentId = req.body.parentId || null;
+
+    const parentError = await validateParent(req.user, {
+      folder,
+      parentId,
+      visibility: folder.visibility,
+      ownerId: folder.ownerId
+    });
+    if (parentError) {
+      return res.status(400).json({
+        success: false,
+        message: parentError
+      });
+    }
+
+    if (await findSiblingByName(req.user, { parentId, name: folder.name, excludeId: folder.id })) {
+      return sendDuplicateName(res);
+    }
+
+    await folder.update({ parentId });
+
+    res.json({
+      success: true,
+      message: 'Carpeta movida exitosamente',
+      data: {
+        folder,
+        breadcrumbs: await getBreadcrumbs(folder)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error al mover carpeta:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// DELETE /api/media/folders/:id - Eliminar carpeta; sus subcarpetas y archivos pasan a la carpeta padre
+router.delete('/:id', async (req, res) => {
+  try {
+    const folder = await findVisibleFolder(req, res);
+    if (!folder) return;
+
+    if (!canManageFolder(req.user, folder)) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tienes permisos para eliminar esta carpeta'
+      });
+    }
+
+    // Los archivos de una carpeta privada no pasan a una carpeta compartida: van a la raíz
+    const parent = folder.parentId && await MediaFolder.findByPk(folder.parentId);
+    const mediaTargetId = folder.visibility === 'private' && parent && parent.visibility === 'shared'
+      ? null
+      : folder.parentId;
+
+    const result = await sequelize.transaction(async (transaction) => {
+      const [movedMedia] = await Media.update(
+        { folderId: mediaTargetId },
+        { where: { folderId: folder.id }, transaction }
+      );
+      const [movedFolders] = await MediaFolder.update(
+        { parentId: folder.parentId },
+        { where: { parentId: folder.id }, transaction }
+      );
+      await folder.destroy({ transaction });
+
+      return { movedMedia, movedFolders };
+    });
+
+    res.json({
+      success: true,
+      message: 'Carpeta eliminada exitosamente',
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Error al eliminar carpeta:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
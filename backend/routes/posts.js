@@ -1,12 +1,20 @@
 const express = require('express');
 const { body, query, validationResult } = require('express-validator');
 const { Op } = require('sequelize');
-const { Post, User, Category, Tag, Comment, Like, Media } = require('../models');
+const { sequelize, Post, User, Category, Tag, Comment, Media, PostRevision, PostReview } = require('../models');
 const { 
   authenticateToken, 
-  authorizeRoles,
+  authorize,
   optionalAuth 
 } = require('../middleware/auth');
+const { can } = require('../services/permissions');
+const { canTransition, allowedTransitions, allowedInitialStatuses } = require('../services/postWorkflow');
+const { trashPost, restorePost, purgePost } = require('../services/postTrash');
+const { findMatchingPostIds } = require('../services/postSearch');
+const { findRelatedPosts } = require('../services/relatedPosts');
+const { SORTS: COMMENT_SORTS, decodeCursor, getCommentTree } = require('../services/commentTree');
+const { REACTION_TYPES, countReactions, toggleReaction, listReactions, findUserReaction } = require('../services/reactions');
+const { notifyPostApproved } = require('../services/notifications');
 
 const router = express.Router();
 
@@ -21,8 +29,12 @@ const postValidation = [
     .withMessage('El contenido debe tener al menos 10 caracteres'),
   body('status')
     .optional()
-    .isIn(['draft', 'published', 'private', 'pending', 'trash'])
+    .isIn(['draft', 'published', 'private', 'pending', 'scheduled', 'trash'])
     .withMessage('Estado inválido'),
+  body('scheduledAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('La fecha de programación debe ser una fecha válida'),
   body('type')
     .optional()
     .isIn(['post', 'page', 'product', 'event'])
@@ -31,6 +43,13 @@ const postValidation = [
     .optional()
     .isInt()
     .withMessage('ID de categoría debe ser un número'),
+  body('categoryIds')
+    .optional()
+    .isArray()
+    .withMessage('Las categorías deben ser un array'),
+  body('categoryIds.*')
+    .isInt()
+    .withMessage('Los IDs de categoría deben ser números'),
   body('tagIds')
     .optional()
     .isArray()
@@ -41,17 +60,32 @@ const postValidation = [
     .withMessage('El extracto no puede superar los 500 caracteres')
 ];
 
+// Cargar las categorías indicadas; devuelve null si alguna no existe
+async function findCategories(ids) {
+  const uniqueIds = [...new Set(ids.map(id => parseInt(id)))];
+  const categories = await Category.findAll({ where: { id: { [Op.in]: uniqueIds } } });
+  return categories.length === uniqueIds.length ? categories : null;
+}
+
+const isFutureDate = (value) => Boolean(value) && new Date(value) > new Date();
+
+// Con posts.edit_others se puede editar cualquier post; con posts.create, solo los propios
+const canEditPost = (user, post) => Boolean(user) && (
+  can(user, 'posts.edit_others') ||
+  (can(user, 'posts.create') && post.authorId === user.id)
+);
+
 // GET /api/posts - Obtener posts con filtros y paginación
 router.get('/', optionalAuth, [
   query('page').optional().isInt({ min: 1 }).withMessage('La página debe ser un número positivo'),
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('El límite debe estar entre 1 y 100'),
-  query('status').optional().isIn(['draft', 'published', 'private', 'pending', 'trash']),
+  query('status').optional().isIn(['draft', 'published', 'private', 'pending', 'scheduled', 'trash']),
   query('type').optional().isIn(['post', 'page', 'product', 'event']),
   query('categoryId').optional().isInt(),
   query('authorId').optional().isInt(),
   query('search').optional().isLength({ min: 2 }).withMessage('La búsqueda debe tener al menos 2 caracteres'),
   query('featured').optional().isBoolean(),
-  query('sortBy').optional().isIn(['createdAt', 'updatedAt', 'publishedAt', 'title', 'viewsCount', 'likesCount']),
+  query('sortBy').optional().isIn(['createdAt', 'updatedAt', 'publishedAt', 'scheduledAt', 'title', 'viewsCount', 'likesCount']),
   query('sortOrder').optional().isIn(['asc', 'desc'])
 ], async (req, res) => {
   try {
@@ -84,33 +118,32 @@ router.get('/', optionalAuth, [
       type
     };
 
-    // Solo mostrar posts publicados si no es admin/editor o no es el autor
-    if (!req.user || !['admin', 'super_admin', 'editor'].includes(req.user.role)) {
+    // Solo mostrar posts publicados a quien no puede ver los no publicados (salvo al autor)
+    if (!can(req.user, 'posts.view_unpublished')) {
       whereConditions.status = 'published';
       whereConditions.publishedAt = { [Op.lte]: new Date() };
     } else if (status) {
       whereConditions.status = status;
+    } else {
+      // La papelera solo se lista cuando se pide explícitamente
+      whereConditions.status = { [Op.ne]: 'trash' };
     }
 
     // Filtros adicionales
-    if (categoryId) whereConditions.categoryId = categoryId;
+    if (categoryId) whereConditions[Op.and] = [Post.inCategory(categoryId)];
     if (authorId) whereConditions.authorId = authorId;
     if (featured !== undefined) whereConditions.isFeatured = featured === 'true';
 
-    // Búsqueda
+    // Búsqueda sobre el índice de texto completo (ver /api/search para resultados por relevancia)
     if (search) {
-      whereConditions[Op.or] = [
-        { title: { [Op.like]: `%${search}%` } },
-        { content: { [Op.like]: `%${search}%` } },
-        { excerpt: { [Op.like]: `%${search}%` } }
-      ];
+      whereConditions.id = { [Op.in]: await findMatchingPostIds(sequelize, search) };
     }
 
     // Si es el autor, puede ver sus propios posts
     if (req.user && authorId && authorId == req.user.id) {
       delete whereConditions.status;
       delete whereConditions.publishedAt;
-      if (status) whereConditions.status = status;
+      whereConditions.status = status || { [Op.ne]: 'trash' };
     }
 
     const { count, rows: posts } = await Post.findAndCountAll({
@@ -126,6 +159,12 @@ router.get('/', optionalAuth, [
           as: 'category',
           attributes: ['id', 'name', 'slug', 'color']
         },
+        {
+          model: Category,
+          as: 'categories',
+          attributes: ['id', 'name', 'slug', 'color'],
+          through: { attributes: [] }
+        },
         {
           model: Tag,
           as: 'tags',
@@ -172,8 +211,8 @@ router.get('/:id', optionalAuth, async (req, res) => {
 
     const whereCondition = { id };
     
-    // Solo mostrar posts publicados si no es admin/editor o no es el autor
-    if (!req.user || !['admin', 'super_admin', 'editor'].includes(req.user.role)) {
+    // Solo mostrar posts publicados a quien no puede ver los no publicados
+    if (!can(req.user, 'posts.view_unpublished')) {
       whereCondition.status = 'published';
       whereCondition.publishedAt = { [Op.lte]: new Date() };
     }
@@ -191,6 +230,12 @@ router.get('/:id', optionalAuth, async (req, res) => {
           as: 'category',
           attributes: ['id', 'name', 'slug', 'color', 'description']
         },
+        {
+          model: Category,
+          as: 'categories',
+          attributes: ['id', 'name', 'slug', 'color'],
+          through: { attributes: [] }
+        },
         {
           model: Tag,
           as: 'tags',
@@ -208,15 +253,16 @@ router.get('/:id', optionalAuth, async (req, res) => {
               as: 'user',
               attributes: ['id', 'username', 'firstName', 'lastName', 'avatar']
             }
-          ],
-          order: [['createdAt', 'DESC']]
+          ]
         },
         {
           model: Media,
           as: 'attachments',
           attributes: ['id', 'filename', 'originalName', 'url', 'type', 'alt', 'caption']
         }
-      ]
+      ],
+      // El orden dentro de un include se ignora; debe indicarse en la consulta principal
+      order: [[{ model: Comment, as: 'comments' }, 'createdAt', 'DESC']]
     });
 
     if (!post) {
@@ -231,9 +277,9 @@ router.get('/:id', optionalAuth, async (req, res) => {
       // El post ya se obtuvo sin restricciones de status
     }
 
-    // Incrementar contador de vistas (solo para posts publicados)
+    // Incrementar contador de vistas (solo para posts publicados) sin tocar updatedAt
     if (post.status === 'published') {
-      await post.increment('viewsCount');
+      await post.increment('viewsCount', { silent: true });
     }
 
     res.json({
@@ -257,7 +303,7 @@ router.get('/slug/:slug', optionalAuth, async (req, res) => {
 
     const whereCondition = { slug };
     
-    if (!req.user || !['admin', 'super_admin', 'editor'].includes(req.user.role)) {
+    if (!can(req.user, 'posts.view_unpublished')) {
       whereCondition.status = 'published';
       whereCondition.publishedAt = { [Op.lte]: new Date() };
     }
@@ -274,6 +320,11 @@ router.get('/slug/:slug', optionalAuth, async (req, res) => {
           model: Category,
           as: 'category'
         },
+        {
+          model: Category,
+          as: 'categories',
+          through: { attributes: [] }
+        },
         {
           model: Tag,
           as: 'tags',
@@ -302,9 +353,9 @@ router.get('/slug/:slug', optionalAuth, async (req, res) => {
       });
     }
 
-    // Incrementar vistas
+    // Incrementar vistas sin tocar updatedAt
     if (post.status === 'published') {
-      await post.increment('viewsCount');
+      await post.increment('viewsCount', { silent: true });
     }
 
     res.json({
@@ -322,7 +373,7 @@ router.get('/slug/:slug', optionalAuth, async (req, res) => {
 });
 
 // POST /api/posts - Crear nuevo post
-router.post('/', authenticateToken, authorizeRoles('admin', 'super_admin', 'editor', 'author'), postValidation, async (req, res) => {
+router.post('/', authenticateToken, authorize('posts.create'), postValidation, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -338,8 +389,10 @@ router.post('/', authenticateToken, authorizeRoles('admin', 'super_admin', 'edit
       content,
       excerpt,
       status = 'draft',
+      scheduledAt,
       type = 'post',
       categoryId,
+      categoryIds = [],
       tagIds = [],
       featuredImage,
       allowComments = true,
@@ -351,15 +404,30 @@ router.post('/', authenticateToken, authorizeRoles('admin', 'super_admin', 'edit
       customFields
     } = req.body;
 
-    // Verificar que la categoría existe si se proporciona
-    if (categoryId) {
-      const category = await Category.findByPk(categoryId);
-      if (!category) {
-        return res.status(400).json({
-          success: false,
-          message: 'Categoría no encontrada'
-        });
-      }
+    // Verificar que las categorías existen. La categoría principal siempre forma parte
+    // de las asignadas; si no se indica, se usa la primera de categoryIds.
+    const assignedCategoryIds = [...(categoryId ? [categoryId] : []), ...categoryIds];
+    const categories = await findCategories(assignedCategoryIds);
+    if (!categories) {
+      return res.status(400).json({
+        success: false,
+        message: 'Categoría no encontrada'
+      });
+    }
+    const primaryCategoryId = assignedCategoryIds.length > 0 ? parseInt(assignedCategoryIds[0]) : null;
+
+    if (!allowedInitialStatuses(req.user).includes(status)) {
+      return res.status(403).json({
+        success: false,
+        message: `No tienes permisos para crear posts con estado "${status}"`
+      });
+    }
+
+    if (status === 'scheduled' && !isFutureDate(scheduledAt)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Un post programado requiere una fecha de publicación futura'
+      });
     }
 
     // Crear el post
@@ -368,8 +436,9 @@ router.post('/', authenticateToken, authorizeRoles('admin', 'super_admin', 'edit
       content,
       excerpt,
       status,
+      scheduledAt: status === 'scheduled' ? scheduledAt : null,
       type,
-      categoryId,
+      categoryId: primaryCategoryId,
       featuredImage,
       authorId: req.user.id,
       allowComments,
@@ -381,6 +450,10 @@ router.post('/', authenticateToken, authorizeRoles('admin', 'super_admin', 'edit
       customFields
     });
 
+    if (categories.length > 0) {
+      await post.setCategories(categories);
+    }
+
     // Asociar tags si se proporcionan
     if (tagIds.length > 0) {
       const tags = await Tag.findAll({
@@ -401,6 +474,11 @@ router.post('/', authenticateToken, authorizeRoles('admin', 'super_admin', 'edit
           model: Category,
           as: 'category'
         },
+        {
+          model: Category,
+          as: 'categories',
+          through: { attributes: [] }
+        },
         {
           model: Tag,
           as: 'tags',
@@ -446,15 +524,9 @@ router.put('/:id', authenticateToken, postValidation, async (req, res) => {
       });
     }
 
-    // Verificar permisos: admin/super_admin pueden editar cualquier post, 
-    // editor puede editar posts de cualquier autor,
-    // author solo puede editar sus propios posts
-    const canEdit = 
-      ['admin', 'super_admin'].includes(req.user.role) ||
-      (req.user.role === 'editor') ||
-      (req.user.role === 'author' && post.authorId === req.user.id);
-
-    if (!canEdit) {
+    // Verificar permisos: posts.edit_others permite editar cualquier post,
+    // posts.create solo los propios
+    if (!canEditPost(req.user, post)) {
       return res.status(403).json({
         success: false,
         message: 'No tienes permisos para editar este post'
@@ -466,8 +538,10 @@ router.put('/:id', authenticateToken, postValidation, async (req, res) => {
       content,
       excerpt,
       status,
+      scheduledAt,
       type,
       categoryId,
+      categoryIds,
       tagIds,
       featuredImage,
       allowComments,
@@ -479,10 +553,32 @@ router.put('/:id', authenticateToken, postValidation, async (req, res) => {
       customFields
     } = req.body;
 
-    // Verificar categoría si se proporciona
-    if (categoryId && categoryId !== post.categoryId) {
-      const category = await Category.findByPk(categoryId);
-      if (!category) {
+    // Resolver categorías: con categoryIds se reemplaza el conjunto completo; con solo
+    // categoryId se sustituye la categoría principal dentro del conjunto actual
+    let nextCategories = null;
+    let nextCategoryId = categoryId;
+
+    if (Array.isArray(categoryIds)) {
+      const ids = [...(categoryId ? [categoryId] : []), ...categoryIds].map(value => parseInt(value));
+      nextCategories = await findCategories(ids);
+      if (!nextCategories) {
+        return res.status(400).json({
+          success: false,
+          message: 'Categoría no encontrada'
+        });
+      }
+      if (!categoryId) {
+        nextCategoryId = ids.includes(post.categoryId) ? post.categoryId : (ids[0] || null);
+      }
+    } else if (categoryId && categoryId != post.categoryId) {
+      const currentCategories = await post.getCategories({ attributes: ['id'] });
+      const ids = currentCategories
+        .map(category => category.id)
+        .filter(id => id !== post.categoryId)
+        .concat(parseInt(categoryId));
+
+      nextCategories = await findCategories(ids);
+      if (!nextCategories) {
         return res.status(400).json({
           success: false,
           message: 'Categoría no encontrada'
@@ -490,32 +586,80 @@ router.put('/:id', authenticateToken, postValidation, async (req, res) => {
       }
     }
 
-    // Actualizar el post
-    await post.update({
-      title,
-      content,
-      excerpt,
-      status,
-      type,
-      categoryId,
-      featuredImage,
-      allowComments,
-      isFeatured,
-      isSticky,
-      seoTitle,
-      seoDescription,
-      seoKeywords,
-      customFields
-    });
+    // La papelera tiene sus propios endpoints (DELETE y /restore)
+    if ((status === 'trash' || post.status === 'trash') && status && status !== post.status) {
+      return res.status(400).json({
+        success: false,
+        message: 'Usa DELETE /api/posts/:id para mover a la papelera y POST /api/posts/:id/restore para restaurar'
+      });
+    }
 
-    // Actualizar tags si se proporcionan
-    if (tagIds && Array.isArray(tagIds)) {
-      const tags = await Tag.findAll({
-        where: { id: { [Op.in]: tagIds } }
+    // Validar la transición de estado según el flujo editorial
+    const previousStatus = post.status;
+    if (status && status !== previousStatus && !canTransition(req.user, post, status)) {
+      return res.status(403).json({
+        success: false,
+        message: `No tienes permisos para cambiar el estado de "${previousStatus}" a "${status}"`,
+        data: { allowedTransitions: allowedTransitions(req.user, post) }
       });
-      await post.setTags(tags);
     }
 
+    // Validar la programación si el post queda (o pasa a estar) programado
+    const nextStatus = status || post.status;
+    if (nextStatus === 'scheduled' && (status === 'scheduled' || scheduledAt !== undefined)) {
+      const nextScheduledAt = scheduledAt !== undefined ? scheduledAt : post.scheduledAt;
+      if (!isFutureDate(nextScheduledAt)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Un post programado requiere una fecha de publicación futura'
+        });
+      }
+    }
+
+    // Guardar el estado anterior como revisión y actualizar el post en una misma transacción
+    await PostRevision.saveWithRevision(post, req.user.id, async (transaction) => {
+      await post.update({
+        title,
+        content,
+        excerpt,
+        status,
+        scheduledAt: nextStatus === 'scheduled' ? scheduledAt : null,
+        type,
+        categoryId: nextCategoryId,
+        featuredImage,
+        allowComments,
+        isFeatured,
+        isSticky,
+        seoTitle,
+        seoDescription,
+        seoKeywords,
+        customFields
+      }, { transaction });
+
+      if (post.status !== previousStatus) {
+        await PostReview.create({
+          postId: post.id,
+          userId: req.user.id,
+          action: 'status_changed',
+          fromStatus: previousStatus,
+          toStatus: post.status
+        }, { transaction });
+      }
+
+      if (nextCategories) {
+        await post.setCategories(nextCategories, { transaction });
+      }
+
+      // Actualizar tags si se proporcionan
+      if (tagIds && Array.isArray(tagIds)) {
+        const tags = await Tag.findAll({
+          where: { id: { [Op.in]: tagIds } },
+          transaction
+        });
+        await post.setTags(tags, { transaction });
+      }
+    });
+
     // Obtener el post actualizado
     const updatedPost = await Post.findByPk(post.id, {
       include: [
@@ -528,6 +672,11 @@ router.put('/:id', authenticateToken, postValidation, async (req, res) => {
           model: Category,
           as: 'category'
         },
+        {
+          model: Category,
+          as: 'categories',
+          through: { attributes: [] }
+        },
         {
           model: Tag,
           as: 'tags',
@@ -551,7 +700,31 @@ router.put('/:id', authenticateToken, postValidation, async (req, res) => {
   }
 });
 
-// DELETE /api/posts/:id - Eliminar post
+// DELETE /api/posts/trash - Vaciar la papelera (eliminación definitiva)
+router.delete('/trash', authenticateToken, authorize('posts.empty_trash'), async (req, res) => {
+  try {
+    const trashedPosts = await Post.findAll({ where: { status: 'trash' } });
+
+    for (const post of trashedPosts) {
+      await purgePost(post);
+    }
+
+    res.json({
+      success: true,
+      message: 'Papelera vaciada exitosamente',
+      data: { postsDeleted: trashedPosts.length }
+    });
+
+  } catch (error) {
+    console.error('Error al vaciar la papelera:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// DELETE /api/posts/:id - Mover post a la papelera
 router.delete('/:id', authenticateToken, async (req, res) => {
   try {
     const { id } = req.params;
@@ -564,24 +737,36 @@ router.delete('/:id', authenticateToken, async (req, res) => {
       });
     }
 
-    // Verificar permisos
-    const canDelete = 
-      ['admin', 'super_admin'].includes(req.user.role) ||
-      (req.user.role === 'editor') ||
-      (req.user.role === 'author' && post.authorId === req.user.id);
+    if (post.status === 'trash') {
+      return res.status(400).json({
+        success: false,
+        message: 'El post ya está en la papelera'
+      });
+    }
 
-    if (!canDelete) {
+    // Verificar permisos
+    if (!canTransition(req.user, post, 'trash')) {
       return res.status(403).json({
         success: false,
         message: 'No tienes permisos para eliminar este post'
       });
     }
 
-    await post.destroy();
+    const previousStatus = post.status;
+    await trashPost(post);
+
+    await PostReview.create({
+      postId: post.id,
+      userId: req.user.id,
+      action: 'status_changed',
+      fromStatus: previousStatus,
+      toStatus: 'trash'
+    });
 
     res.json({
       success: true,
-      message: 'Post eliminado exitosamente'
+      message: 'Post movido a la papelera',
+      data: { post }
     });
 
   } catch (error) {
@@ -593,13 +778,12 @@ router.delete('/:id', authenticateToken, async (req, res) => {
   }
 });
 
-// POST /api/posts/:id/like - Dar like a un post
-router.post('/:id/like', authenticateToken, async (req, res) => {
+// POST /api/posts/:id/restore - Restaurar un post de la papelera
+router.post('/:id/restore', authenticateToken, async (req, res) => {
   try {
     const { id } = req.params;
-    const { type = 'like' } = req.body;
-
     const post = await Post.findByPk(id);
+
     if (!post) {
       return res.status(404).json({
         success: false,
@@ -607,52 +791,93 @@ router.post('/:id/like', authenticateToken, async (req, res) => {
       });
     }
 
-    // Verificar si ya existe un like del usuario
-    const existingLike = await Like.findOne({
-      where: {
-        userId: req.user.id,
-        postId: id
-      }
+    if (post.status !== 'trash') {
+      return res.status(400).json({
+        success: false,
+        message: 'El post no está en la papelera'
+      });
+    }
+
+    if (!canTransition(req.user, post, 'draft')) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tienes permisos para restaurar este post'
+      });
+    }
+
+    await restorePost(post);
+
+    await PostReview.create({
+      postId: post.id,
+      userId: req.user.id,
+      action: 'status_changed',
+      fromStatus: 'trash',
+      toStatus: post.status
     });
 
-    if (existingLike) {
-      // Si es el mismo tipo, eliminar like
-      if (existingLike.type === type) {
-        await existingLike.destroy();
-        await post.decrement('likesCount');
-        
-        return res.json({
-          success: true,
-          message: 'Like eliminado',
-          data: { liked: false, likesCount: post.likesCount - 1 }
-        });
-      } else {
-        // Cambiar tipo de like
-        await existingLike.update({ type });
-        
-        return res.json({
-          success: true,
-          message: 'Like actualizado',
-          data: { liked: true, likesCount: post.likesCount, likeType: type }
-        });
-      }
-    } else {
-      // Crear nuevo like
-      await Like.create({
-        userId: req.user.id,
-        postId: id,
-        type
+    res.json({
+      success: true,
+      message: 'Post restaurado exitosamente',
+      data: { post }
+    });
+
+  } catch (error) {
+    console.error('Error al restaurar post:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// POST /api/posts/:id/like - Reaccionar a un post (like, dislike, love, laugh, angry, sad)
+// Repetir la misma reacción la elimina; otro tipo la sustituye
+router.post('/:id/like', authenticateToken, [
+  body('type')
+    .optional()
+    .isIn(REACTION_TYPES)
+    .withMessage(`El tipo de reacción debe ser uno de: ${REACTION_TYPES.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Errores de validación',
+        errors: errors.array()
       });
-      
-      await post.increment('likesCount');
+    }
 
-      res.json({
-        success: true,
-        message: 'Like agregado',
-        data: { liked: true, likesCount: post.likesCount + 1, likeType: type }
+    const { id } = req.params;
+    const { type = 'like' } = req.body;
+
+    const post = await Post.findByPk(id);
+    if (!post || post.status === 'trash') {
+      return res.status(404).json({
+        success: false,
+        message: 'Post no encontrado'
       });
     }
 
+    const result = await toggleReaction({ userId: req.user.id, target: { postId: post.id }, type });
+
+    const messages = {
+      added: 'Like agregado',
+      updated: 'Like actualizado',
+      removed: 'Like eliminado'
+    };
+
+    res.json({
+      success: true,
+      message: messages[result.action],
+      data: {
+        liked: result.reaction !== null,
+        likeType: result.reaction,
+        likesCount: result.likesCount,
+        reactionCounts: result.reactionCounts
+      }
+    });
+
   } catch (error) {
     console.error('Error al manejar like:', error);
     res.status(500).json({
@@ -662,68 +887,722 @@ router.post('/:id/like', authenticateToken, async (req, res) => {
   }
 });
 
-// GET /api/posts/:id/related - Obtener posts relacionados
-router.get('/:id/related', async (req, res) => {
+// GET /api/posts/:id/reactions - Reacciones de un post por tipo y usuarios que reaccionaron
+router.get('/:id/reactions', optionalAuth, [
+  query('type').optional().isIn(REACTION_TYPES).withMessage(`El tipo de reacción debe ser uno de: ${REACTION_TYPES.join(', ')}`),
+  query('page').optional().isInt({ min: 1 }).withMessage('La página debe ser un número positivo'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('El límite debe estar entre 1 y 100')
+], async (req, res) => {
   try {
-    const { id } = req.params;
-    const { limit = 5 } = req.query;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Errores de validación',
+        errors: errors.array()
+      });
+    }
 
-    const post = await Post.findByPk(id, {
-      include: [
-        {
-          model: Category,
-          as: 'category',
-          attributes: ['id']
-        },
-        {
-          model: Tag,
-          as: 'tags',
-          attributes: ['id'],
-          through: { attributes: [] }
-        }
-      ]
-    });
+    const { id } = req.params;
+    const { type, page = 1, limit = 20 } = req.query;
 
-    if (!post) {
+    const post = await Post.findByPk(id, { attributes: ['id', 'authorId', 'status', 'likesCount', 'reactionCounts'] });
+    if (!post || post.status === 'trash' || (post.status !== 'published' && !canEditPost(req.user, post))) {
       return res.status(404).json({
         success: false,
         message: 'Post no encontrado'
       });
     }
 
-    const relatedPosts = await Post.findAll({
-      where: {
-        id: { [Op.ne]: id },
-        status: 'published',
-        publishedAt: { [Op.lte]: new Date() },
-        [Op.or]: [
-          { categoryId: post.categoryId },
-          // Posts con tags similares se manejarían con una consulta más compleja
-        ]
-      },
-      include: [
-        {
-          model: User,
-          as: 'author',
-          attributes: ['id', 'username', 'firstName', 'lastName', 'avatar']
-        },
-        {
-          model: Category,
-          as: 'category',
-          attributes: ['id', 'name', 'slug', 'color']
-        }
-      ],
-      order: [['publishedAt', 'DESC']],
-      limit: parseInt(limit)
-    });
+    const target = { postId: post.id };
+    const { count, reactions } = await listReactions(target, { type, page: parseInt(page), limit: parseInt(limit) });
 
     res.json({
       success: true,
-      data: { posts: relatedPosts }
+      data: {
+        likesCount: post.likesCount,
+        reactionCounts: await countReactions(target),
+        userReaction: await findUserReaction(target, req.user && req.user.id),
+        reactions,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(count / limit),
+          totalItems: count,
+          itemsPerPage: parseInt(limit)
+        }
+      }
     });
 
   } catch (error) {
-    console.error('Error al obtener posts relacionados:', error);
+    console.error('Error al obtener reacciones del post:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// GET /api/posts/:id/comments - Árbol de comentarios aprobados con paginación por cursor
+// Con ?parentId= se paginan las respuestas de un comentario ("cargar más respuestas")
+router.get('/:id/comments', optionalAuth, [
+  query('sort').optional().isIn(Object.keys(COMMENT_SORTS)).withMessage(`El orden debe ser uno de: ${Object.keys(COMMENT_SORTS).join(', ')}`),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('El límite debe estar entre 1 y 50'),
+  query('depth').optional().isInt({ min: 0 }).withMessage('La profundidad debe ser un número positivo'),
+  query('repliesLimit').optional().isInt({ min: 1, max: 50 }).withMessage('El límite de respuestas debe estar entre 1 y 50'),
+  query('parentId').optional().isInt(),
+  query('cursor').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Errores de validación',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { sort = 'newest', limit = 10, depth, repliesLimit = 3, parentId } = req.query;
+
+    const post = await Post.findByPk(id, { attributes: ['id', 'authorId', 'status', 'commentsCount'] });
+
+    // Los comentarios de posts no publicados solo los ven quienes pueden editar el post
+    if (!post || post.status === 'trash' || (post.status !== 'published' && !canEditPost(req.user, post))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post no encontrado'
+      });
+    }
+
+    let cursor = null;
+    if (req.query.cursor) {
+      cursor = decodeCursor(req.query.cursor, sort);
+      if (!cursor) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cursor no válido'
+        });
+      }
+    }
+
+    if (parentId) {
+      const parent = await Comment.findOne({ where: { id: parentId, postId: post.id, status: 'approved' } });
+      if (!parent) {
+        return res.status(404).json({
+          success: false,
+          message: 'Comentario no encontrado'
+        });
+      }
+    }
+
+    const tree = await getCommentTree(post.id, {
+      parentId: parentId ? parseInt(parentId) : null,
+      sort,
+      limit: parseInt(limit),
+      cursor,
+      depth: depth === undefined ? undefined : parseInt(depth),
+      repliesLimit: parseInt(repliesLimit)
+    });
+
+    res.json({
+      success: true,
+      data: {
+        comments: tree.comments,
+        totalComments: post.commentsCount,
+        sort,
+        maxDepth: tree.maxDepth,
+        pagination: {
+          nextCursor: tree.nextCursor,
+          hasMore: tree.hasMore,
+          limit: parseInt(limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error al obtener comentarios del post:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// GET /api/posts/:id/related - Obtener posts relacionados
+// Con ?explain=true (solo editores) se devuelve el desglose de la puntuación de cada candidato
+router.get('/:id/related', optionalAuth, [
+  query('limit').optional().isInt({ min: 1, max: 20 }).withMessage('El límite debe estar entre 1 y 20'),
+  query('explain').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Errores de validación',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { limit = 5 } = req.query;
+    const explain = req.query.explain === 'true';
+
+    if (explain && !can(req.user, 'posts.view_unpublished')) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tienes permisos para ver el desglose de puntuación'
+      });
+    }
+
+    const post = await Post.findByPk(id);
+
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post no encontrado'
+      });
+    }
+
+    const { results, weights, halfLifeDays } = await findRelatedPosts(post, { limit: parseInt(limit) });
+
+    const posts = results.length > 0 ? await Post.findAll({
+      where: { id: { [Op.in]: results.map(result => result.id) } },
+      include: [
+        {
+          model: User,
+          as: 'author',
+          attributes: ['id', 'username', 'firstName', 'lastName', 'avatar']
+        },
+        {
+          model: Category,
+          as: 'category',
+          attributes: ['id', 'name', 'slug', 'color']
+        }
+      ]
+    }) : [];
+
+    // Mantener el orden por puntuación
+    const relatedPosts = results
+      .map(result => {
+        const related = posts.find(item => item.id === result.id);
+        if (!related) return null;
+        if (!explain) return related;
+
+        return {
+          ...related.toJSON(),
+          score: result.score,
+          scoreBreakdown: result.breakdown
+        };
+      })
+      .filter(Boolean);
+
+    res.json({
+      success: true,
+      data: {
+        posts: relatedPosts,
+        ...(explain && { scoring: { weights, halfLifeDays } })
+      }
+    });
+
+  } catch (error) {
+    console.error('Error al obtener posts relacionados:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// GET /api/posts/:id/revisions - Historial de revisiones de un post
+router.get('/:id/revisions', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const post = await Post.findByPk(id);
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post no encontrado'
+      });
+    }
+
+    if (!canEditPost(req.user, post)) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tienes permisos para ver las revisiones de este post'
+      });
+    }
+
+    const revisions = await PostRevision.findAll({
+      where: { postId: id },
+      attributes: { exclude: ['content', 'customFields'] },
+      include: [
+        {
+          model: User,
+          as: 'user',
+          attributes: ['id', 'username', 'firstName', 'lastName', 'avatar']
+        }
+      ],
+      order: [['revisionNumber', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      data: { revisions }
+    });
+
+  } catch (error) {
+    console.error('Error al obtener revisiones:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// GET /api/posts/:id/revisions/compare - Diferencias entre dos revisiones
+// (si no se indica "to" se compara contra el estado actual del post)
+router.get('/:id/revisions/compare', authenticateToken, [
+  query('from').isInt().withMessage('La revisión de origen es requerida'),
+  query('to').optional().isInt().withMessage('La revisión de destino debe ser un número')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Errores de validación',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { from, to } = req.query;
+
+    const post = await Post.findByPk(id, {
+      include: [
+        {
+          model: Category,
+          as: 'categories',
+          attributes: ['id'],
+          through: { attributes: [] }
+        },
+        {
+          model: Tag,
+          as: 'tags',
+          attributes: ['id'],
+          through: { attributes: [] }
+        }
+      ]
+    });
+
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post no encontrado'
+      });
+    }
+
+    if (!canEditPost(req.user, post)) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tienes permisos para ver las revisiones de este post'
+      });
+    }
+
+    const fromRevision = await PostRevision.findOne({ where: { id: from, postId: id } });
+    if (!fromRevision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revisión no encontrada'
+      });
+    }
+
+    let toState;
+    if (to) {
+      const toRevision = await PostRevision.findOne({ where: { id: to, postId: id } });
+      if (!toRevision) {
+        return res.status(404).json({
+          success: false,
+          message: 'Revisión no encontrada'
+        });
+      }
+      toState = toRevision.get({ plain: true });
+    } else {
+      toState = post.get({ plain: true });
+      toState.categoryIds = post.categories.map(category => category.id).sort((a, b) => a - b);
+      toState.tagIds = post.tags.map(tag => tag.id).sort((a, b) => a - b);
+    }
+
+    const changes = PostRevision.diff(fromRevision.get({ plain: true }), toState);
+
+    res.json({
+      success: true,
+      data: {
+        from: fromRevision.id,
+        to: to ? parseInt(to) : 'current',
+        changes
+      }
+    });
+
+  } catch (error) {
+    console.error('Error al comparar revisiones:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// GET /api/posts/:id/revisions/:revId - Obtener una revisión completa
+router.get('/:id/revisions/:revId', authenticateToken, async (req, res) => {
+  try {
+    const { id, revId } = req.params;
+
+    const post = await Post.findByPk(id);
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post no encontrado'
+      });
+    }
+
+    if (!canEditPost(req.user, post)) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tienes permisos para ver las revisiones de este post'
+      });
+    }
+
+    const revision = await PostRevision.findOne({
+      where: { id: revId, postId: id },
+      include: [
+        {
+          model: User,
+          as: 'user',
+          attributes: ['id', 'username', 'firstName', 'lastName', 'avatar']
+        }
+      ]
+    });
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revisión no encontrada'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { revision }
+    });
+
+  } catch (error) {
+    console.error('Error al obtener revisión:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// POST /api/posts/:id/revisions/:revId/restore - Restaurar un post a una revisión
+router.post('/:id/revisions/:revId/restore', authenticateToken, async (req, res) => {
+  try {
+    const { id, revId } = req.params;
+
+    const post = await Post.findByPk(id);
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post no encontrado'
+      });
+    }
+
+    if (!canEditPost(req.user, post)) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tienes permisos para editar este post'
+      });
+    }
+
+    const revision = await PostRevision.findOne({ where: { id: revId, postId: id } });
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revisión no encontrada'
+      });
+    }
+
+    const restoredData = {};
+    PostRevision.FIELDS.forEach(field => {
+      restoredData[field] = revision[field];
+    });
+
+    // La categoría pudo haberse eliminado después de crear la revisión
+    if (restoredData.categoryId && !(await Category.findByPk(restoredData.categoryId))) {
+      restoredData.categoryId = null;
+    }
+
+    // Categorías de la revisión que siguen existiendo, siempre con la principal entre ellas
+    const restoredCategories = await Category.findAll({
+      where: {
+        id: { [Op.in]: [...(revision.categoryIds || []), ...(restoredData.categoryId ? [restoredData.categoryId] : [])] }
+      }
+    });
+
+    // El estado actual también queda como revisión para poder deshacer la restauración
+    await PostRevision.saveWithRevision(post, req.user.id, async (transaction) => {
+      await post.update(restoredData, { transaction });
+      await post.setCategories(restoredCategories, { transaction });
+
+      // Restaurar el conjunto de tags (ignorando los que ya no existen)
+      const tags = await Tag.findAll({
+        where: { id: { [Op.in]: revision.tagIds || [] } },
+        transaction
+      });
+      await post.setTags(tags, { transaction });
+    });
+
+    const restoredPost = await Post.findByPk(post.id, {
+      include: [
+        {
+          model: User,
+          as: 'author',
+          attributes: ['id', 'username', 'firstName', 'lastName', 'avatar']
+        },
+        {
+          model: Category,
+          as: 'category'
+        },
+        {
+          model: Category,
+          as: 'categories',
+          through: { attributes: [] }
+        },
+        {
+          model: Tag,
+          as: 'tags',
+          through: { attributes: [] }
+        }
+      ]
+    });
+
+    res.json({
+      success: true,
+      message: `Post restaurado a la revisión #${revision.revisionNumber}`,
+      data: { post: restoredPost }
+    });
+
+  } catch (error) {
+    console.error('Error al restaurar revisión:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// Aplica una transición del flujo editorial y la registra en el historial de revisión
+async function applyReviewTransition(req, res, { action, toStatus, comment, extra = {}, message }) {
+  const { id } = req.params;
+  const post = await Post.findByPk(id);
+
+  if (!post) {
+    return res.status(404).json({
+      success: false,
+      message: 'Post no encontrado'
+    });
+  }
+
+  const fromStatus = post.status;
+  const expectedStatuses = action === 'submitted' ? ['draft'] : ['pending'];
+
+  if (!expectedStatuses.includes(fromStatus)) {
+    return res.status(400).json({
+      success: false,
+      message: `El post está en estado "${fromStatus}" y no puede pasar a "${toStatus}"`
+    });
+  }
+
+  if (!canTransition(req.user, post, toStatus)) {
+    return res.status(403).json({
+      success: false,
+      message: 'No tienes permisos para realizar esta acción sobre el post'
+    });
+  }
+
+  await post.update({ status: toStatus, ...extra });
+
+  const review = await PostReview.create({
+    postId: post.id,
+    userId: req.user.id,
+    action,
+    fromStatus,
+    toStatus,
+    comment
+  });
+
+  if (action === 'approved') {
+    await notifyPostApproved(post, req.user);
+  }
+
+  return res.json({
+    success: true,
+    message,
+    data: { post, review }
+  });
+}
+
+// POST /api/posts/:id/submit - Enviar un borrador a revisión
+router.post('/:id/submit', authenticateToken, [
+  body('comment').optional().isLength({ max: 2000 }).withMessage('El comentario no puede superar los 2000 caracteres')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Errores de validación',
+        errors: errors.array()
+      });
+    }
+
+    await applyReviewTransition(req, res, {
+      action: 'submitted',
+      toStatus: 'pending',
+      comment: req.body.comment,
+      message: 'Post enviado a revisión'
+    });
+
+  } catch (error) {
+    console.error('Error al enviar post a revisión:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// POST /api/posts/:id/approve - Aprobar un post pendiente (publicándolo o programándolo)
+router.post('/:id/approve', authenticateToken, authorize('posts.publish'), [
+  body('comment').optional().isLength({ max: 2000 }).withMessage('El comentario no puede superar los 2000 caracteres'),
+  body('scheduledAt').optional().isISO8601().withMessage('La fecha de programación debe ser una fecha válida')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Errores de validación',
+        errors: errors.array()
+      });
+    }
+
+    const { comment, scheduledAt } = req.body;
+
+    if (scheduledAt && !isFutureDate(scheduledAt)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Un post programado requiere una fecha de publicación futura'
+      });
+    }
+
+    await applyReviewTransition(req, res, {
+      action: 'approved',
+      toStatus: scheduledAt ? 'scheduled' : 'published',
+      comment,
+      extra: scheduledAt ? { scheduledAt } : {},
+      message: scheduledAt ? 'Post aprobado y programado' : 'Post aprobado y publicado'
+    });
+
+  } catch (error) {
+    console.error('Error al aprobar post:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// POST /api/posts/:id/reject - Rechazar un post pendiente y devolverlo a borrador
+router.post('/:id/reject', authenticateToken, authorize('posts.publish'), [
+  body('comment')
+    .trim()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage('Debes indicar el motivo del rechazo (máximo 2000 caracteres)')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Errores de validación',
+        errors: errors.array()
+      });
+    }
+
+    await applyReviewTransition(req, res, {
+      action: 'rejected',
+      toStatus: 'draft',
+      comment: req.body.comment,
+      message: 'Post rechazado y devuelto a borrador'
+    });
+
+  } catch (error) {
+    console.error('Error al rechazar post:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// GET /api/posts/:id/reviews - Historial del flujo editorial de un post
+router.get('/:id/reviews', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const post = await Post.findByPk(id);
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post no encontrado'
+      });
+    }
+
+    if (!canEditPost(req.user, post)) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tienes permisos para ver el historial de este post'
+      });
+    }
+
+    const reviews = await PostReview.findAll({
+      where: { postId: id },
+      include: [
+        {
+          model: User,
+          as: 'user',
+          attributes: ['id', 'username', 'firstName', 'lastName', 'avatar']
+        }
+      ],
+      order: [['createdAt', 'DESC'], ['id', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      data: {
+        status: post.status,
+        allowedTransitions: allowedTransitions(req.user, post),
+        reviews
+      }
+    });
+
+  } catch (error) {
+    console.error('Error al obtener historial de revisión:', error);
     res.status(500).json({
       success: false,
       message: 'Error interno del servidor'
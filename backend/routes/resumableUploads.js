@@ -0,0 +1,312 @@
+const express = require('express');
+const { UploadSession, Media } = require('../models');
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { resolveTargetFolder } = require('../services/mediaFolders');
+const { uploadError, getUploadRules, checkFileType, checkQuota } = require('../services/uploadValidation');
+const {
+  TUS_VERSION,
+  CHECKSUM_ALGORITHMS,
+  getUploadSettings,
+  parseUploadMetadata,
+  parseChecksum,
+  createUploadSession,
+  lockUpload,
+  unlockUpload,
+  appendChunk,
+  completeUpload,
+  deleteUploadSession
+} = require('../services/resumableUploads');
+
+const router = express.Router();
+
+// Código de estado del protocolo tus para una suma de verificación incorrecta
+const CHECKSUM_MISMATCH = 460;
+
+router.use((req, res, next) => {
+  res.set('Tus-Resumable', TUS_VERSION);
+
+  const version = req.get('Tus-Resumable');
+  if (version && version !== TUS_VERSION) {
+    res.set('Tus-Version', TUS_VERSION);
+    return res.status(412).json({
+      success: false,
+      message: `Versión del protocolo tus no soportada: ${version}`
+    });
+  }
+  next();
+});
+
+router.use(authenticateToken, authorize('media.upload'));
+
+const uploadHeaders = (session) => ({
+  'Upload-Offset': String(session.offset),
+  'Upload-Length': String(session.size),
+  'Upload-Expires': new Date(session.expiresAt).toUTCString(),
+  'Cache-Control': 'no-store'
+});
+
+// HEAD no admite cuerpo: ahí el error va solo en el código de estado
+function sendError(req, res, status, message, details = {}) {
+  if (req.method === 'HEAD') {
+    return res.status(status).end();
+  }
+  return res.status(status).json({
+    success: false,
+    message,
+    ...details
+  });
+}
+
+// Rechazo de services/uploadValidation: { code, status, message, ... }
+const sendUploadError = (req, res, { status, message, ...details }) => sendError(req, res, status, message, details);
+
+// Solo su autor ve y continúa una subida
+async function findUpload(req, res) {
+  const session = await UploadSession.findByPk(req.params.id);
+
+  if (!session || session.userId !== req.user.id) {
+    sendError(req, res, 404, 'Subida no encontrada');
+    return null;
+  }
+  if (!session.isComplete() && new Date(session.expiresAt) <= new Date()) {
+    sendError(req, res, 410, 'La subida ha caducado');
+    return null;
+  }
+
+  return session;
+}
+
+async function sendCompleted(res, session) {
+  const media = await Media.findByPk(session.mediaId);
+
+  res.set(uploadHeaders(session)).json({
+    success: true,
+    message: 'Archivo subido exitosamente',
+    data: { upload: session, media }
+  });
+}
+
+// POST /api/media/uploads - Crear una subida reanudable (cabeceras Upload-Length y Upload-Metadata)
+router.post('/', async (req, res) => {
+  try {
+    const { maxSize } = await getUploadSettings();
+    res.set({
+      'Tus-Max-Size': String(maxSize),
+      'Tus-Extension': 'creation,termination,checksum,expiration',
+      'Tus-Checksum-Algorithm': CHECKSUM_ALGORITHMS.join(',')
+    });
+
+    const length = req.get('Upload-Length');
+    if (!/^\d+$/.test(length || '') || parseInt(length) === 0) {
+      return sendError(req, res, 400, 'La cabecera Upload-Length debe indicar el tamaño del archivo en bytes');
+    }
+
+    const size = parseInt(length);
+    if (size > maxSize) {
+      return sendUploadError(req, res, uploadError('file_too_large', { maxSize }));
+    }
+
+    // El tipo se deduce de la extensión del nombre (filetype se ignora) y se verifica al completarse
+    const metadata = parseUploadMetadata(req.get('Upload-Metadata'));
+    const originalName = (metadata.filename || metadata.name || '').trim();
+
+    if (!originalName || originalName.length > 255) {
+      return sendError(req, res, 400, 'Indica el nombre del archivo (metadato filename)');
+    }
+
+    const rules = await getUploadRules();
+    const type = checkFileType(originalName, rules);
+    if (type.error) {
+      return sendUploadError(req, res, type.error);
+    }
+
+    const quotaError = await checkQuota(req.user, size, rules);
+    if (quotaError) {
+      return sendUploadError(req, res, quotaError);
+    }
+
+    const checksum = parseChecksum(metadata.checksum);
+    if (checksum && checksum.error) {
+      return sendError(req, res, 400, checksum.error);
+    }
+
+    if (metadata.folderId && !/^\d+$/.test(metadata.folderId)) {
+      return sendError(req, res, 400, 'El ID de la carpeta debe ser un número');
+    }
+    const target = await resolveTargetFolder(req.user, metadata.folderId);
+    if (target.error) {
+      return sendError(req, res, 400, target.error);
+    }
+
+    const session = await createUploadSession(req.user, {
+      originalName,
+      mimeType: type.mimeType,
+      size,
+      metadata: {
+        alt: metadata.alt,
+        caption: metadata.caption,
+        description: metadata.description,
+        postId: /^\d+$/.test(metadata.postId || '') ? parseInt(metadata.postId) : null,
+        folderId: target.folder ? target.folder.id : null,
+        checksum: metadata.checksum
+      }
+    });
+
+    res.status(201).set({
+      Location: `${req.baseUrl}/${session.id}`,
+      ...uploadHeaders(session)
+    }).json({
+      success: true,
+      message: 'Subida creada exitosamente',
+      data: { upload: session }
+    });
+
+  } catch (error) {
+    console.error('Error al crear subida reanudable:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// HEAD /api/media/uploads/:id - Bytes recibidos, para reanudar (Upload-Offset)
+router.head('/:id', async (req, res) => {
+  try {
+    const session = await findUpload(req, res);
+    if (!session) return;
+
+    res.set(uploadHeaders(session)).status(200).end();
+
+  } catch (error) {
+    console.error('Error al obtener subida reanudable:', error);
+    res.status(500).end();
+  }
+});
+
+// GET /api/media/uploads/:id - Estado de una subida y, si terminó, el archivo creado
+router.get('/:id', async (req, res) => {
+  try {
+    const session = await findUpload(req, res);
+    if (!session) return;
+
+    if (session.isComplete()) {
+      return sendCompleted(res, session);
+    }
+
+    res.set(uploadHeaders(session)).json({
+      success: true,
+      data: { upload: session }
+    });
+
+  } catch (error) {
+    console.error('Error al obtener subida reanudable:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// PATCH /api/media/uploads/:id - Enviar un fragmento desde Upload-Offset (opcionalmente con Upload-Checksum)
+router.patch('/:id', async (req, res) => {
+  let session = null;
+  let lockToken = null;
+
+  try {
+    session = await findUpload(req, res);
+    if (!session) return;
+
+    if (!req.is('application/offset+octet-stream')) {
+      return sendError(req, res, 415, 'El fragmento debe enviarse como application/offset+octet-stream');
+    }
+
+    const offset = req.get('Upload-Offset');
+    if (!/^\d+$/.test(offset || '') || parseInt(offset) !== session.offset) {
+      res.set(uploadHeaders(session));
+      return sendError(req, res, 409, `El fragmento debe empezar en el byte ${session.offset}`);
+    }
+
+    if (session.isComplete()) {
+      return sendCompleted(res, session);
+    }
+
+    const checksum = parseChecksum(req.get('Upload-Checksum'));
+    if (checksum && checksum.error) {
+      return sendError(req, res, 400, checksum.error);
+    }
+
+    // No se admiten dos PATCH a la vez sobre la misma subida, aunque lleguen a instancias distintas
+    lockToken = await lockUpload(session, session.offset);
+    if (!lockToken) {
+      await session.reload();
+      res.set(uploadHeaders(session));
+      return sendError(req, res, 409, 'La subida está recibiendo otro fragmento');
+    }
+
+    const result = await appendChunk(session, req, { lockToken, checksum });
+    res.set(uploadHeaders(session));
+
+    if (result.tooLarge) {
+      return sendError(req, res, 413, 'El fragmento supera el tamaño declarado del archivo');
+    }
+    if (result.checksumMismatch) {
+      return sendError(req, res, CHECKSUM_MISMATCH, 'La suma de verificación del fragmento no coincide', { code: 'checksum_mismatch' });
+    }
+    if (result.aborted) return;
+
+    if (session.offset < session.size) {
+      return res.status(204).end();
+    }
+
+    const completed = await completeUpload(session, req.user);
+    if (completed.checksumMismatch) {
+      return sendError(req, res, CHECKSUM_MISMATCH, 'La suma de verificación del archivo no coincide; vuelve a subirlo', {
+        code: 'checksum_mismatch'
+      });
+    }
+    if (completed.error) {
+      return sendUploadError(req, res, completed.error);
+    }
+
+    await sendCompleted(res, session);
+
+  } catch (error) {
+    console.error('Error al recibir fragmento:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  } finally {
+    if (lockToken) {
+      await unlockUpload(session, lockToken).catch(error => console.error('Error al liberar subida reanudable:', error));
+    }
+  }
+});
+
+// DELETE /api/media/uploads/:id - Cancelar una subida y descartar los bytes recibidos
+router.delete('/:id', async (req, res) => {
+  try {
+    const session = await findUpload(req, res);
+    if (!session) return;
+
+    if (!(await lockUpload(session, session.offset))) {
+      return sendError(req, res, 409, 'La subida está recibiendo un fragmento');
+    }
+
+    await deleteUploadSession(session);
+
+    res.status(204).end();
+
+  } catch (error) {
+    console.error('Error al cancelar subida reanudable:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,221 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { sequelize, Role, User } = require('../models');
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { PERMISSIONS, ALL, canGrant, invalidatePermissions } = require('../services/permissions');
+
+const router = express.Router();
+
+// Todas las rutas de roles requieren el permiso de gestionarlos
+router.use(authenticateToken, authorize('roles.manage'));
+
+// Validaciones
+const permissionsValidation = body('permissions')
+  .isArray()
+  .withMessage('Los permisos deben ser una lista')
+  .custom(permissions => permissions.every(permission => permission === ALL || PERMISSIONS[permission]))
+  .withMessage('La lista contiene permisos desconocidos');
+
+const roleValidation = [
+  body('label')
+    .isLength({ min: 2, max: 100 })
+    .withMessage('El nombre visible debe tener entre 2 y 100 caracteres')
+    .trim(),
+  body('description')
+    .optional({ nullable: true })
+    .isLength({ max: 500 })
+    .withMessage('La descripción no puede superar los 500 caracteres'),
+  permissionsValidation
+];
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    success: false,
+    message: 'Errores de validación',
+    errors: errors.array()
+  });
+  return true;
+};
+
+// Los permisos concedidos con el comodín equivalen a todo el catálogo
+const grantedPermissions = (permissions) => (permissions.includes(ALL) ? Object.keys(PERMISSIONS) : permissions);
+
+// GET /api/roles - Listar roles con sus permisos y el número de usuarios de cada uno
+router.get('/', async (req, res) => {
+  try {
+    const roles = await Role.findAll({ order: [['isSystem', 'DESC'], ['name', 'ASC']] });
+
+    const counts = await User.findAll({
+      attributes: ['role', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+      group: ['role'],
+      raw: true
+    });
+    const usersCount = Object.fromEntries(counts.map(row => [row.role, parseInt(row.count)]));
+
+    res.json({
+      success: true,
+      data: {
+        roles: roles.map(role => ({ ...role.toJSON(), usersCount: usersCount[role.name] || 0 }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Error al obtener roles:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// GET /api/roles/permissions - Catálogo de permisos disponibles
+router.get('/permissions', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description }))
+    }
+  });
+});
+
+// POST /api/roles - Crear un rol personalizado
+router.post('/', [
+  body('name')
+    .matches(/^[a-z][a-z0-9_]{2,49}$/)
+    .withMessage('El identificador debe tener entre 3 y 50 caracteres: minúsculas, números y guiones bajos'),
+  ...roleValidation
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { name, label, description, permissions } = req.body;
+
+    if (!canGrant(req.user, grantedPermissions(permissions))) {
+      return res.status(403).json({
+        success: false,
+        message: 'No puedes conceder permisos que no tienes'
+      });
+    }
+
+    if (await Role.findOne({ where: { name } })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Ya existe un rol con ese identificador'
+      });
+    }
+
+    const role = await Role.create({ name, label, description, permissions, isSystem: false });
+    invalidatePermissions();
+
+    res.status(201).json({
+      success: true,
+      message: 'Rol creado exitosamente',
+      data: { role }
+    });
+
+  } catch (error) {
+    console.error('Error al crear rol:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// PUT /api/roles/:name - Editar un rol y sus permisos (también los de serie)
+router.put('/:name', roleValidation, async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const role = await Role.findOne({ where: { name: req.params.name } });
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rol no encontrado'
+      });
+    }
+
+    // super_admin conserva siempre todos los permisos para que nadie pierda el acceso a la gestión
+    if (role.name === 'super_admin') {
+      return res.status(400).json({
+        success: false,
+        message: 'Los permisos del super administrador no se pueden modificar'
+      });
+    }
+
+    const { label, description, permissions } = req.body;
+
+    // Tanto los permisos que se conceden como los que se retiran deben estar al alcance de quien edita
+    if (!canGrant(req.user, grantedPermissions(permissions)) ||
+        !canGrant(req.user, grantedPermissions(role.permissions))) {
+      return res.status(403).json({
+        success: false,
+        message: 'No puedes modificar permisos que no tienes'
+      });
+    }
+
+    await role.update({ label, description, permissions });
+    invalidatePermissions();
+
+    res.json({
+      success: true,
+      message: 'Rol actualizado exitosamente',
+      data: { role }
+    });
+
+  } catch (error) {
+    console.error('Error al actualizar rol:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// DELETE /api/roles/:name - Eliminar un rol personalizado sin usuarios asignados
+router.delete('/:name', async (req, res) => {
+  try {
+    const role = await Role.findOne({ where: { name: req.params.name } });
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rol no encontrado'
+      });
+    }
+
+    if (role.isSystem) {
+      return res.status(400).json({
+        success: false,
+        message: 'Los roles de serie no se pueden eliminar'
+      });
+    }
+
+    const usersCount = await User.count({ where: { role: role.name } });
+    if (usersCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `No se puede eliminar el rol porque tiene ${usersCount} usuario(s) asignado(s)`
+      });
+    }
+
+    await role.destroy();
+    invalidatePermissions();
+
+    res.json({
+      success: true,
+      message: 'Rol eliminado exitosamente'
+    });
+
+  } catch (error) {
+    console.error('Error al eliminar rol:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,132 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const { Op } = require('sequelize');
+const { sequelize, Post, User, Category, Tag } = require('../models');
+const { searchPosts } = require('../services/postSearch');
+
+const router = express.Router();
+
+// GET /api/search - Búsqueda de texto completo en posts publicados
+router.get('/', [
+  query('q').trim().isLength({ min: 2, max: 200 }).withMessage('La búsqueda debe tener entre 2 y 200 caracteres'),
+  query('page').optional().isInt({ min: 1 }).withMessage('La página debe ser un número positivo'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('El límite debe estar entre 1 y 50'),
+  query('categoryId').optional().isInt(),
+  query('tagId').optional().isInt(),
+  query('category').optional().isSlug(),
+  query('tag').optional().isSlug(),
+  query('type').optional().isIn(['post', 'page', 'product', 'event'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Errores de validación',
+        errors: errors.array()
+      });
+    }
+
+    const { q, page = 1, limit = 10, type, category, tag } = req.query;
+    let { categoryId, tagId } = req.query;
+
+    // Permitir filtrar también por slug de categoría o tag
+    if (category && !categoryId) {
+      const found = await Category.findOne({ where: { slug: category }, attributes: ['id'] });
+      if (!found) {
+        return res.status(404).json({
+          success: false,
+          message: 'Categoría no encontrada'
+        });
+      }
+      categoryId = found.id;
+    }
+
+    if (tag && !tagId) {
+      const found = await Tag.findOne({ where: { slug: tag }, attributes: ['id'] });
+      if (!found) {
+        return res.status(404).json({
+          success: false,
+          message: 'Tag no encontrado'
+        });
+      }
+      tagId = found.id;
+    }
+
+    const { results, total } = await searchPosts(sequelize, {
+      query: q,
+      categoryId,
+      tagId,
+      type,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    // Cargar los posts conservando el orden por relevancia
+    const posts = results.length > 0 ? await Post.findAll({
+      where: { id: { [Op.in]: results.map(result => result.id) } },
+      attributes: ['id', 'title', 'slug', 'excerpt', 'type', 'featuredImage', 'publishedAt', 'readingTime'],
+      include: [
+        {
+          model: User,
+          as: 'author',
+          attributes: ['id', 'username', 'firstName', 'lastName', 'avatar']
+        },
+        {
+          model: Category,
+          as: 'category',
+          attributes: ['id', 'name', 'slug', 'color']
+        },
+        {
+          model: Tag,
+          as: 'tags',
+          attributes: ['id', 'name', 'slug', 'color'],
+          through: { attributes: [] }
+        }
+      ]
+    }) : [];
+
+    const items = results
+      .map(result => {
+        const post = posts.find(item => item.id === result.id);
+        if (!post) return null;
+
+        return {
+          ...post.toJSON(),
+          score: Number(result.score),
+          highlights: {
+            title: result.titleHighlight,
+            snippet: result.snippet
+          }
+        };
+      })
+      .filter(Boolean);
+
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: {
+        query: q,
+        results: items,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalItems: Number(total),
+          itemsPerPage: parseInt(limit),
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error en la búsqueda:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -1,20 +1,21 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { Setting } = require('../models');
-const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { authenticateToken, authorize, optionalAuth } = require('../middleware/auth');
+const { can } = require('../services/permissions');
 
 const router = express.Router();
 
 // GET /api/settings - Obtener configuraciones
-router.get('/', async (req, res) => {
+router.get('/', optionalAuth, async (req, res) => {
   try {
     const { category, isPublic } = req.query;
 
     const whereConditions = {};
     if (category) whereConditions.category = category;
     
-    // Solo mostrar configuraciones públicas si no es admin
-    if (!req.user || !['admin', 'super_admin'].includes(req.user?.role)) {
+    // Solo mostrar configuraciones públicas a quien no puede gestionarlas
+    if (!can(req.user, 'settings.manage')) {
       whereConditions.isPublic = true;
     } else if (isPublic !== undefined) {
       whereConditions.isPublic = isPublic === 'true';
@@ -61,7 +62,7 @@ router.get('/', async (req, res) => {
 });
 
 // GET /api/settings/:key - Obtener configuración específica
-router.get('/:key', async (req, res) => {
+router.get('/:key', optionalAuth, async (req, res) => {
   try {
     const { key } = req.params;
 
@@ -74,7 +75,7 @@ router.get('/:key', async (req, res) => {
     }
 
     // Verificar permisos para configuraciones privadas
-    if (!setting.isPublic && (!req.user || !['admin', 'super_admin'].includes(req.user.role))) {
+    if (!setting.isPublic && !can(req.user, 'settings.manage')) {
       return res.status(403).json({
         success: false,
         message: 'No tienes permisos para ver esta configuración'
@@ -104,7 +105,7 @@ router.get('/:key', async (req, res) => {
 });
 
 // PUT /api/settings/:key - Actualizar configuración
-router.put('/:key', authenticateToken, authorizeRoles('admin', 'super_admin'), [
+router.put('/:key', authenticateToken, authorize('settings.manage'), [
   body('value').notEmpty().withMessage('Valor requerido'),
   body('type').optional().isIn(['string', 'number', 'boolean', 'json', 'array'])
 ], async (req, res) => {
@@ -188,7 +189,7 @@ router.put('/:key', authenticateToken, authorizeRoles('admin', 'super_admin'), [
 });
 
 // POST /api/settings - Crear nueva configuración
-router.post('/', authenticateToken, authorizeRoles('super_admin'), [
+router.post('/', authenticateToken, authorize('settings.define'), [
   body('key').isLength({ min: 1, max: 100 }).withMessage('Clave requerida'),
   body('value').notEmpty().withMessage('Valor requerido'),
   body('type').isIn(['string', 'number', 'boolean', 'json', 'array']).withMessage('Tipo inválido'),
@@ -261,7 +262,7 @@ router.post('/', authenticateToken, authorizeRoles('super_admin'), [
 });
 
 // DELETE /api/settings/:key - Eliminar configuración
-router.delete('/:key', authenticateToken, authorizeRoles('super_admin'), async (req, res) => {
+router.delete('/:key', authenticateToken, authorize('settings.define'), async (req, res) => {
   try {
     const { key } = req.params;
 
@@ -0,0 +1,47 @@
+const express = require('express');
+const { getSitemap } = require('../services/sitemap');
+
+const router = express.Router();
+
+const sendSitemap = async (res, name) => {
+  const sitemap = await getSitemap(name);
+
+  if (!sitemap) {
+    return res.status(404).json({
+      success: false,
+      message: 'Sitemap no encontrado'
+    });
+  }
+
+  res.set('Content-Type', 'application/xml; charset=utf-8');
+  res.set('Last-Modified', sitemap.generatedAt.toUTCString());
+  res.send(sitemap.xml);
+};
+
+// GET /sitemap.xml - Índice de sitemaps
+router.get('/sitemap.xml', async (req, res) => {
+  try {
+    await sendSitemap(res, 'index');
+  } catch (error) {
+    console.error('Error al generar índice de sitemaps:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// GET /sitemaps/:name.xml - Sitemap hijo (p. ej. post-1.xml, page-1.xml, categories-1.xml)
+router.get('/sitemaps/:name.xml', async (req, res) => {
+  try {
+    await sendSitemap(res, req.params.name);
+  } catch (error) {
+    console.error('Error al generar sitemap:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -1,7 +1,8 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const { Tag, Post } = require('../models');
-const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { FEED_FORMATS, sendFeed } = require('../services/feeds');
 
 const router = express.Router();
 
@@ -74,7 +75,7 @@ router.get('/', async (req, res) => {
 });
 
 // POST /api/tags - Crear nuevo tag
-router.post('/', authenticateToken, authorizeRoles('admin', 'super_admin', 'editor', 'author'), tagValidation, async (req, res) => {
+router.post('/', authenticateToken, authorize('tags.create'), tagValidation, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -109,7 +110,7 @@ router.post('/', authenticateToken, authorizeRoles('admin', 'super_admin', 'edit
 });
 
 // PUT /api/tags/:id - Actualizar tag
-router.put('/:id', authenticateToken, authorizeRoles('admin', 'super_admin', 'editor'), tagValidation, async (req, res) => {
+router.put('/:id', authenticateToken, authorize('tags.manage'), tagValidation, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -154,7 +155,7 @@ router.put('/:id', authenticateToken, authorizeRoles('admin', 'super_admin', 'ed
 });
 
 // DELETE /api/tags/:id - Eliminar tag
-router.delete('/:id', authenticateToken, authorizeRoles('admin', 'super_admin'), async (req, res) => {
+router.delete('/:id', authenticateToken, authorize('tags.delete'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -182,4 +183,48 @@ router.delete('/:id', authenticateToken, authorizeRoles('admin', 'super_admin'),
   }
 });
 
+// GET /api/tags/:slug/feed - Feed de los posts de un tag (?format=rss|atom|json)
+router.get('/:slug/feed', [
+  query('format')
+    .optional()
+    .isIn(FEED_FORMATS)
+    .withMessage(`El formato debe ser uno de: ${FEED_FORMATS.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Errores de validación',
+        errors: errors.array()
+      });
+    }
+
+    const tag = await Tag.findOne({
+      where: { slug: req.params.slug, isActive: true }
+    });
+
+    if (!tag) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tag no encontrado'
+      });
+    }
+
+    await sendFeed(req, res, req.query.format || 'rss', {
+      title: tag.name,
+      description: tag.description,
+      path: `/tags/${tag.slug}`,
+      where: Post.withTag(tag.id)
+    });
+
+  } catch (error) {
+    console.error('Error al generar feed de tag:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
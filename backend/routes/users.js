@@ -1,19 +1,25 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
-const { User, Post } = require('../models');
-const { authenticateToken, authorizeRoles, authorizeOwnerOrAdmin } = require('../middleware/auth');
+const { body, query, validationResult } = require('express-validator');
+const { Op } = require('sequelize');
+const { User, Post, LoginEvent } = require('../models');
+const { authenticateToken, authorize, authorizeOwnerOrAdmin } = require('../middleware/auth');
+const { FEED_FORMATS, sendFeed } = require('../services/feeds');
+const { isLocked, resetFailedAttempts } = require('../services/loginSecurity');
+const { can, canGrant, roleExists, getRolePermissions } = require('../services/permissions');
 
 const router = express.Router();
 
 // GET /api/users - Obtener usuarios (solo admins)
-router.get('/', authenticateToken, authorizeRoles('admin', 'super_admin'), async (req, res) => {
+router.get('/', authenticateToken, authorize('users.manage'), async (req, res) => {
   try {
-    const { page = 1, limit = 20, role, status, search } = req.query;
+    const { page = 1, limit = 20, role, status, search, locked } = req.query;
     const offset = (page - 1) * limit;
 
     const whereConditions = {};
     if (role) whereConditions.role = role;
     if (status) whereConditions.status = status;
+    // ?locked=true: cuentas bloqueadas ahora mismo por intentos fallidos
+    if (locked === 'true') whereConditions.lockedUntil = { [Op.gt]: new Date() };
     if (search) {
       whereConditions[require('sequelize').Op.or] = [
         { username: { [require('sequelize').Op.like]: `%${search}%` } },
@@ -120,7 +126,7 @@ router.put('/:id', authenticateToken, [
     // Verificar permisos
     const canEdit = 
       req.user.id == id ||
-      ['admin', 'super_admin'].includes(req.user.role);
+      can(req.user, 'users.manage');
 
     if (!canEdit) {
       return res.status(403).json({
@@ -131,12 +137,30 @@ router.put('/:id', authenticateToken, [
 
     const { firstName, lastName, bio, avatar } = req.body;
 
-    // Solo admins pueden cambiar roles y estados
+    // Solo quien gestiona usuarios puede cambiar roles y estados
     let updateData = { firstName, lastName, bio, avatar };
     
-    if (['admin', 'super_admin'].includes(req.user.role)) {
+    if (can(req.user, 'users.manage')) {
       const { role, status } = req.body;
-      if (role) updateData.role = role;
+      if (role && role !== user.role) {
+        if (!(await roleExists(role))) {
+          return res.status(400).json({
+            success: false,
+            message: 'El rol no existe'
+          });
+        }
+
+        // No se puede asignar un rol con más permisos que los propios, ni cambiar el de alguien que los tiene
+        if (!canGrant(req.user, await getRolePermissions(role)) ||
+            !canGrant(req.user, await getRolePermissions(user.role))) {
+          return res.status(403).json({
+            success: false,
+            message: 'No puedes asignar un rol con permisos que no tienes'
+          });
+        }
+
+        updateData.role = role;
+      }
       if (status) updateData.status = status;
     }
 
@@ -158,7 +182,7 @@ router.put('/:id', authenticateToken, [
 });
 
 // DELETE /api/users/:id - Eliminar usuario
-router.delete('/:id', authenticateToken, authorizeRoles('admin', 'super_admin'), async (req, res) => {
+router.delete('/:id', authenticateToken, authorize('users.manage'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -193,4 +217,142 @@ router.delete('/:id', authenticateToken, authorizeRoles('admin', 'super_admin'),
   }
 });
 
+// GET /api/users/:id/login-history - Historial de accesos de un usuario (solo admins)
+router.get('/:id/login-history', authenticateToken, authorize('users.manage'), [
+  query('page').optional().isInt({ min: 1 }).withMessage('La página debe ser un número positivo'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('El límite debe estar entre 1 y 100'),
+  query('success').optional().isBoolean().withMessage('success debe ser true o false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Errores de validación',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { page = 1, limit = 20, success } = req.query;
+
+    const user = await User.findByPk(id, { attributes: ['id', 'failedLoginAttempts', 'lockedUntil', 'lastLogin'] });
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Usuario no encontrado'
+      });
+    }
+
+    const whereConditions = { userId: user.id };
+    if (success !== undefined) whereConditions.success = success === 'true';
+
+    const { count, rows: events } = await LoginEvent.findAndCountAll({
+      where: whereConditions,
+      order: [['createdAt', 'DESC'], ['id', 'DESC']],
+      limit: parseInt(limit),
+      offset: (page - 1) * limit
+    });
+
+    res.json({
+      success: true,
+      data: {
+        events,
+        lockout: {
+          failedLoginAttempts: user.failedLoginAttempts,
+          lockedUntil: user.lockedUntil,
+          locked: isLocked(user)
+        },
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(count / limit),
+          totalItems: count,
+          itemsPerPage: parseInt(limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error al obtener historial de accesos:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// POST /api/users/:id/unlock - Desbloquear una cuenta bloqueada por intentos fallidos
+router.post('/:id/unlock', authenticateToken, authorize('users.manage'), async (req, res) => {
+  try {
+    const user = await User.findByPk(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Usuario no encontrado'
+      });
+    }
+
+    await resetFailedAttempts(user);
+
+    res.json({
+      success: true,
+      message: 'Cuenta desbloqueada exitosamente',
+      data: { user }
+    });
+
+  } catch (error) {
+    console.error('Error al desbloquear usuario:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// GET /api/users/:username/feed - Feed de los posts de un autor (?format=rss|atom|json)
+router.get('/:username/feed', [
+  query('format')
+    .optional()
+    .isIn(FEED_FORMATS)
+    .withMessage(`El formato debe ser uno de: ${FEED_FORMATS.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Errores de validación',
+        errors: errors.array()
+      });
+    }
+
+    const author = await User.findOne({
+      where: { username: req.params.username, status: 'active' }
+    });
+
+    if (!author) {
+      return res.status(404).json({
+        success: false,
+        message: 'Autor no encontrado'
+      });
+    }
+
+    const name = [author.firstName, author.lastName].filter(Boolean).join(' ') || author.username;
+
+    await sendFeed(req, res, req.query.format || 'rss', {
+      title: name,
+      description: author.bio,
+      path: `/authors/${author.username}`,
+      where: { authorId: author.id }
+    });
+
+  } catch (error) {
+    console.error('Error al generar feed de autor:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
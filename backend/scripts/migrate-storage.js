@@ -0,0 +1,131 @@
+// Mueve los archivos subidos (originales y tamaños generados) de un almacenamiento a otro.
+// Uso: npm run storage:migrate -- --from local --to s3 [--delete-source] [--dry-run]
+const os = require('os');
+const path = require('path');
+const { createWriteStream } = require('fs');
+const fs = require('fs').promises;
+const { pipeline } = require('stream/promises');
+const db = require('../models');
+const { DRIVERS, getStorage, getMediaKey } = require('../services/storage');
+const { FORMATS, variantKeys } = require('../services/imageVariants');
+
+const BATCH_SIZE = 50;
+
+function parseArgs(argv) {
+  const options = { deleteSource: false, dryRun: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--from' || arg === '--to') {
+      options[arg.slice(2)] = argv[++i];
+    } else if (arg === '--delete-source') {
+      options.deleteSource = true;
+    } else if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else {
+      throw new Error(`Argumento no reconocido: ${arg}`);
+    }
+  }
+
+  if (!DRIVERS.includes(options.from) || !DRIVERS.includes(options.to) || options.from === options.to) {
+    throw new Error(`Indica dos almacenamientos distintos con --from y --to (${DRIVERS.join(', ')})`);
+  }
+  return options;
+}
+
+// Copiar un objeto pasando por un archivo temporal, sin cargarlo entero en memoria
+// (putFile sube por partes los archivos grandes)
+async function copyObject(source, target, key, contentType) {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'storage-migrate-'));
+  const tempPath = path.join(tempDir, path.posix.basename(key));
+
+  try {
+    await pipeline(await source.getStream(key), createWriteStream(tempPath));
+    await target.putFile(key, tempPath, { contentType });
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+}
+
+// Copiar un archivo con sus tamaños y apuntar el registro al nuevo almacenamiento
+async function migrateMedia(media, source, target, { deleteSource }) {
+  const key = getMediaKey(media);
+  const sizes = JSON.parse(JSON.stringify((media.metadata && media.metadata.sizes) || {}));
+  const keys = variantKeys(media);
+
+  await copyObject(source, target, key, media.mimeType);
+
+  // variantKeys recorre los tamaños en este mismo orden
+  let index = 0;
+  for (const size of Object.values(sizes)) {
+    for (const [format, variant] of Object.entries(size.formats || {})) {
+      const variantKey = keys[index++];
+      await copyObject(source, target, variantKey, FORMATS[format] && FORMATS[format].mimeType);
+      variant.key = variantKey;
+      variant.url = target.url(variantKey);
+    }
+  }
+
+  await media.update({
+    storage: target.name,
+    path: key,
+    url: target.url(key),
+    metadata: { ...media.metadata, sizes }
+  });
+
+  if (deleteSource) {
+    for (const oldKey of [key, ...keys]) {
+      await source.delete(oldKey);
+    }
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const source = getStorage(options.from);
+  const target = getStorage(options.to);
+
+  await db.sequelize.authenticate();
+
+  const total = await db.Media.count({ where: { storage: options.from } });
+  console.log(`📦 ${total} archivos en "${options.from}"${options.dryRun ? ' (simulación)' : ''}`);
+  if (options.dryRun) return;
+
+  let migrated = 0;
+  let failed = 0;
+  let lastId = 0;
+
+  for (;;) {
+    const batch = await db.Media.findAll({
+      where: { storage: options.from, id: { [db.Sequelize.Op.gt]: lastId } },
+      order: [['id', 'ASC']],
+      limit: BATCH_SIZE
+    });
+    if (batch.length === 0) break;
+
+    for (const media of batch) {
+      try {
+        await migrateMedia(media, source, target, options);
+        migrated++;
+      } catch (error) {
+        failed++;
+        console.error(`❌ Error al migrar el archivo ${media.id} (${media.filename}):`, error.message);
+      }
+    }
+
+    lastId = batch[batch.length - 1].id;
+    console.log(`   ${migrated + failed}/${total} procesados`);
+  }
+
+  console.log(`✅ ${migrated} archivos migrados a "${options.to}"${failed ? `, ${failed} con errores` : ''}.`);
+  if (failed) {
+    process.exitCode = 1;
+  }
+}
+
+main()
+  .catch(error => {
+    console.error('❌ Error al migrar el almacenamiento:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => db.sequelize.close());
\ No newline at end of file
@@ -0,0 +1,23 @@
+// Reconstruye el índice de búsqueda de texto completo de los posts.
+// Uso: npm run search:reindex
+const db = require('../models');
+const { ensureSearchIndex, rebuildSearchIndex } = require('../services/postSearch');
+
+async function main() {
+  await db.sequelize.authenticate();
+
+  const created = await ensureSearchIndex(db.sequelize);
+  if (!created) {
+    await rebuildSearchIndex(db.sequelize);
+  }
+
+  const total = await db.Post.count();
+  console.log(`✅ Índice de búsqueda reconstruido (${total} posts).`);
+}
+
+main()
+  .catch(error => {
+    console.error('❌ Error al reconstruir el índice de búsqueda:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => db.sequelize.close());
\ No newline at end of file
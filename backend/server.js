@@ -6,7 +6,6 @@ const morgan = require('morgan');
 const compression = require('compression');
 const cookieParser = require('cookie-parser');
 const rateLimit = require('express-rate-limit');
-const path = require('path');
 
 const db = require('./models');
 const authRoutes = require('./routes/auth');
@@ -16,12 +15,46 @@ const categoryRoutes = require('./routes/categories');
 const tagRoutes = require('./routes/tags');
 const commentRoutes = require('./routes/comments');
 const mediaRoutes = require('./routes/media');
+const mediaFolderRoutes = require('./routes/mediaFolders');
+const resumableUploadRoutes = require('./routes/resumableUploads');
 const settingRoutes = require('./routes/settings');
 const dashboardRoutes = require('./routes/dashboard');
+const roleRoutes = require('./routes/roles');
+const apiKeyRoutes = require('./routes/apiKeys');
+const searchRoutes = require('./routes/search');
+const feedRoutes = require('./routes/feeds');
+const sitemapRoutes = require('./routes/sitemap');
+const { createPostScheduler } = require('./services/postScheduler');
+const { createTrashPurger } = require('./services/postTrash');
+const { ensureSearchIndex } = require('./services/postSearch');
+const { createMailWorker } = require('./services/mailer');
+const { ensureSystemRoles } = require('./services/permissions');
+const { resolveApiKey } = require('./middleware/auth');
+const { protectPrivateUploads } = require('./middleware/privateUploads');
+const { LOCAL_ROOT } = require('./services/storage');
+const { createUploadPurger } = require('./services/resumableUploads');
+const { upgradeAllowedFileTypes } = require('./services/uploadValidation');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Publicador de posts programados
+const postScheduler = createPostScheduler({
+  Post: db.Post,
+  pollInterval: parseInt(process.env.POST_SCHEDULER_INTERVAL) || 60 * 1000
+});
+
+// Purga automática de la papelera según trash_retention_days
+const trashPurger = createTrashPurger();
+
+// Limpieza de las subidas reanudables caducadas
+const uploadPurger = createUploadPurger();
+
+// Envío de la cola de emails con reintentos
+const mailWorker = createMailWorker({
+  interval: parseInt(process.env.MAIL_WORKER_INTERVAL) || 60 * 1000
+});
+
 // Middlewares de seguridad
 app.use(helmet({
   crossOriginEmbedderPolicy: false,
@@ -35,13 +68,52 @@ app.use(helmet({
   },
 }));
 
+// Fragmentos (PATCH) y consultas de estado (HEAD) de una subida reanudable
+const isUploadChunkRequest = (req) =>
+  ['PATCH', 'HEAD'].includes(req.method) && /^\/media\/uploads\/[0-9a-f]+$/.test(req.path);
+
 // Rate limiting
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutos
   max: 100, // límite de 100 requests por IP por ventana de tiempo
-  message: 'Demasiadas solicitudes desde esta IP, intenta de nuevo más tarde.'
+  message: 'Demasiadas solicitudes desde esta IP, intenta de nuevo más tarde.',
+  // Las peticiones con una API key ya validada (resolveApiKey) tienen su propio límite por
+  // clave; las transformaciones de imagen (renderLimiter) y los fragmentos de una subida
+  // reanudable (uploadChunkLimiter) tienen el suyo
+  skip: (req) => Boolean(req.apiKey) ||
+    /^\/media\/\d+\/render$/.test(req.path) ||
+    isUploadChunkRequest(req)
+});
+
+// Las peticiones con X-API-Key se limitan por clave, pero cada clave rechazada cuenta contra la
+// IP antes de consultar la base de datos: así no se pueden probar claves sin límite
+const apiKeyFailureLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 20,
+  message: 'Demasiadas API keys no válidas desde esta IP, intenta de nuevo más tarde.',
+  skip: (req) => !req.headers['x-api-key'],
+  skipSuccessfulRequests: true,
+  requestWasSuccessful: (req, res) => res.statusCode !== 401
+});
+app.use('/api/', apiKeyFailureLimiter, resolveApiKey, limiter);
+
+// Las páginas piden muchas imágenes a la vez: límite propio, más amplio, para las transformaciones
+const renderLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: 300,
+  message: 'Demasiadas transformaciones de imagen desde esta IP, intenta de nuevo más tarde.'
 });
-app.use('/api/', limiter);
+app.use(/^\/api\/media\/\d+\/render$/, renderLimiter);
+
+// Una subida grande son cientos de fragmentos: límite propio por IP, que se aplica antes de
+// autenticar, para que no cuenten contra el límite general pero tampoco queden sin límite
+const uploadChunkLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 2000,
+  message: 'Demasiados fragmentos de subida desde esta IP, intenta de nuevo más tarde.',
+  skip: (req) => !isUploadChunkRequest(req)
+});
+app.use('/api/', uploadChunkLimiter);
 
 // Rate limiting más estricto para auth
 const authLimiter = rateLimit({
@@ -56,8 +128,13 @@ app.use('/api/auth/register', authLimiter);
 app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:3000',
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  methods: ['GET', 'HEAD', 'POST', 'PUT', 'DELETE', 'PATCH'],
+  allowedHeaders: [
+    'Content-Type', 'Authorization', 'X-Requested-With',
+    // Protocolo tus de las subidas reanudables
+    'Tus-Resumable', 'Upload-Length', 'Upload-Metadata', 'Upload-Offset', 'Upload-Checksum'
+  ],
+  exposedHeaders: ['Location', 'Tus-Resumable', 'Tus-Max-Size', 'Upload-Offset', 'Upload-Length', 'Upload-Expires']
 }));
 
 // Middlewares generales
@@ -67,8 +144,8 @@ app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 app.use(cookieParser());
 
-// Servir archivos estáticos
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+// Servir archivos estáticos (salvo los privados)
+app.use('/uploads', protectPrivateUploads, express.static(LOCAL_ROOT));
 
 // Middleware para logging de requests
 app.use((req, res, next) => {
@@ -93,9 +170,20 @@ app.use('/api/posts', postRoutes);
 app.use('/api/categories', categoryRoutes);
 app.use('/api/tags', tagRoutes);
 app.use('/api/comments', commentRoutes);
+app.use('/api/media/folders', mediaFolderRoutes);
+app.use('/api/media/uploads', resumableUploadRoutes);
 app.use('/api/media', mediaRoutes);
 app.use('/api/settings', settingRoutes);
 app.use('/api/dashboard', dashboardRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/search', searchRoutes);
+
+// Feeds de sindicación (RSS 2.0, Atom y JSON Feed)
+app.use('/', feedRoutes);
+
+// Sitemaps XML para buscadores
+app.use('/', sitemapRoutes);
 
 // Documentación Swagger
 const { setupSwagger } = require('./swagger');
@@ -116,7 +204,12 @@ app.get('/', (req, res) => {
       comments: '/api/comments',
       media: '/api/media',
       settings: '/api/settings',
-      dashboard: '/api/dashboard'
+      dashboard: '/api/dashboard',
+      roles: '/api/roles',
+      apiKeys: '/api/api-keys',
+      search: '/api/search',
+      feeds: ['/feed.xml', '/atom.xml', '/feed.json'],
+      sitemap: '/sitemap.xml'
     }
   });
 });
@@ -200,6 +293,19 @@ async function initializeDatabase() {
       // Crear configuraciones por defecto
       await createDefaultSettings();
     }
+
+    // Roles de serie con su mapeo de permisos por defecto
+    await ensureSystemRoles();
+
+    const addedFileTypes = await upgradeAllowedFileTypes();
+    if (addedFileTypes.length > 0) {
+      console.log(`✅ Extensiones añadidas a allowed_file_types: ${addedFileTypes.join(', ')}`);
+    }
+
+    // Índice de búsqueda de texto completo (FTS5 en SQLite, tsvector en PostgreSQL)
+    if (await ensureSearchIndex(db.sequelize)) {
+      console.log('✅ Índice de búsqueda creado.');
+    }
   } catch (error) {
     console.error('❌ No se pudo conectar a la base de datos:', error);
     process.exit(1);
@@ -211,11 +317,53 @@ async function createDefaultSettings() {
   const defaultSettings = [
     { key: 'site_title', value: 'Mi CMS', type: 'string', category: 'general', description: 'Título del sitio web', isPublic: true },
     { key: 'site_description', value: 'Un CMS potente y flexible', type: 'string', category: 'general', description: 'Descripción del sitio', isPublic: true },
+    { key: 'site_url', value: 'http://localhost:3000', type: 'string', category: 'general', description: 'URL pública del sitio, usada en los enlaces de feeds y sitemaps', isPublic: true },
+    { key: 'require_email_verification', value: 'false', type: 'boolean', category: 'general', description: 'Impedir que las cuentas sin email verificado inicien sesión o comenten' },
+    { key: 'two_factor_required_roles', value: '[]', type: 'array', category: 'security', description: 'Roles que deben usar verificación en dos pasos para iniciar sesión (p. ej. ["admin","super_admin"])' },
+    { key: 'login_lockout_threshold', value: '5', type: 'number', category: 'security', description: 'Intentos fallidos seguidos que bloquean una cuenta (0 = sin bloqueo)' },
+    { key: 'login_lockout_duration', value: '15', type: 'number', category: 'security', description: 'Minutos del primer bloqueo; cada fallo posterior lo duplica' },
+    { key: 'login_lockout_max_duration', value: '1440', type: 'number', category: 'security', description: 'Duración máxima del bloqueo en minutos' },
+    { key: 'api_key_rate_limit', value: '1000', type: 'number', category: 'security', description: 'Peticiones permitidas por API key en cada ventana, salvo que la clave tenga su propio límite' },
+    { key: 'api_key_rate_window', value: '15', type: 'number', category: 'security', description: 'Duración en minutos de la ventana del límite de peticiones de las API keys' },
     { key: 'posts_per_page', value: '10', type: 'number', category: 'content', description: 'Número de posts por página' },
     { key: 'allow_comments', value: 'true', type: 'boolean', category: 'content', description: 'Permitir comentarios', isPublic: true },
+    { key: 'feed_content', value: 'excerpt', type: 'string', category: 'content', description: 'Contenido de los feeds: "excerpt" (solo resumen) o "full" (contenido completo)' },
+    { key: 'feed_items_count', value: '20', type: 'number', category: 'content', description: 'Número de posts incluidos en los feeds' },
+    { key: 'trash_retention_days', value: '30', type: 'number', category: 'content', description: 'Días que un post permanece en la papelera antes de eliminarse definitivamente (0 = nunca)' },
+    { key: 'comment_max_depth', value: '3', type: 'number', category: 'content', description: 'Niveles máximos de respuestas anidadas que devuelve el árbol de comentarios', isPublic: true },
     { key: 'require_comment_approval', value: 'true', type: 'boolean', category: 'content', description: 'Requerir aprobación de comentarios' },
+    { key: 'related_posts_weights', value: '{"tags":3,"categories":2,"recency":1,"popularity":1}', type: 'json', category: 'content', description: 'Pesos de la puntuación de posts relacionados (tags, categorías, recencia, popularidad)' },
+    { key: 'related_posts_recency_half_life', value: '30', type: 'number', category: 'content', description: 'Días tras los que la puntuación de recencia de un post relacionado se reduce a la mitad' },
+    { key: 'spam_threshold', value: '0.8', type: 'number', category: 'content', description: 'Puntuación de spam (0-1) a partir de la cual un comentario se marca como spam' },
+    { key: 'spam_moderation_threshold', value: '0.4', type: 'number', category: 'content', description: 'Puntuación de spam (0-1) a partir de la cual un comentario queda pendiente de moderación' },
+    { key: 'spam_max_links', value: '2', type: 'number', category: 'content', description: 'Enlaces permitidos en un comentario antes de penalizarlo' },
+    { key: 'spam_min_interval', value: '15', type: 'number', category: 'content', description: 'Segundos mínimos entre comentarios del mismo autor o IP' },
+    { key: 'spam_blocklist_words', value: '[]', type: 'array', category: 'content', description: 'Palabras que marcan un comentario como sospechoso' },
+    { key: 'spam_blocklist_ips', value: '[]', type: 'array', category: 'content', description: 'IPs bloqueadas (admite prefijos como "203.0.113.*")' },
+    { key: 'spam_providers', value: '[]', type: 'array', category: 'content', description: 'Proveedores externos de detección de spam activos (p. ej. "local")' },
     { key: 'max_upload_size', value: '10485760', type: 'number', category: 'media', description: 'Tamaño máximo de archivo en bytes' },
-    { key: 'allowed_file_types', value: '["jpg","jpeg","png","gif","pdf","doc","docx"]', type: 'array', category: 'media', description: 'Tipos de archivo permitidos' },
+    { key: 'allowed_file_types', value: '["jpg","jpeg","png","gif","webp","pdf","doc","docx","mp4","webm","mp3","wav"]', type: 'array', category: 'media', description: 'Extensiones de archivo permitidas (el contenido se verifica por sus primeros bytes)' },
+    { key: 'media_storage_quotas', value: '{"author":1073741824,"subscriber":104857600}', type: 'json', category: 'media', description: 'Espacio total en bytes que pueden ocupar los archivos de cada usuario según su rol (los roles sin entrada no tienen límite)' },
+    { key: 'image_sizes', value: '{}', type: 'json', category: 'media', description: 'Tamaños de imagen adicionales o redefinidos, p. ej. {"hero":{"width":1920,"height":600,"fit":"cover"}} (null desactiva uno de serie: thumbnail, medium, large)' },
+    { key: 'image_formats', value: '["webp","avif","jpeg"]', type: 'array', category: 'media', description: 'Formatos en que se generan los tamaños de imagen (webp, avif, jpeg, png)' },
+    { key: 'image_quality', value: '80', type: 'number', category: 'media', description: 'Calidad de compresión (1-100) de las imágenes generadas' },
+    { key: 'image_render_require_signature', value: 'false', type: 'boolean', category: 'media', description: 'Exigir URL firmada para transformar también las imágenes públicas' },
+    { key: 'image_render_max_dimension', value: '2560', type: 'number', category: 'media', description: 'Ancho o alto máximo en píxeles de las transformaciones al vuelo' },
+    { key: 'image_render_widths', value: '[320,640,768,1024,1280,1536,1920]', type: 'json', category: 'media', description: 'Anchos que se pueden pedir sin URL firmada a las transformaciones de imágenes públicas' },
+    { key: 'image_render_cache_max_size', value: '1024', type: 'number', category: 'media', description: 'Tamaño máximo en MB de la caché de transformaciones (se eliminan primero las menos usadas)' },
+    { key: 'resumable_upload_max_size', value: '2097152000', type: 'number', category: 'media', description: 'Tamaño máximo en bytes de las subidas reanudables (videos y audios grandes)' },
+    { key: 'resumable_upload_expiration_hours', value: '24', type: 'number', category: 'media', description: 'Horas sin recibir fragmentos tras las que se descarta una subida reanudable' },
+    { key: 'email_transport', value: 'file', type: 'string', category: 'email', description: 'Transporte de email: "smtp", "file" (guarda los mensajes en disco) o "json" (en memoria, para pruebas)' },
+    { key: 'email_from', value: 'no-reply@localhost', type: 'string', category: 'email', description: 'Dirección remitente de los emails' },
+    { key: 'email_from_name', value: 'Mi CMS', type: 'string', category: 'email', description: 'Nombre del remitente de los emails' },
+    { key: 'email_locale', value: 'es', type: 'string', category: 'email', description: 'Idioma por defecto de las plantillas de email ("es" o "en")' },
+    { key: 'email_max_attempts', value: '5', type: 'number', category: 'email', description: 'Intentos de envío antes de descartar un email' },
+    { key: 'email_file_path', value: './tmp/mail', type: 'string', category: 'email', description: 'Carpeta donde el transporte "file" guarda los emails' },
+    { key: 'smtp_host', value: '', type: 'string', category: 'email', description: 'Servidor SMTP (si está vacío se usa SMTP_HOST)' },
+    { key: 'smtp_port', value: '587', type: 'number', category: 'email', description: 'Puerto del servidor SMTP' },
+    { key: 'smtp_secure', value: 'false', type: 'boolean', category: 'email', description: 'Usar TLS directo (puerto 465)' },
+    { key: 'smtp_user', value: '', type: 'string', category: 'email', description: 'Usuario SMTP (si está vacío se usa SMTP_USER)' },
+    { key: 'smtp_password', value: '', type: 'string', category: 'email', description: 'Contraseña SMTP (si está vacía se usa SMTP_PASS)' },
     { key: 'theme_primary_color', value: '#3B82F6', type: 'string', category: 'appearance', description: 'Color primario del tema', isPublic: true },
     { key: 'theme_secondary_color', value: '#64748B', type: 'string', category: 'appearance', description: 'Color secundario del tema', isPublic: true }
   ];
@@ -231,6 +379,12 @@ async function createDefaultSettings() {
 // Inicializar servidor
 async function startServer() {
   await initializeDatabase();
+
+  // Publica los posts que vencieron mientras el servidor estaba detenido
+  await postScheduler.start();
+  await trashPurger.start();
+  await uploadPurger.start();
+  await mailWorker.start();
   
   app.listen(PORT, () => {
     console.log(`🚀 Servidor ejecutándose en puerto ${PORT}`);
@@ -243,6 +397,10 @@ async function startServer() {
 // Manejo graceful de cierre del servidor
 process.on('SIGINT', async () => {
   console.log('\n🛑 Cerrando servidor...');
+  postScheduler.stop();
+  trashPurger.stop();
+  uploadPurger.stop();
+  mailWorker.stop();
   await db.sequelize.close();
   console.log('✅ Conexión a la base de datos cerrada.');
   process.exit(0);
@@ -250,6 +408,10 @@ process.on('SIGINT', async () => {
 
 process.on('SIGTERM', async () => {
   console.log('\n🛑 Cerrando servidor...');
+  postScheduler.stop();
+  trashPurger.stop();
+  uploadPurger.stop();
+  mailWorker.stop();
   await db.sequelize.close();
   console.log('✅ Conexión a la base de datos cerrada.');
   process.exit(0);
@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+const { ApiKey, User, Setting } = require('../models');
+const { getRolePermissions } = require('./permissions');
+
+// Las claves son opacas: "cms_<secreto>". Solo se guarda su hash y un prefijo para reconocerlas
+const KEY_PREFIX = 'cms_';
+const VISIBLE_PREFIX_LENGTH = 12;
+
+const DEFAULT_RATE_LIMIT = 1000;
+const DEFAULT_RATE_WINDOW_MINUTES = 15;
+
+// lastUsedAt se actualiza como mucho una vez por minuto para no escribir en cada petición
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+function generateKey() {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  return { key, prefix: key.slice(0, VISIBLE_PREFIX_LENGTH), keyHash: hashKey(key) };
+}
+
+/**
+ * Crear una API key para un usuario. La clave en claro solo se devuelve aquí;
+ * después únicamente se conserva su hash.
+ */
+async function createApiKey(user, { name, permissions, rateLimit = null, expiresAt = null }) {
+  const { key, prefix, keyHash } = generateKey();
+  const apiKey = await ApiKey.create({
+    userId: user.id,
+    name,
+    prefix,
+    keyHash,
+    permissions,
+    rateLimit,
+    expiresAt
+  });
+
+  return { apiKey, key };
+}
+
+async function revokeApiKey(apiKey, now = new Date()) {
+  if (apiKey.revokedAt) return apiKey;
+  return apiKey.update({ revokedAt: now });
+}
+
+/**
+ * Resolver la clave recibida en la cabecera X-API-Key.
+ * Devuelve { apiKey, user } con `user.permissions` limitado al alcance de la clave
+ * (y a lo que el rol del propietario permita en ese momento), o null si no es válida.
+ */
+async function authenticateApiKey(key, req, now = new Date()) {
+  if (typeof key !== 'string' || !key.startsWith(KEY_PREFIX)) return null;
+
+  const apiKey = await ApiKey.findOne({
+    where: { keyHash: hashKey(key) },
+    include: [{ model: User, as: 'owner', attributes: { exclude: ['password'] } }]
+  });
+  if (!apiKey || !apiKey.isActive(now) || !apiKey.owner || apiKey.owner.status !== 'active') {
+    return null;
+  }
+
+  const user = apiKey.owner;
+  const rolePermissions = await getRolePermissions(user.role);
+  user.permissions = new Set((apiKey.permissions || []).filter(permission => rolePermissions.has(permission)));
+
+  if (!apiKey.lastUsedAt || now - new Date(apiKey.lastUsedAt) >= LAST_USED_RESOLUTION_MS) {
+    await ApiKey.update(
+      { lastUsedAt: now, lastUsedIp: (req && req.ip) || null },
+      { where: { id: apiKey.id } }
+    );
+  }
+
+  return { apiKey, user };
+}
+
+// Contadores en memoria por clave (ventana fija), independientes del limitador global por IP
+const rateWindows = new Map();
+
+/**
+ * Contar una petición de la clave. Devuelve { allowed, limit, remaining, resetAt }.
+ * El límite es el propio de la clave o, si no tiene, el de la configuración.
+ */
+async function consumeRateLimit(apiKey, now = Date.now()) {
+  const limit = apiKey.rateLimit || await Setting.getValue('api_key_rate_limit', DEFAULT_RATE_LIMIT);
+  const windowMinutes = await Setting.getValue('api_key_rate_window', DEFAULT_RATE_WINDOW_MINUTES);
+
+  let entry = rateWindows.get(apiKey.id);
+  if (!entry || entry.resetAt <= now) {
+    entry = { count: 0, resetAt: now + windowMinutes * 60 * 1000 };
+    rateWindows.set(apiKey.id, entry);
+  }
+  entry.count++;
+
+  return {
+    allowed: entry.count <= limit,
+    limit,
+    remaining: Math.max(0, limit - entry.count),
+    resetAt: entry.resetAt
+  };
+}
+
+module.exports = {
+  KEY_PREFIX,
+  hashKey,
+  createApiKey,
+  revokeApiKey,
+  authenticateApiKey,
+  consumeRateLimit
+};
\ No newline at end of file
@@ -0,0 +1,100 @@
+const { Op } = require('sequelize');
+const { sequelize, Post, Comment, Like } = require('../models');
+const { reportFeedback } = require('./spamFilter');
+const { notifyCommentReply } = require('./notifications');
+
+// Estado resultante de cada acción de moderación ('delete' elimina el comentario)
+const MODERATION_ACTIONS = {
+  approve: 'approved',
+  unapprove: 'pending',
+  spam: 'spam',
+  trash: 'trash',
+  delete: null
+};
+
+// Recalcular Post.commentsCount a partir de los comentarios aprobados.
+// Los posts en la papelera mantienen el contador a 0 hasta que se restauran.
+async function syncCommentsCount(postIds, transaction) {
+  for (const postId of [...new Set(postIds)]) {
+    const commentsCount = await Comment.count({
+      where: { postId, status: 'approved' },
+      transaction
+    });
+
+    await Post.update(
+      { commentsCount },
+      { where: { id: postId, status: { [Op.ne]: 'trash' } }, transaction, silent: true }
+    );
+  }
+}
+
+/**
+ * Aplicar una acción de moderación a varios comentarios.
+ * Los comentarios de posts en la papelera solo pueden eliminarse; el resto de acciones los omite.
+ * Al eliminar, las respuestas pasan a colgar del padre del comentario eliminado.
+ */
+async function moderateComments(ids, action) {
+  const targetStatus = MODERATION_ACTIONS[action];
+
+  const comments = await Comment.findAll({
+    where: { id: { [Op.in]: ids } },
+    include: [{ model: Post, as: 'post', attributes: ['id', 'status'] }]
+  });
+
+  const found = comments.map(comment => comment.id);
+  const result = {
+    processed: [],
+    skipped: [],
+    notFound: ids.filter(id => !found.includes(id))
+  };
+  const feedback = [];
+  const approved = [];
+
+  await sequelize.transaction(async (transaction) => {
+    for (const comment of comments) {
+      if (action === 'delete') {
+        // El padre pudo cambiar si se eliminó antes en este mismo lote
+        await comment.reload({ transaction });
+        await Comment.update(
+          { parentId: comment.parentId },
+          { where: { parentId: comment.id }, transaction }
+        );
+        await Like.destroy({ where: { commentId: comment.id }, transaction });
+        await comment.destroy({ transaction });
+        result.processed.push(comment.id);
+        continue;
+      }
+
+      if (comment.status === targetStatus || (comment.post && comment.post.status === 'trash')) {
+        result.skipped.push(comment.id);
+        continue;
+      }
+
+      // Marcar como spam o rescatar un comentario del spam son correcciones para el filtro
+      if (targetStatus === 'spam') feedback.push({ comment, isSpam: true });
+      if (comment.status === 'spam' && targetStatus === 'approved') feedback.push({ comment, isSpam: false });
+
+      await comment.update({ status: targetStatus, statusBeforeTrash: null }, { transaction });
+      result.processed.push(comment.id);
+      if (targetStatus === 'approved') approved.push(comment);
+    }
+
+    await syncCommentsCount(comments.map(comment => comment.postId), transaction);
+  });
+
+  for (const { comment, isSpam } of feedback) {
+    await reportFeedback(comment, isSpam);
+  }
+
+  for (const comment of approved) {
+    await notifyCommentReply(comment);
+  }
+
+  return result;
+}
+
+module.exports = {
+  MODERATION_ACTIONS,
+  syncCommentsCount,
+  moderateComments
+};
\ No newline at end of file
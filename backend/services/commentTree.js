@@ -0,0 +1,199 @@
+const { Op } = require('sequelize');
+const { Comment, User, Setting, sequelize } = require('../models');
+
+const DEFAULT_MAX_DEPTH = 3;
+// Límite absoluto de niveles anidados que se devuelven en una sola respuesta
+const HARD_MAX_DEPTH = 10;
+
+// Orden de cada modo: campo principal (y su columna) y dirección; el id desempata y hace estable el cursor
+const SORTS = {
+  newest: { field: 'createdAt', column: 'created_at', direction: 'DESC' },
+  oldest: { field: 'createdAt', column: 'created_at', direction: 'ASC' },
+  most_liked: { field: 'likesCount', column: 'likes_count', direction: 'DESC' }
+};
+
+const COMMENT_ATTRIBUTES = ['id', 'content', 'authorName', 'authorUrl', 'parentId', 'userId', 'likesCount', 'reactionCounts', 'createdAt', 'updatedAt'];
+
+const encodeCursor = (comment, sort) => {
+  const { field } = SORTS[sort];
+  const value = comment.get(field);
+  return Buffer.from(JSON.stringify({
+    v: value instanceof Date ? value.toISOString() : value,
+    id: comment.id
+  })).toString('base64url');
+};
+
+// El valor del cursor debe corresponder al campo del orden: fecha ISO o número de likes
+const isValidCursorValue = (value, sort) => (
+  SORTS[sort].field === 'createdAt'
+    ? typeof value === 'string' && !Number.isNaN(Date.parse(value))
+    : Number.isInteger(value) && value >= 0
+);
+
+// Devuelve null si el cursor no es válido para el orden pedido
+const decodeCursor = (cursor, sort = 'newest') => {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (decoded === null || typeof decoded !== 'object' || !Number.isInteger(decoded.id)) return null;
+    if (!isValidCursorValue(decoded.v, sort)) return null;
+    return decoded;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Condición de "después del cursor" según el orden (paginación por clave)
+const afterCursor = (cursor, sort) => {
+  const { field, direction } = SORTS[sort];
+  const op = direction === 'DESC' ? Op.lt : Op.gt;
+  const value = field === 'createdAt' ? new Date(cursor.v) : cursor.v;
+
+  return {
+    [Op.or]: [
+      { [field]: { [op]: value } },
+      { [field]: value, id: { [op]: cursor.id } }
+    ]
+  };
+};
+
+const orderFor = (sort) => {
+  const { field, direction } = SORTS[sort];
+  return [[field, direction], ['id', direction]];
+};
+
+async function getMaxDepth() {
+  const configured = await Setting.getValue('comment_max_depth', DEFAULT_MAX_DEPTH);
+  return Math.min(Math.max(parseInt(configured) || 0, 0), HARD_MAX_DEPTH);
+}
+
+// Número de respuestas aprobadas directas de cada comentario
+async function countReplies(postId, parentIds) {
+  if (parentIds.length === 0) return {};
+
+  const rows = await Comment.count({
+    where: { postId, parentId: { [Op.in]: parentIds }, status: 'approved' },
+    group: ['parentId']
+  });
+
+  const counts = {};
+  rows.forEach(row => {
+    counts[row.parentId] = parseInt(row.count);
+  });
+  return counts;
+}
+
+// Ids de las primeras `limit` respuestas aprobadas de cada padre, numeradas por padre en una sola consulta
+const firstRepliesIds = (postId, parentIds, sort, limit) => {
+  const { column, direction } = SORTS[sort];
+
+  return sequelize.literal(`(
+    SELECT ranked.id FROM (
+      SELECT id, ROW_NUMBER() OVER (PARTITION BY parent_id ORDER BY ${column} ${direction}, id ${direction}) AS position
+      FROM comments
+      WHERE post_id = ${parseInt(postId)}
+        AND parent_id IN (${parentIds.map(id => parseInt(id)).join(', ')})
+        AND status = 'approved'
+    ) AS ranked
+    WHERE ranked.position <= ${parseInt(limit)}
+  )`);
+};
+
+const toNode = (comment, depth) => ({
+  ...comment.toJSON(),
+  depth,
+  replyCount: 0,
+  replies: [],
+  loadMoreReplies: null
+});
+
+/**
+ * Árbol de comentarios aprobados de un post.
+ * - `parentId` null pagina los hilos de primer nivel; con un id pagina las respuestas de ese comentario
+ *   (es lo que usan los cursores "cargar más respuestas").
+ * - `depth` es el número de niveles de respuestas anidadas a incluir, limitado por `comment_max_depth`.
+ * - `repliesLimit` es el máximo de respuestas que se incluyen por nodo; el resto queda tras un cursor.
+ */
+async function getCommentTree(postId, { parentId = null, sort = 'newest', limit = 10, cursor = null, depth, repliesLimit = 3 } = {}) {
+  const maxDepth = await getMaxDepth();
+  const levels = depth === undefined ? maxDepth : Math.min(depth, maxDepth);
+  const include = [
+    {
+      model: User,
+      as: 'user',
+      attributes: ['id', 'username', 'firstName', 'lastName', 'avatar']
+    }
+  ];
+
+  const where = { postId, parentId, status: 'approved' };
+  if (cursor) Object.assign(where, afterCursor(cursor, sort));
+
+  const page = await Comment.findAll({
+    where,
+    attributes: COMMENT_ATTRIBUTES,
+    include,
+    order: orderFor(sort),
+    limit: limit + 1
+  });
+
+  const hasMore = page.length > limit;
+  const roots = page.slice(0, limit);
+  const nodes = roots.map(comment => toNode(comment, 0));
+
+  // Completar el árbol nivel a nivel
+  let level = nodes;
+  for (let currentDepth = 0; level.length > 0; currentDepth++) {
+    const ids = level.map(node => node.id);
+    const counts = await countReplies(postId, ids);
+    level.forEach(node => {
+      node.replyCount = counts[node.id] || 0;
+    });
+
+    const expandable = level.filter(node => node.replyCount > 0);
+    if (expandable.length === 0) break;
+
+    // En el nivel máximo solo se indica cómo cargar las respuestas
+    if (currentDepth >= levels) {
+      expandable.forEach(node => {
+        node.loadMoreReplies = { parentId: node.id, cursor: null };
+      });
+      break;
+    }
+
+    // Solo las primeras `repliesLimit` respuestas de cada comentario (una consulta por nivel);
+    // replyCount indica si hay más
+    const replies = await Comment.findAll({
+      where: { id: { [Op.in]: firstRepliesIds(postId, expandable.map(node => node.id), sort, repliesLimit) } },
+      attributes: COMMENT_ATTRIBUTES,
+      include,
+      order: orderFor(sort)
+    });
+
+    const nextLevel = [];
+    for (const node of expandable) {
+      const shown = replies.filter(reply => reply.parentId === node.id);
+
+      node.replies = shown.map(child => toNode(child, currentDepth + 1));
+      if (node.replyCount > shown.length && shown.length > 0) {
+        node.loadMoreReplies = { parentId: node.id, cursor: encodeCursor(shown[shown.length - 1], sort) };
+      }
+
+      nextLevel.push(...node.replies);
+    }
+
+    level = nextLevel;
+  }
+
+  return {
+    comments: nodes,
+    maxDepth: levels,
+    nextCursor: hasMore ? encodeCursor(roots[roots.length - 1], sort) : null,
+    hasMore
+  };
+}
+
+module.exports = {
+  SORTS,
+  DEFAULT_MAX_DEPTH,
+  decodeCursor,
+  getCommentTree
+};
\ No newline at end of file
@@ -0,0 +1,59 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { User, Setting } = require('../models');
+const { sendEmailVerification, EMAIL_VERIFICATION_HOURS } = require('./notifications');
+
+// Tiempo mínimo entre dos reenvíos del email de verificación a la misma cuenta
+const RESEND_COOLDOWN_MS = 60 * 1000;
+
+// En la base de datos solo se guarda el hash: quien lea la tabla no puede verificar cuentas ajenas
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+async function isEmailVerificationRequired() {
+  return Boolean(await Setting.getValue('require_email_verification', false));
+}
+
+/**
+ * Generar un token de verificación nuevo (invalidando el anterior) y enviarlo por email.
+ * Devuelve false si ya se envió uno hace menos de RESEND_COOLDOWN_MS.
+ */
+async function issueEmailVerification(user, now = new Date()) {
+  if (user.emailVerificationExpires) {
+    const issuedAt = new Date(user.emailVerificationExpires).getTime() - EMAIL_VERIFICATION_HOURS * 60 * 60 * 1000;
+    if (now.getTime() - issuedAt < RESEND_COOLDOWN_MS) return false;
+  }
+
+  const token = crypto.randomBytes(32).toString('hex');
+  await user.update({
+    emailVerificationToken: hashToken(token),
+    emailVerificationExpires: new Date(now.getTime() + EMAIL_VERIFICATION_HOURS * 60 * 60 * 1000)
+  });
+
+  await sendEmailVerification(user, token);
+  return true;
+}
+
+// Marcar como verificado el usuario dueño del token; devuelve null si el token no es válido o caducó
+async function verifyEmailToken(token, now = new Date()) {
+  const user = await User.findOne({
+    where: {
+      emailVerificationToken: hashToken(token),
+      emailVerificationExpires: { [Op.gt]: now }
+    }
+  });
+  if (!user) return null;
+
+  await user.update({
+    emailVerified: true,
+    emailVerificationToken: null,
+    emailVerificationExpires: null
+  });
+
+  return user;
+}
+
+module.exports = {
+  isEmailVerificationRequired,
+  issueEmailVerification,
+  verifyEmailToken
+};
\ No newline at end of file
@@ -0,0 +1,255 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { Post, User, Category, Tag, Setting } = require('../models');
+
+const CONTENT_TYPES = {
+  rss: 'application/rss+xml; charset=utf-8',
+  atom: 'application/atom+xml; charset=utf-8',
+  json: 'application/feed+json; charset=utf-8'
+};
+
+const FEED_FORMATS = Object.keys(CONTENT_TYPES);
+
+const FEED_LANGUAGE = 'es';
+const DEFAULT_ITEMS_COUNT = 20;
+const SUMMARY_LENGTH = 300;
+
+const escapeXml = (value) => String(value === null || value === undefined ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+// Las secciones CDATA no pueden contener "]]>"
+const cdata = (value) => `<![CDATA[${String(value || '').replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+
+const stripHtml = (html) => String(html || '').replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+
+const summarize = (post) => {
+  if (post.excerpt) return post.excerpt;
+  const text = stripHtml(post.content);
+  return text.length > SUMMARY_LENGTH ? `${text.slice(0, SUMMARY_LENGTH).trim()}…` : text;
+};
+
+const authorName = (author) => {
+  if (!author) return null;
+  const fullName = [author.firstName, author.lastName].filter(Boolean).join(' ');
+  return fullName || author.username;
+};
+
+async function getFeedSettings() {
+  const siteUrl = await Setting.getValue('site_url', process.env.FRONTEND_URL || 'http://localhost:3000');
+  const itemsCount = await Setting.getValue('feed_items_count', DEFAULT_ITEMS_COUNT);
+
+  return {
+    siteTitle: await Setting.getValue('site_title', 'Mi CMS'),
+    siteDescription: await Setting.getValue('site_description', ''),
+    siteUrl: String(siteUrl).replace(/\/+$/, ''),
+    // 'excerpt' publica solo el resumen; 'full' incluye además el contenido completo
+    contentMode: (await Setting.getValue('feed_content', 'excerpt')) === 'full' ? 'full' : 'excerpt',
+    itemsCount: itemsCount > 0 ? Math.min(itemsCount, 100) : DEFAULT_ITEMS_COUNT
+  };
+}
+
+/**
+ * Construir el feed a partir de los posts publicados.
+ * `scope` permite acotarlo (categoría, tag o autor): { title, description, path, where }.
+ */
+async function buildFeed({ scope = {}, feedPath = '/feed.xml', now = new Date() } = {}) {
+  const settings = await getFeedSettings();
+
+  const posts = await Post.findAll({
+    where: {
+      ...(scope.where || {}),
+      type: 'post',
+      status: 'published',
+      publishedAt: { [Op.lte]: now }
+    },
+    include: [
+      {
+        model: User,
+        as: 'author',
+        attributes: ['id', 'username', 'firstName', 'lastName']
+      },
+      {
+        model: Category,
+        as: 'category',
+        attributes: ['id', 'name', 'slug']
+      },
+      {
+        model: Category,
+        as: 'categories',
+        attributes: ['id', 'name', 'slug'],
+        through: { attributes: [] }
+      },
+      {
+        model: Tag,
+        as: 'tags',
+        attributes: ['id', 'name', 'slug'],
+        through: { attributes: [] }
+      }
+    ],
+    order: [['publishedAt', 'DESC']],
+    limit: settings.itemsCount
+  });
+
+  const items = posts.map(post => {
+    const categories = [post.category, ...(post.categories || [])]
+      .filter(Boolean)
+      .map(category => category.name);
+
+    return {
+      id: post.id,
+      url: `${settings.siteUrl}/posts/${post.slug}`,
+      title: post.title,
+      summary: summarize(post),
+      content: settings.contentMode === 'full' ? post.content : null,
+      image: post.featuredImage || null,
+      publishedAt: post.publishedAt,
+      updatedAt: post.updatedAt,
+      author: post.author ? {
+        name: authorName(post.author),
+        url: `${settings.siteUrl}/authors/${post.author.username}`
+      } : null,
+      categories: [...new Set(categories)],
+      tags: (post.tags || []).map(tag => tag.name)
+    };
+  });
+
+  const lastModified = items.reduce((latest, item) => {
+    const date = new Date(item.updatedAt);
+    return !latest || date > latest ? date : latest;
+  }, null);
+
+  return {
+    title: scope.title ? `${settings.siteTitle} - ${scope.title}` : settings.siteTitle,
+    description: scope.description || settings.siteDescription,
+    link: `${settings.siteUrl}${scope.path || ''}`,
+    // La URL del propio feed cuelga de site_url (el frontend reenvía estas rutas al backend)
+    feedUrl: `${settings.siteUrl}${feedPath}`,
+    language: FEED_LANGUAGE,
+    lastModified,
+    items
+  };
+}
+
+function renderRss(feed) {
+  const items = feed.items.map(item => [
+    '    <item>',
+    `      <title>${escapeXml(item.title)}</title>`,
+    `      <link>${escapeXml(item.url)}</link>`,
+    `      <guid isPermaLink="true">${escapeXml(item.url)}</guid>`,
+    `      <pubDate>${new Date(item.publishedAt).toUTCString()}</pubDate>`,
+    item.author ? `      <dc:creator>${escapeXml(item.author.name)}</dc:creator>` : null,
+    ...item.categories.map(name => `      <category>${escapeXml(name)}</category>`),
+    `      <description>${cdata(item.summary)}</description>`,
+    item.content ? `      <content:encoded>${cdata(item.content)}</content:encoded>` : null,
+    '    </item>'
+  ].filter(Boolean).join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+    '  <channel>',
+    `    <title>${escapeXml(feed.title)}</title>`,
+    `    <link>${escapeXml(feed.link)}</link>`,
+    `    <description>${escapeXml(feed.description)}</description>`,
+    `    <language>${escapeXml(feed.language)}</language>`,
+    `    <atom:link href="${escapeXml(feed.feedUrl)}" rel="self" type="application/rss+xml"/>`,
+    feed.lastModified ? `    <lastBuildDate>${feed.lastModified.toUTCString()}</lastBuildDate>` : null,
+    ...items,
+    '  </channel>',
+    '</rss>'
+  ].filter(Boolean).join('\n');
+}
+
+function renderAtom(feed) {
+  const entries = feed.items.map(item => [
+    '  <entry>',
+    `    <title>${escapeXml(item.title)}</title>`,
+    `    <link rel="alternate" type="text/html" href="${escapeXml(item.url)}"/>`,
+    `    <id>${escapeXml(item.url)}</id>`,
+    `    <published>${new Date(item.publishedAt).toISOString()}</published>`,
+    `    <updated>${new Date(item.updatedAt).toISOString()}</updated>`,
+    item.author ? `    <author><name>${escapeXml(item.author.name)}</name><uri>${escapeXml(item.author.url)}</uri></author>` : null,
+    ...item.categories.map(name => `    <category term="${escapeXml(name)}"/>`),
+    `    <summary type="html">${escapeXml(item.summary)}</summary>`,
+    item.content ? `    <content type="html">${escapeXml(item.content)}</content>` : null,
+    '  </entry>'
+  ].filter(Boolean).join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${escapeXml(feed.language)}">`,
+    `  <title>${escapeXml(feed.title)}</title>`,
+    feed.description ? `  <subtitle>${escapeXml(feed.description)}</subtitle>` : null,
+    `  <link rel="alternate" type="text/html" href="${escapeXml(feed.link)}"/>`,
+    `  <link rel="self" type="application/atom+xml" href="${escapeXml(feed.feedUrl)}"/>`,
+    `  <id>${escapeXml(feed.feedUrl)}</id>`,
+    // Atom exige <updated>; sin entradas se usa una fecha fija para no romper la caché
+    `  <updated>${(feed.lastModified || new Date(0)).toISOString()}</updated>`,
+    ...entries,
+    '</feed>'
+  ].filter(Boolean).join('\n');
+}
+
+function renderJsonFeed(feed) {
+  return JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    home_page_url: feed.link,
+    feed_url: feed.feedUrl,
+    description: feed.description || undefined,
+    language: feed.language,
+    items: feed.items.map(item => ({
+      id: String(item.id),
+      url: item.url,
+      title: item.title,
+      summary: item.summary,
+      content_html: item.content || item.summary,
+      image: item.image || undefined,
+      date_published: new Date(item.publishedAt).toISOString(),
+      date_modified: new Date(item.updatedAt).toISOString(),
+      authors: item.author ? [item.author] : undefined,
+      tags: [...item.categories, ...item.tags]
+    }))
+  }, null, 2);
+}
+
+const RENDERERS = {
+  rss: renderRss,
+  atom: renderAtom,
+  json: renderJsonFeed
+};
+
+/**
+ * Enviar el feed en el formato pedido con ETag y Last-Modified.
+ * Responde 304 si el cliente ya tiene la versión actual.
+ */
+async function sendFeed(req, res, format, scope = {}) {
+  const feed = await buildFeed({ scope, feedPath: req.originalUrl });
+  const body = RENDERERS[format](feed);
+
+  res.set('Content-Type', CONTENT_TYPES[format]);
+  res.set('Cache-Control', 'public, max-age=300');
+  res.set('ETag', `"${crypto.createHash('sha1').update(body).digest('hex')}"`);
+  if (feed.lastModified) {
+    res.set('Last-Modified', feed.lastModified.toUTCString());
+  }
+
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+
+  res.send(body);
+}
+
+module.exports = {
+  FEED_FORMATS,
+  buildFeed,
+  renderRss,
+  renderAtom,
+  renderJsonFeed,
+  sendFeed
+};
\ No newline at end of file
@@ -0,0 +1,249 @@
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs').promises;
+const sharp = require('sharp');
+const { Setting } = require('../models');
+const { getMediaStorage, getMediaKey } = require('./storage');
+
+// Tamaños con nombre de serie; la configuración `image_sizes` puede redefinirlos o añadir otros
+const DEFAULT_IMAGE_SIZES = {
+  thumbnail: { width: 150, height: 150, fit: 'cover' },
+  medium: { width: 768, fit: 'inside' },
+  large: { width: 1536, fit: 'inside' }
+};
+
+const FORMATS = {
+  webp: { extension: 'webp', mimeType: 'image/webp' },
+  avif: { extension: 'avif', mimeType: 'image/avif' },
+  jpeg: { extension: 'jpg', mimeType: 'image/jpeg' },
+  png: { extension: 'png', mimeType: 'image/png' }
+};
+const DEFAULT_FORMATS = ['webp', 'avif', 'jpeg'];
+
+const FITS = ['cover', 'contain', 'fill', 'inside', 'outside'];
+
+// Formatos de imagen que sharp puede leer; el resto (SVG incluido) se sirve tal cual
+const TRANSFORMABLE_TYPES = ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp', 'image/avif', 'image/tiff'];
+
+const VARIANTS_DIR = 'variants';
+const CACHE_PATH = path.resolve(process.env.MEDIA_CACHE_PATH || path.join(__dirname, '../tmp/media-cache'));
+
+const isTransformable = (mimeType) => TRANSFORMABLE_TYPES.includes(mimeType);
+
+async function getImageSettings() {
+  const sizes = { ...DEFAULT_IMAGE_SIZES, ...(await Setting.getValue('image_sizes', {}) || {}) };
+  const formats = (await Setting.getValue('image_formats', DEFAULT_FORMATS) || [])
+    .filter(format => FORMATS[format]);
+
+  return {
+    // Un tamaño se desactiva definiéndolo como null en la configuración
+    sizes: Object.fromEntries(Object.entries(sizes).filter(([, size]) => size && (size.width || size.height))),
+    formats: formats.length > 0 ? formats : DEFAULT_FORMATS,
+    quality: await Setting.getValue('image_quality', 80)
+  };
+}
+
+// Codificar con sharp en el formato pedido
+function encode(pipeline, format, quality) {
+  switch (format) {
+    case 'webp': return pipeline.webp({ quality });
+    case 'avif': return pipeline.avif({ quality });
+    case 'png': return pipeline.png();
+    default: return pipeline.jpeg({ quality, mozjpeg: true });
+  }
+}
+
+// `source` es la ruta de un archivo local o su contenido en un Buffer
+function transform(source, { width, height, fit = 'inside', format, quality }) {
+  const pipeline = sharp(source)
+    .rotate()
+    .resize({
+      width: width || null,
+      height: height || null,
+      fit,
+      withoutEnlargement: true
+    });
+  return encode(pipeline, format, quality);
+}
+
+/**
+ * Generar los tamaños con nombre de una imagen en todos los formatos configurados
+ * y guardarlos con el adaptador de almacenamiento indicado.
+ * Devuelve el bloque que se guarda en Media.metadata.sizes:
+ * { medium: { width, height, fit, formats: { webp: { key, url, size }, ... } }, ... }
+ */
+async function generateImageVariants(source, filename, storage) {
+  const { sizes, formats, quality } = await getImageSettings();
+  const baseName = path.parse(filename).name;
+
+  const result = {};
+  for (const [name, size] of Object.entries(sizes)) {
+    const fit = FITS.includes(size.fit) ? size.fit : 'inside';
+    const variant = { width: null, height: null, fit, formats: {} };
+
+    for (const format of formats) {
+      const key = `${VARIANTS_DIR}/${baseName}-${name}.${FORMATS[format].extension}`;
+      const { data, info } = await transform(source, { width: size.width, height: size.height, fit, format, quality })
+        .toBuffer({ resolveWithObject: true });
+      await storage.put(key, data, { contentType: FORMATS[format].mimeType });
+
+      variant.width = info.width;
+      variant.height = info.height;
+      variant.formats[format] = {
+        key,
+        url: storage.url(key),
+        size: info.size
+      };
+    }
+
+    result[name] = variant;
+  }
+
+  return result;
+}
+
+// Claves de los tamaños generados de un Media (los antiguos solo guardaban la URL local)
+const variantKeys = (media) => Object.values((media.metadata && media.metadata.sizes) || {})
+  .flatMap(size => Object.values(size.formats || {}))
+  .map(variant => variant.key || variant.url.replace(/^\/uploads\//, ''));
+
+// Eliminar los tamaños generados, la miniatura antigua (thumb_) y las transformaciones en caché
+async function deleteImageVariants(media) {
+  const storage = getMediaStorage(media);
+  const keys = [...variantKeys(media), `thumb_${media.filename}`];
+
+  for (const key of keys) {
+    try {
+      await storage.delete(key);
+    } catch (error) {
+      console.error(`Error al eliminar ${key}:`, error.message);
+    }
+  }
+
+  await fs.rm(path.join(CACHE_PATH, String(media.id)), { recursive: true, force: true });
+}
+
+// Firma HMAC de una transformación: la URL firmada solo vale para esos parámetros y hasta `expires`
+const signingSecret = () => process.env.MEDIA_SIGNING_SECRET || process.env.JWT_SECRET;
+
+// `size` (tamaño con nombre) solo entra en la firma si se usa, así las URLs ya firmadas siguen valiendo
+const canonicalParams = (mediaId, { w, h, fit, format, q, size }, expires) =>
+  [mediaId, w || '', h || '', fit || '', format || '', q || '', expires, ...(size ? [size] : [])].join(':');
+
+function signRender(mediaId, params, expires) {
+  return crypto.createHmac('sha256', signingSecret())
+    .update(canonicalParams(mediaId, params, expires))
+    .digest('base64url');
+}
+
+function verifyRenderSignature(mediaId, params, expires, signature, now = Date.now()) {
+  if (!signature || !expires || Number(expires) * 1000 < now) return false;
+
+  const expected = Buffer.from(signRender(mediaId, params, expires));
+  const received = Buffer.from(String(signature));
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+const DEFAULT_CACHE_MAX_MB = 1024;
+const CACHE_PRUNE_INTERVAL_MS = 60 * 1000;
+let lastCachePrune = 0;
+
+/**
+ * Reducir la caché de transformaciones a `maxBytes` eliminando primero los archivos
+ * usados hace más tiempo (cada acierto actualiza la fecha de modificación).
+ * Devuelve el número de archivos eliminados.
+ */
+async function pruneRenderCache(maxBytes) {
+  let directories;
+  try {
+    directories = await fs.readdir(CACHE_PATH);
+  } catch (error) {
+    return 0;
+  }
+
+  const files = [];
+  for (const directory of directories) {
+    const directoryPath = path.join(CACHE_PATH, directory);
+    const names = await fs.readdir(directoryPath).catch(() => []);
+    for (const name of names) {
+      const filePath = path.join(directoryPath, name);
+      const stats = await fs.stat(filePath).catch(() => null);
+      if (stats && stats.isFile()) {
+        files.push({ filePath, size: stats.size, usedAt: stats.mtimeMs });
+      }
+    }
+  }
+
+  let total = files.reduce((sum, file) => sum + file.size, 0);
+  let removed = 0;
+  files.sort((a, b) => a.usedAt - b.usedAt);
+  for (const file of files) {
+    if (total <= maxBytes) break;
+    await fs.rm(file.filePath, { force: true });
+    total -= file.size;
+    removed++;
+  }
+
+  return removed;
+}
+
+// Aplicar el límite image_render_cache_max_size como mucho una vez por minuto
+async function scheduleCachePrune() {
+  if (Date.now() - lastCachePrune < CACHE_PRUNE_INTERVAL_MS) return;
+  lastCachePrune = Date.now();
+
+  try {
+    const maxMb = await Setting.getValue('image_render_cache_max_size', DEFAULT_CACHE_MAX_MB);
+    await pruneRenderCache((Number.isFinite(maxMb) && maxMb > 0 ? maxMb : DEFAULT_CACHE_MAX_MB) * 1024 * 1024);
+  } catch (error) {
+    console.error('Error al limpiar la caché de imágenes:', error);
+  }
+}
+
+/**
+ * Devolver la ruta en la caché de disco de una transformación, generándola si aún no existe.
+ * Se escribe en un archivo temporal y se renombra para que dos peticiones simultáneas
+ * nunca sirvan un archivo a medio escribir.
+ */
+async function renderCached(media, { width, height, fit, format, quality }) {
+  const directory = path.join(CACHE_PATH, String(media.id));
+  const fileName = `${width || 0}x${height || 0}-${fit}-q${quality}.${FORMATS[format].extension}`;
+  const filePath = path.join(directory, fileName);
+
+  try {
+    const now = new Date();
+    await fs.utimes(filePath, now, now);
+    return filePath;
+  } catch (error) {
+    // No está en caché
+  }
+
+  const source = await getMediaStorage(media).get(getMediaKey(media));
+  await fs.mkdir(directory, { recursive: true });
+  const tempPath = `${filePath}.${process.pid}-${Date.now()}.tmp`;
+  try {
+    await transform(source, { width, height, fit, format, quality }).toFile(tempPath);
+    await fs.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.rm(tempPath, { force: true });
+    throw error;
+  }
+
+  scheduleCachePrune();
+  return filePath;
+}
+
+module.exports = {
+  DEFAULT_IMAGE_SIZES,
+  FORMATS,
+  FITS,
+  isTransformable,
+  getImageSettings,
+  generateImageVariants,
+  variantKeys,
+  deleteImageVariants,
+  signRender,
+  verifyRenderSignature,
+  pruneRenderCache,
+  renderCached
+};
\ No newline at end of file
@@ -0,0 +1,77 @@
+const { User, LoginEvent, Setting } = require('../models');
+
+const DEFAULTS = {
+  threshold: 5,
+  durationMinutes: 15,
+  maxDurationMinutes: 24 * 60
+};
+
+async function getLockoutSettings() {
+  const setting = async (key, fallback) => {
+    const value = await Setting.getValue(key, fallback);
+    return Number.isFinite(value) ? value : fallback;
+  };
+
+  return {
+    threshold: await setting('login_lockout_threshold', DEFAULTS.threshold),
+    durationMinutes: await setting('login_lockout_duration', DEFAULTS.durationMinutes),
+    maxDurationMinutes: await setting('login_lockout_max_duration', DEFAULTS.maxDurationMinutes)
+  };
+}
+
+const isLocked = (user, now = new Date()) => Boolean(user.lockedUntil && new Date(user.lockedUntil) > now);
+
+// Registrar un intento de acceso (correcto o no) en el historial
+function recordLoginEvent(req, { user = null, email = null, success, reason }) {
+  return LoginEvent.create({
+    userId: user ? user.id : null,
+    email: user ? user.email : email,
+    success,
+    reason,
+    ipAddress: req.ip || null,
+    userAgent: req.get('User-Agent') || null
+  });
+}
+
+/**
+ * Contabilizar un fallo de la cuenta. Al llegar a `login_lockout_threshold` fallos seguidos
+ * la cuenta se bloquea `login_lockout_duration` minutos, y cada fallo posterior duplica el
+ * bloqueo (hasta `login_lockout_max_duration`). Devuelve la fecha de desbloqueo o null.
+ */
+async function registerFailedAttempt(user, now = new Date()) {
+  const settings = await getLockoutSettings();
+
+  // Incremento atómico en la base de datos: los fallos simultáneos se cuentan todos
+  await user.increment('failedLoginAttempts', { silent: true });
+  await user.reload({ attributes: ['id', 'failedLoginAttempts', 'lockedUntil'] });
+  const { failedLoginAttempts } = user;
+
+  if (settings.threshold <= 0 || failedLoginAttempts < settings.threshold) return null;
+
+  const minutes = Math.min(
+    settings.durationMinutes * 2 ** (failedLoginAttempts - settings.threshold),
+    settings.maxDurationMinutes
+  );
+  const lockedUntil = new Date(now.getTime() + minutes * 60 * 1000);
+
+  // Si entretanto se contó otro fallo, el bloqueo lo fija esa petición (que será más largo)
+  await User.update({ lockedUntil }, {
+    where: { id: user.id, failedLoginAttempts },
+    silent: true
+  });
+  user.lockedUntil = lockedUntil;
+  return lockedUntil;
+}
+
+// Un acceso correcto (o el desbloqueo manual de un admin) pone el contador a cero
+function resetFailedAttempts(user) {
+  if (user.failedLoginAttempts === 0 && !user.lockedUntil) return Promise.resolve(user);
+  return user.update({ failedLoginAttempts: 0, lockedUntil: null }, { silent: true });
+}
+
+module.exports = {
+  isLocked,
+  recordLoginEvent,
+  registerFailedAttempt,
+  resetFailedAttempts
+};
\ No newline at end of file
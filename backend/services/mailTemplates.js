@@ -0,0 +1,121 @@
+// Plantillas de email por idioma. Las variables se escriben como {{nombre}}; en el HTML se
+// escapan automáticamente y en el texto plano se insertan tal cual.
+
+const DEFAULT_LOCALE = 'es';
+
+const TEMPLATES = {
+  password_reset: {
+    es: {
+      subject: 'Restablece tu contraseña en {{siteTitle}}',
+      text: 'Hola {{name}},\n\nHemos recibido una solicitud para restablecer tu contraseña. Puedes hacerlo desde este enlace, válido durante {{expiresMinutes}} minutos:\n\n{{resetUrl}}\n\nSi no lo solicitaste, ignora este mensaje.',
+      html: '<p>Hola {{name}},</p><p>Hemos recibido una solicitud para restablecer tu contraseña. Puedes hacerlo desde este enlace, válido durante {{expiresMinutes}} minutos:</p><p><a href="{{resetUrl}}">Restablecer contraseña</a></p><p>Si no lo solicitaste, ignora este mensaje.</p>'
+    },
+    en: {
+      subject: 'Reset your password on {{siteTitle}}',
+      text: 'Hi {{name}},\n\nWe received a request to reset your password. Use this link within {{expiresMinutes}} minutes:\n\n{{resetUrl}}\n\nIf you did not request it, ignore this message.',
+      html: '<p>Hi {{name}},</p><p>We received a request to reset your password. Use this link within {{expiresMinutes}} minutes:</p><p><a href="{{resetUrl}}">Reset password</a></p><p>If you did not request it, ignore this message.</p>'
+    }
+  },
+
+  email_verification: {
+    es: {
+      subject: 'Confirma tu email en {{siteTitle}}',
+      text: 'Hola {{name}},\n\nConfirma tu dirección de email desde este enlace:\n\n{{verifyUrl}}\n\nEl enlace caduca en {{expiresHours}} horas.',
+      html: '<p>Hola {{name}},</p><p>Confirma tu dirección de email desde este enlace:</p><p><a href="{{verifyUrl}}">Confirmar email</a></p><p>El enlace caduca en {{expiresHours}} horas.</p>'
+    },
+    en: {
+      subject: 'Confirm your email on {{siteTitle}}',
+      text: 'Hi {{name}},\n\nConfirm your email address using this link:\n\n{{verifyUrl}}\n\nThe link expires in {{expiresHours}} hours.',
+      html: '<p>Hi {{name}},</p><p>Confirm your email address using this link:</p><p><a href="{{verifyUrl}}">Confirm email</a></p><p>The link expires in {{expiresHours}} hours.</p>'
+    }
+  },
+
+  comment_awaiting_moderation: {
+    es: {
+      subject: 'Nuevo comentario pendiente en "{{postTitle}}"',
+      text: 'Hola {{name}},\n\n{{commentAuthor}} ha comentado en "{{postTitle}}" y el comentario espera moderación:\n\n{{commentContent}}\n\nRevísalo en {{moderationUrl}}',
+      html: '<p>Hola {{name}},</p><p>{{commentAuthor}} ha comentado en "{{postTitle}}" y el comentario espera moderación:</p><blockquote>{{commentContent}}</blockquote><p><a href="{{moderationUrl}}">Ir a la moderación</a></p>'
+    },
+    en: {
+      subject: 'New comment awaiting moderation on "{{postTitle}}"',
+      text: 'Hi {{name}},\n\n{{commentAuthor}} commented on "{{postTitle}}" and the comment is awaiting moderation:\n\n{{commentContent}}\n\nReview it at {{moderationUrl}}',
+      html: '<p>Hi {{name}},</p><p>{{commentAuthor}} commented on "{{postTitle}}" and the comment is awaiting moderation:</p><blockquote>{{commentContent}}</blockquote><p><a href="{{moderationUrl}}">Go to moderation</a></p>'
+    }
+  },
+
+  comment_reply: {
+    es: {
+      subject: '{{replyAuthor}} ha respondido a tu comentario en "{{postTitle}}"',
+      text: 'Hola {{name}},\n\n{{replyAuthor}} ha respondido a tu comentario en "{{postTitle}}":\n\n{{replyContent}}\n\nLee la conversación en {{postUrl}}\n\nPara dejar de recibir avisos de respuestas a este comentario: {{unsubscribeUrl}}',
+      html: '<p>Hola {{name}},</p><p>{{replyAuthor}} ha respondido a tu comentario en "{{postTitle}}":</p><blockquote>{{replyContent}}</blockquote><p><a href="{{postUrl}}">Ver la conversación</a></p><p><small><a href="{{unsubscribeUrl}}">Dejar de recibir avisos de respuestas a este comentario</a></small></p>'
+    },
+    en: {
+      subject: '{{replyAuthor}} replied to your comment on "{{postTitle}}"',
+      text: 'Hi {{name}},\n\n{{replyAuthor}} replied to your comment on "{{postTitle}}":\n\n{{replyContent}}\n\nRead the conversation at {{postUrl}}\n\nTo stop receiving reply notifications for this comment: {{unsubscribeUrl}}',
+      html: '<p>Hi {{name}},</p><p>{{replyAuthor}} replied to your comment on "{{postTitle}}":</p><blockquote>{{replyContent}}</blockquote><p><a href="{{postUrl}}">View the conversation</a></p><p><small><a href="{{unsubscribeUrl}}">Stop receiving reply notifications for this comment</a></small></p>'
+    }
+  },
+
+  post_approved: {
+    es: {
+      subject: 'Tu post "{{postTitle}}" ha sido aprobado',
+      text: 'Hola {{name}},\n\n{{reviewer}} ha aprobado tu post "{{postTitle}}".\n\n{{postUrl}}',
+      html: '<p>Hola {{name}},</p><p>{{reviewer}} ha aprobado tu post "{{postTitle}}".</p><p><a href="{{postUrl}}">Ver el post</a></p>'
+    },
+    en: {
+      subject: 'Your post "{{postTitle}}" has been approved',
+      text: 'Hi {{name}},\n\n{{reviewer}} approved your post "{{postTitle}}".\n\n{{postUrl}}',
+      html: '<p>Hi {{name}},</p><p>{{reviewer}} approved your post "{{postTitle}}".</p><p><a href="{{postUrl}}">View the post</a></p>'
+    }
+  }
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const interpolate = (template, data, escape) => template.replace(/\{\{(\w+)\}\}/g, (match, key) => {
+  const value = data[key] === undefined || data[key] === null ? '' : data[key];
+  return escape ? escapeHtml(value) : String(value);
+});
+
+const layout = (body, data) => `<!DOCTYPE html>
+<html lang="${escapeHtml(data.locale)}">
+<head><meta charset="utf-8"><title>${escapeHtml(data.siteTitle || '')}</title></head>
+<body style="font-family: Arial, sans-serif; color: #1f2937; line-height: 1.5;">
+${body}
+<hr style="border: none; border-top: 1px solid #e5e7eb;">
+<p style="font-size: 12px; color: #6b7280;">${escapeHtml(data.siteTitle || '')}</p>
+</body>
+</html>`;
+
+/**
+ * Renderizar una plantilla en el idioma pedido (o en el idioma por defecto si no existe).
+ * Devuelve { subject, text, html, locale }.
+ */
+function renderTemplate(name, locale, data = {}) {
+  const template = TEMPLATES[name];
+  if (!template) {
+    throw new Error(`Plantilla de email desconocida: ${name}`);
+  }
+
+  const resolvedLocale = template[locale] ? locale : DEFAULT_LOCALE;
+  const messages = template[resolvedLocale];
+  const context = { ...data, locale: resolvedLocale };
+
+  return {
+    locale: resolvedLocale,
+    subject: interpolate(messages.subject, context, false),
+    text: interpolate(messages.text, context, false),
+    html: layout(interpolate(messages.html, context, true), context)
+  };
+}
+
+module.exports = {
+  TEMPLATES,
+  DEFAULT_LOCALE,
+  renderTemplate
+};
\ No newline at end of file
@@ -0,0 +1,284 @@
+const fs = require('fs').promises;
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { Op } = require('sequelize');
+const { EmailMessage, Setting } = require('../models');
+const { renderTemplate, DEFAULT_LOCALE } = require('./mailTemplates');
+const { systemClock } = require('./postScheduler');
+
+const TRANSPORTS = ['smtp', 'file', 'json'];
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const RETRY_BASE_DELAY_MS = 60 * 1000;
+const RETRY_MAX_DELAY_MS = 6 * 60 * 60 * 1000;
+
+// Un mensaje que lleva más de este tiempo en 'sending' se considera abandonado (p. ej. el
+// servidor se detuvo a mitad del envío) y vuelve a la cola
+const STALE_SENDING_MS = 10 * 60 * 1000;
+
+// Mensajes entregados por el transporte 'json', disponibles en memoria para las pruebas
+const sentMessages = [];
+const SENT_MESSAGES_LIMIT = 100;
+
+async function getMailSettings() {
+  const setting = async (key, fallback) => {
+    const value = await Setting.getValue(key, fallback);
+    return value === null || value === '' ? fallback : value;
+  };
+
+  return {
+    transport: await setting('email_transport', process.env.SMTP_HOST ? 'smtp' : 'file'),
+    from: await setting('email_from', process.env.SMTP_USER || 'no-reply@localhost'),
+    fromName: await setting('email_from_name', await setting('site_title', 'Mi CMS')),
+    locale: await setting('email_locale', DEFAULT_LOCALE),
+    maxAttempts: await setting('email_max_attempts', DEFAULT_MAX_ATTEMPTS),
+    filePath: await setting('email_file_path', './tmp/mail'),
+    smtp: {
+      host: await setting('smtp_host', process.env.SMTP_HOST),
+      port: await setting('smtp_port', parseInt(process.env.SMTP_PORT) || 587),
+      secure: await setting('smtp_secure', false),
+      user: await setting('smtp_user', process.env.SMTP_USER),
+      pass: await setting('smtp_password', process.env.SMTP_PASS)
+    }
+  };
+}
+
+/**
+ * Crear el transporte configurado. Todos exponen sendMail(message) como nodemailer:
+ * - smtp: envío real
+ * - file: escribe cada mensaje como JSON en `email_file_path` (desarrollo)
+ * - json: guarda los mensajes en memoria (`sentMessages`), pensado para pruebas
+ */
+function createTransport(settings) {
+  switch (settings.transport) {
+    case 'smtp':
+      return nodemailer.createTransport({
+        host: settings.smtp.host,
+        port: settings.smtp.port,
+        secure: settings.smtp.secure,
+        auth: settings.smtp.user ? { user: settings.smtp.user, pass: settings.smtp.pass } : undefined
+      });
+
+    case 'file': {
+      const transport = nodemailer.createTransport({ jsonTransport: true });
+      return {
+        async sendMail(message) {
+          const info = await transport.sendMail(message);
+          await fs.mkdir(settings.filePath, { recursive: true });
+          const fileName = `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, '')}.json`;
+          await fs.writeFile(path.join(settings.filePath, fileName), info.message);
+          return info;
+        }
+      };
+    }
+
+    case 'json': {
+      const transport = nodemailer.createTransport({ jsonTransport: true });
+      return {
+        async sendMail(message) {
+          const info = await transport.sendMail(message);
+          sentMessages.push(JSON.parse(info.message));
+          if (sentMessages.length > SENT_MESSAGES_LIMIT) sentMessages.shift();
+          return info;
+        }
+      };
+    }
+
+    default:
+      throw new Error(`Transporte de email no válido: ${settings.transport}`);
+  }
+}
+
+// Avisar a los workers activos de que hay mensajes nuevos en la cola
+const listeners = new Set();
+
+/**
+ * Renderizar una plantilla y guardarla en la cola de salida.
+ * El envío lo realiza el worker de correo, que reintenta los fallos.
+ */
+async function enqueueEmail(template, { to, locale, data = {}, userId = null }) {
+  const settings = await getMailSettings();
+  const siteTitle = await Setting.getValue('site_title', 'Mi CMS');
+  const rendered = renderTemplate(template, locale || settings.locale, { siteTitle, ...data });
+
+  const message = await EmailMessage.create({
+    template,
+    locale: rendered.locale,
+    to,
+    subject: rendered.subject,
+    html: rendered.html,
+    text: rendered.text,
+    userId
+  });
+
+  listeners.forEach(listener => listener());
+  return message;
+}
+
+// Espera antes del siguiente intento: 1 min, 2 min, 4 min... hasta 6 horas
+const retryDelay = (attempts) => Math.min(RETRY_BASE_DELAY_MS * 2 ** (attempts - 1), RETRY_MAX_DELAY_MS);
+
+// El cuerpo puede llevar enlaces con tokens (verificación, restablecer contraseña): no se
+// conserva una vez que el mensaje ya no se va a enviar; quedan los datos del envío
+const CLEARED_BODY = { html: null, text: null };
+
+/**
+ * Enviar los mensajes pendientes cuyo siguiente intento ya llegó.
+ * Cada mensaje se reclama con una actualización condicional para que dos workers no lo envíen dos veces.
+ */
+async function processOutbox({ now = new Date(), limit = 20, logger = console } = {}) {
+  await EmailMessage.update(
+    { status: 'pending' },
+    { where: { status: 'sending', updatedAt: { [Op.lte]: new Date(now.getTime() - STALE_SENDING_MS) } } }
+  );
+
+  const messages = await EmailMessage.findAll({
+    where: {
+      status: 'pending',
+      [Op.or]: [{ nextAttemptAt: null }, { nextAttemptAt: { [Op.lte]: now } }]
+    },
+    order: [['createdAt', 'ASC'], ['id', 'ASC']],
+    limit
+  });
+
+  const result = { sent: 0, retried: 0, failed: 0 };
+  if (messages.length === 0) return result;
+
+  const settings = await getMailSettings();
+  const transport = createTransport(settings);
+  const from = settings.fromName ? { name: settings.fromName, address: settings.from } : settings.from;
+
+  for (const message of messages) {
+    const [claimed] = await EmailMessage.update(
+      { status: 'sending' },
+      { where: { id: message.id, status: 'pending' } }
+    );
+    if (claimed === 0) continue;
+
+    const attempts = message.attempts + 1;
+
+    try {
+      await transport.sendMail({
+        from,
+        to: message.to,
+        subject: message.subject,
+        text: message.text,
+        html: message.html
+      });
+
+      await EmailMessage.update(
+        { status: 'sent', attempts, sentAt: now, lastError: null, nextAttemptAt: null, ...CLEARED_BODY },
+        { where: { id: message.id } }
+      );
+      result.sent++;
+    } catch (error) {
+      const exhausted = attempts >= settings.maxAttempts;
+      await EmailMessage.update({
+        status: exhausted ? 'failed' : 'pending',
+        attempts,
+        lastError: error.message,
+        nextAttemptAt: exhausted ? null : new Date(now.getTime() + retryDelay(attempts)),
+        ...(exhausted ? CLEARED_BODY : {})
+      }, { where: { id: message.id } });
+
+      if (exhausted) {
+        logger.error(`Email ${message.id} descartado tras ${attempts} intentos:`, error.message);
+        result.failed++;
+      } else {
+        result.retried++;
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Worker que vacía la cola de salida cada `interval` y, además, en cuanto se encola un mensaje.
+ * Usa el mismo reloj inyectable que el publicador de posts programados.
+ */
+function createMailWorker({ clock = systemClock, interval = 60 * 1000, logger = console } = {}) {
+  let timer = null;
+  let running = false;
+  let pending = null;
+  let again = false;
+
+  async function tick() {
+    try {
+      const result = await processOutbox({ now: clock.now(), logger });
+      if (result.sent > 0) {
+        logger.log(`✉️  ${result.sent} email(s) enviado(s)`);
+      }
+    } catch (error) {
+      logger.error('Error al procesar la cola de emails:', error);
+    }
+  }
+
+  // Evita ejecuciones solapadas; si llegan mensajes durante un ciclo se repite al terminar
+  function run() {
+    if (timer) {
+      clock.clearTimeout(timer);
+      timer = null;
+    }
+    if (pending) {
+      again = true;
+      return pending;
+    }
+
+    pending = tick().finally(() => {
+      pending = null;
+      if (!running) return;
+      if (again) {
+        again = false;
+        run();
+      } else {
+        timer = clock.setTimeout(run, interval);
+      }
+    });
+    return pending;
+  }
+
+  const wake = () => {
+    if (running) run();
+  };
+
+  return {
+    async start() {
+      if (running) return;
+      running = true;
+      listeners.add(wake);
+
+      // Mensajes enviados o descartados antes de que se vaciara el cuerpo al terminar
+      try {
+        await EmailMessage.update(CLEARED_BODY, {
+          where: { status: ['sent', 'failed'], html: { [Op.ne]: null } }
+        });
+      } catch (error) {
+        logger.error('Error al vaciar los emails ya enviados:', error);
+      }
+
+      return run();
+    },
+
+    stop() {
+      running = false;
+      listeners.delete(wake);
+      if (timer) {
+        clock.clearTimeout(timer);
+        timer = null;
+      }
+    },
+
+    isRunning: () => running
+  };
+}
+
+module.exports = {
+  TRANSPORTS,
+  sentMessages,
+  getMailSettings,
+  createTransport,
+  enqueueEmail,
+  processOutbox,
+  createMailWorker
+};
\ No newline at end of file
@@ -0,0 +1,152 @@
+const path = require('path');
+const { Op } = require('sequelize');
+const { Media, MediaFolder } = require('../models');
+const { can } = require('./permissions');
+
+// Protección frente a ciclos en datos corruptos al recorrer el árbol hacia arriba
+const MAX_DEPTH = 50;
+
+/**
+ * Permisos por carpeta:
+ * - private: solo su propietario la ve y añade archivos
+ * - shared: carpeta de equipo; la ve y añade archivos quien puede subir archivos
+ */
+const canViewFolder = (user, folder) => Boolean(user) && (
+  folder.ownerId === user.id || (folder.visibility === 'shared' && can(user, 'media.upload'))
+);
+
+// Renombrar, mover o eliminar: su propietario o, si es compartida, quien gestiona los archivos de todos
+const canManageFolder = (user, folder) => Boolean(user) && (
+  folder.ownerId === user.id || (folder.visibility === 'shared' && can(user, 'media.manage_all'))
+);
+
+// Un archivo es privado si no es público o está en una carpeta privada
+async function isPrivateMedia(media) {
+  if (!media.isPublic) return true;
+  if (!media.folderId) return false;
+
+  const folder = await MediaFolder.findByPk(media.folderId, { attributes: ['id', 'visibility'] });
+  return Boolean(folder) && folder.visibility === 'private';
+}
+
+// Nombre base de los archivos subidos (<campo>-<marca de tiempo>-<aleatorio>), del que
+// derivan también sus tamaños generados ("<base>-medium.webp") y miniaturas ("thumb_<base>.jpg")
+const UPLOAD_BASENAME = /^(?:thumb_)?(.+?-\d+-\d+)(?=[-.]|$)/;
+
+// Media al que pertenece un archivo de /uploads (el original o uno de sus tamaños)
+async function findMediaByUploadPath(uploadPath) {
+  const match = path.posix.basename(uploadPath).match(UPLOAD_BASENAME);
+  if (!match) return null;
+
+  const candidates = await Media.findAll({
+    where: { filename: { [Op.like]: `${match[1]}%` } },
+    attributes: ['id', 'filename', 'isPublic', 'folderId']
+  });
+  return candidates.find(media => path.parse(media.filename).name === match[1]) || null;
+}
+
+// Condición de las carpetas que ve un usuario
+const visibleFoldersWhere = (user) => (
+  can(user, 'media.upload')
+    ? { [Op.or]: [{ visibility: 'shared' }, { ownerId: user.id }] }
+    : { ownerId: user.id }
+);
+
+async function getVisibleFolderIds(user) {
+  const folders = await MediaFolder.findAll({ where: visibleFoldersWhere(user), attributes: ['id'] });
+  return folders.map(folder => folder.id);
+}
+
+// Ruta desde la raíz hasta la carpeta, para las migas de pan: [{ id, name }, ...]
+async function getBreadcrumbs(folder) {
+  const breadcrumbs = [{ id: folder.id, name: folder.name }];
+  let parentId = folder.parentId;
+
+  while (parentId && breadcrumbs.length < MAX_DEPTH) {
+    const parent = await MediaFolder.findByPk(parentId, { attributes: ['id', 'name', 'parentId'] });
+    if (!parent) break;
+    breadcrumbs.unshift({ id: parent.id, name: parent.name });
+    parentId = parent.parentId;
+  }
+
+  return breadcrumbs;
+}
+
+// IDs de todas las subcarpetas (a cualquier profundidad) de una carpeta
+async function getDescendantIds(folderId) {
+  const descendants = [];
+  let level = [folderId];
+
+  while (level.length > 0 && descendants.length < 10000) {
+    const children = await MediaFolder.findAll({
+      where: { parentId: { [Op.in]: level } },
+      attributes: ['id']
+    });
+    level = children.map(child => child.id).filter(id => !descendants.includes(id) && id !== folderId);
+    descendants.push(...level);
+  }
+
+  return descendants;
+}
+
+/**
+ * Comprobar que una carpeta (nueva o existente) puede colgar de `parentId`.
+ * Dentro de una carpeta privada solo puede haber carpetas privadas del mismo propietario,
+ * así la visibilidad de una carpeta nunca depende de la de sus antepasados.
+ * Devuelve un mensaje de error o null.
+ */
+async function validateParent(user, { folder = null, parentId, visibility, ownerId }) {
+  if (!parentId) return null;
+
+  const parent = await MediaFolder.findByPk(parentId);
+  if (!parent || !canViewFolder(user, parent)) {
+    return 'Carpeta padre no encontrada';
+  }
+
+  if (folder && (parent.id === folder.id || (await getDescendantIds(folder.id)).includes(parent.id))) {
+    return 'Una carpeta no puede moverse dentro de sí misma ni de sus subcarpetas';
+  }
+
+  if (parent.visibility === 'private' && (visibility !== 'private' || ownerId !== parent.ownerId)) {
+    return 'Dentro de una carpeta privada solo puede haber carpetas privadas de su propietario';
+  }
+
+  return null;
+}
+
+// Carpeta de destino de una subida o un traslado (sin folderId, la raíz)
+async function resolveTargetFolder(user, folderId) {
+  if (!folderId) return { folder: null };
+
+  const folder = await MediaFolder.findByPk(folderId);
+  if (!folder || !canViewFolder(user, folder)) {
+    return { error: 'Carpeta no encontrada' };
+  }
+  return { folder };
+}
+
+// Evitar dos carpetas con el mismo nombre en el mismo sitio (entre las que ve el usuario)
+async function findSiblingByName(user, { parentId, name, excludeId = null }) {
+  const where = {
+    parentId: parentId || null,
+    name,
+    [Op.and]: [visibleFoldersWhere(user)]
+  };
+  if (excludeId) where.id = { [Op.ne]: excludeId };
+
+  return MediaFolder.findOne({ where });
+}
+
+module.exports = {
+  canViewFolder,
+  canManageFolder,
+  isPrivateMedia,
+  findMediaByUploadPath,
+  visibleFoldersWhere,
+  getVisibleFolderIds,
+  getBreadcrumbs,
+  getDescendantIds,
+  validateParent,
+  resolveTargetFolder,
+  findSiblingByName
+};
\ No newline at end of file
@@ -0,0 +1,104 @@
+const path = require('path');
+const { execFile } = require('child_process');
+const sharp = require('sharp');
+const { isTransformable, generateImageVariants } = require('./imageVariants');
+const { getStorage } = require('./storage');
+
+const FFPROBE_PATH = process.env.FFPROBE_PATH || 'ffprobe';
+
+let ffprobeMissing = false;
+
+// Nombre único con el que se guarda un archivo subido
+function uniqueFilename(originalName, prefix = 'file') {
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+  return prefix + '-' + uniqueSuffix + path.extname(originalName);
+}
+
+// Dimensiones y tamaños con nombre (metadata.sizes) de una imagen recién subida
+async function processImage(file, fileStorage) {
+  try {
+    const metadata = await sharp(file.path).metadata();
+    return {
+      width: metadata.width,
+      height: metadata.height,
+      sizes: await generateImageVariants(file.path, file.filename, fileStorage)
+    };
+  } catch (error) {
+    console.error('Error al procesar imagen:', error);
+    return {};
+  }
+}
+
+/**
+ * Duración (segundos) y dimensiones de un video o audio con ffprobe (FFPROBE_PATH).
+ * Si ffprobe no está instalado, los campos quedan vacíos.
+ */
+function probeMedia(filePath) {
+  if (ffprobeMissing) return Promise.resolve({});
+
+  const args = ['-v', 'error', '-print_format', 'json', '-show_format', '-show_streams', filePath];
+
+  return new Promise((resolve) => {
+    execFile(FFPROBE_PATH, args, { timeout: 30 * 1000 }, (error, stdout) => {
+      if (error) {
+        if (error.code === 'ENOENT') {
+          ffprobeMissing = true;
+          console.warn(`⚠️  ffprobe no disponible (${FFPROBE_PATH}): no se extraerá la duración de videos y audios`);
+        } else {
+          console.error('Error al analizar archivo multimedia:', error.message);
+        }
+        return resolve({});
+      }
+
+      try {
+        const { format = {}, streams = [] } = JSON.parse(stdout);
+        const video = streams.find(stream => stream.codec_type === 'video');
+        const duration = parseFloat(format.duration);
+
+        resolve({
+          width: video ? video.width : undefined,
+          height: video ? video.height : undefined,
+          duration: Number.isFinite(duration) ? Math.round(duration) : undefined
+        });
+      } catch (parseError) {
+        console.error('Error al analizar archivo multimedia:', parseError.message);
+        resolve({});
+      }
+    });
+  });
+}
+
+// Metadatos según el tipo: imágenes (dimensiones y tamaños generados) o videos y audios (duración)
+function processFile(file, fileStorage) {
+  if (isTransformable(file.mimetype)) {
+    return processImage(file, fileStorage);
+  }
+  if (/^(video|audio)\//.test(file.mimetype)) {
+    return probeMedia(file.path);
+  }
+  return {};
+}
+
+/**
+ * Guardar en el almacenamiento configurado un archivo recibido en disco
+ * ({ path, filename, mimetype }): original y tamaños generados.
+ * Devuelve los campos del Media: storage, path, url, width, height, duration y sizes.
+ */
+async function storeUpload(file) {
+  const fileStorage = getStorage();
+  const details = await processFile(file, fileStorage);
+  await fileStorage.putFile(file.filename, file.path, { contentType: file.mimetype });
+
+  return {
+    ...details,
+    storage: fileStorage.name,
+    path: file.filename,
+    url: fileStorage.url(file.filename)
+  };
+}
+
+module.exports = {
+  uniqueFilename,
+  probeMedia,
+  storeUpload
+};
\ No newline at end of file
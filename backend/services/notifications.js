@@ -0,0 +1,173 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { User, Post, Comment, Setting } = require('../models');
+const { enqueueEmail } = require('./mailer');
+const { getRolesWithPermission } = require('./permissions');
+
+const PASSWORD_RESET_MINUTES = 15;
+const EMAIL_VERIFICATION_HOURS = 48;
+
+const getSiteUrl = async () => (
+  (await Setting.getValue('site_url', process.env.FRONTEND_URL || 'http://localhost:3000')).replace(/\/+$/, '')
+);
+
+const displayName = (user) => user.firstName || user.username;
+
+const USER_ATTRIBUTES = ['id', 'email', 'username', 'firstName'];
+
+// Nombre visible del autor de un comentario (usuario registrado o anónimo)
+async function commentAuthorName(comment) {
+  const author = comment.user || (comment.userId && await User.findByPk(comment.userId, { attributes: USER_ATTRIBUTES }));
+  return author ? displayName(author) : comment.authorName || 'Anónimo';
+}
+
+const postUrl = (siteUrl, post) => `${siteUrl}/posts/${post.slug}`;
+
+// Firma HMAC del enlace de baja de los avisos de respuestas de un comentario
+const replyUnsubscribeToken = (comment) => crypto.createHmac('sha256', process.env.JWT_SECRET)
+  .update(`comment-replies:${comment.id}`)
+  .digest('base64url');
+
+function verifyReplyUnsubscribeToken(comment, token) {
+  const expected = Buffer.from(replyUnsubscribeToken(comment));
+  const received = Buffer.from(String(token || ''));
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+// Las notificaciones nunca deben hacer fallar la acción que las provoca
+async function safely(description, task) {
+  try {
+    await task();
+  } catch (error) {
+    console.error(`Error al encolar ${description}:`, error);
+  }
+}
+
+async function sendPasswordReset(user, token) {
+  const siteUrl = await getSiteUrl();
+  return enqueueEmail('password_reset', {
+    to: user.email,
+    userId: user.id,
+    data: {
+      name: displayName(user),
+      resetUrl: `${siteUrl}/reset-password?token=${encodeURIComponent(token)}`,
+      expiresMinutes: PASSWORD_RESET_MINUTES
+    }
+  });
+}
+
+async function sendEmailVerification(user, token) {
+  const siteUrl = await getSiteUrl();
+  return enqueueEmail('email_verification', {
+    to: user.email,
+    userId: user.id,
+    data: {
+      name: displayName(user),
+      verifyUrl: `${siteUrl}/verify-email?token=${encodeURIComponent(token)}`,
+      expiresHours: EMAIL_VERIFICATION_HOURS
+    }
+  });
+}
+
+// Avisar al autor del post y a quienes pueden moderar comentarios (permiso comments.moderate)
+function notifyCommentAwaitingModeration(comment, post) {
+  return safely('el aviso de moderación', async () => {
+    const moderatorRoles = await getRolesWithPermission('comments.moderate');
+    const recipients = await User.findAll({
+      where: {
+        status: 'active',
+        [Op.or]: [{ id: post.authorId }, { role: moderatorRoles }]
+      },
+      attributes: USER_ATTRIBUTES
+    });
+    const siteUrl = await getSiteUrl();
+    const commentAuthor = await commentAuthorName(comment);
+
+    for (const recipient of recipients) {
+      if (recipient.id === comment.userId) continue;
+
+      await enqueueEmail('comment_awaiting_moderation', {
+        to: recipient.email,
+        userId: recipient.id,
+        data: {
+          name: displayName(recipient),
+          postTitle: post.title,
+          commentAuthor,
+          commentContent: comment.content,
+          moderationUrl: `${siteUrl}/admin/comments?status=pending`
+        }
+      });
+    }
+  });
+}
+
+/**
+ * Avisar al autor del comentario padre de que ha recibido una respuesta aprobada.
+ * Se llama tanto al publicar una respuesta aprobada como al aprobarla desde moderación.
+ * Solo se avisa si el comentario lo pidió (notifyReplies) y, si es de un usuario registrado,
+ * con el email verificado: el email de un anónimo no está comprobado.
+ */
+function notifyCommentReply(reply) {
+  return safely('el aviso de respuesta', async () => {
+    if (!reply.parentId || reply.status !== 'approved') return;
+
+    const parent = await Comment.findByPk(reply.parentId, {
+      include: [{ model: User, as: 'user', attributes: [...USER_ATTRIBUTES, 'emailVerified'] }]
+    });
+    if (!parent || !parent.notifyReplies || (parent.user && !parent.user.emailVerified)) return;
+
+    const post = await Post.findByPk(reply.postId, { attributes: ['id', 'title', 'slug'] });
+    if (!post) return;
+
+    const to = parent.user ? parent.user.email : parent.authorEmail;
+    // Nadie recibe avisos de sus propias respuestas
+    if (!to || (parent.userId && parent.userId === reply.userId) ||
+        (!parent.userId && parent.authorEmail === reply.authorEmail)) return;
+
+    const siteUrl = await getSiteUrl();
+    await enqueueEmail('comment_reply', {
+      to,
+      userId: parent.userId,
+      data: {
+        name: await commentAuthorName(parent),
+        replyAuthor: await commentAuthorName(reply),
+        replyContent: reply.content,
+        postTitle: post.title,
+        postUrl: `${postUrl(siteUrl, post)}#comment-${reply.id}`,
+        unsubscribeUrl: `${siteUrl}/comments/unsubscribe?comment=${parent.id}&token=${replyUnsubscribeToken(parent)}`
+      }
+    });
+  });
+}
+
+// Avisar al autor de un post de que un revisor lo ha aprobado
+function notifyPostApproved(post, reviewer) {
+  return safely('el aviso de post aprobado', async () => {
+    const author = await User.findByPk(post.authorId, { attributes: USER_ATTRIBUTES });
+    if (!author || author.id === reviewer.id) return;
+
+    const siteUrl = await getSiteUrl();
+
+    await enqueueEmail('post_approved', {
+      to: author.email,
+      userId: author.id,
+      data: {
+        name: displayName(author),
+        reviewer: displayName(reviewer),
+        postTitle: post.title,
+        postUrl: postUrl(siteUrl, post)
+      }
+    });
+  });
+}
+
+module.exports = {
+  PASSWORD_RESET_MINUTES,
+  EMAIL_VERIFICATION_HOURS,
+  sendPasswordReset,
+  sendEmailVerification,
+  notifyCommentAwaitingModeration,
+  notifyCommentReply,
+  verifyReplyUnsubscribeToken,
+  notifyPostApproved
+};
\ No newline at end of file
@@ -0,0 +1,144 @@
+const { Role } = require('../models');
+
+// Catálogo de permisos. Las rutas comprueban permisos, nunca nombres de rol.
+const PERMISSIONS = {
+  'posts.create': 'Crear posts y gestionar los propios',
+  'posts.edit_others': 'Editar y mover los posts de otros autores',
+  'posts.publish': 'Publicar, programar y aprobar o rechazar posts',
+  'posts.view_unpublished': 'Ver posts no publicados de cualquier autor',
+  'posts.empty_trash': 'Vaciar la papelera de posts',
+  'comments.moderate': 'Moderar y eliminar comentarios',
+  'comments.auto_approve': 'Publicar comentarios sin moderación',
+  'categories.manage': 'Crear, editar y ordenar categorías',
+  'categories.delete': 'Eliminar categorías',
+  'tags.create': 'Crear tags',
+  'tags.manage': 'Editar tags',
+  'tags.delete': 'Eliminar tags',
+  'media.upload': 'Subir archivos y gestionar los propios',
+  'media.manage_all': 'Ver y gestionar los archivos de todos los usuarios',
+  'media.share_folders': 'Crear carpetas de medios compartidas con el equipo',
+  'dashboard.view': 'Ver el panel y sus estadísticas',
+  'dashboard.analytics': 'Ver la analítica del sitio',
+  'users.manage': 'Gestionar usuarios, sus roles y su historial de accesos',
+  'settings.manage': 'Ver y editar la configuración',
+  'settings.define': 'Crear y eliminar claves de configuración',
+  'roles.manage': 'Gestionar roles y permisos',
+  'api_keys.create': 'Crear y gestionar API keys propias',
+  'api_keys.manage_all': 'Ver y revocar las API keys de todos los usuarios'
+};
+
+// Comodín: el rol tiene todos los permisos, incluidos los que se añadan en el futuro
+const ALL = '*';
+
+const AUTHOR_PERMISSIONS = ['posts.create', 'comments.auto_approve', 'tags.create', 'media.upload'];
+
+const EDITOR_PERMISSIONS = [
+  ...AUTHOR_PERMISSIONS,
+  'posts.edit_others',
+  'posts.publish',
+  'posts.view_unpublished',
+  'comments.moderate',
+  'categories.manage',
+  'tags.manage',
+  'media.manage_all',
+  'media.share_folders',
+  'dashboard.view',
+  'api_keys.create'
+];
+
+// Roles de serie, equivalentes a las listas de roles que usaban antes las rutas
+const SYSTEM_ROLES = {
+  super_admin: {
+    label: 'Super administrador',
+    permissions: [ALL]
+  },
+  admin: {
+    label: 'Administrador',
+    permissions: Object.keys(PERMISSIONS).filter(permission => permission !== 'settings.define')
+  },
+  editor: {
+    label: 'Editor',
+    permissions: EDITOR_PERMISSIONS
+  },
+  author: {
+    label: 'Autor',
+    permissions: AUTHOR_PERMISSIONS
+  },
+  subscriber: {
+    label: 'Suscriptor',
+    permissions: ['media.upload']
+  }
+};
+
+const expand = (permissions) => new Set(
+  permissions.includes(ALL) ? Object.keys(PERMISSIONS) : permissions.filter(permission => PERMISSIONS[permission])
+);
+
+// Caché en memoria de los roles; se invalida al editarlos y caduca para recoger
+// los cambios hechos desde otras instancias
+const CACHE_TTL_MS = 60 * 1000;
+let cache = null;
+
+async function loadRoles() {
+  if (cache && Date.now() - cache.loadedAt < CACHE_TTL_MS) return cache.roles;
+
+  const roles = new Map(
+    Object.entries(SYSTEM_ROLES).map(([name, role]) => [name, expand(role.permissions)])
+  );
+  (await Role.findAll()).forEach(role => {
+    roles.set(role.name, expand(role.permissions || []));
+  });
+
+  cache = { roles, loadedAt: Date.now() };
+  return roles;
+}
+
+function invalidatePermissions() {
+  cache = null;
+}
+
+// Permisos de un rol (conjunto vacío si el rol no existe)
+async function getRolePermissions(roleName) {
+  return (await loadRoles()).get(roleName) || new Set();
+}
+
+// Nombres de los roles que incluyen un permiso
+async function getRolesWithPermission(permission) {
+  return [...(await loadRoles())]
+    .filter(([, permissions]) => permissions.has(permission))
+    .map(([name]) => name);
+}
+
+async function roleExists(roleName) {
+  return (await loadRoles()).has(roleName);
+}
+
+// Comprobación síncrona sobre un usuario con los permisos ya cargados (ver middleware/auth)
+const can = (user, permission) => Boolean(user && user.permissions && user.permissions.has(permission));
+
+// Nadie puede conceder (a un rol o a un usuario) permisos que no tiene
+const canGrant = (user, permissions) => [...permissions].every(permission => can(user, permission));
+
+// Crear los roles de serie que falten, con su mapeo por defecto
+async function ensureSystemRoles() {
+  for (const [name, role] of Object.entries(SYSTEM_ROLES)) {
+    await Role.findOrCreate({
+      where: { name },
+      defaults: { name, label: role.label, permissions: role.permissions, isSystem: true }
+    });
+  }
+  invalidatePermissions();
+}
+
+module.exports = {
+  PERMISSIONS,
+  ALL,
+  SYSTEM_ROLES,
+  getRolePermissions,
+  getRolesWithPermission,
+  roleExists,
+  can,
+  canGrant,
+  invalidatePermissions,
+  ensureSystemRoles
+};
\ No newline at end of file
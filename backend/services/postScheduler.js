@@ -0,0 +1,129 @@
+const { Op } = require('sequelize');
+
+// Reloj del sistema. Se puede sustituir por uno falso en pruebas.
+const systemClock = {
+  now: () => new Date(),
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: (timer) => clearTimeout(timer)
+};
+
+/**
+ * Publicador de posts programados.
+ *
+ * El estado vive en la base de datos (status = 'scheduled' + scheduledAt), de modo
+ * que al arrancar se publican los posts que vencieron mientras el servidor estaba
+ * detenido. Entre ejecuciones espera hasta el siguiente post programado, sin superar
+ * nunca `pollInterval` para detectar posts programados desde otras instancias.
+ */
+function createPostScheduler({ Post, clock = systemClock, pollInterval = 60 * 1000, logger = console } = {}) {
+  let timer = null;
+  let running = false;
+  // Posts que no se pudieron publicar en la última ejecución: se reintentan en la siguiente
+  // consulta periódica, no de inmediato (si no, el ciclo se repetiría sin espera)
+  let failedIds = [];
+
+  // Publicar todos los posts cuya fecha programada ya llegó
+  async function publishDuePosts() {
+    const now = clock.now();
+
+    const duePosts = await Post.findAll({
+      where: {
+        status: 'scheduled',
+        scheduledAt: { [Op.lte]: now }
+      },
+      order: [['scheduledAt', 'ASC']]
+    });
+
+    const published = [];
+    const failed = [];
+    for (const post of duePosts) {
+      try {
+        await post.update({
+          status: 'published',
+          publishedAt: post.scheduledAt
+        });
+        published.push(post);
+      } catch (error) {
+        logger.error(`Error al publicar el post programado ${post.id}:`, error);
+        failed.push(post.id);
+      }
+    }
+    failedIds = failed;
+
+    if (published.length > 0) {
+      logger.log(`🗓️  ${published.length} post(s) programado(s) publicado(s)`);
+    }
+
+    return published;
+  }
+
+  async function nextDelay() {
+    const where = { status: 'scheduled' };
+    if (failedIds.length > 0) {
+      where.id = { [Op.notIn]: failedIds };
+    }
+
+    const nextDate = await Post.min('scheduledAt', { where });
+    if (!nextDate) return pollInterval;
+
+    const delay = new Date(nextDate).getTime() - clock.now().getTime();
+    return Math.min(Math.max(delay, 0), pollInterval);
+  }
+
+  let pending = null;
+
+  async function tick() {
+    try {
+      await publishDuePosts();
+    } catch (error) {
+      logger.error('Error en el publicador de posts programados:', error);
+    }
+
+    if (!running) return;
+
+    let delay = pollInterval;
+    try {
+      delay = await nextDelay();
+    } catch (error) {
+      logger.error('Error al calcular el siguiente post programado:', error);
+    }
+
+    if (running) {
+      timer = clock.setTimeout(run, delay);
+    }
+  }
+
+  // Evita ejecuciones solapadas del ciclo
+  function run() {
+    timer = null;
+    if (!pending) {
+      pending = tick().finally(() => {
+        pending = null;
+      });
+    }
+    return pending;
+  }
+
+  return {
+    // Arranca el ciclo y publica de inmediato lo que haya vencido
+    start() {
+      if (running) return Promise.resolve();
+      running = true;
+      return run();
+    },
+
+    stop() {
+      running = false;
+      if (timer) {
+        clock.clearTimeout(timer);
+        timer = null;
+      }
+    },
+
+    publishDuePosts,
+
+    isRunning: () => running
+  };
+}
+
+module.exports = { createPostScheduler, systemClock };
\ No newline at end of file
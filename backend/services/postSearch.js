@@ -0,0 +1,373 @@
+const { QueryTypes } = require('sequelize');
+
+// Búsqueda de texto completo sobre posts.
+// - SQLite (desarrollo): tabla virtual FTS5 `posts_fts` cuyo rowid es el id del post.
+// - PostgreSQL (producción): columna `search_vector` (tsvector) con índice GIN.
+// El índice se mantiene desde los hooks del modelo Post.
+
+const FTS_TABLE = 'posts_fts';
+// Sin el stemmer porter (solo inglés): en SQLite se busca por palabras completas o prefijos
+// (palabra*), sin acentos ni mayúsculas, mientras PostgreSQL aplica el diccionario de TS_CONFIG
+const FTS_TOKENIZER = 'unicode61 remove_diacritics 2';
+const TS_CONFIG = process.env.SEARCH_TS_CONFIG || 'spanish';
+const HIGHLIGHT_START = '<mark>';
+const HIGHLIGHT_END = '</mark>';
+
+// Pesos de relevancia: título > extracto > contenido
+const WEIGHTS = { title: 10, excerpt: 4, content: 1 };
+
+const isPostgres = (sequelize) => sequelize.getDialect() === 'postgres';
+
+// Texto plano a indexar (el contenido puede incluir HTML)
+function stripHtml(text) {
+  if (!text) return '';
+  return String(text)
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Convierte la búsqueda del usuario en tokens:
+ * - "frase exacta" → frase
+ * - palabra* → prefijo
+ * - -palabra → exclusión
+ */
+function parseQuery(input) {
+  const terms = [];
+  const pattern = /(-?)"([^"]+)"|(-?)(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(String(input || ''))) !== null) {
+    const negated = (match[1] || match[3]) === '-';
+    const phrase = match[2];
+    const word = match[4];
+
+    if (phrase) {
+      const text = phrase.replace(/["*]/g, ' ').trim();
+      if (text) terms.push({ text, phrase: true, prefix: false, negated });
+    } else if (word) {
+      const prefix = word.endsWith('*');
+      const text = word.replace(/["*]/g, '').trim();
+      if (text) terms.push({ text, phrase: false, prefix, negated });
+    }
+  }
+
+  return terms;
+}
+
+// Consulta MATCH de FTS5 (cada término entre comillas para escapar la sintaxis)
+function buildFtsQuery(input) {
+  const terms = parseQuery(input);
+  const positive = terms.filter(term => !term.negated);
+  const negative = terms.filter(term => term.negated);
+
+  if (positive.length === 0) return null;
+
+  const quote = (term) => `"${term.text}"${term.prefix ? '*' : ''}`;
+  let query = positive.map(quote).join(' AND ');
+  negative.forEach(term => {
+    query += ` NOT ${quote(term)}`;
+  });
+
+  return query;
+}
+
+// Consulta para to_tsquery de PostgreSQL
+function buildTsQuery(input) {
+  const terms = parseQuery(input);
+  const positive = terms.filter(term => !term.negated);
+  const negative = terms.filter(term => term.negated);
+
+  if (positive.length === 0) return null;
+
+  const lexemes = (term) => term.text
+    .split(/[^\p{L}\p{N}_]+/u)
+    .filter(Boolean)
+    .map(word => `'${word.replace(/'/g, "''")}'${term.prefix ? ':*' : ''}`);
+
+  const toTs = (term) => {
+    const words = lexemes(term);
+    if (words.length === 0) return null;
+    return words.length > 1 ? `(${words.join(term.phrase ? ' <-> ' : ' & ')})` : words[0];
+  };
+
+  const parts = positive.map(toTs).filter(Boolean);
+  if (parts.length === 0) return null;
+
+  negative.map(toTs).filter(Boolean).forEach(part => {
+    parts.push(`!${part}`);
+  });
+
+  return parts.join(' & ');
+}
+
+const pgVectorSql = `
+  setweight(to_tsvector(:config, coalesce(title, '')), 'A') ||
+  setweight(to_tsvector(:config, coalesce(excerpt, '')), 'B') ||
+  setweight(to_tsvector(:config, regexp_replace(coalesce(content, ''), '<[^>]*>', ' ', 'g')), 'C')
+`;
+
+// Conexiones en las que ya se sabe que el índice existe
+const readyIndexes = new WeakSet();
+
+/**
+ * Comprobar si existe la estructura del índice. Una base de datos creada sin pasar por
+ * ensureSearchIndex (p. ej. con sync() en pruebas) no la tiene: entonces los hooks no
+ * indexan y la búsqueda no devuelve resultados, en lugar de fallar al guardar posts.
+ */
+async function hasSearchIndex(sequelize, options = {}) {
+  if (readyIndexes.has(sequelize)) return true;
+
+  const [rows] = isPostgres(sequelize)
+    ? await sequelize.query(
+      "SELECT 1 FROM information_schema.columns WHERE table_name = 'posts' AND column_name = 'search_vector'",
+      { transaction: options.transaction }
+    )
+    : await sequelize.query(
+      `SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = '${FTS_TABLE}'`,
+      { transaction: options.transaction }
+    );
+
+  if (rows.length > 0) readyIndexes.add(sequelize);
+  return rows.length > 0;
+}
+
+// Crear la estructura del índice si no existe. Devuelve true si se creó.
+async function ensureSearchIndex(sequelize) {
+  const created = await createSearchIndex(sequelize);
+  readyIndexes.add(sequelize);
+  return created;
+}
+
+async function createSearchIndex(sequelize) {
+  if (isPostgres(sequelize)) {
+    if (await hasSearchIndex(sequelize)) return false;
+
+    await sequelize.query('ALTER TABLE posts ADD COLUMN search_vector tsvector');
+    await sequelize.query('CREATE INDEX IF NOT EXISTS posts_search_vector_idx ON posts USING GIN (search_vector)');
+    await rebuildSearchIndex(sequelize);
+    return true;
+  }
+
+  const [tables] = await sequelize.query(
+    `SELECT sql FROM sqlite_master WHERE type = 'table' AND name = '${FTS_TABLE}'`
+  );
+  if (tables.length > 0) {
+    if (tables[0].sql.includes(`tokenize = '${FTS_TOKENIZER}'`)) return false;
+    // Índice creado con otro tokenizador: se crea de nuevo
+    await sequelize.query(`DROP TABLE ${FTS_TABLE}`);
+  }
+
+  await sequelize.query(
+    `CREATE VIRTUAL TABLE ${FTS_TABLE} USING fts5(title, excerpt, content, tokenize = '${FTS_TOKENIZER}')`
+  );
+  await rebuildSearchIndex(sequelize);
+  return true;
+}
+
+// Reindexar todos los posts
+async function rebuildSearchIndex(sequelize) {
+  if (isPostgres(sequelize)) {
+    await sequelize.query(`UPDATE posts SET search_vector = ${pgVectorSql}`, {
+      replacements: { config: TS_CONFIG }
+    });
+    return;
+  }
+
+  await sequelize.query(`DELETE FROM ${FTS_TABLE}`);
+  const posts = await sequelize.query('SELECT id, title, excerpt, content FROM posts', {
+    type: QueryTypes.SELECT
+  });
+  for (const post of posts) {
+    await insertFtsRow(sequelize, post);
+  }
+}
+
+function insertFtsRow(sequelize, post, options = {}) {
+  return sequelize.query(
+    `INSERT INTO ${FTS_TABLE} (rowid, title, excerpt, content) VALUES (:id, :title, :excerpt, :content)`,
+    {
+      replacements: {
+        id: post.id,
+        title: post.title || '',
+        excerpt: stripHtml(post.excerpt),
+        content: stripHtml(post.content)
+      },
+      transaction: options.transaction
+    }
+  );
+}
+
+// Indexar (o reindexar) un post. Se llama desde los hooks afterCreate/afterUpdate.
+async function indexPost(post, options = {}) {
+  const { sequelize } = post;
+  if (!(await hasSearchIndex(sequelize, options))) return;
+
+  if (isPostgres(sequelize)) {
+    await sequelize.query(`UPDATE posts SET search_vector = ${pgVectorSql} WHERE id = :id`, {
+      replacements: { config: TS_CONFIG, id: post.id },
+      transaction: options.transaction
+    });
+    return;
+  }
+
+  await removePost(post, options);
+  await insertFtsRow(sequelize, post, options);
+}
+
+// Quitar un post del índice (en PostgreSQL la columna desaparece con la fila)
+async function removePost(post, options = {}) {
+  const { sequelize } = post;
+  if (isPostgres(sequelize) || !(await hasSearchIndex(sequelize, options))) return;
+
+  await sequelize.query(`DELETE FROM ${FTS_TABLE} WHERE rowid = :id`, {
+    replacements: { id: post.id },
+    transaction: options.transaction
+  });
+}
+
+// Condiciones comunes de visibilidad y filtros (alias "p" para posts)
+function buildFilters({ categoryId, tagId, type, now }) {
+  const conditions = [
+    "p.status = 'published'",
+    'p.published_at <= :now'
+  ];
+  const replacements = { now };
+
+  if (type) {
+    conditions.push('p.type = :type');
+    replacements.type = type;
+  }
+
+  if (categoryId) {
+    conditions.push(`(p.category_id = :categoryId OR EXISTS (
+      SELECT 1 FROM "PostCategories" pc WHERE pc.post_id = p.id AND pc.category_id = :categoryId
+    ))`);
+    replacements.categoryId = parseInt(categoryId);
+  }
+
+  if (tagId) {
+    conditions.push(`EXISTS (
+      SELECT 1 FROM "PostTags" pt WHERE pt.post_id = p.id AND pt.tag_id = :tagId
+    )`);
+    replacements.tagId = parseInt(tagId);
+  }
+
+  return { conditions, replacements };
+}
+
+/**
+ * Buscar posts publicados ordenados por relevancia.
+ * Devuelve `{ results: [{ id, score, titleHighlight, snippet }], total }`;
+ * `score` es mayor cuanto más relevante es el resultado.
+ */
+async function searchPosts(sequelize, { query, categoryId, tagId, type, page = 1, limit = 10, now = new Date() }) {
+  if (!(await hasSearchIndex(sequelize))) return { results: [], total: 0 };
+
+  const offset = (page - 1) * limit;
+  const { conditions, replacements } = buildFilters({ categoryId, tagId, type, now });
+  Object.assign(replacements, { limit: parseInt(limit), offset: parseInt(offset) });
+
+  if (isPostgres(sequelize)) {
+    const tsQuery = buildTsQuery(query);
+    if (!tsQuery) return { results: [], total: 0 };
+
+    Object.assign(replacements, {
+      tsQuery,
+      config: TS_CONFIG,
+      headlineOptions: `StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_END}, MaxFragments=2, MaxWords=30, MinWords=10, FragmentDelimiter=" … "`,
+      titleOptions: `StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_END}, HighlightAll=true`
+    });
+    const where = ['p.search_vector @@ to_tsquery(:config, :tsQuery)', ...conditions].join(' AND ');
+
+    const [{ total }] = await sequelize.query(
+      `SELECT CAST(COUNT(*) AS integer) AS total FROM posts p WHERE ${where}`,
+      { replacements, type: QueryTypes.SELECT }
+    );
+
+    // El rango se calcula sobre la página; ts_headline solo sobre las filas devueltas
+    const results = await sequelize.query(`
+      SELECT ranked.id, ranked.score,
+        ts_headline(:config, ranked.title, to_tsquery(:config, :tsQuery), :titleOptions) AS "titleHighlight",
+        ts_headline(:config, regexp_replace(coalesce(ranked.content, ''), '<[^>]*>', ' ', 'g'),
+          to_tsquery(:config, :tsQuery), :headlineOptions) AS snippet
+      FROM (
+        SELECT p.id, p.title, p.content,
+          ts_rank_cd('{0.1, 0.2, 0.4, 1.0}', p.search_vector, to_tsquery(:config, :tsQuery)) AS score
+        FROM posts p
+        WHERE ${where}
+        ORDER BY score DESC, p.published_at DESC
+        LIMIT :limit OFFSET :offset
+      ) ranked
+      ORDER BY ranked.score DESC
+    `, { replacements, type: QueryTypes.SELECT });
+
+    return { results, total };
+  }
+
+  const ftsQuery = buildFtsQuery(query);
+  if (!ftsQuery) return { results: [], total: 0 };
+
+  replacements.ftsQuery = ftsQuery;
+  const where = [`${FTS_TABLE} MATCH :ftsQuery`, ...conditions].join(' AND ');
+  const from = `${FTS_TABLE} JOIN posts p ON p.id = ${FTS_TABLE}.rowid`;
+
+  const [{ total }] = await sequelize.query(
+    `SELECT COUNT(*) AS total FROM ${from} WHERE ${where}`,
+    { replacements, type: QueryTypes.SELECT }
+  );
+
+  // bm25() devuelve valores negativos: cuanto menor, más relevante
+  const results = await sequelize.query(`
+    SELECT p.id,
+      -bm25(${FTS_TABLE}, ${WEIGHTS.title}, ${WEIGHTS.excerpt}, ${WEIGHTS.content}) AS score,
+      highlight(${FTS_TABLE}, 0, '${HIGHLIGHT_START}', '${HIGHLIGHT_END}') AS titleHighlight,
+      snippet(${FTS_TABLE}, 2, '${HIGHLIGHT_START}', '${HIGHLIGHT_END}', ' … ', 24) AS snippet
+    FROM ${from}
+    WHERE ${where}
+    ORDER BY score DESC, p.published_at DESC
+    LIMIT :limit OFFSET :offset
+  `, { replacements, type: QueryTypes.SELECT });
+
+  return { results, total };
+}
+
+// Ids de todos los posts (de cualquier estado) que coinciden con la búsqueda
+async function findMatchingPostIds(sequelize, query) {
+  if (!(await hasSearchIndex(sequelize))) return [];
+
+  if (isPostgres(sequelize)) {
+    const tsQuery = buildTsQuery(query);
+    if (!tsQuery) return [];
+
+    const rows = await sequelize.query(
+      'SELECT id FROM posts WHERE search_vector @@ to_tsquery(:config, :tsQuery)',
+      { replacements: { config: TS_CONFIG, tsQuery }, type: QueryTypes.SELECT }
+    );
+    return rows.map(row => row.id);
+  }
+
+  const ftsQuery = buildFtsQuery(query);
+  if (!ftsQuery) return [];
+
+  const rows = await sequelize.query(
+    `SELECT rowid AS id FROM ${FTS_TABLE} WHERE ${FTS_TABLE} MATCH :ftsQuery`,
+    { replacements: { ftsQuery }, type: QueryTypes.SELECT }
+  );
+  return rows.map(row => row.id);
+}
+
+module.exports = {
+  hasSearchIndex,
+  ensureSearchIndex,
+  rebuildSearchIndex,
+  indexPost,
+  removePost,
+  searchPosts,
+  findMatchingPostIds,
+  parseQuery,
+  buildFtsQuery,
+  buildTsQuery
+};
\ No newline at end of file
@@ -0,0 +1,186 @@
+const { Op, col } = require('sequelize');
+const { sequelize, Post, Comment, Like, Media, PostRevision, PostReview, Setting } = require('../models');
+const { systemClock } = require('./postScheduler');
+
+const DEFAULT_RETENTION_DAYS = 30;
+
+// Likes del post y de sus comentarios
+async function postLikesCondition(post, transaction) {
+  const comments = await Comment.findAll({
+    where: { postId: post.id },
+    attributes: ['id'],
+    transaction
+  });
+  const commentIds = comments.map(comment => comment.id);
+
+  return commentIds.length > 0
+    ? { [Op.or]: [{ postId: post.id }, { commentId: { [Op.in]: commentIds } }] }
+    : { postId: post.id };
+}
+
+// Mover un post a la papelera junto con sus comentarios y sus likes (y los de sus comentarios)
+function trashPost(post, now = new Date()) {
+  return sequelize.transaction(async (transaction) => {
+    await Comment.update(
+      { statusBeforeTrash: col('status') },
+      { where: { postId: post.id, status: { [Op.ne]: 'trash' } }, transaction }
+    );
+    await Comment.update(
+      { status: 'trash' },
+      { where: { postId: post.id, statusBeforeTrash: { [Op.ne]: null } }, transaction }
+    );
+
+    // validate: false porque la validación del modelo exige postId o commentId en los valores
+    await Like.update(
+      { trashedAt: now },
+      { where: { ...(await postLikesCondition(post, transaction)), trashedAt: null }, validate: false, transaction }
+    );
+
+    await post.update({
+      status: 'trash',
+      statusBeforeTrash: post.status,
+      trashedAt: now,
+      commentsCount: 0
+    }, { transaction });
+
+    return post;
+  });
+}
+
+// Sacar un post de la papelera devolviéndolo (a él, a sus comentarios y a sus likes) a su estado anterior
+function restorePost(post, now = new Date()) {
+  let status = post.statusBeforeTrash || 'draft';
+
+  // Un post programado cuya fecha ya pasó vuelve como borrador en lugar de publicarse solo
+  if (status === 'scheduled' && (!post.scheduledAt || new Date(post.scheduledAt) <= now)) {
+    status = 'draft';
+  }
+
+  return sequelize.transaction(async (transaction) => {
+    await Comment.update(
+      { status: col('status_before_trash') },
+      { where: { postId: post.id, status: 'trash', statusBeforeTrash: { [Op.ne]: null } }, transaction }
+    );
+    await Comment.update(
+      { statusBeforeTrash: null },
+      { where: { postId: post.id, statusBeforeTrash: { [Op.ne]: null } }, transaction }
+    );
+
+    await Like.update(
+      { trashedAt: null },
+      { where: { ...(await postLikesCondition(post, transaction)), trashedAt: { [Op.ne]: null } }, validate: false, transaction }
+    );
+
+    const commentsCount = await Comment.count({
+      where: { postId: post.id, status: 'approved' },
+      transaction
+    });
+
+    await post.update({
+      status,
+      statusBeforeTrash: null,
+      trashedAt: null,
+      commentsCount
+    }, { transaction });
+
+    return post;
+  });
+}
+
+// Eliminar definitivamente un post y todo lo que depende de él
+function purgePost(post) {
+  return sequelize.transaction(async (transaction) => {
+    await Like.destroy({ where: await postLikesCondition(post, transaction), transaction });
+
+    // Primero las respuestas para no romper la referencia al comentario padre
+    await Comment.destroy({ where: { postId: post.id, parentId: { [Op.ne]: null } }, transaction });
+    await Comment.destroy({ where: { postId: post.id }, transaction });
+
+    await PostRevision.destroy({ where: { postId: post.id }, transaction });
+    await PostReview.destroy({ where: { postId: post.id }, transaction });
+
+    // Los archivos adjuntos se conservan en la biblioteca de medios
+    await Media.update({ postId: null }, { where: { postId: post.id }, transaction });
+
+    await post.setTags([], { transaction });
+    await post.setCategories([], { transaction });
+    await post.destroy({ transaction });
+  });
+}
+
+async function getRetentionDays() {
+  const days = await Setting.getValue('trash_retention_days', DEFAULT_RETENTION_DAYS);
+  return Number.isFinite(days) ? days : DEFAULT_RETENTION_DAYS;
+}
+
+// Purgar los posts que llevan en la papelera más tiempo que el periodo de retención
+async function purgeExpiredPosts(now = new Date()) {
+  const retentionDays = await getRetentionDays();
+  if (retentionDays <= 0) return [];
+
+  const limitDate = new Date(now.getTime() - retentionDays * 24 * 60 * 60 * 1000);
+  const expiredPosts = await Post.findAll({
+    where: {
+      status: 'trash',
+      trashedAt: { [Op.lte]: limitDate }
+    }
+  });
+
+  for (const post of expiredPosts) {
+    await purgePost(post);
+  }
+
+  return expiredPosts.map(post => post.id);
+}
+
+/**
+ * Tarea periódica que vacía la papelera según `trash_retention_days`.
+ * Usa el mismo reloj inyectable que el publicador de posts programados.
+ */
+function createTrashPurger({ clock = systemClock, interval = 60 * 60 * 1000, logger = console } = {}) {
+  let timer = null;
+  let running = false;
+
+  async function tick() {
+    timer = null;
+
+    try {
+      const purged = await purgeExpiredPosts(clock.now());
+      if (purged.length > 0) {
+        logger.log(`🗑️  ${purged.length} post(s) eliminado(s) definitivamente de la papelera`);
+      }
+    } catch (error) {
+      logger.error('Error al purgar la papelera:', error);
+    }
+
+    if (running) {
+      timer = clock.setTimeout(tick, interval);
+    }
+  }
+
+  return {
+    start() {
+      if (running) return Promise.resolve();
+      running = true;
+      return tick();
+    },
+
+    stop() {
+      running = false;
+      if (timer) {
+        clock.clearTimeout(timer);
+        timer = null;
+      }
+    },
+
+    isRunning: () => running
+  };
+}
+
+module.exports = {
+  trashPost,
+  restorePost,
+  purgePost,
+  purgeExpiredPosts,
+  createTrashPurger
+};
\ No newline at end of file
@@ -0,0 +1,78 @@
+const { can } = require('./permissions');
+
+// Máquina de estados del flujo editorial de posts.
+// Para cada estado de origen se indica a qué estados se puede pasar y qué permiso hace falta.
+
+const EDITORS = 'posts.publish';
+const WRITERS = 'posts.create';
+
+const TRANSITIONS = {
+  draft: {
+    pending: WRITERS,
+    published: EDITORS,
+    scheduled: EDITORS,
+    private: EDITORS,
+    trash: WRITERS
+  },
+  pending: {
+    draft: WRITERS,
+    published: EDITORS,
+    scheduled: EDITORS,
+    private: EDITORS,
+    trash: WRITERS
+  },
+  scheduled: {
+    draft: EDITORS,
+    pending: EDITORS,
+    published: EDITORS,
+    private: EDITORS,
+    trash: WRITERS
+  },
+  published: {
+    draft: EDITORS,
+    pending: EDITORS,
+    scheduled: EDITORS,
+    private: EDITORS,
+    trash: WRITERS
+  },
+  private: {
+    draft: EDITORS,
+    published: EDITORS,
+    scheduled: EDITORS,
+    trash: WRITERS
+  },
+  trash: {
+    draft: WRITERS
+  }
+};
+
+// Con posts.edit_others se puede mover cualquier post; sin él, solo los propios
+function canTransition(user, post, toStatus) {
+  const fromStatus = post.status;
+  if (fromStatus === toStatus) return true;
+
+  const permission = (TRANSITIONS[fromStatus] || {})[toStatus];
+  if (!permission || !can(user, permission)) return false;
+
+  return can(user, 'posts.edit_others') || post.authorId === user.id;
+}
+
+// Estados a los que el usuario puede llevar el post desde su estado actual
+function allowedTransitions(user, post) {
+  return Object.keys(TRANSITIONS[post.status] || {})
+    .filter(toStatus => canTransition(user, post, toStatus));
+}
+
+// Estados con los que el usuario puede crear un post nuevo
+function allowedInitialStatuses(user) {
+  return Object.keys(TRANSITIONS.draft)
+    .filter(status => status !== 'trash' && can(user, TRANSITIONS.draft[status]))
+    .concat('draft');
+}
+
+module.exports = {
+  TRANSITIONS,
+  canTransition,
+  allowedTransitions,
+  allowedInitialStatuses
+};
\ No newline at end of file
@@ -0,0 +1,136 @@
+const { UniqueConstraintError } = require('sequelize');
+const { sequelize, Post, Comment, Like, User } = require('../models');
+
+const REACTION_TYPES = Like.rawAttributes.type.values;
+
+// Destino de una reacción: { postId } o { commentId }
+const targetModel = (target) => (target.postId ? Post : Comment);
+const targetId = (target) => target.postId || target.commentId;
+
+const emptyCounts = () => REACTION_TYPES.reduce((counts, type) => ({ ...counts, [type]: 0 }), {});
+
+// Contar las reacciones por tipo de un post o comentario
+async function countReactions(target, transaction) {
+  const rows = await Like.findAll({
+    where: target,
+    attributes: ['type', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+    group: ['type'],
+    raw: true,
+    transaction
+  });
+
+  const counts = emptyCounts();
+  rows.forEach(row => {
+    counts[row.type] = parseInt(row.count);
+  });
+  return counts;
+}
+
+// Cola de operaciones por destino dentro del proceso. En PostgreSQL el bloqueo de fila ya
+// serializa las peticiones entre procesos; SQLite admite una sola transacción de escritura
+// a la vez, así que allí todas las reacciones comparten cola.
+const queues = new Map();
+
+function serialize(key, task) {
+  const previous = queues.get(key) || Promise.resolve();
+  const run = previous.then(task, task);
+  const tail = run.catch(() => {});
+  queues.set(key, tail);
+  tail.then(() => {
+    if (queues.get(key) === tail) queues.delete(key);
+  });
+  return run;
+}
+
+/**
+ * Alternar la reacción de un usuario sobre un post o comentario:
+ * - sin reacción previa se crea; con el mismo tipo se elimina; con otro tipo se cambia.
+ * La fila del destino se bloquea durante la transacción y los contadores se recalculan
+ * a partir de la tabla de likes, de modo que peticiones simultáneas no los desincronizan.
+ */
+async function toggleReaction({ userId, target, type = 'like' }) {
+  const attempt = () => sequelize.transaction(async (transaction) => {
+    const Model = targetModel(target);
+    const record = await Model.findByPk(targetId(target), {
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    const existing = await Like.findOne({
+      where: { ...target, userId },
+      transaction
+    });
+
+    let reaction;
+    let action;
+    if (!existing) {
+      await Like.create({ ...target, userId, type }, { transaction });
+      reaction = type;
+      action = 'added';
+    } else if (existing.type === type) {
+      await existing.destroy({ transaction });
+      reaction = null;
+      action = 'removed';
+    } else {
+      await existing.update({ type }, { transaction });
+      reaction = type;
+      action = 'updated';
+    }
+
+    const reactionCounts = await countReactions(target, transaction);
+    const likesCount = Object.values(reactionCounts).reduce((total, count) => total + count, 0);
+    await record.update({ likesCount, reactionCounts }, { transaction, hooks: false, silent: true });
+
+    return { action, reaction, likesCount, reactionCounts };
+  });
+
+  const queueKey = sequelize.getDialect() === 'sqlite' ? 'sqlite' : JSON.stringify(target);
+
+  try {
+    return await serialize(queueKey, attempt);
+  } catch (error) {
+    // Otra petición del mismo usuario creó la reacción a la vez: repetir sobre el estado ya guardado
+    if (error instanceof UniqueConstraintError) {
+      return serialize(queueKey, attempt);
+    }
+    throw error;
+  }
+}
+
+// Usuarios que han reaccionado, opcionalmente filtrados por tipo
+async function listReactions(target, { type, page = 1, limit = 20 } = {}) {
+  const where = { ...target };
+  if (type) where.type = type;
+
+  const { count, rows } = await Like.findAndCountAll({
+    where,
+    attributes: ['id', 'type', 'createdAt'],
+    include: [
+      {
+        model: User,
+        as: 'user',
+        attributes: ['id', 'username', 'firstName', 'lastName', 'avatar']
+      }
+    ],
+    order: [['createdAt', 'DESC'], ['id', 'DESC']],
+    limit,
+    offset: (page - 1) * limit
+  });
+
+  return { count, reactions: rows };
+}
+
+// Reacción del usuario actual sobre el destino, o null
+async function findUserReaction(target, userId) {
+  if (!userId) return null;
+  const like = await Like.findOne({ where: { ...target, userId }, attributes: ['type'] });
+  return like ? like.type : null;
+}
+
+module.exports = {
+  REACTION_TYPES,
+  countReactions,
+  toggleReaction,
+  listReactions,
+  findUserReaction
+};
\ No newline at end of file
@@ -0,0 +1,160 @@
+const { Op } = require('sequelize');
+const { sequelize, Post, Setting } = require('../models');
+
+const DEFAULT_WEIGHTS = { tags: 3, categories: 2, recency: 1, popularity: 1 };
+const DEFAULT_HALF_LIFE_DAYS = 30;
+// Máximo de candidatos a puntuar en memoria
+const CANDIDATE_POOL_SIZE = 200;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+async function getScoringConfig() {
+  const weights = await Setting.getValue('related_posts_weights', DEFAULT_WEIGHTS);
+  const halfLifeDays = await Setting.getValue('related_posts_recency_half_life', DEFAULT_HALF_LIFE_DAYS);
+
+  return {
+    weights: { ...DEFAULT_WEIGHTS, ...(weights || {}) },
+    halfLifeDays: halfLifeDays > 0 ? halfLifeDays : DEFAULT_HALF_LIFE_DAYS
+  };
+}
+
+// Índice de Jaccard entre dos conjuntos de ids
+function jaccard(a, b) {
+  const shared = a.filter(id => b.includes(id));
+  const union = new Set([...a, ...b]).size;
+  return { shared, value: union > 0 ? shared.length / union : 0 };
+}
+
+// Mapa postId -> [ids] a partir de una tabla intermedia
+async function loadJoinIds(through, otherKey, postIds) {
+  const rows = await sequelize.models[through].findAll({
+    where: { postId: { [Op.in]: postIds } },
+    attributes: ['postId', otherKey],
+    raw: true
+  });
+
+  const map = {};
+  rows.forEach(row => {
+    (map[row.postId] = map[row.postId] || []).push(row[otherKey]);
+  });
+  return map;
+}
+
+/**
+ * Posts relacionados puntuados por:
+ * - tags compartidos (PostTags) y categorías compartidas (PostCategories + categoría principal), con Jaccard
+ * - recencia, con decaimiento exponencial según `related_posts_recency_half_life`
+ * - popularidad (vistas y likes), normalizada entre los candidatos
+ * Los pesos se leen del setting `related_posts_weights`.
+ */
+async function findRelatedPosts(post, { limit = 5, now = new Date() } = {}) {
+  const { weights, halfLifeDays } = await getScoringConfig();
+
+  const tagIds = ((await loadJoinIds('PostTags', 'tagId', [post.id]))[post.id] || []);
+  const categoryIds = [...new Set([
+    ...((await loadJoinIds('PostCategories', 'categoryId', [post.id]))[post.id] || []),
+    ...(post.categoryId ? [post.categoryId] : [])
+  ])];
+
+  const visible = {
+    id: { [Op.ne]: post.id },
+    status: 'published',
+    publishedAt: { [Op.lte]: now }
+  };
+
+  // Candidatos: posts que comparten algún tag o categoría
+  const sharedIds = new Set();
+  if (tagIds.length > 0) {
+    const rows = await sequelize.models.PostTags.findAll({
+      where: { tagId: { [Op.in]: tagIds } },
+      attributes: ['postId'],
+      raw: true
+    });
+    rows.forEach(row => sharedIds.add(row.postId));
+  }
+  if (categoryIds.length > 0) {
+    const rows = await sequelize.models.PostCategories.findAll({
+      where: { categoryId: { [Op.in]: categoryIds } },
+      attributes: ['postId'],
+      raw: true
+    });
+    rows.forEach(row => sharedIds.add(row.postId));
+  }
+
+  const candidateWhere = {
+    ...visible,
+    [Op.or]: [
+      { id: { [Op.in]: [...sharedIds] } },
+      ...(categoryIds.length > 0 ? [{ categoryId: { [Op.in]: categoryIds } }] : [])
+    ]
+  };
+
+  let candidates = await Post.findAll({
+    where: candidateWhere,
+    attributes: ['id', 'categoryId', 'publishedAt', 'viewsCount', 'likesCount'],
+    order: [['publishedAt', 'DESC']],
+    limit: CANDIDATE_POOL_SIZE
+  });
+
+  // Si no hay suficientes, completar con los más recientes (solo puntúan recencia y popularidad)
+  if (candidates.length < limit) {
+    const filler = await Post.findAll({
+      where: {
+        ...visible,
+        id: { [Op.notIn]: [post.id, ...candidates.map(candidate => candidate.id)] }
+      },
+      attributes: ['id', 'categoryId', 'publishedAt', 'viewsCount', 'likesCount'],
+      order: [['publishedAt', 'DESC']],
+      limit: limit - candidates.length
+    });
+    candidates = candidates.concat(filler);
+  }
+
+  if (candidates.length === 0) return { results: [], weights, halfLifeDays };
+
+  const candidateIds = candidates.map(candidate => candidate.id);
+  const candidateTags = await loadJoinIds('PostTags', 'tagId', candidateIds);
+  const candidateCategories = await loadJoinIds('PostCategories', 'categoryId', candidateIds);
+
+  const popularityOf = (candidate) => Math.log1p((candidate.viewsCount || 0) + 5 * (candidate.likesCount || 0));
+  const maxPopularity = Math.max(...candidates.map(popularityOf), 0);
+
+  const scored = candidates.map(candidate => {
+    const tags = jaccard(tagIds, candidateTags[candidate.id] || []);
+    const categories = jaccard(categoryIds, [...new Set([
+      ...(candidateCategories[candidate.id] || []),
+      ...(candidate.categoryId ? [candidate.categoryId] : [])
+    ])]);
+
+    const ageDays = Math.max(0, (now - new Date(candidate.publishedAt)) / DAY_MS);
+    const recency = Math.pow(0.5, ageDays / halfLifeDays);
+    const popularity = maxPopularity > 0 ? popularityOf(candidate) / maxPopularity : 0;
+
+    const breakdown = {
+      tags: { shared: tags.shared, value: tags.value, weighted: tags.value * weights.tags },
+      categories: { shared: categories.shared, value: categories.value, weighted: categories.value * weights.categories },
+      recency: { ageDays: Math.round(ageDays * 10) / 10, value: recency, weighted: recency * weights.recency },
+      popularity: {
+        viewsCount: candidate.viewsCount,
+        likesCount: candidate.likesCount,
+        value: popularity,
+        weighted: popularity * weights.popularity
+      }
+    };
+
+    const score = breakdown.tags.weighted + breakdown.categories.weighted +
+      breakdown.recency.weighted + breakdown.popularity.weighted;
+
+    return { id: candidate.id, score, breakdown };
+  });
+
+  scored.sort((a, b) => b.score - a.score);
+
+  return { results: scored.slice(0, limit), weights, halfLifeDays };
+}
+
+module.exports = {
+  findRelatedPosts,
+  DEFAULT_WEIGHTS,
+  DEFAULT_HALF_LIFE_DAYS
+};
\ No newline at end of file
@@ -0,0 +1,334 @@
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const { createReadStream } = require('fs');
+const { Op } = require('sequelize');
+const { UploadSession, Media, Setting } = require('../models');
+const { systemClock } = require('./postScheduler');
+const { resolveTargetFolder } = require('./mediaFolders');
+const { uniqueFilename, storeUpload } = require('./mediaUploads');
+const { getUploadRules, checkFileContent, checkQuota } = require('./uploadValidation');
+
+/**
+ * Subidas reanudables por fragmentos (protocolo tus 1.0.0: extensiones creation,
+ * termination, checksum y expiration). Los bytes recibidos se acumulan en un archivo
+ * parcial por sesión; al llegar al tamaño declarado se verifica y se guarda como Media.
+ * El offset y el bloqueo de cada subida están en la base de datos; con varias instancias del
+ * servidor, RESUMABLE_UPLOAD_PATH debe ser un directorio compartido entre todas (p. ej. un
+ * volumen de red), ya que cada fragmento puede llegar a cualquiera de ellas.
+ */
+
+const TUS_VERSION = '1.0.0';
+const UPLOADS_DIR = path.resolve(process.env.RESUMABLE_UPLOAD_PATH || path.join(__dirname, '../tmp/resumable-uploads'));
+
+// Límite del campo Media.size (INTEGER)
+const MAX_MEDIA_SIZE = 2147483647;
+const DEFAULT_MAX_SIZE = 2000 * 1024 * 1024;
+const DEFAULT_EXPIRATION_HOURS = 24;
+
+const CHECKSUM_ALGORITHMS = ['sha1', 'sha256', 'md5'];
+
+// Un bloqueo que no se liberó (el proceso que recibía el fragmento se detuvo) caduca pasado este tiempo
+const LOCK_TIMEOUT_MS = 30 * 60 * 1000;
+
+const partialPath = (session) => path.join(UPLOADS_DIR, session.id);
+
+async function getUploadSettings() {
+  const maxSize = await Setting.getValue('resumable_upload_max_size', DEFAULT_MAX_SIZE);
+  const expirationHours = await Setting.getValue('resumable_upload_expiration_hours', DEFAULT_EXPIRATION_HOURS);
+
+  return {
+    maxSize: Math.min(Number.isFinite(maxSize) && maxSize > 0 ? maxSize : DEFAULT_MAX_SIZE, MAX_MEDIA_SIZE),
+    expirationHours: Number.isFinite(expirationHours) && expirationHours > 0 ? expirationHours : DEFAULT_EXPIRATION_HOURS
+  };
+}
+
+const expirationDate = (hours, now) => new Date(now.getTime() + hours * 60 * 60 * 1000);
+
+// Cabecera Upload-Metadata: "clave valorBase64,clave2 valorBase64,..."
+function parseUploadMetadata(header = '') {
+  const metadata = {};
+
+  for (const pair of header.split(',')) {
+    const [key, value = ''] = pair.trim().split(' ');
+    if (key) {
+      metadata[key] = Buffer.from(value, 'base64').toString('utf8');
+    }
+  }
+  return metadata;
+}
+
+// Suma de verificación "<algoritmo> <digest en base64>" (cabecera Upload-Checksum)
+function parseChecksum(value) {
+  if (!value) return null;
+
+  const [algorithm, digest] = value.trim().split(' ');
+  if (!CHECKSUM_ALGORITHMS.includes(algorithm) || !digest) {
+    return { error: `Suma de verificación no válida; algoritmos admitidos: ${CHECKSUM_ALGORITHMS.join(', ')}` };
+  }
+  return { algorithm, digest };
+}
+
+function hashFile(filePath, algorithm) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash(algorithm);
+    createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('error', reject)
+      .on('end', () => resolve(hash.digest()));
+  });
+}
+
+async function createUploadSession(user, { originalName, mimeType, size, metadata }, now = new Date()) {
+  const { expirationHours } = await getUploadSettings();
+
+  await fs.mkdir(UPLOADS_DIR, { recursive: true });
+  const session = await UploadSession.create({
+    id: crypto.randomBytes(16).toString('hex'),
+    userId: user.id,
+    originalName,
+    mimeType,
+    size,
+    metadata,
+    expiresAt: expirationDate(expirationHours, now)
+  });
+  await fs.writeFile(partialPath(session), '');
+
+  return session;
+}
+
+const unlockedCondition = (now) => ({
+  [Op.or]: [{ lockToken: null }, { lockedAt: { [Op.lte]: new Date(now.getTime() - LOCK_TIMEOUT_MS) } }]
+});
+
+/**
+ * Reservar la subida para una petición con una actualización condicional en la base de datos,
+ * de modo que solo una (en cualquier instancia del servidor) recibe fragmentos a la vez y
+ * solo si sigue en el byte `offset`.
+ * Devuelve el token del bloqueo, o null si la subida está ocupada o su offset cambió.
+ */
+async function lockUpload(session, offset, now = new Date()) {
+  const lockToken = crypto.randomBytes(16).toString('hex');
+  const [locked] = await UploadSession.update({ lockToken, lockedAt: now }, {
+    where: { id: session.id, offset, ...unlockedCondition(now) }
+  });
+  return locked > 0 ? lockToken : null;
+}
+
+async function unlockUpload(session, lockToken) {
+  await UploadSession.update({ lockToken: null, lockedAt: null }, {
+    where: { id: session.id, lockToken }
+  });
+}
+
+/**
+ * Añadir al archivo parcial los bytes de `stream` a partir de session.offset.
+ * Requiere el bloqueo de la subida (lockUpload): el nuevo offset solo se guarda si se conserva.
+ * Si la conexión se corta se conserva lo recibido para reanudar desde ahí, salvo que
+ * el fragmento traiga suma de verificación: entonces solo se acepta completo y correcto.
+ * Devuelve { offset } y, si el fragmento se rechazó, tooLarge o checksumMismatch.
+ */
+async function appendChunk(session, stream, { lockToken, checksum = null, now = new Date() } = {}) {
+  const start = session.offset;
+  const hash = checksum ? crypto.createHash(checksum.algorithm) : null;
+  const result = {};
+  let position = start;
+
+  const handle = await fs.open(partialPath(session), 'r+');
+  try {
+    try {
+      for await (const chunk of stream) {
+        if (position + chunk.length > session.size) {
+          result.tooLarge = true;
+          break;
+        }
+        await handle.write(chunk, 0, chunk.length, position);
+        position += chunk.length;
+        if (hash) hash.update(chunk);
+      }
+    } catch (error) {
+      result.aborted = true;
+    }
+
+    if (result.tooLarge) {
+      position = start;
+    } else if (hash && (result.aborted || hash.digest('base64') !== checksum.digest)) {
+      result.checksumMismatch = !result.aborted;
+      position = start;
+    }
+
+    await handle.truncate(position);
+  } finally {
+    await handle.close();
+  }
+
+  const { expirationHours } = await getUploadSettings();
+  const [updated] = await UploadSession.update(
+    { offset: position, expiresAt: expirationDate(expirationHours, now) },
+    { where: { id: session.id, lockToken } }
+  );
+  if (updated === 0) {
+    throw new Error(`La subida ${session.id} perdió el bloqueo mientras recibía un fragmento`);
+  }
+  await session.reload();
+
+  return { ...result, offset: position };
+}
+
+async function deleteUploadSession(session) {
+  await fs.rm(partialPath(session), { force: true });
+  await session.destroy();
+}
+
+/**
+ * Guardar como Media una subida con todos sus bytes: comprueba el tamaño, la suma
+ * de verificación del archivo completo (metadato `checksum`), que el contenido corresponda
+ * a su tipo y la cuota del usuario; después lo pasa al almacenamiento configurado y
+ * extrae dimensiones y duración.
+ * Devuelve { media }, { checksumMismatch: true } o { error } (en ambos casos la sesión se descarta).
+ */
+async function completeUpload(session, user) {
+  const filePath = partialPath(session);
+  const { size } = await fs.stat(filePath);
+  if (size !== session.size) {
+    throw new Error(`El archivo parcial de la subida ${session.id} tiene ${size} bytes en lugar de ${session.size}`);
+  }
+
+  const { alt, caption, description, postId, folderId, checksum } = session.metadata;
+
+  const sha256 = (await hashFile(filePath, 'sha256')).toString('hex');
+  const expected = parseChecksum(checksum);
+  if (expected && !expected.error) {
+    const digest = expected.algorithm === 'sha256'
+      ? Buffer.from(sha256, 'hex')
+      : await hashFile(filePath, expected.algorithm);
+
+    if (digest.toString('base64') !== expected.digest) {
+      await deleteUploadSession(session);
+      return { checksumMismatch: true };
+    }
+  }
+
+  // La cuota se vuelve a comprobar: otras subidas pueden haber terminado mientras tanto
+  const validationError = await checkFileContent(filePath, session.originalName) ||
+    await checkQuota(user, size, await getUploadRules(), { excludeUploadId: session.id });
+  if (validationError) {
+    await deleteUploadSession(session);
+    return { error: validationError };
+  }
+
+  // Si la carpeta de destino ya no está disponible, el archivo queda en la raíz
+  const target = await resolveTargetFolder(user, folderId);
+
+  const file = {
+    path: filePath,
+    filename: uniqueFilename(session.originalName),
+    originalname: session.originalName,
+    mimetype: session.mimeType,
+    size
+  };
+  const { width, height, duration, sizes, ...stored } = await storeUpload(file);
+
+  const media = await Media.create({
+    filename: file.filename,
+    originalName: file.originalname,
+    mimeType: file.mimetype,
+    size,
+    storage: stored.storage,
+    path: stored.path,
+    url: stored.url,
+    alt,
+    caption,
+    description,
+    uploadedBy: user.id,
+    postId: postId || null,
+    folderId: target.folder ? target.folder.id : null,
+    width,
+    height,
+    duration,
+    metadata: {
+      uploadDate: new Date(),
+      resumableUploadId: session.id,
+      sha256,
+      sizes
+    }
+  });
+
+  await session.update({ mediaId: media.id });
+  await fs.rm(filePath, { force: true });
+
+  return { media };
+}
+
+// Eliminar las sesiones caducadas (salvo las que están recibiendo un fragmento) y los bytes recibidos
+async function purgeExpiredUploads(now = new Date()) {
+  const expired = await UploadSession.findAll({
+    where: { expiresAt: { [Op.lte]: now }, ...unlockedCondition(now) }
+  });
+
+  for (const session of expired) {
+    await deleteUploadSession(session);
+  }
+
+  return expired.map(session => session.id);
+}
+
+/**
+ * Tarea periódica que elimina las subidas reanudables caducadas
+ * (resumable_upload_expiration_hours desde el último fragmento recibido).
+ */
+function createUploadPurger({ clock = systemClock, interval = 60 * 60 * 1000, logger = console } = {}) {
+  let timer = null;
+  let running = false;
+
+  async function tick() {
+    timer = null;
+
+    try {
+      const purged = await purgeExpiredUploads(clock.now());
+      if (purged.length > 0) {
+        logger.log(`🧹 ${purged.length} subida(s) reanudable(s) caducada(s) eliminada(s)`);
+      }
+    } catch (error) {
+      logger.error('Error al purgar las subidas reanudables:', error);
+    }
+
+    if (running) {
+      timer = clock.setTimeout(tick, interval);
+    }
+  }
+
+  return {
+    start() {
+      if (running) return Promise.resolve();
+      running = true;
+      return tick();
+    },
+
+    stop() {
+      running = false;
+      if (timer) {
+        clock.clearTimeout(timer);
+        timer = null;
+      }
+    },
+
+    isRunning: () => running
+  };
+}
+
+module.exports = {
+  TUS_VERSION,
+  CHECKSUM_ALGORITHMS,
+  getUploadSettings,
+  parseUploadMetadata,
+  parseChecksum,
+  createUploadSession,
+  lockUpload,
+  unlockUpload,
+  appendChunk,
+  completeUpload,
+  deleteUploadSession,
+  purgeExpiredUploads,
+  createUploadPurger
+};
\ No newline at end of file
@@ -0,0 +1,229 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const { Readable } = require('stream');
+
+// Almacenamiento en un bucket compatible con S3 (AWS S3, MinIO, etc.) mediante su API REST
+// firmada con AWS Signature Version 4, sin depender del SDK.
+
+const EMPTY_PAYLOAD_HASH = crypto.createHash('sha256').update('').digest('hex');
+
+// Tamaño de cada parte en las subidas multiparte (S3 exige al menos 5 MB salvo en la última)
+const DEFAULT_PART_SIZE = 8 * 1024 * 1024;
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// Codificación RFC 3986 que exige la firma (encodeURIComponent deja sin escapar !'()*)
+const encodeRfc3986 = (value) => encodeURIComponent(value)
+  .replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+const encodeKey = (key) => key.split('/').map(encodeRfc3986).join('/');
+
+const escapeXml = (value) => String(value).replace(/[<>&]/g, char => `&#${char.charCodeAt(0)};`);
+
+const toAmzDate = (date) => date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+
+/**
+ * Firmar una petición con AWS Signature Version 4.
+ * Devuelve las cabeceras que hay que enviar, incluida Authorization.
+ */
+function signRequest({ method, url, headers = {}, payloadHash, credentials, region, service = 's3', now = new Date() }) {
+  const amzDate = toAmzDate(now);
+  const dateStamp = amzDate.slice(0, 8);
+
+  const allHeaders = {
+    ...headers,
+    host: url.host,
+    'x-amz-date': amzDate,
+    'x-amz-content-sha256': payloadHash
+  };
+  const normalized = Object.fromEntries(
+    Object.entries(allHeaders).map(([name, value]) => [name.toLowerCase(), String(value).trim().replace(/\s+/g, ' ')])
+  );
+  const headerNames = Object.keys(normalized).sort();
+  const signedHeaders = headerNames.join(';');
+
+  const canonicalQuery = [...url.searchParams]
+    .map(([name, value]) => [encodeRfc3986(name), encodeRfc3986(value)])
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([name, value]) => `${name}=${value}`)
+    .join('&');
+
+  const canonicalRequest = [
+    method,
+    url.pathname,
+    canonicalQuery,
+    headerNames.map(name => `${name}:${normalized[name]}\n`).join(''),
+    signedHeaders,
+    payloadHash
+  ].join('\n');
+
+  const scope = `${dateStamp}/${region}/${service}/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+
+  const signingKey = ['aws4_request', service, region, dateStamp].reduceRight(
+    (key, part) => hmac(key, part),
+    `AWS4${credentials.secretAccessKey}`
+  );
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  return {
+    ...allHeaders,
+    authorization: `AWS4-HMAC-SHA256 Credential=${credentials.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+  };
+}
+
+/**
+ * Crear el adaptador S3. Opciones:
+ * - bucket, region, accessKeyId, secretAccessKey
+ * - endpoint: para servicios compatibles como MinIO (p. ej. http://localhost:9000)
+ * - forcePathStyle: direcciones http://endpoint/bucket/clave en lugar de http://bucket.endpoint/clave (MinIO)
+ * - publicUrl: URL pública de los archivos (CDN o bucket público); por defecto, la del propio objeto
+ * - partSize: los archivos mayores se suben por partes de este tamaño (putFile)
+ */
+function createS3Storage({
+  bucket,
+  region = 'us-east-1',
+  endpoint,
+  accessKeyId,
+  secretAccessKey,
+  forcePathStyle = false,
+  publicUrl,
+  partSize = DEFAULT_PART_SIZE,
+  fetchImpl = fetch
+}) {
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('El almacenamiento S3 requiere S3_BUCKET, S3_ACCESS_KEY_ID y S3_SECRET_ACCESS_KEY');
+  }
+
+  const base = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+  const credentials = { accessKeyId, secretAccessKey };
+
+  const objectUrl = (key) => {
+    const url = new URL(base.toString());
+    if (forcePathStyle) {
+      url.pathname = `${base.pathname.replace(/\/+$/, '')}/${bucket}/${encodeKey(key)}`;
+    } else {
+      url.host = `${bucket}.${base.host}`;
+      url.pathname = `/${encodeKey(key)}`;
+    }
+    return url;
+  };
+
+  async function request(method, key, { body, headers = {}, query = {} } = {}) {
+    const url = objectUrl(key);
+    Object.entries(query).forEach(([name, value]) => url.searchParams.set(name, value));
+    const payloadHash = body ? sha256(body) : EMPTY_PAYLOAD_HASH;
+    // fetch pone la cabecera Host por su cuenta, con el mismo valor que se firmó
+    const { host, ...signedHeaders } = signRequest({ method, url, headers, payloadHash, credentials, region });
+    const response = await fetchImpl(url, { method, headers: signedHeaders, body });
+
+    if (!response.ok && !(method === 'HEAD' && response.status === 404)) {
+      const text = method === 'HEAD' ? '' : await response.text();
+      const error = new Error(`S3 ${method} ${key} respondió ${response.status}${text ? `: ${text.slice(0, 200)}` : ''}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    return response;
+  }
+
+  async function put(key, buffer, { contentType = 'application/octet-stream' } = {}) {
+    await request('PUT', key, {
+      body: buffer,
+      headers: { 'content-type': contentType }
+    });
+  }
+
+  // Subida multiparte: en memoria solo hay una parte cada vez
+  async function putFileInParts(key, filePath, contentType) {
+    const created = await request('POST', key, {
+      query: { uploads: '' },
+      headers: { 'content-type': contentType }
+    });
+    const uploadId = ((await created.text()).match(/<UploadId>([^<]+)<\/UploadId>/) || [])[1];
+    if (!uploadId) {
+      throw new Error(`S3 no devolvió el identificador de la subida multiparte de ${key}`);
+    }
+
+    const handle = await fs.open(filePath, 'r');
+    try {
+      const buffer = Buffer.alloc(partSize);
+      const parts = [];
+
+      for (let partNumber = 1; ; partNumber++) {
+        const { bytesRead } = await handle.read(buffer, 0, partSize, null);
+        if (bytesRead === 0) break;
+
+        const response = await request('PUT', key, {
+          query: { partNumber: String(partNumber), uploadId },
+          body: buffer.subarray(0, bytesRead)
+        });
+        parts.push({ partNumber, etag: response.headers.get('etag') });
+      }
+
+      const completion = await request('POST', key, {
+        query: { uploadId },
+        headers: { 'content-type': 'application/xml' },
+        body: `<CompleteMultipartUpload>${parts.map(part => (
+          `<Part><PartNumber>${part.partNumber}</PartNumber><ETag>${escapeXml(part.etag)}</ETag></Part>`
+        )).join('')}</CompleteMultipartUpload>`
+      });
+      // S3 puede responder 200 e informar del fallo en el cuerpo
+      const result = await completion.text();
+      if (result.includes('<Error>')) {
+        throw new Error(`S3 no pudo completar la subida multiparte de ${key}: ${result.slice(0, 200)}`);
+      }
+    } catch (error) {
+      await request('DELETE', key, { query: { uploadId } }).catch(() => {});
+      throw error;
+    } finally {
+      await handle.close();
+    }
+  }
+
+  return {
+    name: 's3',
+
+    put,
+
+    async putFile(key, filePath, { contentType = 'application/octet-stream' } = {}) {
+      const { size } = await fs.stat(filePath);
+      if (size <= partSize) {
+        return put(key, await fs.readFile(filePath), { contentType });
+      }
+      await putFileInParts(key, filePath, contentType);
+    },
+
+    async get(key) {
+      const response = await request('GET', key);
+      return Buffer.from(await response.arrayBuffer());
+    },
+
+    async getStream(key) {
+      const response = await request('GET', key);
+      return Readable.fromWeb(response.body);
+    },
+
+    async exists(key) {
+      const response = await request('HEAD', key);
+      return response.status !== 404;
+    },
+
+    async delete(key) {
+      // S3 responde 204 también si el objeto no existía
+      await request('DELETE', key);
+    },
+
+    url(key) {
+      return publicUrl
+        ? `${publicUrl.replace(/\/+$/, '')}/${encodeKey(key)}`
+        : objectUrl(key).toString();
+    }
+  };
+}
+
+module.exports = {
+  signRequest,
+  createS3Storage
+};
\ No newline at end of file
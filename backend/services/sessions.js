@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { Session } = require('../models');
+
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Varias peticiones en paralelo (pestañas, llamadas simultáneas) pueden renovar con el mismo
+// token: el anterior a la última rotación se sigue aceptando durante este margen
+const ROTATION_GRACE_MS = 30 * 1000;
+
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+// Los refresh tokens son opacos: "<familyId>.<secreto>". Solo se guarda el hash del secreto
+const buildToken = (session, secret) => `${session.familyId}.${secret}`;
+const newSecret = () => crypto.randomBytes(48).toString('base64url');
+
+function parseToken(token) {
+  const [familyId, secret] = String(token || '').split('.');
+  return familyId && secret ? { familyId, secret } : null;
+}
+
+const clientInfo = (req) => ({
+  userAgent: req.get('User-Agent') || null,
+  ipAddress: req.ip || null
+});
+
+// Abrir una sesión nueva (un dispositivo) y emitir su primer refresh token
+async function createSession(user, req, now = new Date()) {
+  const secret = newSecret();
+  const session = await Session.create({
+    userId: user.id,
+    tokenHash: hashToken(secret),
+    ...clientInfo(req),
+    lastUsedAt: now,
+    expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_MS)
+  });
+
+  return { session, refreshToken: buildToken(session, secret) };
+}
+
+async function revokeSession(session, reason = 'revoked', now = new Date()) {
+  if (session.revokedAt) return session;
+  return session.update({ revokedAt: now, revokedReason: reason });
+}
+
+// Revocar todas las sesiones activas de un usuario (salvo, opcionalmente, una)
+async function revokeUserSessions(userId, reason = 'revoked', { exceptId = null, now = new Date() } = {}) {
+  const where = { userId, revokedAt: null };
+  if (exceptId) where.id = { [Op.ne]: exceptId };
+
+  const [count] = await Session.update({ revokedAt: now, revokedReason: reason }, { where });
+  return count;
+}
+
+// El token presentado es el que se acaba de rotar, dentro del margen de ROTATION_GRACE_MS
+const isWithinGrace = (session, presentedHash, now) =>
+  session.previousTokenHash === presentedHash &&
+  Boolean(session.rotatedAt) &&
+  now.getTime() - new Date(session.rotatedAt).getTime() <= ROTATION_GRACE_MS;
+
+/**
+ * Canjear un refresh token por uno nuevo. Cada token solo puede usarse una vez:
+ * presentar uno ya canjeado indica que se filtró, así que se revoca toda la familia
+ * (la sesión) y tanto el atacante como el usuario legítimo deben volver a iniciar sesión.
+ * La excepción es el token inmediatamente anterior durante ROTATION_GRACE_MS: la sesión
+ * sigue siendo válida pero no se emite un token nuevo (refreshToken es null), así el
+ * cliente se queda con el vigente que recibió la petición que hizo la rotación.
+ *
+ * Devuelve { status: 'rotated', session, refreshToken }, { status: 'reused' } o { status: 'invalid' }.
+ */
+async function rotateRefreshToken(token, req, now = new Date()) {
+  const parsed = parseToken(token);
+  if (!parsed) return { status: 'invalid' };
+
+  const session = await Session.findOne({ where: { familyId: parsed.familyId } });
+  if (!session || !session.isActive(now)) return { status: 'invalid' };
+
+  const presentedHash = hashToken(parsed.secret);
+  if (isWithinGrace(session, presentedHash, now)) {
+    return { status: 'rotated', session, refreshToken: null };
+  }
+  if (presentedHash !== session.tokenHash) {
+    await revokeSession(session, 'reuse_detected', now);
+    return { status: 'reused' };
+  }
+
+  const secret = newSecret();
+  // Actualización condicional: de dos canjes simultáneos del mismo token solo gana uno
+  const [updated] = await Session.update({
+    tokenHash: hashToken(secret),
+    previousTokenHash: presentedHash,
+    rotatedAt: now,
+    rotations: session.rotations + 1,
+    ...clientInfo(req),
+    lastUsedAt: now,
+    expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_MS)
+  }, {
+    where: { id: session.id, tokenHash: presentedHash, revokedAt: null }
+  });
+
+  if (updated === 0) {
+    // Otra petición rotó el mismo token a la vez
+    await session.reload();
+    if (session.isActive(now) && isWithinGrace(session, presentedHash, now)) {
+      return { status: 'rotated', session, refreshToken: null };
+    }
+    await revokeSession(session, 'reuse_detected', now);
+    return { status: 'reused' };
+  }
+
+  await session.reload();
+  return { status: 'rotated', session, refreshToken: buildToken(session, secret) };
+}
+
+// Sesión a la que pertenece un refresh token, sin canjearlo (para cerrar sesión)
+async function findSessionByToken(token) {
+  const parsed = parseToken(token);
+  if (!parsed) return null;
+
+  const session = await Session.findOne({ where: { familyId: parsed.familyId } });
+  return session && session.tokenHash === hashToken(parsed.secret) ? session : null;
+}
+
+// Sesiones activas de un usuario, de la más reciente a la más antigua
+function listActiveSessions(userId, now = new Date()) {
+  return Session.findAll({
+    where: {
+      userId,
+      revokedAt: null,
+      expiresAt: { [Op.gt]: now }
+    },
+    order: [['lastUsedAt', 'DESC'], ['id', 'DESC']]
+  });
+}
+
+module.exports = {
+  REFRESH_TOKEN_TTL_MS,
+  ROTATION_GRACE_MS,
+  createSession,
+  rotateRefreshToken,
+  findSessionByToken,
+  revokeSession,
+  revokeUserSessions,
+  listActiveSessions
+};
\ No newline at end of file
@@ -0,0 +1,223 @@
+const { Op } = require('sequelize');
+const { Post, Category, Tag, Media, Setting } = require('../models');
+const sitemapCache = require('./sitemapCache');
+
+// Límite de URLs por sitemap definido por el protocolo
+const SITEMAP_URL_LIMIT = 50000;
+
+const POST_TYPES = ['post', 'page', 'product', 'event'];
+
+// Ruta pública de cada tipo de contenido en el frontend
+const POST_PATHS = {
+  post: (slug) => `/posts/${slug}`,
+  page: (slug) => `/${slug}`,
+  product: (slug) => `/products/${slug}`,
+  event: (slug) => `/events/${slug}`
+};
+
+const TAXONOMIES = {
+  categories: { model: () => Category, path: (slug) => `/categories/${slug}` },
+  tags: { model: () => Tag, path: (slug) => `/tags/${slug}` }
+};
+
+const escapeXml = (value) => String(value === null || value === undefined ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const publishedWhere = (type, now) => ({
+  type,
+  status: 'published',
+  publishedAt: { [Op.lte]: now }
+});
+
+const absoluteUrl = (url, baseUrl) => (/^https?:\/\//i.test(url) ? url : `${baseUrl}${url.startsWith('/') ? '' : '/'}${url}`);
+
+async function getSiteUrl() {
+  const siteUrl = await Setting.getValue('site_url', process.env.FRONTEND_URL || 'http://localhost:3000');
+  return String(siteUrl).replace(/\/+$/, '');
+}
+
+function renderUrlset(urls) {
+  const entries = urls.map(url => [
+    '  <url>',
+    `    <loc>${escapeXml(url.loc)}</loc>`,
+    url.lastmod ? `    <lastmod>${new Date(url.lastmod).toISOString()}</lastmod>` : null,
+    ...(url.images || []).map(image => [
+      '    <image:image>',
+      `      <image:loc>${escapeXml(image.loc)}</image:loc>`,
+      image.title ? `      <image:title>${escapeXml(image.title)}</image:title>` : null,
+      image.caption ? `      <image:caption>${escapeXml(image.caption)}</image:caption>` : null,
+      '    </image:image>'
+    ].filter(Boolean).join('\n')),
+    '  </url>'
+  ].filter(Boolean).join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:image="http://www.google.com/schemas/sitemap-image/1.1">',
+    ...entries,
+    '</urlset>'
+  ].join('\n');
+}
+
+function renderIndex(sitemaps) {
+  const entries = sitemaps.map(sitemap => [
+    '  <sitemap>',
+    `    <loc>${escapeXml(sitemap.loc)}</loc>`,
+    sitemap.lastmod ? `    <lastmod>${new Date(sitemap.lastmod).toISOString()}</lastmod>` : null,
+    '  </sitemap>'
+  ].filter(Boolean).join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...entries,
+    '</sitemapindex>'
+  ].join('\n');
+}
+
+/**
+ * Índice de sitemaps: uno por tipo de post y por taxonomía, paginados a SITEMAP_URL_LIMIT URLs.
+ * `baseUrl` es la URL pública del sitio (site_url); el frontend reenvía al backend `/sitemaps/*` y `/uploads/*`.
+ */
+async function buildSitemapIndex({ baseUrl, now = new Date() }) {
+  const sitemaps = [];
+
+  for (const type of POST_TYPES) {
+    const where = publishedWhere(type, now);
+    const count = await Post.count({ where });
+    if (count === 0) continue;
+
+    const lastmod = await Post.max('updatedAt', { where });
+    for (let page = 1; page <= Math.ceil(count / SITEMAP_URL_LIMIT); page++) {
+      sitemaps.push({ loc: `${baseUrl}/sitemaps/${type}-${page}.xml`, lastmod });
+    }
+  }
+
+  for (const [name, taxonomy] of Object.entries(TAXONOMIES)) {
+    const where = { isActive: true };
+    const count = await taxonomy.model().count({ where });
+    if (count === 0) continue;
+
+    const lastmod = await taxonomy.model().max('updatedAt', { where });
+    for (let page = 1; page <= Math.ceil(count / SITEMAP_URL_LIMIT); page++) {
+      sitemaps.push({ loc: `${baseUrl}/sitemaps/${name}-${page}.xml`, lastmod });
+    }
+  }
+
+  return renderIndex(sitemaps);
+}
+
+// Sitemap de una página de posts de un tipo, con la imagen destacada y las imágenes adjuntas
+async function buildPostSitemap({ type, page, baseUrl, now = new Date() }) {
+  const siteUrl = await getSiteUrl();
+
+  const posts = await Post.findAll({
+    where: publishedWhere(type, now),
+    attributes: ['id', 'slug', 'title', 'featuredImage', 'updatedAt'],
+    order: [['id', 'ASC']],
+    limit: SITEMAP_URL_LIMIT,
+    offset: (page - 1) * SITEMAP_URL_LIMIT
+  });
+
+  if (posts.length === 0) return null;
+
+  const attachments = await Media.findAll({
+    where: {
+      postId: { [Op.in]: posts.map(post => post.id) },
+      type: 'image'
+    },
+    attributes: ['postId', 'url', 'alt', 'caption'],
+    order: [['id', 'ASC']]
+  });
+
+  const imagesByPost = {};
+  attachments.forEach(media => {
+    (imagesByPost[media.postId] = imagesByPost[media.postId] || []).push({
+      loc: absoluteUrl(media.url, baseUrl),
+      title: media.alt,
+      caption: media.caption
+    });
+  });
+
+  const urls = posts.map(post => {
+    const images = [];
+    if (post.featuredImage) {
+      images.push({ loc: absoluteUrl(post.featuredImage, baseUrl), title: post.title });
+    }
+    (imagesByPost[post.id] || []).forEach(image => {
+      if (!images.some(existing => existing.loc === image.loc)) images.push(image);
+    });
+
+    return {
+      loc: `${siteUrl}${POST_PATHS[type](post.slug)}`,
+      lastmod: post.updatedAt,
+      images
+    };
+  });
+
+  return renderUrlset(urls);
+}
+
+async function buildTaxonomySitemap({ name, page }) {
+  const siteUrl = await getSiteUrl();
+  const taxonomy = TAXONOMIES[name];
+
+  const items = await taxonomy.model().findAll({
+    where: { isActive: true },
+    attributes: ['id', 'slug', 'updatedAt'],
+    order: [['id', 'ASC']],
+    limit: SITEMAP_URL_LIMIT,
+    offset: (page - 1) * SITEMAP_URL_LIMIT
+  });
+
+  if (items.length === 0) return null;
+
+  return renderUrlset(items.map(item => ({
+    loc: `${siteUrl}${taxonomy.path(item.slug)}`,
+    lastmod: item.updatedAt
+  })));
+}
+
+/**
+ * Obtener un sitemap por nombre ('index', 'post-1', 'categories-2'...), usando la caché.
+ * Las URLs se construyen siempre con site_url (nunca con la cabecera Host de la petición);
+ * si cambia, el sitemap guardado se regenera.
+ * Devuelve null si el sitemap no existe.
+ */
+async function getSitemap(name) {
+  const baseUrl = await getSiteUrl();
+  const cached = sitemapCache.get(name);
+  if (cached && cached.baseUrl === baseUrl) return cached;
+
+  let xml;
+  if (name === 'index') {
+    xml = await buildSitemapIndex({ baseUrl });
+  } else {
+    const match = /^([a-z]+)-(\d+)$/.exec(name);
+    if (!match || parseInt(match[2]) < 1) return null;
+
+    const [, section, page] = match;
+    if (POST_TYPES.includes(section)) {
+      xml = await buildPostSitemap({ type: section, page: parseInt(page), baseUrl });
+    } else if (TAXONOMIES[section]) {
+      xml = await buildTaxonomySitemap({ name: section, page: parseInt(page) });
+    }
+  }
+
+  if (!xml) return null;
+
+  return sitemapCache.set(name, { xml, baseUrl, generatedAt: new Date() });
+}
+
+module.exports = {
+  SITEMAP_URL_LIMIT,
+  POST_TYPES,
+  buildSitemapIndex,
+  buildPostSitemap,
+  buildTaxonomySitemap,
+  getSitemap
+};
\ No newline at end of file
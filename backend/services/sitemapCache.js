@@ -0,0 +1,40 @@
+// Caché en memoria de los sitemaps generados. Vive en un módulo aparte, sin dependencias
+// de los modelos, para que los hooks de Post puedan invalidarla sin dependencias circulares.
+
+// Aunque no se publique nada, los sitemaps se regeneran periódicamente para reflejar
+// cambios en categorías y tags
+const MAX_AGE = 60 * 60 * 1000;
+
+const entries = new Map();
+
+function get(key, now = Date.now()) {
+  const entry = entries.get(key);
+  if (!entry) return null;
+  if (now - entry.createdAt > MAX_AGE) {
+    entries.delete(key);
+    return null;
+  }
+  return entry.value;
+}
+
+function set(key, value, now = Date.now()) {
+  entries.set(key, { value, createdAt: now });
+  return value;
+}
+
+function invalidate() {
+  entries.clear();
+}
+
+// Un post afecta a los sitemaps si está publicado o acaba de dejar de estarlo
+function affectsSitemaps(post) {
+  return post.status === 'published' ||
+    (post.changed('status') && post.previous('status') === 'published');
+}
+
+module.exports = {
+  get,
+  set,
+  invalidate,
+  affectsSitemaps
+};
\ No newline at end of file
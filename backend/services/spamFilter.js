@@ -0,0 +1,221 @@
+const { Op } = require('sequelize');
+const { Comment, Setting } = require('../models');
+
+const DEFAULTS = {
+  maxLinks: 2,
+  minIntervalSeconds: 15,
+  spamThreshold: 0.8,
+  moderationThreshold: 0.4
+};
+
+const DUPLICATE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+const LINK_PATTERN = /(https?:\/\/|www\.)[^\s<>"']+/gi;
+
+/**
+ * Proveedores externos de detección de spam (Akismet, un servicio propio...).
+ * Un proveedor es un objeto con:
+ * - check(comment): Promise<{ score: 0..1, reason? }>
+ * - reportSpam(comment) / reportHam(comment): opcionales, reciben las correcciones de moderación
+ * Se activan por nombre con el setting `spam_providers`.
+ */
+const providers = new Map();
+
+function registerSpamProvider(name, provider) {
+  if (!provider || typeof provider.check !== 'function') {
+    throw new Error(`El proveedor de spam "${name}" debe implementar check()`);
+  }
+  providers.set(name, provider);
+}
+
+// Proveedor local de pruebas: marca como spam el contenido con el marcador de prueba y
+// guarda en memoria las últimas correcciones recibidas
+const REPORTS_LIMIT = 100;
+
+const localStubProvider = {
+  TEST_MARKER: 'spam-test-123',
+  reports: [],
+  async check(comment) {
+    if ((comment.content || '').includes(this.TEST_MARKER)) {
+      return { score: 1, reason: 'Marcador de prueba de spam' };
+    }
+    return { score: 0 };
+  },
+  async reportSpam(comment) {
+    this.record({ commentId: comment.id, spam: true });
+  },
+  async reportHam(comment) {
+    this.record({ commentId: comment.id, spam: false });
+  },
+  record(report) {
+    this.reports.push(report);
+    if (this.reports.length > REPORTS_LIMIT) this.reports.shift();
+  }
+};
+
+registerSpamProvider('local', localStubProvider);
+
+async function getSpamSettings() {
+  const setting = async (key, fallback) => {
+    const value = await Setting.getValue(key, fallback);
+    return value === null ? fallback : value;
+  };
+
+  return {
+    maxLinks: await setting('spam_max_links', DEFAULTS.maxLinks),
+    minIntervalSeconds: await setting('spam_min_interval', DEFAULTS.minIntervalSeconds),
+    spamThreshold: await setting('spam_threshold', DEFAULTS.spamThreshold),
+    moderationThreshold: await setting('spam_moderation_threshold', DEFAULTS.moderationThreshold),
+    blockedWords: (await setting('spam_blocklist_words', [])).map(word => String(word).toLowerCase()),
+    blockedIps: await setting('spam_blocklist_ips', []),
+    providers: await setting('spam_providers', [])
+  };
+}
+
+// Admite IPs exactas y prefijos con comodín final ("203.0.113.*")
+const ipMatches = (ip, pattern) => (
+  pattern.endsWith('*') ? ip.startsWith(pattern.slice(0, -1)) : ip === pattern
+);
+
+const normalize = (text) => String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+// Condición "mismo autor": por usuario, email o IP
+const sameAuthor = (comment) => {
+  const conditions = [];
+  if (comment.userId) conditions.push({ userId: comment.userId });
+  if (comment.authorEmail) conditions.push({ authorEmail: comment.authorEmail });
+  if (comment.authorIp) conditions.push({ authorIp: comment.authorIp });
+  return conditions.length > 0 ? { [Op.or]: conditions } : null;
+};
+
+// Heurísticas integradas. Cada una devuelve una puntuación entre 0 y 1 y el motivo
+const HEURISTICS = {
+  async links(comment, settings) {
+    const links = ((comment.content || '').match(LINK_PATTERN) || []).length + (comment.authorUrl ? 1 : 0);
+    const excess = links - settings.maxLinks;
+    if (excess <= 0) return { score: 0 };
+    return { score: Math.min(0.3 * excess, 0.9), reason: `${links} enlaces` };
+  },
+
+  async blocklistedWords(comment, settings) {
+    const text = normalize([comment.content, comment.authorName, comment.authorEmail, comment.authorUrl].join(' '));
+    const found = settings.blockedWords.filter(word => word && text.includes(word));
+    if (found.length === 0) return { score: 0 };
+    return { score: Math.min(0.5 + 0.2 * (found.length - 1), 1), reason: `Palabras bloqueadas: ${found.join(', ')}` };
+  },
+
+  async blocklistedIp(comment, settings) {
+    if (!comment.authorIp || !settings.blockedIps.some(pattern => ipMatches(comment.authorIp, pattern))) {
+      return { score: 0 };
+    }
+    return { score: 1, reason: 'IP bloqueada' };
+  },
+
+  // Solo cuenta el mismo texto del mismo autor (en cualquier post): que dos lectores
+  // escriban "¡Gracias!" en el mismo post no es spam
+  async duplicate(comment, settings, now) {
+    const author = sameAuthor(comment);
+    if (!author) return { score: 0 };
+
+    const duplicate = await Comment.findOne({
+      where: {
+        ...author,
+        content: comment.content,
+        createdAt: { [Op.gte]: new Date(now - DUPLICATE_WINDOW_MS) }
+      },
+      attributes: ['id']
+    });
+    if (!duplicate) return { score: 0 };
+    return { score: 0.9, reason: 'Contenido duplicado' };
+  },
+
+  async speed(comment, settings, now) {
+    const author = sameAuthor(comment);
+    if (!author || settings.minIntervalSeconds <= 0) return { score: 0 };
+
+    const recent = await Comment.count({
+      where: {
+        ...author,
+        createdAt: { [Op.gte]: new Date(now - settings.minIntervalSeconds * 1000) }
+      }
+    });
+    if (recent === 0) return { score: 0 };
+    return { score: Math.min(0.4 + 0.2 * (recent - 1), 0.9), reason: 'Comentarios enviados demasiado rápido' };
+  },
+
+  // Historial del autor: lo que los moderadores marcaron como spam o no spam alimenta la puntuación
+  // (por usuario o email; la IP puede estar compartida por muchos autores)
+  async reputation(comment) {
+    const author = sameAuthor({ userId: comment.userId, authorEmail: comment.authorEmail });
+    if (!author) return { score: 0 };
+
+    const spam = await Comment.count({ where: { ...author, status: 'spam' } });
+    if (spam === 0) return { score: 0 };
+
+    const approved = await Comment.count({ where: { ...author, status: 'approved' } });
+    return {
+      score: Math.min(spam / (spam + approved + 1) + 0.1 * spam, 0.95),
+      reason: `Autor con ${spam} comentario(s) marcados como spam`
+    };
+  }
+};
+
+/**
+ * Puntuar un comentario antes de crearlo. Las puntuaciones de heurísticas y proveedores
+ * se combinan como probabilidades independientes: 1 - Π(1 - score).
+ */
+async function scoreComment(comment, { now = new Date() } = {}) {
+  const settings = await getSpamSettings();
+  const checks = [];
+
+  for (const [name, heuristic] of Object.entries(HEURISTICS)) {
+    const result = await heuristic(comment, settings, now);
+    checks.push({ name, score: result.score, reason: result.reason });
+  }
+
+  for (const name of settings.providers) {
+    const provider = providers.get(name);
+    if (!provider) continue;
+
+    try {
+      const result = await provider.check(comment);
+      checks.push({ name: `provider:${name}`, score: Math.min(Math.max(result.score || 0, 0), 1), reason: result.reason });
+    } catch (error) {
+      // Un proveedor caído no debe impedir comentar
+      console.error(`Error en el proveedor de spam ${name}:`, error);
+    }
+  }
+
+  const score = 1 - checks.reduce((ham, check) => ham * (1 - check.score), 1);
+  const reasons = checks.filter(check => check.score > 0).map(check => check.reason || check.name);
+
+  let verdict = 'approved';
+  if (score >= settings.spamThreshold) verdict = 'spam';
+  else if (score >= settings.moderationThreshold) verdict = 'pending';
+
+  return { score: Math.round(score * 1000) / 1000, verdict, reasons, checks };
+}
+
+// Notificar a los proveedores activos una corrección de moderación
+async function reportFeedback(comment, isSpam) {
+  const settings = await getSpamSettings();
+
+  for (const name of settings.providers) {
+    const provider = providers.get(name);
+    const report = provider && (isSpam ? provider.reportSpam : provider.reportHam);
+    if (!report) continue;
+
+    try {
+      await report.call(provider, comment);
+    } catch (error) {
+      console.error(`Error al notificar al proveedor de spam ${name}:`, error);
+    }
+  }
+}
+
+module.exports = {
+  registerSpamProvider,
+  localStubProvider,
+  scoreComment,
+  reportFeedback
+};
\ No newline at end of file
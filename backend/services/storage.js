@@ -0,0 +1,117 @@
+const path = require('path');
+const { createReadStream } = require('fs');
+const fs = require('fs').promises;
+const { createS3Storage } = require('./s3Storage');
+
+/**
+ * Adaptadores de almacenamiento de archivos subidos. Todos exponen la misma interfaz,
+ * trabajando con claves relativas ("foto.png", "variants/foto-medium.webp"):
+ * - put(key, buffer, { contentType }) / putFile(key, filePath, { contentType })
+ * - get(key) → Buffer / getStream(key) → stream de lectura
+ * - exists(key) → boolean
+ * - delete(key) (no falla si no existe)
+ * - url(key) → URL pública del archivo
+ *
+ * El driver por defecto se elige con STORAGE_DRIVER; cada Media guarda el suyo en `storage`,
+ * de modo que los archivos antiguos siguen resolviéndose mientras se migran.
+ */
+
+const DRIVERS = ['local', 's3'];
+
+const LOCAL_ROOT = path.resolve(__dirname, '..', process.env.UPLOAD_PATH || 'uploads');
+
+function createLocalStorage({ root = LOCAL_ROOT, baseUrl = '/uploads' } = {}) {
+  // Acepta también las rutas absolutas que guardaban los registros anteriores a los adaptadores
+  const resolve = (key) => {
+    const filePath = path.resolve(root, key);
+    if (filePath !== root && !filePath.startsWith(root + path.sep)) {
+      throw new Error(`Clave de almacenamiento fuera del directorio de subidas: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+    root,
+
+    async put(key, buffer) {
+      const filePath = resolve(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+    },
+
+    async putFile(key, sourcePath) {
+      const filePath = resolve(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.copyFile(sourcePath, filePath);
+    },
+
+    get: (key) => fs.readFile(resolve(key)),
+
+    getStream: async (key) => createReadStream(resolve(key)),
+
+    async exists(key) {
+      try {
+        await fs.access(resolve(key));
+        return true;
+      } catch (error) {
+        return false;
+      }
+    },
+
+    async delete(key) {
+      await fs.rm(resolve(key), { force: true });
+    },
+
+    url: (key) => `${baseUrl}/${path.relative(root, resolve(key)).split(path.sep).map(encodeURIComponent).join('/')}`,
+
+    // Clave relativa de una ruta absoluta antigua (o la propia clave si ya lo es)
+    keyFor: (filePath) => path.relative(root, resolve(filePath)).split(path.sep).join('/')
+  };
+}
+
+function createS3StorageFromEnv() {
+  const storage = createS3Storage({
+    bucket: process.env.S3_BUCKET,
+    region: process.env.S3_REGION || 'us-east-1',
+    endpoint: process.env.S3_ENDPOINT,
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+    publicUrl: process.env.S3_PUBLIC_URL
+  });
+
+  return {
+    ...storage,
+    keyFor: (key) => key
+  };
+}
+
+const instances = {};
+
+// Adaptador de un driver concreto (una instancia por driver)
+function getStorage(driver = process.env.STORAGE_DRIVER || 'local') {
+  if (!DRIVERS.includes(driver)) {
+    throw new Error(`Driver de almacenamiento no válido: ${driver}`);
+  }
+
+  if (!instances[driver]) {
+    instances[driver] = driver === 's3' ? createS3StorageFromEnv() : createLocalStorage();
+  }
+  return instances[driver];
+}
+
+// Adaptador en el que está guardado un archivo
+const getMediaStorage = (media) => getStorage(media.storage || 'local');
+
+// Clave del archivo original de un Media (los registros antiguos guardan la ruta absoluta)
+const getMediaKey = (media) => getMediaStorage(media).keyFor(media.path);
+
+module.exports = {
+  DRIVERS,
+  LOCAL_ROOT,
+  createLocalStorage,
+  getStorage,
+  getMediaStorage,
+  getMediaKey
+};
\ No newline at end of file
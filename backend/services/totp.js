@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+
+// Implementación local de HOTP (RFC 4226) y TOTP (RFC 6238) con HMAC-SHA1,
+// 6 dígitos y pasos de 30 segundos: los valores que usan las apps de autenticación.
+const DIGITS = 6;
+const PERIOD_SECONDS = 30;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+function base32Decode(input) {
+  const clean = String(input).toUpperCase().replace(/=+$/, '').replace(/\s+/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Secreto base32 no válido');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+// Secreto aleatorio de 160 bits, el tamaño recomendado por la RFC 4226 para SHA-1
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+function hotp(secret, counter) {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+
+  return String(code).padStart(DIGITS, '0');
+}
+
+const timeStep = (now = new Date()) => Math.floor(now.getTime() / 1000 / PERIOD_SECONDS);
+
+const generateTotp = (secret, now = new Date()) => hotp(secret, timeStep(now));
+
+/**
+ * Comprobar un código TOTP admitiendo `window` pasos de desfase de reloj en cada sentido.
+ * Devuelve el paso que coincide (para impedir reutilizar el mismo código) o null.
+ */
+function verifyTotp(secret, code, { now = new Date(), window = 1 } = {}) {
+  const normalized = String(code || '').replace(/\s+/g, '');
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const current = timeStep(now);
+  for (let step = current - window; step <= current + window; step++) {
+    const expected = hotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+}
+
+// URI que las apps de autenticación importan desde un código QR
+function buildOtpauthUri({ secret, accountName, issuer }) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(PERIOD_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+module.exports = {
+  DIGITS,
+  PERIOD_SECONDS,
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  hotp,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUri
+};
\ No newline at end of file
@@ -0,0 +1,130 @@
+const crypto = require('crypto');
+const { Setting } = require('../models');
+const { generateSecret, verifyTotp, buildOtpauthUri } = require('./totp');
+
+const RECOVERY_CODES_COUNT = 10;
+
+// El secreto TOTP se guarda cifrado (AES-256-GCM): una copia de la base de datos no basta para generar códigos
+const encryptionKey = () => crypto
+  .createHash('sha256')
+  .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET || '')
+  .digest();
+
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64url')).join('.');
+}
+
+function decryptSecret(value) {
+  const [iv, tag, encrypted] = value.split('.').map(part => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+const hashRecoveryCode = (code) => crypto
+  .createHash('sha256')
+  .update(String(code).toLowerCase().replace(/[^a-z0-9]/g, ''))
+  .digest('hex');
+
+// Códigos de un solo uso con formato "xxxxx-xxxxx"
+function generateRecoveryCodes() {
+  return Array.from({ length: RECOVERY_CODES_COUNT }, () => {
+    const code = crypto.randomBytes(5).toString('hex');
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+}
+
+// ¿El rol del usuario exige 2FA según `two_factor_required_roles`?
+async function isTwoFactorRequired(user) {
+  const roles = await Setting.getValue('two_factor_required_roles', []);
+  return Array.isArray(roles) && roles.includes(user.role);
+}
+
+/**
+ * Iniciar la activación: genera un secreto nuevo (pendiente hasta confirmar un código)
+ * y devuelve la URI otpauth para mostrarla como código QR.
+ */
+async function startEnrollment(user) {
+  const secret = generateSecret();
+  await user.update({ twoFactorSecret: encryptSecret(secret), twoFactorLastStep: null });
+
+  const issuer = await Setting.getValue('site_title', 'Mi CMS');
+  return {
+    secret,
+    otpauthUri: buildOtpauthUri({ secret, accountName: user.email, issuer })
+  };
+}
+
+// Comprobar un código TOTP del usuario, rechazando códigos ya usados
+async function verifyCode(user, code, now = new Date()) {
+  if (!user.twoFactorSecret) return false;
+
+  const step = verifyTotp(decryptSecret(user.twoFactorSecret), code, { now });
+  if (step === null || (user.twoFactorLastStep !== null && step <= user.twoFactorLastStep)) {
+    return false;
+  }
+
+  await user.update({ twoFactorLastStep: step });
+  return true;
+}
+
+// Confirmar la activación con un primer código. Devuelve los códigos de recuperación en claro
+// (única vez que se muestran) o null si el código no es válido.
+async function confirmEnrollment(user, code) {
+  if (user.twoFactorEnabled || !(await verifyCode(user, code))) return null;
+
+  const recoveryCodes = generateRecoveryCodes();
+  await user.update({
+    twoFactorEnabled: true,
+    twoFactorRecoveryCodes: recoveryCodes.map(hashRecoveryCode)
+  });
+
+  return recoveryCodes;
+}
+
+// Consumir un código de recuperación; cada uno sirve una sola vez
+async function useRecoveryCode(user, code) {
+  const hashes = user.twoFactorRecoveryCodes || [];
+  const hash = hashRecoveryCode(code);
+  if (!hashes.includes(hash)) return false;
+
+  await user.update({ twoFactorRecoveryCodes: hashes.filter(stored => stored !== hash) });
+  return true;
+}
+
+// Segundo paso del login: código TOTP o, en su defecto, código de recuperación
+async function verifyChallenge(user, { code, recoveryCode }) {
+  if (!user.twoFactorEnabled) return false;
+  if (code) return verifyCode(user, code);
+  if (recoveryCode) return useRecoveryCode(user, recoveryCode);
+  return false;
+}
+
+async function regenerateRecoveryCodes(user) {
+  const recoveryCodes = generateRecoveryCodes();
+  await user.update({ twoFactorRecoveryCodes: recoveryCodes.map(hashRecoveryCode) });
+  return recoveryCodes;
+}
+
+async function disableTwoFactor(user) {
+  await user.update({
+    twoFactorEnabled: false,
+    twoFactorSecret: null,
+    twoFactorRecoveryCodes: null,
+    twoFactorLastStep: null
+  });
+}
+
+module.exports = {
+  RECOVERY_CODES_COUNT,
+  isTwoFactorRequired,
+  startEnrollment,
+  confirmEnrollment,
+  verifyCode,
+  verifyChallenge,
+  regenerateRecoveryCodes,
+  disableTwoFactor
+};
\ No newline at end of file
@@ -0,0 +1,219 @@
+const path = require('path');
+const fs = require('fs').promises;
+const { Op } = require('sequelize');
+const { Media, UploadSession, Setting } = require('../models');
+
+/**
+ * Validación de los archivos subidos según la configuración:
+ * - allowed_file_types: extensiones admitidas
+ * - max_upload_size: tamaño máximo por archivo (subidas normales)
+ * - media_storage_quotas: espacio total por rol, { "author": bytes, ... } (sin entrada, sin límite)
+ * El tipo real se comprueba por los primeros bytes del contenido; el tipo MIME que declara
+ * el cliente se ignora y se guarda el que corresponde a la extensión.
+ */
+
+const DEFAULT_MAX_SIZE = 10 * 1024 * 1024;
+const DEFAULT_ALLOWED_TYPES = ['jpg', 'jpeg', 'png', 'gif', 'webp', 'pdf', 'doc', 'docx', 'mp4', 'webm', 'mp3', 'wav'];
+
+// Extensiones añadidas a los valores por defecto cuando allowed_file_types ya existía
+const ADDED_ALLOWED_TYPES = ['webp', 'mp4', 'webm', 'mp3', 'wav'];
+const ALLOWED_TYPES_UPGRADE_KEY = 'allowed_file_types_upgraded';
+
+// Bytes que hay que leer para reconocer cualquiera de las firmas
+const SNIFF_LENGTH = 16;
+
+const startsWith = (bytes, offset = 0) => (header) => (
+  header.length >= offset + bytes.length &&
+  header.subarray(offset, offset + bytes.length).equals(Buffer.from(bytes))
+);
+
+const riff = (format) => (header) => startsWith('RIFF')(header) && startsWith(format, 8)(header);
+
+// Contenedor ISO (MP4, AVIF...): caja "ftyp" con la marca principal en el byte 8
+const isoBrand = (brands) => (header) => (
+  startsWith('ftyp', 4)(header) && (!brands || brands.includes(header.subarray(8, 12).toString('latin1')))
+);
+
+const JPEG = { mimeType: 'image/jpeg', matches: startsWith([0xFF, 0xD8, 0xFF]) };
+
+// Tipos cuyo contenido se puede verificar; otras extensiones permitidas se guardan como binario genérico
+const FILE_TYPES = {
+  jpg: JPEG,
+  jpeg: JPEG,
+  png: { mimeType: 'image/png', matches: startsWith([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]) },
+  gif: { mimeType: 'image/gif', matches: (header) => startsWith('GIF87a')(header) || startsWith('GIF89a')(header) },
+  webp: { mimeType: 'image/webp', matches: riff('WEBP') },
+  avif: { mimeType: 'image/avif', matches: isoBrand(['avif', 'avis']) },
+  pdf: { mimeType: 'application/pdf', matches: startsWith('%PDF-') },
+  doc: { mimeType: 'application/msword', matches: startsWith([0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1]) },
+  docx: {
+    mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    matches: startsWith([0x50, 0x4B, 0x03, 0x04])
+  },
+  mp4: { mimeType: 'video/mp4', matches: isoBrand() },
+  webm: { mimeType: 'video/webm', matches: startsWith([0x1A, 0x45, 0xDF, 0xA3]) },
+  mp3: {
+    mimeType: 'audio/mpeg',
+    // Etiqueta ID3 o directamente una cabecera de trama MPEG
+    matches: (header) => startsWith('ID3')(header) || (header[0] === 0xFF && (header[1] & 0xE0) === 0xE0)
+  },
+  wav: { mimeType: 'audio/wav', matches: riff('WAVE') }
+};
+
+const GENERIC_MIME_TYPE = 'application/octet-stream';
+
+// Motivos de rechazo: código estable para los clientes, estado HTTP y mensaje
+const UPLOAD_ERRORS = {
+  file_required: { status: 400, message: 'No se proporcionó ningún archivo' },
+  too_many_files: { status: 400, message: 'Se han enviado demasiados archivos' },
+  file_too_large: { status: 413, message: 'El archivo supera el tamaño máximo permitido' },
+  file_type_not_allowed: { status: 415, message: 'Tipo de archivo no permitido' },
+  file_content_mismatch: { status: 415, message: 'El contenido del archivo no corresponde a su tipo' },
+  storage_quota_exceeded: { status: 413, message: 'Has superado el espacio de almacenamiento disponible' }
+};
+
+// Error de validación: { code, status, message } más datos opcionales para el cliente
+const uploadError = (code, details = {}) => ({ code, ...UPLOAD_ERRORS[code], ...details });
+
+const extensionOf = (filename) => path.extname(filename || '').slice(1).toLowerCase();
+
+async function getUploadRules() {
+  const maxSize = await Setting.getValue('max_upload_size', DEFAULT_MAX_SIZE);
+  const allowedTypes = await Setting.getValue('allowed_file_types', DEFAULT_ALLOWED_TYPES);
+  const quotas = await Setting.getValue('media_storage_quotas', {});
+
+  return {
+    maxSize: Number.isFinite(maxSize) && maxSize > 0 ? maxSize : DEFAULT_MAX_SIZE,
+    allowedTypes: (Array.isArray(allowedTypes) ? allowedTypes : DEFAULT_ALLOWED_TYPES)
+      .map(type => String(type).toLowerCase().replace(/^\./, '')),
+    quotas: quotas && typeof quotas === 'object' ? quotas : {}
+  };
+}
+
+/**
+ * Comprobar por la extensión del nombre que el tipo está permitido.
+ * Devuelve { mimeType } con el tipo MIME que se guardará, o { error }.
+ */
+function checkFileType(filename, rules) {
+  const extension = extensionOf(filename);
+
+  if (!extension || !rules.allowedTypes.includes(extension)) {
+    return { error: uploadError('file_type_not_allowed', { allowedTypes: rules.allowedTypes }) };
+  }
+  return { mimeType: FILE_TYPES[extension] ? FILE_TYPES[extension].mimeType : GENERIC_MIME_TYPE };
+}
+
+// Comprobar que los primeros bytes del archivo en disco corresponden a su extensión
+async function checkFileContent(filePath, filename) {
+  const fileType = FILE_TYPES[extensionOf(filename)];
+  if (!fileType) return null;
+
+  const handle = await fs.open(filePath, 'r');
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(SNIFF_LENGTH), 0, SNIFF_LENGTH, 0);
+    return fileType.matches(buffer.subarray(0, bytesRead)) ? null : uploadError('file_content_mismatch');
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Añadir una sola vez las extensiones nuevas a un allowed_file_types guardado con la lista
+ * anterior (los valores por defecto no sobrescriben ajustes existentes). Una marca no editable
+ * evita volver a añadirlas si después se quitan desde el panel.
+ * Devuelve las extensiones añadidas.
+ */
+async function upgradeAllowedFileTypes() {
+  const [, created] = await Setting.findOrCreate({
+    where: { key: ALLOWED_TYPES_UPGRADE_KEY },
+    defaults: {
+      key: ALLOWED_TYPES_UPGRADE_KEY,
+      value: 'true',
+      type: 'boolean',
+      category: 'media',
+      description: 'Se añadieron a allowed_file_types las extensiones de video, audio y webp',
+      isEditable: false
+    }
+  });
+  if (!created) return [];
+
+  const setting = await Setting.findOne({ where: { key: 'allowed_file_types' } });
+  const current = setting ? setting.getParsedValue() : null;
+  if (!Array.isArray(current)) return [];
+
+  const normalized = current.map(type => String(type).toLowerCase().replace(/^\./, ''));
+  const added = ADDED_ALLOWED_TYPES.filter(type => !normalized.includes(type));
+  if (added.length > 0) {
+    await setting.update({ value: JSON.stringify([...current, ...added]) });
+  }
+  return added;
+}
+
+// Espacio del rol del usuario (null: sin límite)
+function getQuota(user, rules) {
+  const quota = rules.quotas[user.role];
+  return Number.isFinite(quota) && quota >= 0 ? quota : null;
+}
+
+/**
+ * Comprobar que `bytes` caben en la cuota del rol del usuario junto con lo que ya ocupan sus
+ * archivos y lo reservado por sus subidas reanudables en curso (salvo `excludeUploadId`,
+ * la propia subida al completarse).
+ */
+async function checkQuota(user, bytes, rules, { excludeUploadId = null, now = new Date() } = {}) {
+  const quota = getQuota(user, rules);
+  if (quota === null) return null;
+
+  const stored = (await Media.sum('size', { where: { uploadedBy: user.id } })) || 0;
+  const reserved = (await UploadSession.sum('size', {
+    where: {
+      userId: user.id,
+      mediaId: null,
+      expiresAt: { [Op.gt]: now },
+      ...(excludeUploadId ? { id: { [Op.ne]: excludeUploadId } } : {})
+    }
+  })) || 0;
+
+  const used = stored + reserved;
+  if (used + bytes > quota) {
+    return uploadError('storage_quota_exceeded', { quota, used });
+  }
+  return null;
+}
+
+/**
+ * Validar archivos ya recibidos en disco ({ path, originalname, size }): tipo, contenido
+ * y cuota para el total. Corrige file.mimetype con el tipo verificado.
+ * Devuelve null o el error del primer archivo rechazado (con su nombre en `file`).
+ */
+async function validateUploadedFiles(user, files, rules) {
+  for (const file of files) {
+    const type = checkFileType(file.originalname, rules);
+    if (type.error) {
+      return { ...type.error, file: file.originalname };
+    }
+
+    const contentError = await checkFileContent(file.path, file.originalname);
+    if (contentError) {
+      return { ...contentError, file: file.originalname };
+    }
+
+    file.mimetype = type.mimeType;
+  }
+
+  const total = files.reduce((sum, file) => sum + file.size, 0);
+  return checkQuota(user, total, rules);
+}
+
+module.exports = {
+  FILE_TYPES,
+  UPLOAD_ERRORS,
+  uploadError,
+  getUploadRules,
+  upgradeAllowedFileTypes,
+  checkFileType,
+  checkFileContent,
+  getQuota,
+  checkQuota,
+  validateUploadedFiles
+};
\ No newline at end of file
@@ -6,6 +6,8 @@ function capitalize(text) {
   return text.charAt(0).toUpperCase() + text.slice(1);
 }
 
+const FEED_PATHS = ['/feed.xml', '/atom.xml', '/feed.json'];
+
 function getTagsFromPath(routePath) {
   if (routePath.startsWith('/api/')) {
     const parts = routePath.replace('/api/', '').split('/');
@@ -13,6 +15,8 @@ function getTagsFromPath(routePath) {
     return [capitalize(tag.replace(/-/g, ' '))];
   }
   if (routePath === '/health') return ['Health'];
+  if (FEED_PATHS.includes(routePath)) return ['Feeds'];
+  if (routePath.startsWith('/sitemap')) return ['Sitemaps'];
   if (routePath === '/') return ['Root'];
   return ['API'];
 }
@@ -22,12 +26,19 @@ function isPublicEndpoint(routePath) {
     '/',
     '/health',
     '/api/auth/login',
+    '/api/auth/login/2fa',
     '/api/auth/register',
     '/api/auth/refresh',
     '/api/auth/forgot-password',
-    '/api/auth/reset-password'
+    '/api/auth/reset-password',
+    '/api/auth/verify-email/:token',
+    '/api/auth/resend-verification',
+    '/api/search',
+    '/api/media/:id/render',
+    ...FEED_PATHS
   ]);
-  return publicPaths.has(routePath);
+  // Los feeds por categoría, tag y autor y los sitemaps también son públicos
+  return publicPaths.has(routePath) || routePath.endsWith('/feed') || routePath.startsWith('/sitemap');
 }
 
 function buildOpenApiSpec(app) {
@@ -67,7 +78,7 @@ function buildOpenApiSpec(app) {
           404: { description: 'Not Found' },
           500: { description: 'Internal Server Error' }
         },
-        ...(isPublicEndpoint(routePath) ? {} : { security: [{ BearerAuth: [] }] })
+        ...(isPublicEndpoint(routePath) ? {} : { security: [{ BearerAuth: [] }, { ApiKeyAuth: [] }] })
       };
     });
   });
@@ -88,6 +99,11 @@ function buildOpenApiSpec(app) {
           type: 'http',
           scheme: 'bearer',
           bearerFormat: 'JWT'
+        },
+        ApiKeyAuth: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-API-Key'
         }
       }
     },
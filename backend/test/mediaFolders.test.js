@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { sequelize, User, Media, MediaFolder } = require('../models');
+const { isPrivateMedia, findMediaByUploadPath } = require('../services/mediaFolders');
+
+let owner;
+
+test.before(async () => {
+  await sequelize.sync({ force: true });
+  owner = await User.create({
+    username: 'duena',
+    email: 'duena@example.com',
+    password: 'Secret123',
+    firstName: 'Dueña',
+    lastName: 'Pruebas',
+    role: 'author'
+  });
+});
+
+test.after(() => sequelize.close());
+
+const createMedia = (filename, attributes = {}) => Media.create({
+  filename,
+  originalName: 'original.jpg',
+  mimeType: 'image/jpeg',
+  size: 10,
+  path: `uploads/${filename}`,
+  url: `/uploads/${filename}`,
+  uploadedBy: owner.id,
+  ...attributes
+});
+
+test('isPrivateMedia considera privados los archivos no públicos y los de carpetas privadas', async () => {
+  const privateFolder = await MediaFolder.create({ name: 'Privada', ownerId: owner.id });
+  const sharedFolder = await MediaFolder.create({ name: 'Equipo', ownerId: owner.id, visibility: 'shared' });
+
+  assert.strictEqual(await isPrivateMedia(await createMedia('a-1-1.jpg')), false);
+  assert.strictEqual(await isPrivateMedia(await createMedia('a-1-2.jpg', { isPublic: false })), true);
+  assert.strictEqual(await isPrivateMedia(await createMedia('a-1-3.jpg', { folderId: privateFolder.id })), true);
+  assert.strictEqual(await isPrivateMedia(await createMedia('a-1-4.jpg', { folderId: sharedFolder.id })), false);
+});
+
+test('findMediaByUploadPath resuelve el original, sus tamaños y su miniatura', async () => {
+  const media = await createMedia('file-1700000000000-123456789.jpg');
+  await createMedia('file-1700000000000-1234567890.jpg');
+
+  for (const uploadPath of [
+    '/file-1700000000000-123456789.jpg',
+    '/file-1700000000000-123456789-medium.webp',
+    '/thumb_file-1700000000000-123456789.jpg'
+  ]) {
+    const found = await findMediaByUploadPath(uploadPath);
+    assert.strictEqual(found && found.id, media.id, uploadPath);
+  }
+
+  assert.strictEqual(await findMediaByUploadPath('/otro-archivo.jpg'), null);
+});
\ No newline at end of file
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { Sequelize } = require('sequelize');
+const db = require('../models');
+
+const MIGRATIONS_PATH = path.join(__dirname, '../migrations');
+
+const migrations = fs.readdirSync(MIGRATIONS_PATH)
+  .filter(file => file.endsWith('.js'))
+  .sort()
+  .map(file => require(path.join(MIGRATIONS_PATH, file)));
+
+let sequelize;
+let queryInterface;
+
+test.before(async () => {
+  sequelize = new Sequelize({ dialect: 'sqlite', storage: ':memory:', logging: false });
+  queryInterface = sequelize.getQueryInterface();
+
+  for (const migration of migrations) {
+    await migration.up(queryInterface, Sequelize);
+  }
+});
+
+test.after(() => Promise.all([sequelize.close(), db.sequelize.close()]));
+
+test('las migraciones crean las tablas y columnas de todos los modelos', async () => {
+  for (const model of Object.values(db.sequelize.models)) {
+    const table = model.getTableName();
+    const columns = await queryInterface.describeTable(table);
+
+    for (const attribute of Object.values(model.rawAttributes)) {
+      const column = columns[attribute.field];
+      assert.ok(column, `Falta la columna ${table}.${attribute.field}`);
+      if (!attribute.primaryKey) {
+        assert.strictEqual(column.allowNull, attribute.allowNull !== false, `Nulabilidad distinta en ${table}.${attribute.field}`);
+      }
+    }
+  }
+});
+
+test('las migraciones se pueden deshacer por completo', async () => {
+  for (const migration of [...migrations].reverse()) {
+    await migration.down(queryInterface, Sequelize);
+  }
+
+  assert.deepStrictEqual(await queryInterface.showAllTables(), []);
+});
\ No newline at end of file
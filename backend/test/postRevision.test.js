@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { sequelize, User, Post, Category, Tag, PostRevision } = require('../models');
+
+let author;
+
+test.before(async () => {
+  await sequelize.sync({ force: true });
+  author = await User.create({
+    username: 'autora',
+    email: 'autora@example.com',
+    password: 'Secret123',
+    firstName: 'Autora',
+    lastName: 'Pruebas'
+  });
+});
+
+test.after(() => sequelize.close());
+
+let postCount = 0;
+const createPost = (title = 'Post con historial') => Post.create({
+  title,
+  slug: `post-${++postCount}`,
+  content: 'Contenido original del post',
+  authorId: author.id
+});
+
+test('diff compara campo a campo y detalla los tags añadidos y quitados', () => {
+  const changes = PostRevision.diff(
+    { title: 'Antes', content: 'Igual', excerpt: undefined, tagIds: [1, 2] },
+    { title: 'Después', content: 'Igual', excerpt: null, tagIds: [2, 3] }
+  );
+
+  assert.deepStrictEqual(changes, [
+    { field: 'title', from: 'Antes', to: 'Después' },
+    { field: 'tagIds', from: [1, 2], to: [2, 3], added: [3], removed: [1] }
+  ]);
+});
+
+test('diff detalla también las categorías añadidas y quitadas', () => {
+  const changes = PostRevision.diff({ categoryId: 1, categoryIds: [1, 2] }, { categoryId: 1, categoryIds: [1] });
+
+  assert.deepStrictEqual(changes, [
+    { field: 'categoryIds', from: [1, 2], to: [1], added: [], removed: [2] }
+  ]);
+});
+
+test('la revisión guarda el conjunto de categorías además de la principal', async () => {
+  const post = await createPost('Post con categorías');
+  const primary = await Category.create({ name: 'Principal', slug: 'principal' });
+  const secondary = await Category.create({ name: 'Secundaria', slug: 'secundaria' });
+  await post.update({ categoryId: primary.id });
+  await post.setCategories([secondary, primary]);
+
+  await PostRevision.saveWithRevision(post, author.id, (transaction) => post.setCategories([primary], { transaction }));
+
+  const revision = await PostRevision.findOne({ where: { postId: post.id } });
+
+  assert.strictEqual(revision.categoryId, primary.id);
+  assert.deepStrictEqual(revision.categoryIds, [primary.id, secondary.id].sort((a, b) => a - b));
+});
+
+test('saveWithRevision guarda el estado anterior con números consecutivos', async () => {
+  const post = await createPost();
+  const tag = await Tag.create({ name: 'historial', slug: 'historial' });
+  await post.setTags([tag]);
+
+  await PostRevision.saveWithRevision(post, author.id, (transaction) => post.update({ title: 'Segundo título' }, { transaction }));
+  await PostRevision.saveWithRevision(post, author.id, (transaction) => post.update({ title: 'Tercer título' }, { transaction }));
+
+  const revisions = await PostRevision.findAll({ where: { postId: post.id }, order: [['revisionNumber', 'ASC']] });
+  assert.deepStrictEqual(revisions.map(revision => [revision.revisionNumber, revision.title]), [
+    [1, 'Post con historial'],
+    [2, 'Segundo título']
+  ]);
+  assert.deepStrictEqual(revisions[0].tagIds, [tag.id]);
+});
+
+test('si los cambios fallan no queda una revisión huérfana', async () => {
+  const post = await createPost('Post que no cambia');
+
+  await assert.rejects(PostRevision.saveWithRevision(post, author.id, async (transaction) => {
+    await post.update({ title: 'Título nuevo' }, { transaction });
+    throw new Error('fallo al guardar');
+  }));
+
+  assert.strictEqual(await PostRevision.count({ where: { postId: post.id } }), 0);
+  assert.strictEqual((await Post.findByPk(post.id)).title, 'Post que no cambia');
+});
+
+test('un número de revisión ya ocupado repite la transacción con el siguiente', async () => {
+  const post = await createPost('Post concurrente');
+  await PostRevision.saveWithRevision(post, author.id, async () => {});
+
+  // Simula que otra petición leyó el mismo máximo: el primer intento choca con el índice único
+  const max = PostRevision.max;
+  let calls = 0;
+  PostRevision.max = async function(...args) {
+    calls++;
+    return calls === 1 ? 0 : max.apply(this, args);
+  };
+
+  try {
+    await PostRevision.saveWithRevision(post, author.id, (transaction) => post.update({ title: 'Tras el reintento' }, { transaction }));
+  } finally {
+    PostRevision.max = max;
+  }
+
+  const revisions = await PostRevision.findAll({ where: { postId: post.id }, order: [['revisionNumber', 'ASC']] });
+  assert.strictEqual(calls, 2);
+  assert.deepStrictEqual(revisions.map(revision => revision.revisionNumber), [1, 2]);
+  assert.strictEqual((await Post.findByPk(post.id)).title, 'Tras el reintento');
+});
\ No newline at end of file
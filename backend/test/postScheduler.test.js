@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Op } = require('sequelize');
+const { createPostScheduler } = require('../services/postScheduler');
+
+const MINUTE = 60 * 1000;
+
+// Modelo Post en memoria: solo lo que usa el publicador (findAll, min y update)
+function fakePostModel(posts) {
+  return {
+    findAll: async ({ where }) => posts
+      .filter(post => post.status === where.status && post.scheduledAt <= where.scheduledAt[Op.lte])
+      .sort((a, b) => a.scheduledAt - b.scheduledAt),
+    min: async (field, { where }) => {
+      const excluded = where.id ? where.id[Op.notIn] : [];
+      const dates = posts
+        .filter(post => post.status === where.status && !excluded.includes(post.id))
+        .map(post => post[field]);
+      return dates.length > 0 ? new Date(Math.min(...dates)) : null;
+    }
+  };
+}
+
+function fakePost(id, scheduledAt, { fail = false } = {}) {
+  const post = { id, status: 'scheduled', scheduledAt, publishedAt: null };
+  post.update = async (values) => {
+    if (fail) throw new Error('fallo de escritura');
+    Object.assign(post, values);
+  };
+  return post;
+}
+
+function fakeClock(start) {
+  const clock = {
+    time: start.getTime(),
+    timers: [],
+    now: () => new Date(clock.time),
+    setTimeout: (fn, ms) => clock.timers.push({ fn, ms }),
+    clearTimeout: () => {}
+  };
+  return clock;
+}
+
+const silentLogger = { log: () => {}, error: () => {} };
+
+test('publica los posts vencidos con su fecha programada y espera al siguiente', async () => {
+  const start = new Date('2026-01-01T10:00:00Z');
+  const due = fakePost(1, new Date('2026-01-01T09:00:00Z'));
+  const later = fakePost(2, new Date('2026-01-01T10:00:30Z'));
+  const clock = fakeClock(start);
+
+  const scheduler = createPostScheduler({ Post: fakePostModel([due, later]), clock, logger: silentLogger });
+  await scheduler.start();
+  scheduler.stop();
+
+  assert.strictEqual(due.status, 'published');
+  assert.deepStrictEqual(due.publishedAt, due.scheduledAt);
+  assert.strictEqual(later.status, 'scheduled');
+  assert.deepStrictEqual(clock.timers.map(timer => timer.ms), [30 * 1000]);
+});
+
+test('no espera más de pollInterval aunque el siguiente post esté lejos', async () => {
+  const clock = fakeClock(new Date('2026-01-01T10:00:00Z'));
+  const post = fakePost(1, new Date('2026-01-02T10:00:00Z'));
+
+  const scheduler = createPostScheduler({ Post: fakePostModel([post]), clock, logger: silentLogger });
+  await scheduler.start();
+  scheduler.stop();
+
+  assert.deepStrictEqual(clock.timers.map(timer => timer.ms), [MINUTE]);
+});
+
+test('un post que no se puede publicar se reintenta en la siguiente consulta, no de inmediato', async () => {
+  const clock = fakeClock(new Date('2026-01-01T10:00:00Z'));
+  const broken = fakePost(1, new Date('2026-01-01T09:00:00Z'), { fail: true });
+
+  const scheduler = createPostScheduler({ Post: fakePostModel([broken]), clock, logger: silentLogger });
+  await scheduler.start();
+  await clock.timers[0].fn();
+  scheduler.stop();
+
+  assert.strictEqual(broken.status, 'scheduled');
+  assert.deepStrictEqual(clock.timers.map(timer => timer.ms), [MINUTE, MINUTE]);
+});
\ No newline at end of file
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { canTransition, allowedTransitions, allowedInitialStatuses } = require('../services/postWorkflow');
+const { SYSTEM_ROLES } = require('../services/permissions');
+
+// Usuario con los permisos de serie de su rol, como los deja cargados middleware/auth
+const withRole = (id, role) => ({ id, role, permissions: new Set(SYSTEM_ROLES[role].permissions) });
+
+const author = withRole(1, 'author');
+const otherAuthor = withRole(2, 'author');
+const editor = withRole(3, 'editor');
+const subscriber = withRole(4, 'subscriber');
+
+const post = (status, authorId = author.id) => ({ status, authorId });
+
+test('el autor envía a revisión sus borradores pero no los publica', () => {
+  assert.strictEqual(canTransition(author, post('draft'), 'pending'), true);
+  assert.strictEqual(canTransition(author, post('draft'), 'published'), false);
+  assert.strictEqual(canTransition(author, post('pending'), 'scheduled'), false);
+});
+
+test('el autor puede mover sus propios posts a la papelera en cualquier estado', () => {
+  ['draft', 'pending', 'scheduled', 'published', 'private'].forEach(status => {
+    assert.strictEqual(canTransition(author, post(status), 'trash'), true, status);
+  });
+});
+
+test('el autor no puede mover los posts de otros', () => {
+  assert.strictEqual(canTransition(otherAuthor, post('draft'), 'pending'), false);
+  assert.strictEqual(canTransition(otherAuthor, post('published'), 'trash'), false);
+});
+
+test('el editor puede aprobar, retirar y eliminar posts de cualquier autor', () => {
+  assert.strictEqual(canTransition(editor, post('pending'), 'published'), true);
+  assert.strictEqual(canTransition(editor, post('published'), 'draft'), true);
+  assert.strictEqual(canTransition(editor, post('published'), 'trash'), true);
+});
+
+test('los posts en la papelera solo vuelven a borrador', () => {
+  assert.deepStrictEqual(allowedTransitions(editor, post('trash')), ['draft']);
+  assert.strictEqual(canTransition(editor, post('trash'), 'published'), false);
+});
+
+test('quedarse en el mismo estado siempre está permitido', () => {
+  assert.strictEqual(canTransition(subscriber, post('published'), 'published'), true);
+});
+
+test('el suscriptor no puede cambiar estados', () => {
+  assert.deepStrictEqual(allowedTransitions(subscriber, post('draft', subscriber.id)), []);
+});
+
+test('estados iniciales de un post nuevo según los permisos', () => {
+  assert.deepStrictEqual(allowedInitialStatuses(author), ['pending', 'draft']);
+  assert.deepStrictEqual(allowedInitialStatuses(editor), ['pending', 'published', 'scheduled', 'private', 'draft']);
+});
\ No newline at end of file
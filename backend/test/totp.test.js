@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { base32Encode, base32Decode, hotp, generateTotp, verifyTotp } = require('../services/totp');
+
+// Secreto de los vectores de prueba de las RFC 4226 y 6238 (SHA-1): "12345678901234567890"
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+test('base32 según los ejemplos de la RFC 4648 (sin relleno)', () => {
+  const vectors = { f: 'MY', fo: 'MZXQ', foo: 'MZXW6', foob: 'MZXW6YQ', fooba: 'MZXW6YTB', foobar: 'MZXW6YTBOI' };
+
+  Object.entries(vectors).forEach(([plain, encoded]) => {
+    assert.strictEqual(base32Encode(Buffer.from(plain)), encoded);
+    assert.strictEqual(base32Decode(encoded).toString(), plain);
+  });
+  assert.strictEqual(base32Decode('mzxw 6ytb oi======').toString(), 'foobar');
+  assert.throws(() => base32Decode('MZXW1'), /base32/);
+});
+
+test('HOTP coincide con el apéndice D de la RFC 4226', () => {
+  const expected = ['755224', '287082', '359152', '969429', '338314', '254676', '287922', '162583', '399871', '520489'];
+
+  expected.forEach((code, counter) => {
+    assert.strictEqual(hotp(RFC_SECRET, counter), code);
+  });
+});
+
+test('TOTP coincide con el apéndice B de la RFC 6238 (últimos 6 dígitos)', () => {
+  const vectors = [
+    [59, '287082'],
+    [1111111109, '081804'],
+    [1111111111, '050471'],
+    [1234567890, '005924'],
+    [2000000000, '279037'],
+    [20000000000, '353130']
+  ];
+
+  vectors.forEach(([seconds, code]) => {
+    assert.strictEqual(generateTotp(RFC_SECRET, new Date(seconds * 1000)), code);
+  });
+});
+
+test('verifyTotp admite un paso de desfase y devuelve el paso que coincide', () => {
+  const now = new Date(1111111111 * 1000);
+  const step = Math.floor(1111111111 / 30);
+
+  assert.strictEqual(verifyTotp(RFC_SECRET, '050471', { now }), step);
+  assert.strictEqual(verifyTotp(RFC_SECRET, hotp(RFC_SECRET, step - 1), { now }), step - 1);
+  assert.strictEqual(verifyTotp(RFC_SECRET, hotp(RFC_SECRET, step + 1), { now }), step + 1);
+  assert.strictEqual(verifyTotp(RFC_SECRET, hotp(RFC_SECRET, step + 2), { now }), null);
+  assert.strictEqual(verifyTotp(RFC_SECRET, '050 471', { now }), step);
+  assert.strictEqual(verifyTotp(RFC_SECRET, '12345', { now }), null);
+});
\ No newline at end of file
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const { FILE_TYPES, checkFileType, checkFileContent } = require('../services/uploadValidation');
+
+// Primeros bytes reales de cada formato
+const HEADERS = {
+  jpg: [0xFF, 0xD8, 0xFF, 0xE0, 0x00, 0x10, 0x4A, 0x46, 0x49, 0x46],
+  png: [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 0x00, 0x00, 0x00, 0x0D],
+  gif: Buffer.from('GIF89a\x01\x00\x01\x00', 'latin1'),
+  webp: Buffer.concat([Buffer.from('RIFF'), Buffer.from([0x24, 0x00, 0x00, 0x00]), Buffer.from('WEBPVP8 ')]),
+  avif: Buffer.concat([Buffer.from([0x00, 0x00, 0x00, 0x1C]), Buffer.from('ftypavif'), Buffer.from([0, 0, 0, 0])]),
+  pdf: Buffer.from('%PDF-1.7\n'),
+  doc: [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1],
+  docx: [0x50, 0x4B, 0x03, 0x04, 0x14, 0x00, 0x06, 0x00],
+  mp4: Buffer.concat([Buffer.from([0x00, 0x00, 0x00, 0x20]), Buffer.from('ftypisom'), Buffer.from([0, 0, 2, 0])]),
+  webm: [0x1A, 0x45, 0xDF, 0xA3, 0x9F, 0x42, 0x86, 0x81],
+  mp3: Buffer.from('ID3\x04\x00\x00\x00\x00\x00\x00', 'latin1'),
+  wav: Buffer.concat([Buffer.from('RIFF'), Buffer.from([0x24, 0x08, 0x00, 0x00]), Buffer.from('WAVEfmt ')])
+};
+
+const header = (type) => Buffer.from(HEADERS[type]);
+
+test('cada tipo reconoce su propia firma', () => {
+  Object.keys(HEADERS).forEach(type => {
+    assert.strictEqual(FILE_TYPES[type].matches(header(type)), true, type);
+  });
+  assert.strictEqual(FILE_TYPES.jpeg.matches(header('jpg')), true);
+});
+
+test('ningún tipo acepta la firma de otro formato', () => {
+  Object.keys(HEADERS).forEach(type => {
+    Object.keys(HEADERS)
+      .filter(other => other !== type)
+      // Un MP4 y un AVIF comparten contenedor: el MP4 admite cualquier marca ISO
+      .filter(other => !(type === 'mp4' && other === 'avif'))
+      .forEach(other => {
+        assert.strictEqual(FILE_TYPES[type].matches(header(other)), false, `${type} con firma de ${other}`);
+      });
+  });
+});
+
+test('MP3 sin etiqueta ID3, empezando por una cabecera de trama', () => {
+  assert.strictEqual(FILE_TYPES.mp3.matches(Buffer.from([0xFF, 0xFB, 0x90, 0x64])), true);
+  assert.strictEqual(FILE_TYPES.mp3.matches(Buffer.from([0xFF, 0x1B, 0x90, 0x64])), false);
+});
+
+test('un archivo más corto que la firma no coincide', () => {
+  assert.strictEqual(FILE_TYPES.png.matches(header('png').subarray(0, 4)), false);
+  assert.strictEqual(FILE_TYPES.webp.matches(Buffer.from('RIFF')), false);
+});
+
+test('checkFileType decide por la extensión e ignora mayúsculas', () => {
+  const rules = { allowedTypes: ['jpg', 'png', 'zip'] };
+
+  assert.deepStrictEqual(checkFileType('Foto.JPG', rules), { mimeType: 'image/jpeg' });
+  assert.deepStrictEqual(checkFileType('copia.zip', rules), { mimeType: 'application/octet-stream' });
+  assert.strictEqual(checkFileType('script.php', rules).error.code, 'file_type_not_allowed');
+  assert.strictEqual(checkFileType('sin-extension', rules).error.code, 'file_type_not_allowed');
+});
+
+test('checkFileContent lee la firma del archivo en disco', async () => {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'upload-validation-'));
+  try {
+    const png = path.join(directory, 'real.png');
+    const disguised = path.join(directory, 'falso.png');
+    await fs.writeFile(png, Buffer.concat([header('png'), Buffer.alloc(32)]));
+    await fs.writeFile(disguised, '<?php echo "hola"; ?>');
+
+    assert.strictEqual(await checkFileContent(png, 'foto.png'), null);
+    assert.strictEqual((await checkFileContent(disguised, 'foto.png')).code, 'file_content_mismatch');
+    // Las extensiones sin firma conocida no se comprueban
+    assert.strictEqual(await checkFileContent(disguised, 'notas.txt'), null);
+  } finally {
+    await fs.rm(directory, { recursive: true, force: true });
+  }
+});
\ No newline at end of file
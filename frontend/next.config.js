@@ -52,6 +52,23 @@ const nextConfig = {
     ];
   },
 
+  // Rutas públicas servidas por el backend bajo la URL del sitio (site_url)
+  async rewrites() {
+    const apiUrl = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3001';
+
+    return [
+      // Feeds del sitio y por categoría, tag o autor
+      { source: '/feed.xml', destination: `${apiUrl}/feed.xml` },
+      { source: '/atom.xml', destination: `${apiUrl}/atom.xml` },
+      { source: '/feed.json', destination: `${apiUrl}/feed.json` },
+      { source: '/api/:collection(categories|tags|users)/:slug/feed', destination: `${apiUrl}/api/:collection/:slug/feed` },
+      // Índice de sitemaps, sitemaps hijos y archivos subidos (imágenes de los sitemaps)
+      { source: '/sitemap.xml', destination: `${apiUrl}/sitemap.xml` },
+      { source: '/sitemaps/:name', destination: `${apiUrl}/sitemaps/:name` },
+      { source: '/uploads/:path*', destination: `${apiUrl}/uploads/:path*` },
+    ];
+  },
+
   // Configuración de webpack
   webpack: (config, { buildId, dev, isServer, defaultLoaders, webpack }) => {
     // Optimizaciones adicionales pueden ir aquí